@@ -2,6 +2,7 @@ const jwt = require("jsonwebtoken");
 const { promisify } = require("util");
 const User = require("../models/User");
 const Session = require("../models/Session");
+const Workspace = require("../models/Workspace");
 
 // Promisify jwt.verify for async/await usage
 const jwtVerify = promisify(jwt.verify);
@@ -193,10 +194,102 @@ const requirePermission = (permission) => {
       });
     }
 
+    // Workspace permissions come from the member's role (see resolveWorkspace).
+    // Outside a workspace users may do anything with their own tasks, but
+    // there is nothing to manage.
+    if (permission !== "admin") {
+      const allowed = req.workspace
+        ? Workspace.ROLE_PERMISSIONS[req.workspaceRole].includes(permission)
+        : !permission.startsWith("workspace:");
+
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          error: req.workspace
+            ? `Your role (${req.workspaceRole}) does not allow this action`
+            : "This action requires a workspace",
+          code: "INSUFFICIENT_PERMISSIONS",
+        });
+      }
+    }
+
     next();
   };
 };
 
+// Middleware to load the workspace a request acts on and the user's role in
+// it. The ID comes from the X-Workspace-Id header by default; without one the
+// request acts on the user's personal tasks.
+const resolveWorkspace = (
+  getWorkspaceId = (req) => req.get("X-Workspace-Id")
+) => {
+  return async (req, res, next) => {
+    try {
+      const workspaceId = getWorkspaceId(req);
+
+      req.workspace = null;
+      req.workspaceRole = null;
+
+      if (!workspaceId) {
+        return next();
+      }
+
+      if (!/^[0-9a-fA-F]{24}$/.test(workspaceId)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid workspace ID format",
+          code: "INVALID_WORKSPACE",
+        });
+      }
+
+      const workspace = await Workspace.findOne({
+        _id: workspaceId,
+        "members.userId": req.user._id,
+      });
+
+      if (!workspace) {
+        return res.status(404).json({
+          success: false,
+          error: "Workspace not found or access denied",
+          code: "WORKSPACE_NOT_FOUND",
+        });
+      }
+
+      req.workspace = workspace;
+      req.workspaceRole = workspace.roleOf(req.user._id);
+      next();
+    } catch (error) {
+      console.error("Workspace resolution error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Authorization failed",
+        code: "AUTH_ERROR",
+      });
+    }
+  };
+};
+
+// Query conditions matching the documents a request may see: the current
+// workspace's, or the user's personal ones outside any workspace
+const workspaceScope = (req) =>
+  req.workspace
+    ? { workspaceId: req.workspace._id }
+    : { userId: req.user._id, workspaceId: null };
+
+// Query conditions matching the tasks a request may see and edit: those in
+// workspaceScope plus, outside a workspace, personal tasks assigned to the
+// user. Workspace tasks are only reached through their workspace, so access
+// to them always follows the user's current membership and role.
+const visibleScope = (req) =>
+  req.workspace
+    ? workspaceScope(req)
+    : {
+        $or: [
+          workspaceScope(req),
+          { assigneeIds: req.user._id, workspaceId: null },
+        ],
+      };
+
 // Middleware to check if user owns a resource
 const requireOwnership = (getResourceUserId) => {
   return async (req, res, next) => {
@@ -290,6 +383,9 @@ module.exports = {
   optionalAuth,
   requirePermission,
   requireOwnership,
+  resolveWorkspace,
+  workspaceScope,
+  visibleScope,
   authRateLimit,
   generateAccessToken,
   generateRefreshToken,
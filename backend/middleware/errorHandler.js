@@ -17,10 +17,13 @@ const errorHandler = (err, req, res, next) => {
     ) {
       res.header("Access-Control-Allow-Origin", origin);
       res.header("Access-Control-Allow-Credentials", "true");
-      res.header("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
+      res.header(
+        "Access-Control-Allow-Methods",
+        "GET,POST,PUT,PATCH,DELETE,OPTIONS"
+      );
       res.header(
         "Access-Control-Allow-Headers",
-        "Content-Type,Authorization,X-Requested-With"
+        "Content-Type,Authorization,X-Requested-With,If-Match,X-Workspace-Id"
       );
     }
   }
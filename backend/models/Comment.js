@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// Longest comment body accepted, in characters
+const MAX_COMMENT_LENGTH = 5000;
+
+// Define the Comment schema (one message in a task's discussion thread).
+// Bodies are stored as written, Markdown included; clients render them.
+const commentSchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: [true, "Task ID is required"],
+    },
+    // Author, the only user who can edit or delete the comment
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    body: {
+      type: String,
+      required: [true, "Comment text is required"],
+      trim: true,
+      maxlength: [
+        MAX_COMMENT_LENGTH,
+        `Comment cannot exceed ${MAX_COMMENT_LENGTH} characters`,
+      ],
+    },
+    // Set when the author changes the body; null if never edited
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Oldest first for a task's thread
+commentSchema.index({ taskId: 1, _id: 1 });
+
+// Create and export the Comment model
+const Comment = mongoose.model("Comment", commentSchema);
+
+Comment.MAX_LENGTH = MAX_COMMENT_LENGTH;
+
+module.exports = Comment;
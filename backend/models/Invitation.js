@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// Days an invitation can be accepted before it expires
+const INVITATION_TTL_DAYS = 7;
+
+// Define the Invitation schema (an offer to join a workspace). With an
+// email only that user can accept it; without one it is a shareable link
+// that anyone signed in can use until it expires or is revoked.
+const invitationSchema = new mongoose.Schema(
+  {
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      required: [true, "Workspace ID is required"],
+      index: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+        "Please enter a valid email",
+      ],
+      default: null,
+    },
+    // Role given on acceptance; ownership cannot be handed out this way
+    role: {
+      type: String,
+      enum: {
+        values: ["editor", "viewer"],
+        message: 'Role must be "editor" or "viewer"',
+      },
+      default: "editor",
+    },
+    token: {
+      type: String,
+      unique: true,
+      default: () => crypto.randomBytes(24).toString("hex"),
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      default: () =>
+        new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+// Pending invitations addressed to a user
+invitationSchema.index({ email: 1 });
+// MongoDB removes invitations once they expire
+invitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export the Invitation model
+const Invitation = mongoose.model("Invitation", invitationSchema);
+
+Invitation.TTL_DAYS = INVITATION_TTL_DAYS;
+
+module.exports = Invitation;
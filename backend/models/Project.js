@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// Project names compare case-insensitively within a list
+const PROJECT_COLLATION = { locale: "en", strength: 2 };
+const DEFAULT_PROJECT_COLOR = "#445d86";
+
+// Define the Project schema (a named group of tasks)
+const projectSchema = new mongoose.Schema(
+  {
+    // User association
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true,
+    },
+
+    // Workspace the project is shared in; null for a personal project
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      default: null,
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, "Project name is required"],
+      trim: true,
+      minlength: [1, "Project name cannot be empty"],
+      maxlength: [50, "Project name cannot exceed 50 characters"],
+    },
+    color: {
+      type: String,
+      trim: true,
+      match: [/^#[0-9a-fA-F]{6}$/, "Color must be a hex value like #3b82f6"],
+      default: DEFAULT_PROJECT_COLOR,
+    },
+    // Archived projects keep their tasks but take no new ones
+    archived: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+// One project per name per user and workspace, ignoring case (the routes
+// also check across a workspace's members)
+projectSchema.index(
+  { userId: 1, workspaceId: 1, name: 1 },
+  { unique: true, collation: PROJECT_COLLATION }
+);
+
+// Create and export the Project model
+const Project = mongoose.model("Project", projectSchema);
+
+Project.COLLATION = PROJECT_COLLATION;
+
+module.exports = Project;
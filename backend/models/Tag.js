@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+
+// Tag names compare case-insensitively within a catalogue
+const TAG_COLLATION = { locale: "en", strength: 2 };
+const DEFAULT_TAG_COLOR = "#6b7280";
+
+// Define the Tag schema (catalogue of task labels). Personal tasks use their
+// owner's catalogue, shared tasks their workspace's.
+const tagSchema = new mongoose.Schema(
+  {
+    // Owner of a personal tag; null for a workspace's
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+
+    // Workspace the tag belongs to; null for a personal tag
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      default: null,
+    },
+
+    name: {
+      type: String,
+      required: [true, "Tag name is required"],
+      trim: true,
+      minlength: [1, "Tag name cannot be empty"],
+      maxlength: [30, "Tag name cannot exceed 30 characters"],
+      match: [/^[^,]+$/, "Tag name cannot contain commas"],
+    },
+    color: {
+      type: String,
+      trim: true,
+      match: [/^#[0-9a-fA-F]{6}$/, "Color must be a hex value like #3b82f6"],
+      default: DEFAULT_TAG_COLOR,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+// Static method to map requested names onto the catalogue of `scope`
+// ({ workspaceId } or { userId, workspaceId: null }), creating any tags that
+// don't exist yet. Returns canonical names.
+tagSchema.statics.resolveNames = async function (scope, names) {
+  if (names.length === 0) return [];
+
+  const existing = await this.find({
+    ...scope,
+    name: { $in: names },
+  }).collation(TAG_COLLATION);
+  const byLowerName = new Map(
+    existing.map((tag) => [tag.name.toLowerCase(), tag.name])
+  );
+
+  const missing = names.filter((name) => !byLowerName.has(name.toLowerCase()));
+  if (missing.length > 0) {
+    const created = await this.insertMany(
+      missing.map((name) => ({ ...scope, name })),
+      { ordered: false }
+    ).catch((error) => {
+      // Another request may have created the same tag concurrently
+      if (error.code !== 11000) throw error;
+      return error.insertedDocs || [];
+    });
+    created.forEach((tag) => byLowerName.set(tag.name.toLowerCase(), tag.name));
+
+    // Pick up names lost to a concurrent insert
+    if (created.length < missing.length) {
+      const raced = await this.find({
+        ...scope,
+        name: { $in: missing },
+      }).collation(TAG_COLLATION);
+      raced.forEach((tag) => byLowerName.set(tag.name.toLowerCase(), tag.name));
+    }
+  }
+
+  return names.map((name) => byLowerName.get(name.toLowerCase()));
+};
+
+// Static method to add the tags already on workspace tasks to their
+// workspace's catalogue. Tags used to be personal only, so those tasks
+// carry names from their members' catalogues.
+tagSchema.statics.backfillWorkspaceTags = async function () {
+  const Task = mongoose.model("Task");
+  const usage = await Task.aggregate([
+    { $match: { workspaceId: { $ne: null }, "tags.0": { $exists: true } } },
+    { $unwind: "$tags" },
+    { $group: { _id: "$workspaceId", names: { $addToSet: "$tags" } } },
+  ]);
+
+  for (const { _id: workspaceId, names } of usage) {
+    await this.resolveNames({ workspaceId }, names);
+  }
+};
+
+// Static method to drop the index that made names unique per user only,
+// which would clash between workspaces' catalogues
+tagSchema.statics.dropLegacyNameIndex = async function () {
+  // A new database has no collection, and so no indexes, yet
+  const indexes = await this.collection.indexes().catch(() => []);
+  const legacyIndex = indexes.find(
+    (index) =>
+      index.unique &&
+      index.key.name &&
+      index.key.userId &&
+      !index.key.workspaceId
+  );
+  if (legacyIndex) await this.collection.dropIndex(legacyIndex.name);
+};
+
+// One tag per name per catalogue, ignoring case
+tagSchema.index(
+  { workspaceId: 1, userId: 1, name: 1 },
+  { unique: true, collation: TAG_COLLATION }
+);
+
+// Create and export the Tag model
+const Tag = mongoose.model("Tag", tagSchema);
+
+module.exports = Tag;
@@ -1,9 +1,131 @@
 const mongoose = require("mongoose");
 
+// Priority levels from lowest to highest; the index is the sort rank
+const PRIORITIES = ["Low", "Medium", "High", "Urgent"];
+
+// Days a deleted task stays in the trash before it is purged for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Maximum checklist size per task
+const MAX_CHECKLIST_ITEMS = 100;
+
+// Maximum number of users a task can be assigned to
+const MAX_ASSIGNEES = 10;
+
+// Maximum number of files attached to a task
+const MAX_ATTACHMENTS = 20;
+
+// Maximum number of tasks a task can be blocked by
+const MAX_BLOCKERS = 20;
+
+// Largest time estimate, in minutes (1000 hours)
+const MAX_ESTIMATE_MINUTES = 60000;
+
+// Gap between neighbouring positions after the order is renumbered
+const POSITION_STEP = 1024;
+
+// Checklist item embedded in a task; array order is the display order
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, "Checklist item text is required"],
+    trim: true,
+    maxlength: [200, "Checklist item cannot exceed 200 characters"],
+  },
+  done: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+// File attached to a task. The file itself lives in the configured storage
+// (see utils/storage) under `storageKey`, which is never sent to clients.
+const attachmentSchema = new mongoose.Schema(
+  {
+    filename: {
+      type: String,
+      required: [true, "Attachment filename is required"],
+      maxlength: [255, "Attachment filename cannot exceed 255 characters"],
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    // Size in bytes
+    size: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.storageKey;
+        return ret;
+      },
+    },
+  }
+);
+
+// Repeat rule of a recurring task, RRULE-like (see utils/recurrence.js)
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ["daily", "weekly", "monthly", "yearly"],
+      required: [true, "Recurrence frequency is required"],
+    },
+    interval: {
+      type: Number,
+      min: [1, "Recurrence interval must be at least 1"],
+      max: [365, "Recurrence interval cannot exceed 365"],
+      default: 1,
+    },
+    // Days of the week for weekly rules, 0 = Sunday
+    byWeekday: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [],
+    },
+    // Day of the month for monthly rules
+    byMonthDay: {
+      type: Number,
+      min: 1,
+      max: 31,
+      default: null,
+    },
+    // The series ends after this date or this many occurrences, if set
+    until: {
+      type: Date,
+      default: null,
+    },
+    count: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
 // Define the Task schema
 const taskSchema = new mongoose.Schema(
   {
-    // User association
+    // User association (the creator, for tasks in a workspace)
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -11,6 +133,30 @@ const taskSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Workspace the task is shared in; null for a personal task
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      default: null,
+    },
+
+    // Users the task is delegated to; they see it alongside their own tasks
+    assigneeIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      default: [],
+      validate: {
+        validator: (ids) => ids.length <= MAX_ASSIGNEES,
+        message: `A task cannot have more than ${MAX_ASSIGNEES} assignees`,
+      },
+    },
+
+    // Project the task is grouped under; null for tasks outside any project
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+    },
+
     title: {
       type: String,
       required: [true, "Title is required"],
@@ -24,13 +170,135 @@ const taskSchema = new mongoose.Schema(
       maxlength: [1000, "Description cannot exceed 1000 characters"],
       default: "",
     },
+    // One of the statuses of the task's workflow (see models/Workflow.js),
+    // which the routes check against
     status: {
+      type: String,
+      required: [true, "Status is required"],
+      trim: true,
+      maxlength: [30, "Status cannot exceed 30 characters"],
+      default: "To Do",
+    },
+    priority: {
       type: String,
       enum: {
-        values: ["To Do", "In Progress", "Done"],
-        message: 'Status must be either "To Do", "In Progress", or "Done"',
+        values: PRIORITIES,
+        message: 'Priority must be "Low", "Medium", "High", or "Urgent"',
       },
-      default: "To Do",
+      default: "Medium",
+    },
+    // Numeric rank kept in sync with priority so sorting is semantic
+    priorityRank: {
+      type: Number,
+      default: PRIORITIES.indexOf("Medium"),
+    },
+    // Tag names from the catalogue of the task's scope (see Tag model)
+    tags: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (tags) => tags.length <= 20,
+        message: "A task cannot have more than 20 tags",
+      },
+    },
+    checklist: {
+      type: [checklistItemSchema],
+      default: [],
+      validate: {
+        validator: (items) => items.length <= MAX_CHECKLIST_ITEMS,
+        message: `A task cannot have more than ${MAX_CHECKLIST_ITEMS} checklist items`,
+      },
+    },
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+      validate: {
+        validator: (items) => items.length <= MAX_ATTACHMENTS,
+        message: `A task cannot have more than ${MAX_ATTACHMENTS} attachments`,
+      },
+    },
+    // Tasks that must be finished before this one can start (see
+    // utils/dependencies.js); links never form a cycle
+    blockedBy: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Task" }],
+      default: [],
+      validate: {
+        validator: (ids) => ids.length <= MAX_BLOCKERS,
+        message: `A task cannot be blocked by more than ${MAX_BLOCKERS} tasks`,
+      },
+    },
+    // Expected effort in minutes; null when not estimated
+    estimateMinutes: {
+      type: Number,
+      default: null,
+      min: [1, "Estimate must be at least 1 minute"],
+      max: [
+        MAX_ESTIMATE_MINUTES,
+        `Estimate cannot exceed ${MAX_ESTIMATE_MINUTES} minutes`,
+      ],
+    },
+    // Total of the task's finished time entries in seconds, kept up to date
+    // by the time tracking routes (see utils/timeTracking.js)
+    trackedSeconds: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    startDate: {
+      type: Date,
+      default: null,
+    },
+    dueDate: {
+      type: Date,
+      default: null,
+      validate: {
+        validator: function (value) {
+          // `this` is only the document on save; routes validate updates
+          if (!(this instanceof mongoose.Document) || !value) return true;
+          return !this.startDate || value >= this.startDate;
+        },
+        message: "Due date cannot be before start date",
+      },
+    },
+    // Manual order, ascending. Moves take the midpoint of the neighbours,
+    // so values are fractional. New tasks start above existing ones.
+    position: {
+      type: Number,
+      default: () => -Date.now(),
+    },
+    // Repeat rule; completing the task creates the next occurrence
+    recurrence: {
+      type: recurrenceSchema,
+      default: null,
+    },
+    // First task of the recurring series this task belongs to (null for
+    // that first task) and this task's 1-based number within the series
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
+    occurrence: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // Occurrence created when this one was completed, so it is made once
+    nextOccurrenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
+    // Set when the task is moved to the trash; null for live tasks
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    // Incremented on every write; clients send it back to detect conflicts
+    version: {
+      type: Number,
+      default: 0,
+      min: 0,
     },
     createdAt: {
       type: Date,
@@ -50,21 +318,207 @@ const taskSchema = new mongoose.Schema(
   }
 );
 
-// Pre-save middleware to update the updatedAt field
+// Pre-save middleware to update the updatedAt field, version and priority rank
 taskSchema.pre("save", function (next) {
   if (this.isModified() && !this.isNew) {
     this.updatedAt = Date.now();
+    this.version = (this.version || 0) + 1;
+  }
+  if (this.isNew || this.isModified("priority")) {
+    this.priorityRank = PRIORITIES.indexOf(this.priority);
   }
   next();
 });
 
-// Pre-update middleware to update the updatedAt field
-taskSchema.pre(["updateOne", "findOneAndUpdate"], function (next) {
-  this.set({ updatedAt: Date.now() });
-  next();
+// Pre-update middleware to update the updatedAt field, version and priority rank
+taskSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate"],
+  function (next) {
+    this.set({ updatedAt: Date.now() });
+
+    const update = this.getUpdate() || {};
+    update.$inc = { ...update.$inc, version: 1 };
+    this.setUpdate(update);
+
+    const priority = update.priority ?? update.$set?.priority;
+    if (priority !== undefined) {
+      this.set({ priorityRank: PRIORITIES.indexOf(priority) });
+    }
+    next();
+  }
+);
+
+// Assignees' user documents, filled in by populate("assignees")
+taskSchema.virtual("assignees", {
+  ref: "User",
+  localField: "assigneeIds",
+  foreignField: "_id",
 });
 
+// Live tasks this task is blocked by, filled in by populate("blockers")
+taskSchema.virtual("blockers", {
+  ref: "Task",
+  localField: "blockedBy",
+  foreignField: "_id",
+  match: { deletedAt: null },
+});
+
+// Number of comments on the task, filled in by populate("commentCount")
+taskSchema.virtual("commentCount", {
+  ref: "Comment",
+  localField: "_id",
+  foreignField: "taskId",
+  count: true,
+});
+
+// When a trashed task will be purged for good
+taskSchema.virtual("purgeAt").get(function () {
+  if (!this.deletedAt) return null;
+  return new Date(this.deletedAt.getTime() + TRASH_RETENTION_MS);
+});
+
+// Static method to take a user off the tasks of a workspace they left or
+// can no longer edit in
+taskSchema.statics.unassignFromWorkspace = function (workspaceId, userId) {
+  return this.updateMany(
+    { workspaceId, assigneeIds: userId },
+    { $pull: { assigneeIds: userId } }
+  );
+};
+
+// Static method to move a deleted workspace's tasks into its owner's
+// personal trash. Nobody else keeps access to them: assignees are cleared,
+// and blocked-by links only remain between the moved tasks. Statuses the
+// owner's personal workflow lacks become its first one.
+taskSchema.statics.moveWorkspaceToOwner = async function (
+  workspaceId,
+  ownerId
+) {
+  const scope = { workspaceId };
+  const taskIds = await this.find(scope).distinct("_id");
+
+  const workflow = await mongoose
+    .model("Workflow")
+    .forScope({ userId: ownerId, workspaceId: null });
+  await this.updateMany(
+    { ...scope, status: { $nin: workflow.getStatusNames() } },
+    { $set: { status: workflow.initialStatus } }
+  );
+  await this.updateMany(
+    { ...scope, deletedAt: null },
+    { $set: { deletedAt: new Date() } }
+  );
+  const result = await this.updateMany(scope, {
+    $set: {
+      userId: ownerId,
+      workspaceId: null,
+      projectId: null,
+      assigneeIds: [],
+    },
+    $pull: { blockedBy: { $nin: taskIds } },
+  });
+  // Uses the driver so the clean-up doesn't count as an edit of those tasks
+  await this.collection.updateMany(
+    { _id: { $nin: taskIds }, blockedBy: { $in: taskIds } },
+    { $pull: { blockedBy: { $in: taskIds } } }
+  );
+  return result;
+};
+
+// Static method to drop the TTL index that used to expire trashed tasks:
+// MongoDB deleted them without the clean-up purging does (utils/trash.js)
+taskSchema.statics.dropTrashTtlIndex = async function () {
+  // A new database has no collection, and so no indexes, yet
+  const indexes = await this.collection.indexes().catch(() => []);
+  const ttlIndex = indexes.find(
+    (index) => index.key.deletedAt && index.expireAfterSeconds !== undefined
+  );
+  if (ttlIndex) await this.collection.dropIndex(ttlIndex.name);
+};
+
+// Static method to give tasks created before priorities existed a default.
+// Uses the driver directly so middleware doesn't bump updatedAt.
+taskSchema.statics.backfillPriority = function () {
+  return this.collection.updateMany(
+    { priority: { $exists: false } },
+    {
+      $set: {
+        priority: "Medium",
+        priorityRank: PRIORITIES.indexOf("Medium"),
+      },
+    }
+  );
+};
+
+// Static method to give tasks created before manual ordering a position
+// matching their default newest-first order (see the position default)
+taskSchema.statics.backfillPositions = function () {
+  return this.collection.updateMany({ position: { $exists: false } }, [
+    { $set: { position: { $multiply: [{ $toLong: "$createdAt" }, -1] } } },
+  ]);
+};
+
+// Static method to respace positions evenly within a scope (a user's
+// personal tasks or a workspace's), keeping their order, once repeated
+// moves have left no room between two neighbours. Uses the driver directly
+// so the renumbering doesn't count as an edit.
+taskSchema.statics.rebalancePositions = async function (scope) {
+  const tasks = await this.find(scope)
+    .sort({ position: 1, _id: 1 })
+    .select("_id")
+    .lean();
+
+  if (tasks.length === 0) return;
+
+  await this.collection.bulkWrite(
+    tasks.map((task, index) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: { $set: { position: (index + 1) * POSITION_STEP } },
+      },
+    }))
+  );
+};
+
+// Indexes for paginated listing (userId + sort key, _id as tie-breaker)
+taskSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+taskSchema.index({ userId: 1, updatedAt: -1, _id: -1 });
+taskSchema.index({ userId: 1, status: 1, _id: 1 });
+taskSchema.index({ userId: 1, dueDate: 1, _id: 1 });
+taskSchema.index({ userId: 1, priorityRank: -1, _id: -1 });
+taskSchema.index({ userId: 1, position: 1, _id: 1 });
+taskSchema.index({ userId: 1, tags: 1 });
+taskSchema.index({ userId: 1, projectId: 1 });
+// Tasks assigned to a user
+taskSchema.index({ assigneeIds: 1 });
+// Tasks blocked by a task, to unlink them when it is purged
+taskSchema.index({ blockedBy: 1 });
+// Workspace listings (shared tasks are scoped by workspace, not user)
+taskSchema.index({ workspaceId: 1, createdAt: -1, _id: -1 });
+taskSchema.index({ workspaceId: 1, position: 1, _id: 1 });
+taskSchema.index({ seriesId: 1, occurrence: 1 });
+// Full-text search (`q`); title matches weigh more than description ones
+taskSchema.index(
+  { title: "text", description: "text" },
+  { name: "task_text_search", weights: { title: 5, description: 1 } }
+);
+taskSchema.index({ userId: 1, deletedAt: -1 });
+// Trashed tasks past their retention period, for the scheduled purge (see
+// utils/trash.js)
+taskSchema.index({ deletedAt: 1, _id: 1 });
+taskSchema.index(
+  { userId: 1, title: 1, _id: 1 },
+  { collation: { locale: "en", strength: 2 } }
+);
+
 // Create and export the Task model
 const Task = mongoose.model("Task", taskSchema);
+Task.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS;
+Task.MAX_CHECKLIST_ITEMS = MAX_CHECKLIST_ITEMS;
+Task.MAX_ASSIGNEES = MAX_ASSIGNEES;
+Task.MAX_ATTACHMENTS = MAX_ATTACHMENTS;
+Task.MAX_BLOCKERS = MAX_BLOCKERS;
+Task.POSITION_STEP = POSITION_STEP;
+Task.MAX_ESTIMATE_MINUTES = MAX_ESTIMATE_MINUTES;
 
 module.exports = Task;
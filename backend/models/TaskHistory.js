@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+const HISTORY_ACTIONS = [
+  "created",
+  "updated",
+  "status_changed",
+  "deleted",
+  "restored",
+];
+
+// One changed field within a history entry
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    oldValue: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    newValue: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Define the TaskHistory schema (append-only audit trail per task)
+const taskHistorySchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: [true, "Task ID is required"],
+    },
+    // Owner of the task, so history is scoped like tasks are
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    action: {
+      type: String,
+      enum: {
+        values: HISTORY_ACTIONS,
+        message: "Action must be one of: " + HISTORY_ACTIONS.join(", "),
+      },
+      required: true,
+    },
+    changes: {
+      type: [changeSchema],
+      default: [],
+    },
+    // Who made the change and from which login session
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    sessionId: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Newest entries first for a task's timeline
+taskHistorySchema.index({ taskId: 1, _id: -1 });
+
+// Create and export the TaskHistory model
+const TaskHistory = mongoose.model("TaskHistory", taskHistorySchema);
+
+module.exports = TaskHistory;
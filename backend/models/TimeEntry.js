@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+// Longest note on a time entry, in characters
+const MAX_NOTE_LENGTH = 200;
+
+// Define the TimeEntry schema (a span of time a user spent on a task).
+// A running timer is an entry without an end; each user has at most one.
+const timeEntrySchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: [true, "Task ID is required"],
+    },
+    // Who tracked the time, the only user who can edit or delete the entry
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    startedAt: {
+      type: Date,
+      required: [true, "Start time is required"],
+    },
+    // null while the timer is running
+    endedAt: {
+      type: Date,
+      default: null,
+      validate: {
+        validator: function (value) {
+          // `this` is only the document on save; routes validate updates
+          if (!(this instanceof mongoose.Document) || !value) return true;
+          return value > this.startedAt;
+        },
+        message: "End time must be after the start time",
+      },
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [
+        MAX_NOTE_LENGTH,
+        `Note cannot exceed ${MAX_NOTE_LENGTH} characters`,
+      ],
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+// Length of the entry in whole seconds; a running timer counts up to now
+timeEntrySchema.virtual("durationSeconds").get(function () {
+  const end = this.endedAt || new Date();
+  return Math.max(Math.round((end - this.startedAt) / 1000), 0);
+});
+
+// Newest first for a task's entries
+timeEntrySchema.index({ taskId: 1, startedAt: -1 });
+// One running timer per user
+timeEntrySchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { endedAt: { $type: "null" } } }
+);
+
+// Create and export the TimeEntry model
+const TimeEntry = mongoose.model("TimeEntry", timeEntrySchema);
+
+TimeEntry.MAX_NOTE_LENGTH = MAX_NOTE_LENGTH;
+
+module.exports = TimeEntry;
@@ -94,6 +94,15 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+
+    // Task preferences
+    preferences: {
+      // Move a task to "Done" once every checklist item is checked
+      autoCompleteChecklists: {
+        type: Boolean,
+        default: false,
+      },
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+// View names compare case-insensitively within a user's list
+const VIEW_COLLATION = { locale: "en", strength: 2 };
+const VIEW_LAYOUTS = ["list", "board"];
+
+// Filter criteria, named and valued like the GET /tasks query parameters
+// (validated against them by the views routes). null means "any".
+const filtersSchema = new mongoose.Schema(
+  {
+    status: { type: String, default: null },
+    priority: { type: String, default: null },
+    tags: { type: [String], default: [] },
+    tagMatch: { type: String, default: "all" },
+    due: { type: String, default: null },
+    assignee: { type: String, default: null },
+    q: { type: String, trim: true, default: "" },
+  },
+  { _id: false }
+);
+
+// Define the View schema (a user's saved filter, sort and layout)
+const viewSchema = new mongoose.Schema(
+  {
+    // User association
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, "View name is required"],
+      trim: true,
+      minlength: [1, "View name cannot be empty"],
+      maxlength: [50, "View name cannot exceed 50 characters"],
+    },
+    filters: {
+      type: filtersSchema,
+      default: () => ({}),
+    },
+    sortBy: {
+      type: String,
+      default: "createdAt",
+    },
+    sortOrder: {
+      type: String,
+      enum: {
+        values: ["asc", "desc"],
+        message: 'Sort order must be "asc" or "desc"',
+      },
+      default: "desc",
+    },
+    layout: {
+      type: String,
+      enum: {
+        values: VIEW_LAYOUTS,
+        message: `Layout must be one of: ${VIEW_LAYOUTS.join(", ")}`,
+      },
+      default: "list",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+// One view per name per user, ignoring case
+viewSchema.index(
+  { userId: 1, name: 1 },
+  { unique: true, collation: VIEW_COLLATION }
+);
+
+// Create and export the View model
+const View = mongoose.model("View", viewSchema);
+
+View.COLLATION = VIEW_COLLATION;
+View.LAYOUTS = VIEW_LAYOUTS;
+
+module.exports = View;
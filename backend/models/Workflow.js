@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+
+// Statuses a user or workspace starts with; tasks created before workflows
+// could be edited already use them, so they need no migration. Their IDs are
+// fixed so a workflow that was never saved can be edited by ID like any other.
+const defaultStatusId = (n) =>
+  new mongoose.Types.ObjectId(n.toString(16).padStart(24, "0"));
+const DEFAULT_STATUSES = [
+  { _id: defaultStatusId(1), name: "To Do", color: "#d97706", terminal: false },
+  {
+    _id: defaultStatusId(2),
+    name: "In Progress",
+    color: "#2563eb",
+    terminal: false,
+  },
+  { _id: defaultStatusId(3), name: "Done", color: "#059669", terminal: true },
+];
+
+// Maximum number of statuses in a workflow
+const MAX_STATUSES = 12;
+
+// A step of the workflow; array order is the display order
+const statusSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Status name is required"],
+    trim: true,
+    maxlength: [30, "Status name cannot exceed 30 characters"],
+  },
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, "Color must be a hex value like #3b82f6"],
+    default: "#6b7280",
+  },
+  // Terminal statuses count as finished: due dates stop being overdue,
+  // blocked tasks are released and recurring tasks schedule the next one
+  terminal: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+// Define the Workflow schema (the statuses tasks move through). Personal
+// tasks follow their owner's workflow, shared tasks their workspace's.
+const workflowSchema = new mongoose.Schema(
+  {
+    // Owner of a personal workflow; null for a workspace's
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Workspace the workflow belongs to; null for a personal workflow
+    workspaceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Workspace",
+      default: null,
+    },
+
+    statuses: {
+      type: [statusSchema],
+      validate: {
+        validator: (statuses) =>
+          statuses.length > 0 && statuses.length <= MAX_STATUSES,
+        message: `A workflow needs between 1 and ${MAX_STATUSES} statuses`,
+      },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+// Status new tasks start in: the first one
+workflowSchema.virtual("initialStatus").get(function () {
+  return this.statuses[0]?.name;
+});
+
+// Status a task moves to when it is completed automatically (checklist
+// auto-complete): the first terminal one
+workflowSchema.virtual("doneStatus").get(function () {
+  return this.statuses.find((status) => status.terminal)?.name;
+});
+
+// Status names in workflow order
+workflowSchema.methods.getStatusNames = function () {
+  return this.statuses.map((status) => status.name);
+};
+
+// Names of the terminal statuses
+workflowSchema.methods.getTerminalNames = function () {
+  return this.statuses
+    .filter((status) => status.terminal)
+    .map((status) => status.name);
+};
+
+workflowSchema.methods.hasStatus = function (name) {
+  return this.statuses.some((status) => status.name === name);
+};
+
+workflowSchema.methods.isTerminal = function (name) {
+  return this.statuses.some(
+    (status) => status.name === name && status.terminal
+  );
+};
+
+// Static method to get the workflow of a scope (see workspaceScope in
+// middleware/auth.js), or an unsaved default one when it was never edited
+workflowSchema.statics.forScope = async function (scope) {
+  const key = scope.workspaceId
+    ? { userId: null, workspaceId: scope.workspaceId }
+    : { userId: scope.userId, workspaceId: null };
+
+  const workflow = await this.findOne(key);
+  return workflow || new this({ ...key, statuses: DEFAULT_STATUSES });
+};
+
+// One workflow per user (personal) and per workspace
+workflowSchema.index({ userId: 1, workspaceId: 1 }, { unique: true });
+
+// Create and export the Workflow model
+const Workflow = mongoose.model("Workflow", workflowSchema);
+
+Workflow.DEFAULT_STATUSES = DEFAULT_STATUSES;
+Workflow.MAX_STATUSES = MAX_STATUSES;
+
+module.exports = Workflow;
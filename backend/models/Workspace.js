@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+
+const WORKSPACE_ROLES = ["owner", "editor", "viewer"];
+
+// What each role may do inside a workspace, checked by requirePermission
+// (middleware/auth.js). Owners also manage members and invitations.
+const ROLE_PERMISSIONS = {
+  owner: ["tasks:read", "tasks:write", "workspace:manage"],
+  editor: ["tasks:read", "tasks:write"],
+  viewer: ["tasks:read"],
+};
+
+// One member of a workspace and their role
+const memberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Member user ID is required"],
+    },
+    role: {
+      type: String,
+      enum: {
+        values: WORKSPACE_ROLES,
+        message: `Role must be one of: ${WORKSPACE_ROLES.join(", ")}`,
+      },
+      required: true,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Define the Workspace schema (a task list shared by its members)
+const workspaceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Workspace name is required"],
+      trim: true,
+      minlength: [1, "Workspace name cannot be empty"],
+      maxlength: [50, "Workspace name cannot exceed 50 characters"],
+    },
+    // The single owner, also listed in members with the owner role
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Owner ID is required"],
+    },
+    members: {
+      type: [memberSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+// Find the workspaces a user belongs to
+workspaceSchema.index({ "members.userId": 1 });
+
+// Instance method to get a user's role, or null if they are not a member
+workspaceSchema.methods.roleOf = function (userId) {
+  const member = this.members.find(
+    (item) => (item.userId._id || item.userId).toString() === userId.toString()
+  );
+  return member ? member.role : null;
+};
+
+// Instance method to check whether a user's role grants a permission
+// (see ROLE_PERMISSIONS); false for non-members
+workspaceSchema.methods.hasPermission = function (userId, permission) {
+  const role = this.roleOf(userId);
+  return Boolean(role && ROLE_PERMISSIONS[role].includes(permission));
+};
+
+// Create and export the Workspace model
+const Workspace = mongoose.model("Workspace", workspaceSchema);
+
+Workspace.ROLES = WORKSPACE_ROLES;
+Workspace.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
+module.exports = Workspace;
@@ -67,6 +67,13 @@ const changePasswordValidation = [
     ),
 ];
 
+const preferencesValidation = [
+  body("autoCompleteChecklists")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("autoCompleteChecklists must be true or false"),
+];
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -563,6 +570,36 @@ router.delete("/sessions/:sessionId", authenticate, async (req, res) => {
   }
 });
 
+// PATCH /api/auth/preferences - Update the current user's task preferences
+router.patch(
+  "/preferences",
+  authenticate,
+  preferencesValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { autoCompleteChecklists } = req.body;
+
+      if (autoCompleteChecklists !== undefined) {
+        req.user.preferences.autoCompleteChecklists = autoCompleteChecklists;
+      }
+      await req.user.save();
+
+      res.json({
+        success: true,
+        user: req.user.toJSON(),
+      });
+    } catch (error) {
+      console.error("Update preferences error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to update preferences",
+        code: "PREFERENCES_ERROR",
+      });
+    }
+  }
+);
+
 // PUT /api/auth/change-password - Change password
 router.put(
   "/change-password",
@@ -0,0 +1,338 @@
+const express = require("express");
+const router = express.Router();
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const {
+  authenticate,
+  requirePermission,
+  resolveWorkspace,
+  workspaceScope,
+} = require("../middleware/auth");
+const { diffTaskFields, recordTaskHistory } = require("../utils/taskHistory");
+
+// Apply authentication middleware to all project routes
+router.use(authenticate);
+// Projects belong to the workspace named by X-Workspace-Id, if any
+router.use(resolveWorkspace());
+
+// Viewers can see a workspace's projects but not change them
+const canWrite = requirePermission("tasks:write");
+
+const MAX_PROJECTS = 100;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+// What DELETE /projects/:id does with the project's tasks
+const DELETE_MODES = ["move", "delete"];
+
+// Validate a project body, returning { error } or { values } with only the
+// supplied fields. Name is required unless `current` already has one.
+const validateProjectInput = (body, current = {}) => {
+  const values = {};
+
+  if (body.name !== undefined || !current.name) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { error: "Project name is required" };
+    }
+    if (body.name.trim().length > 50) {
+      return { error: "Project name cannot exceed 50 characters" };
+    }
+    values.name = body.name.trim();
+  }
+
+  if (body.color !== undefined) {
+    if (typeof body.color !== "string" || !COLOR_PATTERN.test(body.color)) {
+      return { error: "Color must be a hex value like #3b82f6" };
+    }
+    values.color = body.color;
+  }
+
+  if (body.archived !== undefined) {
+    if (typeof body.archived !== "boolean") {
+      return { error: "Archived must be true or false" };
+    }
+    values.archived = body.archived;
+  }
+
+  return { values };
+};
+
+const sendProjectExists = (res) =>
+  res.status(409).json({
+    success: false,
+    error: "A project with this name already exists",
+    code: "PROJECT_EXISTS",
+  });
+
+// Find another project in scope with the same name, ignoring case
+const findConflictingProject = (scope, name, excludeId) => {
+  const filter = { ...scope, name };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return Project.findOne(filter).collation(Project.COLLATION);
+};
+
+// GET /projects - Retrieve the user's (or workspace's) projects, by name, with task counts
+router.get("/", async (req, res) => {
+  try {
+    const [projects, usage] = await Promise.all([
+      Project.find(workspaceScope(req))
+        .sort({ name: 1 })
+        .collation(Project.COLLATION),
+      Task.aggregate([
+        { $match: { ...workspaceScope(req), deletedAt: null } },
+        { $group: { _id: "$projectId", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const countById = new Map(
+      usage.map(({ _id, count }) => [String(_id), count])
+    );
+
+    res.json({
+      success: true,
+      projects: projects.map((project) => ({
+        ...project.toJSON(),
+        taskCount: countById.get(String(project._id)) || 0,
+      })),
+      // Tasks that are not in any project
+      unassignedCount: countById.get("null") || 0,
+    });
+  } catch (error) {
+    console.error("Error fetching projects:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch projects",
+      message: error.message,
+    });
+  }
+});
+
+// POST /projects - Create a new project
+router.post("/", canWrite, async (req, res) => {
+  try {
+    const { values, error } = validateProjectInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const projectCount = await Project.countDocuments(workspaceScope(req));
+    if (projectCount >= MAX_PROJECTS) {
+      return res.status(400).json({
+        success: false,
+        error: `You cannot have more than ${MAX_PROJECTS} projects`,
+      });
+    }
+
+    if (await findConflictingProject(workspaceScope(req), values.name)) {
+      return sendProjectExists(res);
+    }
+
+    const project = await Project.create({
+      ...values,
+      userId: req.user._id,
+      workspaceId: req.workspace ? req.workspace._id : null,
+    });
+
+    res.status(201).json({
+      success: true,
+      project: { ...project.toJSON(), taskCount: 0 },
+    });
+  } catch (error) {
+    console.error("Error creating project:", error);
+
+    if (error.code === 11000) {
+      return sendProjectExists(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to create project",
+      message: error.message,
+    });
+  }
+});
+
+// PUT /projects/:id - Rename, recolour, archive or unarchive a project
+router.put("/:id", canWrite, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format",
+      });
+    }
+
+    const project = await Project.findOne({ _id: id, ...workspaceScope(req) });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found or access denied",
+      });
+    }
+
+    const { values, error } = validateProjectInput(req.body, project);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    if (
+      values.name &&
+      (await findConflictingProject(
+        workspaceScope(req),
+        values.name,
+        project._id
+      ))
+    ) {
+      return sendProjectExists(res);
+    }
+
+    project.set(values);
+    await project.save();
+
+    res.json({
+      success: true,
+      project,
+    });
+  } catch (error) {
+    console.error("Error updating project:", error);
+
+    if (error.code === 11000) {
+      return sendProjectExists(res);
+    }
+
+    if (error.name === "ValidationError") {
+      const validationErrors = Object.values(error.errors).map(
+        (err) => err.message
+      );
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to update project",
+      message: error.message,
+    });
+  }
+});
+
+// DELETE /projects/:id?tasks=move|delete&moveTo=<projectId> - Delete a
+// project. Its tasks either move to another project (or out of any project
+// when moveTo is omitted), or go to the trash along with the project.
+router.delete("/:id", canWrite, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tasks: mode = "move", moveTo } = req.query;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid project ID format",
+      });
+    }
+
+    if (!DELETE_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'tasks must be "move" or "delete"',
+      });
+    }
+
+    const project = await Project.findOne({ _id: id, ...workspaceScope(req) });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found or access denied",
+      });
+    }
+
+    let target = null;
+    if (mode === "move" && moveTo) {
+      if (!/^[0-9a-fA-F]{24}$/.test(moveTo) || moveTo === id) {
+        return res.status(400).json({
+          success: false,
+          error: "moveTo must be the ID of another project",
+        });
+      }
+      target = await Project.findOne({ _id: moveTo, ...workspaceScope(req) });
+      if (!target) {
+        return res.status(400).json({
+          success: false,
+          error: "Project to move tasks to was not found",
+        });
+      }
+      if (target.archived) {
+        return res.status(400).json({
+          success: false,
+          error: "Cannot move tasks to an archived project",
+        });
+      }
+    }
+
+    // Live tasks get a history entry; trashed ones are only re-pointed so
+    // none is left referring to the deleted project
+    const liveTasks = await Task.find({
+      ...workspaceScope(req),
+      projectId: project._id,
+      deletedAt: null,
+    });
+
+    if (mode === "delete" && liveTasks.length > 0) {
+      await Task.updateMany(
+        { _id: { $in: liveTasks.map((task) => task._id) } },
+        { deletedAt: new Date() }
+      );
+    }
+    const newProjectId = target ? target._id : null;
+    await Task.updateMany(
+      { ...workspaceScope(req), projectId: project._id },
+      { projectId: newProjectId }
+    );
+
+    await recordTaskHistory(
+      req,
+      liveTasks.map((task) =>
+        mode === "delete"
+          ? { task, action: "deleted" }
+          : {
+              task,
+              action: "updated",
+              changes: diffTaskFields(task, { projectId: newProjectId }),
+            }
+      )
+    );
+
+    await project.deleteOne();
+
+    res.json({
+      success: true,
+      message:
+        mode === "delete"
+          ? "Project deleted and its tasks moved to trash"
+          : "Project deleted and its tasks moved",
+      deletedProject: project,
+      tasks: mode,
+      tasksUpdated: liveTasks.length,
+    });
+  } catch (error) {
+    console.error("Error deleting project:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete project",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
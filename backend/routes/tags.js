@@ -0,0 +1,296 @@
+const express = require("express");
+const router = express.Router();
+const Tag = require("../models/Tag");
+const Task = require("../models/Task");
+const View = require("../models/View");
+const {
+  authenticate,
+  requirePermission,
+  resolveWorkspace,
+  workspaceScope,
+} = require("../middleware/auth");
+const { LIST_COLLATION, normalizeTagNames } = require("../utils/taskQuery");
+
+// Apply authentication middleware to all tag routes
+router.use(authenticate);
+// Tags are the workspace's named by X-Workspace-Id, if any, otherwise the
+// user's own
+router.use(resolveWorkspace());
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Validate a single tag name, returning { error } or { name }
+const validateTagName = (name) => {
+  if (typeof name !== "string" || !name.trim()) {
+    return { error: "Tag name is required" };
+  }
+  const result = normalizeTagNames([name]);
+  return result.error ? { error: result.error } : { name: result.tags[0] };
+};
+
+// Find another tag in the catalogue of `scope` with the same name, ignoring
+// case
+const findConflictingTag = (scope, name, excludeId) => {
+  const filter = { ...scope, name };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return Tag.findOne(filter).collation(LIST_COLLATION);
+};
+
+// Carry a tag rename over to the user's saved views, or with `to` null drop
+// the tag from them, matching names ignoring case like the task filter
+const retagViews = (userId, from, to) => {
+  const isTag = { $eq: [{ $toLower: "$$this" }, from.toLowerCase()] };
+  const tags =
+    to === null
+      ? { $filter: { input: "$filters.tags", cond: { $not: [isTag] } } }
+      : {
+          $map: {
+            input: "$filters.tags",
+            in: { $cond: [isTag, to, "$$this"] },
+          },
+        };
+
+  return View.updateMany(
+    { userId, "filters.tags": from },
+    [{ $set: { "filters.tags": tags } }],
+    { collation: LIST_COLLATION }
+  );
+};
+
+// GET /tags - Retrieve the user's (or workspace's) tag catalogue with usage
+// counts
+router.get("/", async (req, res) => {
+  try {
+    const scope = workspaceScope(req);
+    const [tags, usage] = await Promise.all([
+      Tag.find(scope).sort({ name: 1 }).collation(LIST_COLLATION),
+      Task.aggregate([
+        { $match: { ...scope, deletedAt: null } },
+        { $unwind: "$tags" },
+        { $group: { _id: { $toLower: "$tags" }, count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const countByName = new Map(usage.map(({ _id, count }) => [_id, count]));
+
+    res.json({
+      success: true,
+      tags: tags.map((tag) => ({
+        ...tag.toJSON(),
+        taskCount: countByName.get(tag.name.toLowerCase()) || 0,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching tags:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch tags",
+      message: error.message,
+    });
+  }
+});
+
+// POST /tags - Create a new tag
+router.post("/", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const { color } = req.body;
+
+    const { name, error } = validateTagName(req.body.name);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    if (color !== undefined && !COLOR_PATTERN.test(color)) {
+      return res.status(400).json({
+        success: false,
+        error: "Color must be a hex value like #3b82f6",
+      });
+    }
+
+    if (await findConflictingTag(workspaceScope(req), name)) {
+      return res.status(409).json({
+        success: false,
+        error: "A tag with this name already exists",
+        code: "TAG_EXISTS",
+      });
+    }
+
+    const tag = await Tag.create({
+      ...workspaceScope(req),
+      name,
+      ...(color && { color }),
+    });
+
+    res.status(201).json({
+      success: true,
+      tag: { ...tag.toJSON(), taskCount: 0 },
+    });
+  } catch (error) {
+    console.error("Error creating tag:", error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "A tag with this name already exists",
+        code: "TAG_EXISTS",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to create tag",
+      message: error.message,
+    });
+  }
+});
+
+// PUT /tags/:id - Rename and/or recolour a tag, updating tasks that carry it
+router.put("/:id", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { color } = req.body;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid tag ID format",
+      });
+    }
+
+    let name;
+    if (req.body.name !== undefined) {
+      const result = validateTagName(req.body.name);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: result.error,
+        });
+      }
+      name = result.name;
+    }
+
+    if (color !== undefined && !COLOR_PATTERN.test(color)) {
+      return res.status(400).json({
+        success: false,
+        error: "Color must be a hex value like #3b82f6",
+      });
+    }
+
+    const scope = workspaceScope(req);
+    const tag = await Tag.findOne({ _id: id, ...scope });
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        error: "Tag not found or access denied",
+      });
+    }
+
+    if (name && (await findConflictingTag(scope, name, tag._id))) {
+      return res.status(409).json({
+        success: false,
+        error: "A tag with this name already exists",
+        code: "TAG_EXISTS",
+      });
+    }
+
+    const previousName = tag.name;
+    if (name) tag.name = name;
+    if (color) tag.color = color;
+    await tag.save();
+
+    // Carry the rename over to every task of the catalogue (all members'
+    // tasks in a workspace) with the old name
+    let tasksUpdated = 0;
+    if (name && name !== previousName) {
+      const result = await Task.updateMany(
+        { ...scope, tags: previousName },
+        { $set: { "tags.$": name } }
+      );
+      tasksUpdated = result.modifiedCount;
+
+      // Saved views are the user's own rather than a workspace's, so only
+      // their personal tags can be followed in them
+      if (!req.workspace) {
+        await retagViews(req.user._id, previousName, name);
+      }
+    }
+
+    res.json({
+      success: true,
+      tag,
+      tasksUpdated,
+    });
+  } catch (error) {
+    console.error("Error updating tag:", error);
+
+    if (error.name === "ValidationError") {
+      const validationErrors = Object.values(error.errors).map(
+        (err) => err.message
+      );
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to update tag",
+      message: error.message,
+    });
+  }
+});
+
+// DELETE /tags/:id - Delete a tag and remove it from all tasks
+router.delete("/:id", requirePermission("tasks:write"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid tag ID format",
+      });
+    }
+
+    const scope = workspaceScope(req);
+    const tag = await Tag.findOneAndDelete({ _id: id, ...scope });
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        error: "Tag not found or access denied",
+      });
+    }
+
+    const result = await Task.updateMany(
+      { ...scope, tags: tag.name },
+      { $pull: { tags: tag.name } }
+    );
+    if (!req.workspace) {
+      await retagViews(req.user._id, tag.name, null);
+    }
+
+    res.json({
+      success: true,
+      message: "Tag deleted successfully",
+      deletedTag: tag,
+      tasksUpdated: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Error deleting tag:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete tag",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
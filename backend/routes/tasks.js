@@ -1,104 +1,2752 @@
 const express = require("express");
+const mongoose = require("mongoose");
+const multer = require("multer");
+const { pipeline, Readable } = require("stream");
 const router = express.Router();
 const Task = require("../models/Task");
-const { authenticate } = require("../middleware/auth");
+const Tag = require("../models/Tag");
+const Project = require("../models/Project");
+const TaskHistory = require("../models/TaskHistory");
+const Comment = require("../models/Comment");
+const TimeEntry = require("../models/TimeEntry");
+const User = require("../models/User");
+const Workspace = require("../models/Workspace");
+const {
+  authenticate,
+  requirePermission,
+  resolveWorkspace,
+  workspaceScope,
+  visibleScope,
+} = require("../middleware/auth");
+const {
+  TASK_PRIORITIES,
+  RELEVANCE,
+  LIST_COLLATION,
+  buildSort,
+  normalizeTagNames,
+  parseTaskListQuery,
+  ASSIGNED_TO_ME,
+  buildTaskFilter,
+  buildCursorFilter,
+  encodeCursor,
+  encodeOffsetCursor,
+} = require("../utils/taskQuery");
+const { buildSearchMatch } = require("../utils/taskSearch");
+const {
+  diffTaskFields,
+  describeNewTask,
+  recordTaskHistory,
+} = require("../utils/taskHistory");
+const {
+  validateItemText,
+  normalizeChecklist,
+  shouldAutoComplete,
+} = require("../utils/checklist");
+const {
+  normalizeRecurrence,
+  buildNextOccurrence,
+} = require("../utils/recurrence");
+const {
+  MAX_ATTACHMENT_SIZE,
+  MAX_FILES_PER_UPLOAD,
+  resolveContentType,
+  sanitizeFilename,
+  buildContentDisposition,
+} = require("../utils/attachments");
+const { getStorage } = require("../utils/storage");
+const { removeAttachmentFiles, purgeTasks } = require("../utils/trash");
+const {
+  findBlockersOfMove,
+  createsDependencyCycle,
+} = require("../utils/dependencies");
+const {
+  getWorkflow,
+  getTaskWorkflow,
+  isCompletion,
+  describeStatuses,
+} = require("../utils/workflow");
+const {
+  parseEstimate,
+  validateTimeEntryInput,
+  countedSeconds,
+  addTrackedTime,
+  stopRunningTimer,
+} = require("../utils/timeTracking");
+const { parseStatsRange, buildTaskStats } = require("../utils/taskStats");
+const { EXPORT_FORMATS, generateExport } = require("../utils/taskExport");
 
 // Apply authentication middleware to all task routes
 router.use(authenticate);
+// Act on the workspace named by X-Workspace-Id, or on personal tasks
+router.use(resolveWorkspace());
 
-// GET /tasks - Retrieve all tasks for the authenticated user
+// Viewers can read a workspace's tasks but not change them
+const canWrite = requirePermission("tasks:write");
+
+// The creator, assignees and blocking tasks returned with each task
+const TASK_POPULATE = [
+  { path: "userId", select: "username email fullName" },
+  { path: "assignees", select: "username email firstName lastName" },
+  { path: "blockers", select: "title status" },
+  { path: "commentCount" },
+];
+
+// Parse an optional date field: undefined leaves it as is, null or "" clears it
+const parseDateField = (value, label) => {
+  if (value === undefined) return { value: undefined };
+  if (value === null || value === "") return { value: null };
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return { error: `${label} must be a valid date` };
+  }
+  return { value: date };
+};
+
+// Validate startDate/dueDate from a request body against each other and,
+// for fields left out of the body, against the existing task's dates
+const validateTaskDates = (body, existing = {}) => {
+  const start = parseDateField(body.startDate, "Start date");
+  if (start.error) return { error: start.error };
+
+  const due = parseDateField(body.dueDate, "Due date");
+  if (due.error) return { error: due.error };
+
+  const startDate =
+    start.value === undefined ? existing.startDate : start.value;
+  const dueDate = due.value === undefined ? existing.dueDate : due.value;
+
+  if (startDate && dueDate && dueDate < startDate) {
+    return { error: "Due date cannot be before start date" };
+  }
+
+  return { startDate: start.value, dueDate: due.value };
+};
+
+// Whether `task` is someone else's personal task, which the user reaches as
+// one of its assignees
+const isAssignedTask = (req, task) =>
+  Boolean(task) &&
+  !task.workspaceId &&
+  task.userId.toString() !== req.user._id.toString();
+
+// The scope a task's tags come from: the request's, or for someone else's
+// personal task its owner's
+const tagScopeOf = (req, task) =>
+  isAssignedTask(req, task)
+    ? { userId: task.userId, workspaceId: null }
+    : workspaceScope(req);
+
+// IDs of the users a task may be assigned to: in a workspace its members who
+// can edit tasks, otherwise the task's owner (`ownerId`) and the members of
+// the owner's workspaces
+const findAssignableUserIds = async (req, ownerId = req.user._id) => {
+  if (req.workspace) {
+    return req.workspace.members
+      .filter((member) =>
+        req.workspace.hasPermission(member.userId, "tasks:write")
+      )
+      .map((member) => member.userId);
+  }
+
+  const workspaces = await Workspace.find({ "members.userId": ownerId })
+    .select("members.userId")
+    .lean();
+  return [
+    ownerId,
+    ...workspaces.flatMap((workspace) =>
+      workspace.members.map((member) => member.userId)
+    ),
+  ];
+};
+
+// Validate a projectId from a request body: undefined leaves it as is, null
+// or "" takes the task out of its project. The project must be the user's
+// and not archived, unless the task being updated (`task`) is already in
+// it. Only the owner of a personal task can change its project. Returns
+// { error } or { projectId }.
+const resolveProjectId = async (req, value, task) => {
+  if (value === undefined) return { projectId: undefined };
+
+  const currentId = task?.projectId ? task.projectId.toString() : null;
+  const requestedId = value === null || value === "" ? null : String(value);
+  if (requestedId === currentId) return { projectId: undefined };
+  if (isAssignedTask(req, task)) {
+    return { error: "Only the task's owner can change its project" };
+  }
+  if (requestedId === null) return { projectId: null };
+
+  if (typeof value !== "string" || !/^[0-9a-fA-F]{24}$/.test(value)) {
+    return { error: "Invalid project ID format" };
+  }
+
+  const project = await Project.findOne({ _id: value, ...workspaceScope(req) })
+    .select("archived")
+    .lean();
+  if (!project) {
+    return { error: "Project not found" };
+  }
+  if (project.archived) {
+    return { error: "Cannot add tasks to an archived project" };
+  }
+
+  return { projectId: project._id };
+};
+
+// Validate assigneeIds from a request body: undefined leaves them as they
+// are, null or [] unassigns. Each must be an active user among those
+// findAssignableUserIds offers for the task's owner, or already assigned to
+// the task being updated (`task`). Returns { error } or { assigneeIds }.
+const resolveAssigneeIds = async (req, value, task) => {
+  if (value === undefined) return { assigneeIds: undefined };
+  if (value === null) return { assigneeIds: [] };
+
+  if (!Array.isArray(value)) {
+    return { error: "assigneeIds must be an array of user IDs" };
+  }
+  if (
+    value.some((id) => typeof id !== "string" || !/^[0-9a-fA-F]{24}$/.test(id))
+  ) {
+    return { error: "Invalid assignee ID format" };
+  }
+
+  const assigneeIds = [...new Set(value)];
+  if (assigneeIds.length > Task.MAX_ASSIGNEES) {
+    return {
+      error: `A task cannot have more than ${Task.MAX_ASSIGNEES} assignees`,
+    };
+  }
+
+  // Users already assigned may stay so, e.g. after leaving the owner's
+  // workspaces
+  const allowed = new Set(
+    [
+      ...(await findAssignableUserIds(req, task?.userId)),
+      ...(task?.assigneeIds || []),
+    ].map(String)
+  );
+  if (assigneeIds.some((id) => !allowed.has(id))) {
+    return {
+      error: req.workspace
+        ? "Assignees must be workspace members who can edit its tasks"
+        : "Assignees must be the task's owner or members of the owner's workspaces",
+    };
+  }
+
+  const activeCount = await User.countDocuments({
+    _id: { $in: assigneeIds },
+    isActive: true,
+  });
+  if (activeCount !== assigneeIds.length) {
+    return { error: "Assignees must be existing, active users" };
+  }
+
+  return { assigneeIds };
+};
+
+// Task versions are exposed as strong ETags, e.g. "3"
+const toETag = (task) => `"${task.version || 0}"`;
+
+// Read the version the client last saw from If-Match or a `version` body
+// field (If-Match wins). Returns { version }, undefined when not supplied
+// so the update is unconditional, or { error }.
+const parseExpectedVersion = (req) => {
+  const ifMatch = req.get("If-Match");
+  if (ifMatch !== undefined && ifMatch.trim() !== "*") {
+    const match = ifMatch.trim().match(/^(?:W\/)?"(\d+)"$/);
+    if (!match) {
+      return { error: 'If-Match must be a task ETag such as "3"' };
+    }
+    return { version: Number(match[1]) };
+  }
+
+  const { version } = req.body;
+  if (version !== undefined) {
+    if (!Number.isInteger(version) || version < 0) {
+      return { error: "Version must be a non-negative integer" };
+    }
+    return { version };
+  }
+
+  return { version: undefined };
+};
+
+// Refuse a status change while unfinished tasks block the task, listing
+// them so the client can offer to move it anyway
+const sendBlocked = (res, blockers) =>
+  res.status(409).json({
+    success: false,
+    error:
+      "Task is blocked by unfinished tasks; send force: true to move it anyway",
+    code: "TASK_BLOCKED",
+    blockers,
+  });
+
+// Create the next occurrence of a recurring task that has just been
+// completed, in the first status of `workflow`, unless the series has ended
+// or the occurrence was already made by an earlier completion. Returns the
+// new task or null.
+const createNextOccurrence = async (req, task, workflow) => {
+  if (!task.recurrence || task.nextOccurrenceId) return null;
+
+  const data = buildNextOccurrence(task);
+  if (!data) return null;
+  data.status = workflow.initialStatus;
+
+  // Claim the completion first so concurrent requests make one occurrence.
+  // Uses the driver so the bookkeeping doesn't bump version or updatedAt.
+  const nextTask = new Task(data);
+  const claimed = await Task.collection.updateOne(
+    { _id: task._id, nextOccurrenceId: null },
+    { $set: { nextOccurrenceId: nextTask._id } }
+  );
+  if (claimed.modifiedCount === 0) return null;
+  task.nextOccurrenceId = nextTask._id;
+
+  await nextTask.save();
+  await recordTaskHistory(req, [
+    {
+      task: nextTask,
+      action: "created",
+      changes: describeNewTask(nextTask),
+    },
+  ]);
+
+  return nextTask;
+};
+
+// Fields that an edit of "all future" occurrences copies to later ones
+const SERIES_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "tags",
+  "estimateMinutes",
+  "checklist",
+  "recurrence",
+  "projectId",
+  "assigneeIds",
+];
+
+// Apply the series-wide part of an update to the open occurrences that
+// come after `task` in its series, recording each in its history
+const updateFutureOccurrences = async (req, task, updateData, workflow) => {
+  const seriesData = {};
+  SERIES_FIELDS.forEach((field) => {
+    if (updateData[field] !== undefined) seriesData[field] = updateData[field];
+  });
+  if (seriesData.checklist) {
+    seriesData.checklist = seriesData.checklist.map(({ text }) => ({
+      text,
+      done: false,
+    }));
+  }
+  if (Object.keys(seriesData).length === 0) return;
+
+  const futureTasks = await Task.find({
+    ...workspaceScope(req),
+    seriesId: task.seriesId || task._id,
+    occurrence: { $gt: task.occurrence || 1 },
+    status: { $nin: workflow.getTerminalNames() },
+    deletedAt: null,
+  });
+  if (futureTasks.length === 0) return;
+
+  await Task.updateMany(
+    { _id: { $in: futureTasks.map((future) => future._id) } },
+    seriesData,
+    { runValidators: true }
+  );
+
+  await recordTaskHistory(
+    req,
+    futureTasks.map((future) => ({
+      task: future,
+      action: "updated",
+      changes: diffTaskFields(future, seriesData),
+    }))
+  );
+};
+
+// Total of `field` over the rows of an aggregate
+const sumOf = (rows, field) =>
+  rows.reduce((sum, row) => sum + (row[field] || 0), 0);
+
+// GET /tasks - Retrieve a page of tasks for the authenticated user
+// Query: status, priority, tags, tagMatch, search, q, due, tzOffset, sortBy,
+// sortOrder, limit, cursor
 router.get("/", async (req, res) => {
   try {
-    // Only get tasks belonging to the authenticated user
-    const tasks = await Task.find({ userId: req.user._id })
-      .sort({ createdAt: -1 })
-      .populate("userId", "username email fullName");
+    const workflow = await getWorkflow(req);
+    const options = parseTaskListQuery(req.query, workflow);
+
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: options.error,
+      });
+    }
+
+    const { statuses, sortBy, sortOrder, limit, cursor, parsedSearch } =
+      options;
+    const textSearch = Boolean(parsedSearch?.textSearch);
+
+    // Only get the user's tasks (and those assigned to them), or the
+    // current workspace's
+    const baseFilter = buildTaskFilter(visibleScope(req), {
+      ...options,
+      assigneeId: options.assignee === ASSIGNED_TO_ME ? req.user._id : null,
+    });
+    const filter = { ...baseFilter };
+    if (statuses.length > 0) {
+      filter.status = { $in: statuses };
+    }
+
+    // Search results carry their text score; ranking by it pages by offset
+    const projection = textSearch ? { score: { $meta: "textScore" } } : {};
+    const offset = sortBy === RELEVANCE && cursor ? cursor.offset : 0;
+    const listQuery =
+      sortBy === RELEVANCE
+        ? Task.find(filter, projection)
+            .sort({ score: { $meta: "textScore" }, _id: 1 })
+            .skip(offset)
+        : Task.find(
+            cursor
+              ? { $and: [filter, buildCursorFilter(sortBy, sortOrder, cursor)] }
+              : filter,
+            projection
+          ).sort(buildSort(sortBy, sortOrder));
+
+    const [tasks, total, statusCounts] = await Promise.all([
+      listQuery
+        .collation(LIST_COLLATION)
+        .limit(limit + 1)
+        .populate(TASK_POPULATE),
+      Task.countDocuments(filter).collation(LIST_COLLATION),
+      Task.aggregate([
+        { $match: baseFilter },
+        {
+          $group: {
+            _id: "$status",
+            count: { $sum: 1 },
+            trackedSeconds: { $sum: "$trackedSeconds" },
+            estimateMinutes: { $sum: "$estimateMinutes" },
+          },
+        },
+      ]).collation(LIST_COLLATION),
+    ]);
+
+    // Fetch one extra task to know whether another page exists
+    const hasMore = tasks.length > limit;
+    const page = hasMore ? tasks.slice(0, limit) : tasks;
+
+    // Every status of the workflow, in order, then any others in use (tasks
+    // assigned from another user's workflow)
+    const byStatus = Object.fromEntries(
+      workflow.getStatusNames().map((s) => [s, 0])
+    );
+    statusCounts.forEach(({ _id, count }) => {
+      byStatus[_id] = count;
+    });
+
+    let nextCursor = null;
+    if (hasMore) {
+      nextCursor =
+        sortBy === RELEVANCE
+          ? encodeOffsetCursor(offset + limit)
+          : encodeCursor(page[page.length - 1], sortBy);
+    }
+
+    res.json({
+      success: true,
+      // Search matches explain themselves with highlight ranges
+      tasks: textSearch
+        ? page.map((task) => ({
+            ...task.toJSON(),
+            match: buildSearchMatch(task, parsedSearch),
+          }))
+        : page,
+      pagination: {
+        limit,
+        total,
+        hasMore,
+        nextCursor,
+      },
+      counts: {
+        total: Object.values(byStatus).reduce((sum, n) => sum + n, 0),
+        byStatus,
+        // Time tracked on and estimated for the tasks, across all statuses
+        trackedSeconds: sumOf(statusCounts, "trackedSeconds"),
+        estimateMinutes: sumOf(statusCounts, "estimateMinutes"),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching tasks:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch tasks",
+      message: error.message,
+    });
+  }
+});
+
+// GET /tasks/trash - Retrieve the user's trashed tasks, most recent first
+router.get("/trash", async (req, res) => {
+  try {
+    const tasks = await Task.find({
+      ...workspaceScope(req),
+      deletedAt: { $ne: null },
+    })
+      .sort({ deletedAt: -1, _id: -1 })
+      .populate(TASK_POPULATE);
+
+    res.json({
+      success: true,
+      tasks,
+      retentionDays: Task.TRASH_RETENTION_DAYS,
+    });
+  } catch (error) {
+    console.error("Error fetching trash:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch trash",
+      message: error.message,
+    });
+  }
+});
+
+// DELETE /tasks/trash - Permanently delete every trashed task
+router.delete("/trash", canWrite, async (req, res) => {
+  try {
+    const purged = await purgeTasks(workspaceScope(req));
+
+    res.json({
+      success: true,
+      message: "Trash emptied",
+      deletedCount: purged.length,
+    });
+  } catch (error) {
+    console.error("Error emptying trash:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to empty trash",
+      message: error.message,
+    });
+  }
+});
+
+// DELETE /tasks/trash/:id - Permanently delete one trashed task
+router.delete("/trash/:id", canWrite, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid task ID format",
+      });
+    }
+
+    // Only tasks already in the trash can be purged. A purged task takes
+    // its history, comments, time entries, files and links with it.
+    const [task] = await purgeTasks({ _id: id, ...workspaceScope(req) });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: "Task not found in trash",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Task permanently deleted",
+      deletedTask: task,
+    });
+  } catch (error) {
+    console.error("Error purging task:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to permanently delete task",
+      message: error.message,
+    });
+  }
+});
+
+// GET /tasks/assignees - Users tasks can be assigned to: the workspace's
+// members who can edit its tasks, or outside a workspace the user and
+// everyone they share one with
+router.get("/assignees", async (req, res) => {
+  try {
+    const userIds = await findAssignableUserIds(req);
+
+    const users = await User.find({ _id: { $in: userIds }, isActive: true })
+      .select("username email firstName lastName")
+      .sort({ username: 1 });
+
+    res.json({
+      success: true,
+      users,
+    });
+  } catch (error) {
+    console.error("Error fetching assignees:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch assignees",
+      message: error.message,
+    });
+  }
+});
+
+// GET /tasks/timer - Retrieve the user's running timer (null when none),
+// with the title of its task, whichever workspace that task is in
+router.get("/timer", async (req, res) => {
+  try {
+    const timer = await TimeEntry.findOne({
+      userId: req.user._id,
+      endedAt: null,
+    });
+    const task =
+      timer &&
+      (await Task.findById(timer.taskId).select("title workspaceId").lean());
+
+    res.json({
+      success: true,
+      timer: timer && { ...timer.toJSON(), task },
+    });
+  } catch (error) {
+    console.error("Error fetching timer:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch timer",
+      message: error.message,
+    });
+  }
+});
+
+// GET /tasks/stats - Statistics for the tasks the list would show
+// Query: from, to, tzOffset and the list's filters (priority, tags,
+// tagMatch, search, q, due, project, assignee); status is ignored
+router.get("/stats", async (req, res) => {
+  try {
+    const workflow = await getWorkflow(req);
+    const options = parseTaskListQuery(req.query, workflow);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: options.error,
+      });
+    }
+
+    const range = parseStatsRange(req.query, options.tzOffset);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        error: range.error,
+      });
+    }
+
+    const filter = buildTaskFilter(visibleScope(req), {
+      ...options,
+      assigneeId: options.assignee === ASSIGNED_TO_ME ? req.user._id : null,
+    });
+
+    res.json({
+      success: true,
+      stats: await buildTaskStats(filter, workflow, range, options.tzOffset),
+    });
+  } catch (error) {
+    console.error("Error fetching task statistics:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch task statistics",
+      message: error.message,
+    });
+  }
+});
+
+// GET /tasks/export - Download every task the list would show, as a CSV
+// file or a JSON document (see utils/taskExport.js), streamed as it is read
+// Query: format and the list's filters and sort; limit and cursor are ignored
+router.get("/export", async (req, res) => {
+  try {
+    const { format = "csv" } = req.query;
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+      });
+    }
+
+    const workflow = await getWorkflow(req);
+    const options = parseTaskListQuery(req.query, workflow);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: options.error,
+      });
+    }
+
+    const { statuses, sortBy, sortOrder } = options;
+    const filter = buildTaskFilter(visibleScope(req), {
+      ...options,
+      assigneeId: options.assignee === ASSIGNED_TO_ME ? req.user._id : null,
+    });
+    if (statuses.length > 0) {
+      filter.status = { $in: statuses };
+    }
+
+    const tasks = (
+      sortBy === RELEVANCE
+        ? Task.find(filter, { score: { $meta: "textScore" } }).sort({
+            score: { $meta: "textScore" },
+            _id: 1,
+          })
+        : Task.find(filter).sort(buildSort(sortBy, sortOrder))
+    )
+      .collation(LIST_COLLATION)
+      .populate([
+        { path: "projectId", select: "name" },
+        { path: "assignees", select: "username" },
+      ])
+      .cursor();
+
+    const exportedAt = new Date();
+    const day = exportedAt.toISOString().slice(0, 10);
+    res.set({
+      "Content-Type":
+        format === "csv"
+          ? "text/csv; charset=utf-8"
+          : "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="tasks-${day}.${format}"`,
+      "X-Content-Type-Options": "nosniff",
+      "Cache-Control": "no-store",
+    });
+    // Once streaming has started an error can only cut the download short
+    pipeline(
+      Readable.from(generateExport(format, tasks, exportedAt)),
+      res,
+      (error) => {
+        if (error) console.error("Error streaming task export:", error);
+      }
+    );
+  } catch (error) {
+    console.error("Error exporting tasks:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to export tasks",
+      message: error.message,
+    });
+  }
+});
+
+// GET /tasks/:id - Retrieve a task by ID (only if owned by user)
+router.get("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid task ID format",
+      });
+    }
+
+    // Find the task in the user's scope, unless it is in the trash
+    const task = await Task.findOne({
+      _id: id,
+      ...visibleScope(req),
+      deletedAt: null,
+    }).populate(TASK_POPULATE);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: "Task not found or access denied",
+      });
+    }
+
+    res.set("ETag", toETag(task));
+    res.json(task);
+  } catch (error) {
+    console.error("Error fetching task:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch task",
+      message: error.message,
+    });
+  }
+});
+
+// GET /tasks/:id/history - Retrieve a task's change history, newest first
+// Query: limit (1-100, default 50), before (entry ID from the previous page)
+router.get("/:id/history", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { before } = req.query;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid task ID format",
+      });
+    }
+
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        error: "Limit must be an integer between 1 and 100",
+      });
+    }
+
+    if (before !== undefined && !/^[0-9a-fA-F]{24}$/.test(before)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid before cursor",
+      });
+    }
+
+    // History stays readable while the task is in the trash
+    const task = await Task.exists({ _id: id, ...visibleScope(req) });
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: "Task not found or access denied",
+      });
+    }
+
+    const filter = { taskId: id };
+    if (before) filter._id = { $lt: before };
+
+    const entries = await TaskHistory.find(filter)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .populate("actor", "username fullName");
+
+    const hasMore = entries.length > limit;
+    const history = hasMore ? entries.slice(0, limit) : entries;
+
+    res.json({
+      success: true,
+      history,
+      hasMore,
+      nextBefore: hasMore ? history[history.length - 1]._id : null,
+    });
+  } catch (error) {
+    console.error("Error fetching task history:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch task history",
+      message: error.message,
+    });
+  }
+});
+
+// Load the task behind a checklist request, sending the error response and
+// returning null when the IDs are invalid, the task is missing or the
+// client's version (If-Match or body `version`) is out of date
+const loadChecklistTask = async (req, res) => {
+  const { id, itemId } = req.params;
+
+  // Validate ObjectId formats
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid task ID format",
+    });
+    return null;
+  }
+  if (itemId !== undefined && !itemId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid checklist item ID format",
+    });
+    return null;
+  }
+
+  const expected = parseExpectedVersion(req);
+  if (expected.error) {
+    res.status(400).json({
+      success: false,
+      error: expected.error,
+    });
+    return null;
+  }
+
+  const task = await Task.findOne({
+    _id: id,
+    ...visibleScope(req),
+    deletedAt: null,
+  });
+
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      error: "Task not found or access denied",
+    });
+    return null;
+  }
+
+  if (
+    expected.version !== undefined &&
+    (task.version || 0) !== expected.version
+  ) {
+    await task.populate(TASK_POPULATE);
+    res.set("ETag", toETag(task));
+    res.status(409).json({
+      success: false,
+      error: "Task was changed by someone else since you loaded it",
+      code: "VERSION_CONFLICT",
+      currentTask: task,
+    });
+    return null;
+  }
+
+  return task;
+};
+
+// Snapshot of the fields a checklist change can touch, taken before editing
+const checklistSnapshot = (task) => ({
+  status: task.status,
+  checklist: task.checklist.map(({ text, done }) => ({ text, done })),
+});
+
+// Save a checklist change, moving the task to Done when the user opted in
+// and the checklist has just been completed, and record it in the history
+const saveChecklistChange = async (req, task, before) => {
+  const workflow = await getTaskWorkflow(req, task);
+  if (
+    shouldAutoComplete(req.user, workflow, before, task.checklist) &&
+    (await findBlockersOfMove(workflow, task, workflow.doneStatus)).length === 0
+  ) {
+    task.status = workflow.doneStatus;
+  }
+
+  await task.save();
+
+  await recordTaskHistory(req, [
+    {
+      task,
+      action: "updated",
+      changes: diffTaskFields(before, checklistSnapshot(task)),
+    },
+  ]);
+
+  if (isCompletion(workflow, before.status, task.status)) {
+    await createNextOccurrence(req, task, workflow);
+  }
+
+  await task.populate(TASK_POPULATE);
+};
+
+const sendChecklistError = (res, error, message) => {
+  console.error(`Error ${message}:`, error);
+
+  // Handle validation errors
+  if (error.name === "ValidationError") {
+    const validationErrors = Object.values(error.errors).map(
+      (err) => err.message
+    );
+    return res.status(400).json({
+      success: false,
+      error: "Validation failed",
+      details: validationErrors,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${message}`,
+    message: error.message,
+  });
+};
+
+// POST /tasks/:id/checklist - Add an item to the end of a task's checklist
+// Body: text, done (optional)
+router.post("/:id/checklist", canWrite, async (req, res) => {
+  try {
+    const { text, error } = validateItemText(req.body.text);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const { done } = req.body;
+    if (done !== undefined && typeof done !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        error: "Checklist item done must be true or false",
+      });
+    }
+
+    const task = await loadChecklistTask(req, res);
+    if (!task) return;
+
+    if (task.checklist.length >= Task.MAX_CHECKLIST_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: `A task cannot have more than ${Task.MAX_CHECKLIST_ITEMS} checklist items`,
+      });
+    }
+
+    const before = checklistSnapshot(task);
+    task.checklist.push({ text, done: done === true });
+    const item = task.checklist[task.checklist.length - 1];
+
+    await saveChecklistChange(req, task, before);
+
+    res.set("ETag", toETag(task));
+    res.status(201).json({
+      success: true,
+      task,
+      item,
+    });
+  } catch (error) {
+    sendChecklistError(res, error, "add checklist item");
+  }
+});
+
+// PUT /tasks/:id/checklist/order - Reorder a task's checklist
+// Body: itemIds (every item ID of the checklist, in the new order)
+router.put("/:id/checklist/order", canWrite, async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+    if (!Array.isArray(itemIds)) {
+      return res.status(400).json({
+        success: false,
+        error: "itemIds must be an array of checklist item IDs",
+      });
+    }
+
+    const task = await loadChecklistTask(req, res);
+    if (!task) return;
+
+    // The new order must name every existing item exactly once
+    const currentIds = task.checklist.map((item) => item._id.toString());
+    const isPermutation =
+      itemIds.length === currentIds.length &&
+      new Set(itemIds).size === itemIds.length &&
+      itemIds.every((itemId) => currentIds.includes(itemId));
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        error: "itemIds must list every checklist item exactly once",
+      });
+    }
+
+    const before = checklistSnapshot(task);
+    task.checklist = itemIds.map((itemId) => task.checklist.id(itemId));
+
+    await saveChecklistChange(req, task, before);
+
+    res.set("ETag", toETag(task));
+    res.json({
+      success: true,
+      task,
+    });
+  } catch (error) {
+    sendChecklistError(res, error, "reorder checklist");
+  }
+});
+
+// PATCH /tasks/:id/checklist/:itemId - Edit or check off a checklist item
+// Body: text, done (at least one)
+router.patch("/:id/checklist/:itemId", canWrite, async (req, res) => {
+  try {
+    const { done } = req.body;
+    const hasText = req.body.text !== undefined;
+
+    if (!hasText && done === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "No updatable checklist fields provided",
+      });
+    }
+
+    const { text, error } = hasText ? validateItemText(req.body.text) : {};
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    if (done !== undefined && typeof done !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        error: "Checklist item done must be true or false",
+      });
+    }
+
+    const task = await loadChecklistTask(req, res);
+    if (!task) return;
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: "Checklist item not found",
+      });
+    }
+
+    const before = checklistSnapshot(task);
+    if (hasText) item.text = text;
+    if (done !== undefined) item.done = done;
+
+    await saveChecklistChange(req, task, before);
+
+    res.set("ETag", toETag(task));
+    res.json({
+      success: true,
+      task,
+      item,
+    });
+  } catch (error) {
+    sendChecklistError(res, error, "update checklist item");
+  }
+});
+
+// DELETE /tasks/:id/checklist/:itemId - Remove an item from a checklist
+router.delete("/:id/checklist/:itemId", canWrite, async (req, res) => {
+  try {
+    const task = await loadChecklistTask(req, res);
+    if (!task) return;
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: "Checklist item not found",
+      });
+    }
+
+    const before = checklistSnapshot(task);
+    item.deleteOne();
+
+    await saveChecklistChange(req, task, before);
+
+    res.set("ETag", toETag(task));
+    res.json({
+      success: true,
+      task,
+    });
+  } catch (error) {
+    sendChecklistError(res, error, "remove checklist item");
+  }
+});
+
+// Fields of a comment's author sent with each comment
+const COMMENT_AUTHOR_FIELDS = "username email firstName lastName";
+
+// Validate a comment body, returning { body } trimmed or { error }
+const validateCommentBody = (body) => {
+  if (typeof body !== "string" || !body.trim()) {
+    return { error: "Comment text is required" };
+  }
+  if (body.trim().length > Comment.MAX_LENGTH) {
+    return {
+      error: `Comment cannot exceed ${Comment.MAX_LENGTH} characters`,
+    };
+  }
+  return { body: body.trim() };
+};
+
+// Load the task behind a comment request, and with a :commentId the
+// comment, sending the error response and returning null when an ID is
+// invalid, either is missing, or `ownOnly` is set and the user did not
+// write the comment
+const loadComment = async (req, res, { ownOnly = false } = {}) => {
+  const { id, commentId } = req.params;
+
+  // Validate ObjectId formats
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid task ID format",
+    });
+    return null;
+  }
+  if (commentId !== undefined && !commentId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid comment ID format",
+    });
+    return null;
+  }
+
+  const task = await Task.exists({
+    _id: id,
+    ...visibleScope(req),
+    deletedAt: null,
+  });
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      error: "Task not found or access denied",
+    });
+    return null;
+  }
+  if (commentId === undefined) return { task };
+
+  const comment = await Comment.findOne({ _id: commentId, taskId: id });
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      error: "Comment not found",
+    });
+    return null;
+  }
+  if (ownOnly && !comment.userId.equals(req.user._id)) {
+    res.status(403).json({
+      success: false,
+      error: "You can only change your own comments",
+      code: "ACCESS_DENIED",
+    });
+    return null;
+  }
+
+  return { task, comment };
+};
+
+// GET /tasks/:id/comments - Retrieve a task's comments, oldest first
+// Query: limit (1-100, default 50), after (comment ID from the previous page)
+router.get("/:id/comments", async (req, res) => {
+  try {
+    const { after } = req.query;
+
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        error: "Limit must be an integer between 1 and 100",
+      });
+    }
+
+    if (after !== undefined && !/^[0-9a-fA-F]{24}$/.test(after)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid after cursor",
+      });
+    }
+
+    const loaded = await loadComment(req, res);
+    if (!loaded) return;
+
+    const filter = { taskId: req.params.id };
+    if (after) filter._id = { $gt: after };
+
+    const [entries, total] = await Promise.all([
+      Comment.find(filter)
+        .sort({ _id: 1 })
+        .limit(limit + 1)
+        .populate("userId", COMMENT_AUTHOR_FIELDS),
+      Comment.countDocuments({ taskId: req.params.id }),
+    ]);
+
+    const hasMore = entries.length > limit;
+    const comments = hasMore ? entries.slice(0, limit) : entries;
+
+    res.json({
+      success: true,
+      comments,
+      total,
+      hasMore,
+      nextAfter: hasMore ? comments[comments.length - 1]._id : null,
+    });
+  } catch (error) {
+    console.error("Error fetching comments:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch comments",
+      message: error.message,
+    });
+  }
+});
+
+// POST /tasks/:id/comments - Add a comment to a task
+// Body: body (Markdown text)
+router.post("/:id/comments", canWrite, async (req, res) => {
+  try {
+    const { body, error } = validateCommentBody(req.body.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const loaded = await loadComment(req, res);
+    if (!loaded) return;
+
+    const comment = await Comment.create({
+      taskId: req.params.id,
+      userId: req.user._id,
+      body,
+    });
+    await comment.populate("userId", COMMENT_AUTHOR_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      comment,
+    });
+  } catch (error) {
+    console.error("Error adding comment:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to add comment",
+      message: error.message,
+    });
+  }
+});
+
+// PUT /tasks/:id/comments/:commentId - Edit a comment (author only)
+// Body: body (Markdown text)
+router.put("/:id/comments/:commentId", canWrite, async (req, res) => {
+  try {
+    const { body, error } = validateCommentBody(req.body.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const loaded = await loadComment(req, res, { ownOnly: true });
+    if (!loaded) return;
+
+    const { comment } = loaded;
+    if (comment.body !== body) {
+      comment.body = body;
+      comment.editedAt = new Date();
+      await comment.save();
+    }
+    await comment.populate("userId", COMMENT_AUTHOR_FIELDS);
+
+    res.json({
+      success: true,
+      comment,
+    });
+  } catch (error) {
+    console.error("Error updating comment:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update comment",
+      message: error.message,
+    });
+  }
+});
+
+// DELETE /tasks/:id/comments/:commentId - Delete a comment (author only)
+router.delete("/:id/comments/:commentId", canWrite, async (req, res) => {
+  try {
+    const loaded = await loadComment(req, res, { ownOnly: true });
+    if (!loaded) return;
+
+    await loaded.comment.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Comment deleted",
+    });
+  } catch (error) {
+    console.error("Error deleting comment:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete comment",
+      message: error.message,
+    });
+  }
+});
+
+// Fields of an entry's user sent with each time entry
+const TIME_ENTRY_USER_FIELDS = "username email firstName lastName";
+
+// A task's tracked total, sent back after a change to its time entries
+const getTrackedSeconds = async (taskId) => {
+  const task = await Task.findById(taskId).select("trackedSeconds").lean();
+  return task?.trackedSeconds || 0;
+};
+
+// Load the task behind a time entry request, and with an :entryId the
+// entry, sending the error response and returning null when an ID is
+// invalid, either is missing, or `ownOnly` is set and the entry is someone
+// else's
+const loadTimeEntry = async (req, res, { ownOnly = false } = {}) => {
+  const { id, entryId } = req.params;
+
+  // Validate ObjectId formats
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid task ID format",
+    });
+    return null;
+  }
+  if (entryId !== undefined && !entryId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid time entry ID format",
+    });
+    return null;
+  }
+
+  const task = await Task.exists({
+    _id: id,
+    ...visibleScope(req),
+    deletedAt: null,
+  });
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      error: "Task not found or access denied",
+    });
+    return null;
+  }
+  if (entryId === undefined) return { task };
+
+  const entry = await TimeEntry.findOne({ _id: entryId, taskId: id });
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      error: "Time entry not found",
+    });
+    return null;
+  }
+  if (ownOnly && !entry.userId.equals(req.user._id)) {
+    res.status(403).json({
+      success: false,
+      error: "You can only change your own time entries",
+      code: "ACCESS_DENIED",
+    });
+    return null;
+  }
+
+  return { task, entry };
+};
+
+// POST /tasks/:id/timer - Start the user's timer on a task. A timer running
+// on another task is stopped first and returned as `stopped`.
+router.post("/:id/timer", canWrite, async (req, res) => {
+  try {
+    const loaded = await loadTimeEntry(req, res);
+    if (!loaded) return;
+
+    const stoppedEntry = await stopRunningTimer(req.user._id);
+    const timer = await TimeEntry.create({
+      taskId: req.params.id,
+      userId: req.user._id,
+      startedAt: new Date(),
+    });
+
+    res.status(201).json({
+      success: true,
+      timer,
+      stopped: stoppedEntry && {
+        entry: stoppedEntry,
+        trackedSeconds: await getTrackedSeconds(stoppedEntry.taskId),
+      },
+    });
+  } catch (error) {
+    console.error("Error starting timer:", error);
+
+    // Another request started a timer for the user in the meantime
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "A timer is already running",
+        code: "TIMER_RUNNING",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to start timer",
+      message: error.message,
+    });
+  }
+});
+
+// DELETE /tasks/:id/timer - Stop the user's timer on a task, adding its
+// time to the task. Works on trashed tasks and from any workspace (even as
+// a viewer), so a timer is never stuck.
+router.delete("/:id/timer", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid task ID format",
+      });
+    }
+
+    const entry = await stopRunningTimer(req.user._id, { taskId: id });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: "No timer is running on this task",
+      });
+    }
+
+    res.json({
+      success: true,
+      entry,
+      trackedSeconds: await getTrackedSeconds(entry.taskId),
+    });
+  } catch (error) {
+    console.error("Error stopping timer:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to stop timer",
+      message: error.message,
+    });
+  }
+});
+
+// GET /tasks/:id/time-entries - Retrieve a task's time entries by everyone,
+// most recent first. Query: limit (1-100, default 50)
+router.get("/:id/time-entries", async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        error: "Limit must be an integer between 1 and 100",
+      });
+    }
+
+    const loaded = await loadTimeEntry(req, res);
+    if (!loaded) return;
+
+    const [entries, total, trackedSeconds] = await Promise.all([
+      TimeEntry.find({ taskId: req.params.id })
+        .sort({ startedAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .populate("userId", TIME_ENTRY_USER_FIELDS),
+      TimeEntry.countDocuments({ taskId: req.params.id }),
+      getTrackedSeconds(req.params.id),
+    ]);
+
+    const hasMore = entries.length > limit;
+
+    res.json({
+      success: true,
+      entries: hasMore ? entries.slice(0, limit) : entries,
+      total,
+      hasMore,
+      trackedSeconds,
+    });
+  } catch (error) {
+    console.error("Error fetching time entries:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch time entries",
+      message: error.message,
+    });
+  }
+});
+
+// POST /tasks/:id/time-entries - Add time spent on a task by hand
+// Body: startedAt, endedAt (at most 24 hours apart), note
+router.post("/:id/time-entries", canWrite, async (req, res) => {
+  try {
+    const { values, error } = validateTimeEntryInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const loaded = await loadTimeEntry(req, res);
+    if (!loaded) return;
+
+    const entry = await TimeEntry.create({
+      ...values,
+      taskId: req.params.id,
+      userId: req.user._id,
+    });
+    await addTrackedTime(entry.taskId, countedSeconds(entry));
+    await entry.populate("userId", TIME_ENTRY_USER_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      entry,
+      trackedSeconds: await getTrackedSeconds(entry.taskId),
+    });
+  } catch (error) {
+    console.error("Error adding time entry:", error);
+
+    // Handle validation errors
+    if (error.name === "ValidationError") {
+      const validationErrors = Object.values(error.errors).map(
+        (err) => err.message
+      );
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to add time entry",
+      message: error.message,
+    });
+  }
+});
+
+// PUT /tasks/:id/time-entries/:entryId - Edit a time entry (its user only)
+// Body: startedAt, endedAt, note (omitted fields are kept; a running
+// entry's end is set by stopping its timer)
+router.put("/:id/time-entries/:entryId", canWrite, async (req, res) => {
+  try {
+    const loaded = await loadTimeEntry(req, res, { ownOnly: true });
+    if (!loaded) return;
+
+    const { entry } = loaded;
+    const { values, error } = validateTimeEntryInput(req.body, entry);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const before = countedSeconds(entry);
+    entry.set(values);
+    await entry.save();
+    await addTrackedTime(entry.taskId, countedSeconds(entry) - before);
+    await entry.populate("userId", TIME_ENTRY_USER_FIELDS);
+
+    res.json({
+      success: true,
+      entry,
+      trackedSeconds: await getTrackedSeconds(entry.taskId),
+    });
+  } catch (error) {
+    console.error("Error updating time entry:", error);
+
+    // Handle validation errors
+    if (error.name === "ValidationError") {
+      const validationErrors = Object.values(error.errors).map(
+        (err) => err.message
+      );
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to update time entry",
+      message: error.message,
+    });
+  }
+});
+
+// DELETE /tasks/:id/time-entries/:entryId - Delete a time entry (its user
+// only); deleting a running entry discards the timer
+router.delete("/:id/time-entries/:entryId", canWrite, async (req, res) => {
+  try {
+    const loaded = await loadTimeEntry(req, res, { ownOnly: true });
+    if (!loaded) return;
+
+    const { entry } = loaded;
+    await entry.deleteOne();
+    await addTrackedTime(entry.taskId, -countedSeconds(entry));
+
+    res.json({
+      success: true,
+      message: "Time entry deleted",
+      trackedSeconds: await getTrackedSeconds(entry.taskId),
+    });
+  } catch (error) {
+    console.error("Error deleting time entry:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete time entry",
+      message: error.message,
+    });
+  }
+});
+
+// Parse up to MAX_FILES_PER_UPLOAD files from the multipart field "files",
+// kept in memory until they are checked and handed to the storage
+const uploadFiles = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE, files: MAX_FILES_PER_UPLOAD },
+  defParamCharset: "utf8",
+}).array("files", MAX_FILES_PER_UPLOAD);
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: `Files cannot exceed ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB`,
+  LIMIT_FILE_COUNT: `Upload at most ${MAX_FILES_PER_UPLOAD} files at a time`,
+  LIMIT_UNEXPECTED_FILE: `Send at most ${MAX_FILES_PER_UPLOAD} files, in the "files" field`,
+};
+
+// Run uploadFiles, answering 400 when the upload breaks its limits
+const receiveFiles = (req, res, next) =>
+  uploadFiles(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        error: UPLOAD_ERRORS[error.code] || error.message,
+        code: error.code,
+      });
+    }
+    next(error);
+  });
+
+// Load the task behind an attachment request, and with an :attachmentId
+// the attachment, sending the error response and returning null when an
+// ID is invalid or either is missing
+const loadAttachment = async (req, res) => {
+  const { id, attachmentId } = req.params;
+
+  // Validate ObjectId formats
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid task ID format",
+    });
+    return null;
+  }
+  if (attachmentId !== undefined && !attachmentId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid attachment ID format",
+    });
+    return null;
+  }
+
+  const task = await Task.findOne({
+    _id: id,
+    ...visibleScope(req),
+    deletedAt: null,
+  });
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      error: "Task not found or access denied",
+    });
+    return null;
+  }
+  if (attachmentId === undefined) return { task };
+
+  const attachment = task.attachments.id(attachmentId);
+  if (!attachment) {
+    res.status(404).json({
+      success: false,
+      error: "Attachment not found",
+    });
+    return null;
+  }
+
+  return { task, attachment };
+};
+
+// Attachments as recorded in the history: their filenames
+const attachmentSnapshot = (task) => ({
+  attachments: task.attachments.map((attachment) => attachment.filename),
+});
+
+// POST /tasks/:id/attachments - Attach files to a task
+// Body: multipart/form-data with up to 5 files in the "files" field
+router.post("/:id/attachments", canWrite, receiveFiles, async (req, res) => {
+  // Stored files not yet referenced by the task, removed if saving fails
+  const storedKeys = [];
+
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded; send them in the "files" field',
+      });
+    }
+
+    const uploads = [];
+    for (const file of files) {
+      const filename = sanitizeFilename(file.originalname);
+      const contentType = resolveContentType(file);
+      if (!contentType) {
+        return res.status(400).json({
+          success: false,
+          error: `"${filename}" is not a supported file type`,
+          code: "UNSUPPORTED_FILE_TYPE",
+        });
+      }
+      uploads.push({ file, filename, contentType });
+    }
+
+    const loaded = await loadAttachment(req, res);
+    if (!loaded) return;
+
+    const { task } = loaded;
+    if (task.attachments.length + uploads.length > Task.MAX_ATTACHMENTS) {
+      return res.status(400).json({
+        success: false,
+        error: `A task cannot have more than ${Task.MAX_ATTACHMENTS} attachments`,
+      });
+    }
+
+    const before = attachmentSnapshot(task);
+    const storage = getStorage();
+    for (const { file, filename, contentType } of uploads) {
+      const _id = new mongoose.Types.ObjectId();
+      const storageKey = `tasks/${task._id}/${_id}`;
+      await storage.save(storageKey, file.buffer, { contentType });
+      storedKeys.push(storageKey);
+
+      task.attachments.push({
+        _id,
+        filename,
+        contentType,
+        size: file.size,
+        storageKey,
+        uploadedBy: req.user._id,
+      });
+    }
+
+    await task.save();
+    storedKeys.length = 0;
+
+    await recordTaskHistory(req, [
+      {
+        task,
+        action: "updated",
+        changes: diffTaskFields(before, attachmentSnapshot(task)),
+      },
+    ]);
+    await task.populate(TASK_POPULATE);
+
+    res.set("ETag", toETag(task));
+    res.status(201).json({
+      success: true,
+      task,
+      attachments: task.attachments.slice(-uploads.length),
+    });
+  } catch (error) {
+    console.error("Error uploading attachments:", error);
+    await removeAttachmentFiles([
+      { attachments: storedKeys.map((storageKey) => ({ storageKey })) },
+    ]);
+    res.status(500).json({
+      success: false,
+      error: "Failed to upload attachments",
+      message: error.message,
+    });
+  }
+});
+
+// GET /tasks/:id/attachments/:attachmentId - Download an attachment.
+// Images and PDFs are served inline so they can be previewed.
+router.get("/:id/attachments/:attachmentId", async (req, res) => {
+  try {
+    const loaded = await loadAttachment(req, res);
+    if (!loaded) return;
+
+    const { attachment } = loaded;
+    const stream = await getStorage().createReadStream(attachment.storageKey);
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        error: "Attachment file not found",
+      });
+    }
+
+    res.set({
+      "Content-Type": attachment.contentType,
+      "Content-Length": attachment.size,
+      "Content-Disposition": buildContentDisposition(attachment),
+      "X-Content-Type-Options": "nosniff",
+      "Cache-Control": "private, max-age=3600",
+    });
+    pipeline(stream, res, (error) => {
+      if (error) console.error("Error streaming attachment:", error);
+    });
+  } catch (error) {
+    console.error("Error downloading attachment:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to download attachment",
+      message: error.message,
+    });
+  }
+});
+
+// DELETE /tasks/:id/attachments/:attachmentId - Remove an attachment
+router.delete("/:id/attachments/:attachmentId", canWrite, async (req, res) => {
+  try {
+    const loaded = await loadAttachment(req, res);
+    if (!loaded) return;
+
+    const { task, attachment } = loaded;
+    const before = attachmentSnapshot(task);
+    attachment.deleteOne();
+    await task.save();
+
+    // The file goes once the task no longer points at it
+    await removeAttachmentFiles([{ attachments: [attachment] }]);
+
+    await recordTaskHistory(req, [
+      {
+        task,
+        action: "updated",
+        changes: diffTaskFields(before, attachmentSnapshot(task)),
+      },
+    ]);
+    await task.populate(TASK_POPULATE);
+
+    res.set("ETag", toETag(task));
+    res.json({
+      success: true,
+      task,
+    });
+  } catch (error) {
+    console.error("Error removing attachment:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove attachment",
+      message: error.message,
+    });
+  }
+});
+
+// Load the task behind a dependency request, sending the error response and
+// returning null when an ID is invalid or the task is missing
+const loadDependencyTask = async (req, res) => {
+  const { id, blockerId } = req.params;
+
+  // Validate ObjectId formats
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid task ID format",
+    });
+    return null;
+  }
+  if (blockerId !== undefined && !blockerId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid blocking task ID format",
+    });
+    return null;
+  }
+
+  const task = await Task.findOne({
+    _id: id,
+    ...visibleScope(req),
+    deletedAt: null,
+  });
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      error: "Task not found or access denied",
+    });
+    return null;
+  }
+
+  return task;
+};
+
+// Blocking tasks as recorded in the history: their titles
+const dependencySnapshot = async (task) => {
+  const blockers = await Task.find({ _id: { $in: task.blockedBy } })
+    .select("title")
+    .lean();
+  const titles = new Map(
+    blockers.map((blocker) => [blocker._id.toString(), blocker.title])
+  );
+
+  return {
+    blockedBy: task.blockedBy.map(
+      (blockerId) => titles.get(blockerId.toString()) || "Deleted task"
+    ),
+  };
+};
+
+// POST /tasks/:id/dependencies - Mark a task as blocked by another one
+// Body: blockerId (a live task in the same workspace, or a personal task)
+router.post("/:id/dependencies", canWrite, async (req, res) => {
+  try {
+    const { blockerId } = req.body;
+    if (typeof blockerId !== "string" || !/^[0-9a-fA-F]{24}$/.test(blockerId)) {
+      return res.status(400).json({
+        success: false,
+        error: "blockerId must be a task ID",
+      });
+    }
+
+    const task = await loadDependencyTask(req, res);
+    if (!task) return;
+
+    if (task._id.equals(blockerId)) {
+      return res.status(400).json({
+        success: false,
+        error: "A task cannot block itself",
+      });
+    }
+    if (task.blockedBy.some((id) => id.equals(blockerId))) {
+      return res.status(400).json({
+        success: false,
+        error: "Task is already blocked by that task",
+      });
+    }
+    if (task.blockedBy.length >= Task.MAX_BLOCKERS) {
+      return res.status(400).json({
+        success: false,
+        error: `A task cannot be blocked by more than ${Task.MAX_BLOCKERS} tasks`,
+      });
+    }
+
+    // Links stay within one workspace, or among one owner's personal tasks,
+    // so an assignee cannot tie someone else's task to their own
+    const blocker = await Task.findOne({
+      _id: blockerId,
+      ...visibleScope(req),
+      ...(task.workspaceId
+        ? { workspaceId: task.workspaceId }
+        : { userId: task.userId, workspaceId: null }),
+      deletedAt: null,
+    }).select("title");
+    if (!blocker) {
+      return res.status(404).json({
+        success: false,
+        error: "Blocking task not found or access denied",
+      });
+    }
+
+    if (await createsDependencyCycle(task._id, blocker._id)) {
+      return res.status(400).json({
+        success: false,
+        error: `"${blocker.title}" already waits on this task, so it cannot block it`,
+        code: "DEPENDENCY_CYCLE",
+      });
+    }
+
+    const before = await dependencySnapshot(task);
+    task.blockedBy.push(blocker._id);
+    await task.save();
+
+    await recordTaskHistory(req, [
+      {
+        task,
+        action: "updated",
+        changes: diffTaskFields(before, await dependencySnapshot(task)),
+      },
+    ]);
+    await task.populate(TASK_POPULATE);
+
+    res.set("ETag", toETag(task));
+    res.status(201).json({
+      success: true,
+      task,
+    });
+  } catch (error) {
+    console.error("Error adding dependency:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to add dependency",
+      message: error.message,
+    });
+  }
+});
+
+// DELETE /tasks/:id/dependencies/:blockerId - Stop a task being blocked by
+// another one
+router.delete("/:id/dependencies/:blockerId", canWrite, async (req, res) => {
+  try {
+    const task = await loadDependencyTask(req, res);
+    if (!task) return;
+
+    const { blockerId } = req.params;
+    if (!task.blockedBy.some((id) => id.equals(blockerId))) {
+      return res.status(404).json({
+        success: false,
+        error: "Task is not blocked by that task",
+      });
+    }
+
+    const before = await dependencySnapshot(task);
+    task.blockedBy.pull(blockerId);
+    await task.save();
+
+    await recordTaskHistory(req, [
+      {
+        task,
+        action: "updated",
+        changes: diffTaskFields(before, await dependencySnapshot(task)),
+      },
+    ]);
+    await task.populate(TASK_POPULATE);
+
+    res.set("ETag", toETag(task));
+    res.json({
+      success: true,
+      task,
+    });
+  } catch (error) {
+    console.error("Error removing dependency:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove dependency",
+      message: error.message,
+    });
+  }
+});
+
+// POST /tasks - Create a new task for the authenticated user
+router.post("/", canWrite, async (req, res) => {
+  try {
+    const { title, description, status, priority } = req.body;
+
+    // Validate required fields
+    if (!title || !title.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "Title is required",
+      });
+    }
+
+    // Validate status if provided
+    const workflow = await getWorkflow(req);
+    if (status && !workflow.hasStatus(status)) {
+      return res.status(400).json({
+        success: false,
+        error: describeStatuses(workflow),
+      });
+    }
+
+    // Validate priority if provided
+    if (priority && !TASK_PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Priority must be "Low", "Medium", "High", or "Urgent"',
+      });
+    }
+
+    // Validate start and due dates if provided
+    const dates = validateTaskDates(req.body);
+    if (dates.error) {
+      return res.status(400).json({
+        success: false,
+        error: dates.error,
+      });
+    }
+
+    // Validate the estimate if provided
+    const estimate = parseEstimate(req.body.estimateMinutes);
+    if (estimate.error) {
+      return res.status(400).json({
+        success: false,
+        error: estimate.error,
+      });
+    }
+
+    // Validate tags and add any new ones to the catalogue
+    const tagList = normalizeTagNames(req.body.tags || []);
+    if (tagList.error) {
+      return res.status(400).json({
+        success: false,
+        error: tagList.error,
+      });
+    }
+    const tags = await Tag.resolveNames(workspaceScope(req), tagList.tags);
+
+    // Validate the initial checklist if provided
+    const { checklist, error: checklistError } = normalizeChecklist(
+      req.body.checklist || []
+    );
+    if (checklistError) {
+      return res.status(400).json({
+        success: false,
+        error: checklistError,
+      });
+    }
+
+    // Validate the repeat rule if provided
+    const { recurrence, error: recurrenceError } = normalizeRecurrence(
+      req.body.recurrence ?? null
+    );
+    if (recurrenceError) {
+      return res.status(400).json({
+        success: false,
+        error: recurrenceError,
+      });
+    }
+
+    // Validate the project if provided
+    const { projectId, error: projectError } = await resolveProjectId(
+      req,
+      req.body.projectId
+    );
+    if (projectError) {
+      return res.status(400).json({
+        success: false,
+        error: projectError,
+      });
+    }
+
+    // Validate the assignees if provided
+    const { assigneeIds, error: assigneeError } = await resolveAssigneeIds(
+      req,
+      req.body.assigneeIds
+    );
+    if (assigneeError) {
+      return res.status(400).json({
+        success: false,
+        error: assigneeError,
+      });
+    }
+
+    const taskData = {
+      userId: req.user._id, // Associate task with authenticated user
+      workspaceId: req.workspace ? req.workspace._id : null,
+      projectId: projectId || null,
+      assigneeIds: assigneeIds || [],
+      title: title.trim(),
+      description: description ? description.trim() : "",
+      status: status || workflow.initialStatus,
+      priority: priority || "Medium",
+      tags,
+      estimateMinutes: estimate.value ?? null,
+      checklist,
+      recurrence,
+      startDate: dates.startDate || null,
+      dueDate: dates.dueDate || null,
+    };
+
+    const task = new Task(taskData);
+    const savedTask = await task.save();
+
+    await recordTaskHistory(req, [
+      {
+        task: savedTask,
+        action: "created",
+        changes: describeNewTask(savedTask),
+      },
+    ]);
+
+    // Populate user info in response
+    await savedTask.populate(TASK_POPULATE);
+
+    res.set("ETag", toETag(savedTask));
+    res.status(201).json(savedTask);
+  } catch (error) {
+    console.error("Error creating task:", error);
+
+    // Handle validation errors
+    if (error.name === "ValidationError") {
+      const validationErrors = Object.values(error.errors).map(
+        (err) => err.message
+      );
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors,
+      });
+    }
 
-    res.json(tasks);
-  } catch (error) {
-    console.error("Error fetching tasks:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch tasks",
+      error: "Failed to create task",
       message: error.message,
     });
   }
 });
 
-// GET /tasks/:id - Retrieve a task by ID (only if owned by user)
-router.get("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
+const BULK_ACTIONS = ["status", "delete", "retag"];
+const MAX_BULK_IDS = 100;
 
-    // Validate ObjectId format
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+// Validate a bulk request body against the statuses of `workflow`.
+// Returns { error } or the parsed { action, ids, status, addTags, removeTags }.
+const parseBulkRequest = (body, workflow) => {
+  const { action, ids, status } = body;
+
+  if (!BULK_ACTIONS.includes(action)) {
+    return { error: 'Action must be "status", "delete", or "retag"' };
+  }
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return { error: "ids must be a non-empty array of task IDs" };
+  }
+  if (ids.length > MAX_BULK_IDS) {
+    return { error: `Cannot process more than ${MAX_BULK_IDS} tasks at once` };
+  }
+
+  if (action === "status" && !workflow.hasStatus(status)) {
+    return { error: describeStatuses(workflow) };
+  }
+
+  let addTags = [];
+  let removeTags = [];
+  if (action === "retag") {
+    const added = normalizeTagNames(body.addTags || []);
+    if (added.error) return { error: added.error };
+    const removed = normalizeTagNames(body.removeTags || []);
+    if (removed.error) return { error: removed.error };
+
+    if (added.tags.length === 0 && removed.tags.length === 0) {
+      return { error: "Provide addTags and/or removeTags to retag" };
+    }
+    addTags = added.tags;
+    removeTags = removed.tags;
+  }
+
+  // Drop repeated IDs but keep the caller's order for the results
+  return { action, ids: [...new Set(ids)], status, addTags, removeTags };
+};
+
+// Apply a tag change to a task's tag list, matching names ignoring case
+const retagList = (tags, addTags, removeTags) => {
+  const removed = new Set(removeTags.map((name) => name.toLowerCase()));
+  const next = tags.filter((name) => !removed.has(name.toLowerCase()));
+  addTags.forEach((name) => {
+    if (!next.some((tag) => tag.toLowerCase() === name.toLowerCase())) {
+      next.push(name);
+    }
+  });
+  return next;
+};
+
+// POST /tasks/bulk - Change status, delete or retag several tasks at once
+// Body: { action, ids, status?, addTags?, removeTags?, force? }
+// Responds with one result per ID so partial failures can be reported
+router.post("/bulk", canWrite, async (req, res) => {
+  try {
+    const workflow = await getWorkflow(req);
+    const bulk = parseBulkRequest(req.body, workflow);
+    if (bulk.error) {
       return res.status(400).json({
         success: false,
-        error: "Invalid task ID format",
+        error: bulk.error,
       });
     }
 
-    // Find task belonging to the authenticated user
-    const task = await Task.findOne({
-      _id: id,
-      userId: req.user._id,
-    }).populate("userId", "username email fullName");
+    const validIds = bulk.ids.filter(
+      (id) => typeof id === "string" && /^[0-9a-fA-F]{24}$/.test(id)
+    );
+    const tasks = await Task.find({
+      _id: { $in: validIds },
+      ...workspaceScope(req),
+      deletedAt: null,
+    }).populate(TASK_POPULATE);
+    const tasksById = new Map(tasks.map((task) => [task._id.toString(), task]));
 
-    if (!task) {
-      return res.status(404).json({
-        success: false,
-        error: "Task not found or access denied",
+    const addTags =
+      bulk.addTags.length > 0
+        ? await Tag.resolveNames(workspaceScope(req), bulk.addTags)
+        : [];
+
+    // Deleting moves the tasks to the trash, like DELETE /tasks/:id
+    if (bulk.action === "delete" && tasks.length > 0) {
+      const deletedAt = new Date();
+      await Task.updateMany(
+        { _id: { $in: tasks.map((task) => task._id) }, ...workspaceScope(req) },
+        { deletedAt }
+      );
+      tasks.forEach((task) => {
+        task.deletedAt = deletedAt;
       });
     }
 
-    res.json(task);
+    const results = [];
+    const historyEntries = [];
+    for (const id of bulk.ids) {
+      const task = tasksById.get(String(id));
+      if (!task) {
+        results.push({
+          id,
+          success: false,
+          error: validIds.includes(id)
+            ? "Task not found or access denied"
+            : "Invalid task ID format",
+        });
+        continue;
+      }
+
+      if (bulk.action === "delete") {
+        results.push({ id, success: true, deletedTask: task });
+        historyEntries.push({ task, action: "deleted" });
+        continue;
+      }
+
+      // Blocked tasks are skipped unless the request forces the change
+      if (bulk.action === "status" && req.body.force !== true) {
+        const blockers = await findBlockersOfMove(workflow, task, bulk.status);
+        if (blockers.length > 0) {
+          results.push({
+            id,
+            success: false,
+            error: "Task is blocked by unfinished tasks",
+            code: "TASK_BLOCKED",
+            blockers,
+          });
+          continue;
+        }
+      }
+
+      try {
+        const before = { status: task.status, tags: [...task.tags] };
+        if (bulk.action === "status") {
+          task.status = bulk.status;
+        } else {
+          task.tags = retagList(task.tags, addTags, bulk.removeTags);
+        }
+        await task.save();
+        historyEntries.push({
+          task,
+          action: "updated",
+          changes: diffTaskFields(before, {
+            status: task.status,
+            tags: task.tags,
+          }),
+        });
+        if (isCompletion(workflow, before.status, task.status)) {
+          await createNextOccurrence(req, task, workflow);
+        }
+        results.push({ id, success: true, task });
+      } catch (error) {
+        results.push({
+          id,
+          success: false,
+          error:
+            error.name === "ValidationError"
+              ? Object.values(error.errors)
+                  .map((err) => err.message)
+                  .join(", ")
+              : "Failed to update task",
+        });
+      }
+    }
+
+    await recordTaskHistory(req, historyEntries);
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    res.json({
+      success: true,
+      action: bulk.action,
+      results,
+      summary: {
+        requested: bulk.ids.length,
+        succeeded,
+        failed: bulk.ids.length - succeeded,
+      },
+    });
   } catch (error) {
-    console.error("Error fetching task:", error);
+    console.error("Error processing bulk task operation:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch task",
+      error: "Failed to process bulk operation",
       message: error.message,
     });
   }
 });
 
-// POST /tasks - Create a new task for the authenticated user
-router.post("/", async (req, res) => {
+// Fields a PUT or PATCH body may change
+const UPDATABLE_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "startDate",
+  "dueDate",
+  "tags",
+  "estimateMinutes",
+  "checklist",
+  "recurrence",
+  "projectId",
+  "assigneeIds",
+];
+
+// Which occurrences of a recurring task an update applies to
+const UPDATE_SCOPES = ["this", "future"];
+
+// Validate an update body and build the changes to apply. A partial (PATCH)
+// update only touches supplied fields; a full (PUT) update keeps the legacy
+// behaviour of requiring title and resetting description/status when omitted.
+// Statuses are those of the task's `workflow`; the stored `task` (null when
+// not found) decides which projects, assignees and tags may be set.
+// Returns { error } or { updateData, scope }.
+const buildTaskUpdate = async (req, { partial, workflow, task }) => {
+  const { id } = req.params;
+  const { title, description, status, priority, scope = "this" } = req.body;
+  const has = (field) => req.body[field] !== undefined;
+
+  if (partial && !UPDATABLE_FIELDS.some(has)) {
+    return { error: "No updatable fields provided" };
+  }
+
+  if (!UPDATE_SCOPES.includes(scope)) {
+    return { error: 'Scope must be "this" or "future"' };
+  }
+
+  // Validate required fields
+  if (!partial || has("title")) {
+    if (typeof title !== "string" || !title.trim()) {
+      return { error: "Title is required" };
+    }
+  }
+
+  if (
+    has("description") &&
+    description !== null &&
+    typeof description !== "string"
+  ) {
+    return { error: "Description must be a string" };
+  }
+
+  // Validate status if provided
+  if ((partial ? has("status") : status) && !workflow.hasStatus(status)) {
+    return { error: describeStatuses(workflow) };
+  }
+
+  // Validate priority if provided
+  if (
+    (partial ? has("priority") : priority) &&
+    !TASK_PRIORITIES.includes(priority)
+  ) {
+    return { error: 'Priority must be "Low", "Medium", "High", or "Urgent"' };
+  }
+
+  // Estimate is only changed when present in the body; null clears it
+  const estimate = parseEstimate(req.body.estimateMinutes);
+  if (estimate.error) return { error: estimate.error };
+
+  // Checklist is only replaced when present in the body
+  let checklist = null;
+  if (has("checklist")) {
+    const result = normalizeChecklist(req.body.checklist);
+    if (result.error) return { error: result.error };
+    checklist = result.checklist;
+  }
+
+  // Recurrence is only changed when present in the body; null stops it
+  let recurrence;
+  if (has("recurrence")) {
+    const result = normalizeRecurrence(req.body.recurrence);
+    if (result.error) return { error: result.error };
+    recurrence = result.recurrence;
+  }
+
+  // Project is only changed when present in the body; null removes it
+  const project = await resolveProjectId(req, req.body.projectId, task);
+  if (project.error) return { error: project.error };
+
+  // Assignees are only changed when present in the body; null unassigns
+  const assignees = await resolveAssigneeIds(req, req.body.assigneeIds, task);
+  if (assignees.error) return { error: assignees.error };
+
+  // Dates are only changed when present in the body, so compare a single
+  // supplied date against the one already stored. A checklist change needs
+  // the stored checklist and status to decide on auto-completion.
+  let existing = {};
+  if (has("startDate") !== has("dueDate") || checklist) {
+    existing =
+      (await Task.findOne({ _id: id, ...visibleScope(req) })
+        .select("startDate dueDate status checklist")
+        .lean()) || {};
+  }
+
+  const dates = validateTaskDates(req.body, existing);
+  if (dates.error) return { error: dates.error };
+
+  // Tags are only replaced when present in the body
+  let tagList = null;
+  if (has("tags")) {
+    tagList = normalizeTagNames(req.body.tags);
+    if (tagList.error) return { error: tagList.error };
+  }
+
+  const updateData = { updatedAt: new Date() };
+  if (!partial || has("title")) updateData.title = title.trim();
+  if (!partial || has("description")) {
+    updateData.description = description ? description.trim() : "";
+  }
+  if (!partial || has("status")) {
+    updateData.status = status || workflow.initialStatus;
+  }
+  if (priority) updateData.priority = priority;
+  if (tagList) {
+    updateData.tags = await Tag.resolveNames(
+      tagScopeOf(req, task),
+      tagList.tags
+    );
+  }
+  if (dates.startDate !== undefined) updateData.startDate = dates.startDate;
+  if (dates.dueDate !== undefined) updateData.dueDate = dates.dueDate;
+  if (estimate.value !== undefined) {
+    updateData.estimateMinutes = estimate.value;
+  }
+  if (recurrence !== undefined) updateData.recurrence = recurrence;
+  if (project.projectId !== undefined) updateData.projectId = project.projectId;
+  if (assignees.assigneeIds !== undefined) {
+    updateData.assigneeIds = assignees.assigneeIds;
+  }
+  if (checklist) {
+    updateData.checklist = checklist;
+    if (
+      existing.status &&
+      shouldAutoComplete(
+        req.user,
+        workflow,
+        existing,
+        checklist,
+        updateData.status
+      )
+    ) {
+      updateData.status = workflow.doneStatus;
+    }
+  }
+
+  return { updateData, scope };
+};
+
+// Respond to a conditional update that matched no task: 409 with the
+// current task when only the version differed, otherwise 404
+const sendUpdateMiss = async (req, res, expected) => {
+  // Tell a version mismatch apart from a missing task
+  const currentTask =
+    expected.version !== undefined &&
+    (await Task.findOne({
+      _id: req.params.id,
+      ...visibleScope(req),
+      deletedAt: null,
+    }).populate(TASK_POPULATE));
+
+  if (currentTask) {
+    res.set("ETag", toETag(currentTask));
+    return res.status(409).json({
+      success: false,
+      error: "Task was changed by someone else since you loaded it",
+      code: "VERSION_CONFLICT",
+      currentTask,
+    });
+  }
+
+  return res.status(404).json({
+    success: false,
+    error: "Task not found or access denied",
+  });
+};
+
+// Shared handler for PUT (full) and PATCH (partial) updates
+const updateTaskHandler = (partial) => async (req, res) => {
   try {
-    const { title, description, status } = req.body;
+    const { id } = req.params;
 
-    // Validate required fields
-    if (!title || !title.trim()) {
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        error: "Title is required",
+        error: "Invalid task ID format",
       });
     }
 
-    // Validate status if provided
-    if (status && !["To Do", "In Progress", "Done"].includes(status)) {
+    const expected = parseExpectedVersion(req);
+    if (expected.error) {
       return res.status(400).json({
         success: false,
-        error: 'Status must be "To Do", "In Progress", or "Done"',
+        error: expected.error,
       });
     }
 
-    const taskData = {
-      userId: req.user._id, // Associate task with authenticated user
-      title: title.trim(),
-      description: description ? description.trim() : "",
-      status: status || "To Do",
-    };
+    // The task's workflow sets the statuses it can take
+    const current = await Task.findOne({
+      _id: id,
+      ...visibleScope(req),
+      deletedAt: null,
+    })
+      .select("userId workspaceId projectId assigneeIds status blockedBy")
+      .lean();
+    const workflow = current
+      ? await getTaskWorkflow(req, current)
+      : await getWorkflow(req);
 
-    const task = new Task(taskData);
-    const savedTask = await task.save();
+    const { updateData, scope, error } = await buildTaskUpdate(req, {
+      partial,
+      workflow,
+      task: current,
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
 
-    // Populate user info in response
-    await savedTask.populate("userId", "username email fullName");
+    // Starting or finishing a blocked task needs `force`. A completed
+    // checklist leaves a blocked task's status as it is instead.
+    if (updateData.status && current && req.body.force !== true) {
+      const blockers = await findBlockersOfMove(
+        workflow,
+        current,
+        updateData.status
+      );
+      if (blockers.length > 0) {
+        if (req.body.status === updateData.status) {
+          return sendBlocked(res, blockers);
+        }
+        updateData.status = current.status;
+      }
+    }
 
-    res.status(201).json(savedTask);
+    // Update only if task is visible to authenticated user and, when the
+    // client sent a version, nobody has changed it since
+    const filter = { _id: id, ...visibleScope(req), deletedAt: null };
+    if (expected.version !== undefined) {
+      // Tasks created before versioning have no stored version yet
+      filter.version =
+        expected.version === 0 ? { $in: [0, null] } : expected.version;
+    }
+
+    // Take the previous document so the history shows what changed
+    const previousTask = await Task.findOneAndUpdate(filter, updateData, {
+      new: false,
+      runValidators: true, // Run schema validators
+    });
+
+    if (!previousTask) {
+      return sendUpdateMiss(req, res, expected);
+    }
+
+    await recordTaskHistory(req, [
+      {
+        task: previousTask,
+        action: "updated",
+        changes: diffTaskFields(previousTask, updateData),
+      },
+    ]);
+
+    if (scope === "future") {
+      await updateFutureOccurrences(req, previousTask, updateData, workflow);
+    }
+
+    const task = await Task.findById(id).populate(TASK_POPULATE);
+
+    // Completing a recurring task schedules its next occurrence
+    if (isCompletion(workflow, previousTask.status, task.status)) {
+      await createNextOccurrence(req, task, workflow);
+    }
+
+    res.set("ETag", toETag(task));
+    res.json(task);
   } catch (error) {
-    console.error("Error creating task:", error);
+    console.error("Error updating task:", error);
 
     // Handle validation errors
     if (error.name === "ValidationError") {
@@ -114,95 +2762,193 @@ router.post("/", async (req, res) => {
 
     res.status(500).json({
       success: false,
-      error: "Failed to create task",
+      error: "Failed to update task",
       message: error.message,
     });
   }
-});
+};
+
+// PUT /tasks/:id - Replace a task's editable fields (only if owned by user)
+// Title is required; omitted description/status are reset to their defaults.
+// Moving a blocked task out of the workflow's first status needs
+// `force: true`.
+router.put("/:id", canWrite, updateTaskHandler(false));
 
-// PUT /tasks/:id - Update a task by ID (only if owned by user)
-router.put("/:id", async (req, res) => {
+// PATCH /tasks/:id - Update only the supplied fields (only if owned by user)
+router.patch("/:id", canWrite, updateTaskHandler(true));
+
+// Position for a task placed directly below `prev` and above `next` (either
+// may be missing), undefined when neither is given, or null when repeated
+// moves have left no room between the two
+const positionBetween = (prev, next) => {
+  if (prev && next) {
+    const middle = (prev.position + next.position) / 2;
+    return middle > prev.position && middle < next.position ? middle : null;
+  }
+  if (prev) return prev.position + Task.POSITION_STEP;
+  if (next) return next.position - Task.POSITION_STEP;
+  return undefined;
+};
+
+// Look up the neighbours of a move among the live tasks in scope
+const findNeighbours = (scope, ids) =>
+  Promise.all(
+    ids.map(
+      (neighbourId) =>
+        neighbourId &&
+        Task.findOne({ _id: neighbourId, ...scope, deletedAt: null })
+          .select("position")
+          .lean()
+    )
+  );
+
+// POST /tasks/:id/move - Move a task to another status and/or between two
+// tasks, as when dragging it on the board (only if owned by user)
+// Body: status, prevId (task to go below), nextId (task to go above),
+// version, force (move a blocked task out of the first status anyway)
+router.post("/:id/move", canWrite, async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, status } = req.body;
+    const { status, prevId, nextId } = req.body;
 
-    // Validate ObjectId format
+    // Validate ObjectId formats
     if (!id.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
         error: "Invalid task ID format",
       });
     }
-
-    // Validate required fields
-    if (!title || !title.trim()) {
+    const neighbourIds = [prevId || null, nextId || null];
+    if (
+      neighbourIds.some(
+        (neighbourId) =>
+          neighbourId !== null &&
+          (typeof neighbourId !== "string" ||
+            !/^[0-9a-fA-F]{24}$/.test(neighbourId) ||
+            neighbourId === id)
+      )
+    ) {
       return res.status(400).json({
         success: false,
-        error: "Title is required",
+        error: "prevId and nextId must be IDs of other tasks",
       });
     }
 
+    // The task's workflow sets the statuses it can take
+    const scope = visibleScope(req);
+    const current = await Task.findOne({ _id: id, ...scope, deletedAt: null })
+      .select("userId workspaceId status blockedBy")
+      .lean();
+    const workflow = current
+      ? await getTaskWorkflow(req, current)
+      : await getWorkflow(req);
+
     // Validate status if provided
-    if (status && !["To Do", "In Progress", "Done"].includes(status)) {
+    if (status !== undefined && !workflow.hasStatus(status)) {
       return res.status(400).json({
         success: false,
-        error: 'Status must be "To Do", "In Progress", or "Done"',
+        error: describeStatuses(workflow),
       });
     }
 
-    const updateData = {
-      title: title.trim(),
-      description: description ? description.trim() : "",
-      status: status || "To Do",
-      updatedAt: new Date(),
-    };
+    if (status === undefined && !prevId && !nextId) {
+      return res.status(400).json({
+        success: false,
+        error: "Provide a status, prevId or nextId to move the task",
+      });
+    }
 
-    // Update only if task belongs to authenticated user
-    const task = await Task.findOneAndUpdate(
-      {
-        _id: id,
-        userId: req.user._id,
-      },
-      updateData,
-      {
-        new: true, // Return the updated document
-        runValidators: true, // Run schema validators
+    const expected = parseExpectedVersion(req);
+    if (expected.error) {
+      return res.status(400).json({
+        success: false,
+        error: expected.error,
+      });
+    }
+
+    if (status !== undefined && current && req.body.force !== true) {
+      const blockers = await findBlockersOfMove(workflow, current, status);
+      if (blockers.length > 0) {
+        return sendBlocked(res, blockers);
       }
-    ).populate("userId", "username email fullName");
+    }
 
-    if (!task) {
+    let [prev, next] = await findNeighbours(scope, neighbourIds);
+    if ((prevId && !prev) || (nextId && !next)) {
       return res.status(404).json({
         success: false,
-        error: "Task not found or access denied",
+        error: "Neighbouring task not found or access denied",
       });
     }
 
-    res.json(task);
-  } catch (error) {
-    console.error("Error updating task:", error);
-
-    // Handle validation errors
-    if (error.name === "ValidationError") {
-      const validationErrors = Object.values(error.errors).map(
-        (err) => err.message
-      );
-      return res.status(400).json({
+    // The client's view of the order is out of date
+    if (prev && next && !(prev.position < next.position)) {
+      return res.status(409).json({
         success: false,
-        error: "Validation failed",
-        details: validationErrors,
+        error: "Task order has changed, reload and try again",
+        code: "ORDER_CONFLICT",
       });
     }
 
+    let position = positionBetween(prev, next);
+    if (position === null) {
+      await Task.rebalancePositions(scope);
+      [prev, next] = await findNeighbours(scope, neighbourIds);
+      position = positionBetween(prev, next);
+    }
+
+    const updateData = {};
+    if (status !== undefined) updateData.status = status;
+    if (position !== undefined) updateData.position = position;
+
+    // Update only if task belongs to authenticated user and, when the
+    // client sent a version, nobody has changed it since
+    const filter = { _id: id, ...scope, deletedAt: null };
+    if (expected.version !== undefined) {
+      filter.version =
+        expected.version === 0 ? { $in: [0, null] } : expected.version;
+    }
+
+    const previousTask = await Task.findOneAndUpdate(filter, updateData, {
+      new: false,
+      runValidators: true,
+    });
+
+    if (!previousTask) {
+      return sendUpdateMiss(req, res, expected);
+    }
+
+    await recordTaskHistory(req, [
+      {
+        task: previousTask,
+        action: "updated",
+        changes: diffTaskFields(previousTask, updateData),
+      },
+    ]);
+
+    const task = await Task.findById(id).populate(TASK_POPULATE);
+
+    if (isCompletion(workflow, previousTask.status, task.status)) {
+      await createNextOccurrence(req, task, workflow);
+    }
+
+    res.set("ETag", toETag(task));
+    res.json({
+      success: true,
+      task,
+    });
+  } catch (error) {
+    console.error("Error moving task:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to update task",
+      error: "Failed to move task",
       message: error.message,
     });
   }
 });
 
-// DELETE /tasks/:id - Delete a task by ID (only if owned by user)
-router.delete("/:id", async (req, res) => {
+// DELETE /tasks/:id - Move a task to the trash (only if owned by user)
+router.delete("/:id", canWrite, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -214,11 +2960,16 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
-    // Delete only if task belongs to authenticated user
-    const task = await Task.findOneAndDelete({
-      _id: id,
-      userId: req.user._id,
-    });
+    // Trash only if task belongs to authenticated user
+    const task = await Task.findOneAndUpdate(
+      {
+        _id: id,
+        ...workspaceScope(req),
+        deletedAt: null,
+      },
+      { deletedAt: new Date() },
+      { new: true }
+    );
 
     if (!task) {
       return res.status(404).json({
@@ -227,9 +2978,11 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
+    await recordTaskHistory(req, [{ task, action: "deleted" }]);
+
     res.json({
       success: true,
-      message: "Task deleted successfully",
+      message: "Task moved to trash",
       deletedTask: task,
     });
   } catch (error) {
@@ -242,4 +2995,52 @@ router.delete("/:id", async (req, res) => {
   }
 });
 
+// POST /tasks/:id/restore - Take a task back out of the trash
+router.post("/:id/restore", canWrite, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid task ID format",
+      });
+    }
+
+    const task = await Task.findOneAndUpdate(
+      {
+        _id: id,
+        ...workspaceScope(req),
+        deletedAt: { $ne: null },
+      },
+      { deletedAt: null },
+      { new: true }
+    ).populate(TASK_POPULATE);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: "Task not found in trash",
+      });
+    }
+
+    await recordTaskHistory(req, [{ task, action: "restored" }]);
+
+    res.set("ETag", toETag(task));
+    res.json({
+      success: true,
+      message: "Task restored",
+      task,
+    });
+  } catch (error) {
+    console.error("Error restoring task:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to restore task",
+      message: error.message,
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,310 @@
+const express = require("express");
+const router = express.Router();
+const View = require("../models/View");
+const { authenticate } = require("../middleware/auth");
+const { normalizeTagNames, parseTaskListQuery } = require("../utils/taskQuery");
+
+// Apply authentication middleware to all view routes
+router.use(authenticate);
+
+const MAX_VIEWS = 50;
+const FILTER_FIELDS = [
+  "status",
+  "priority",
+  "tags",
+  "tagMatch",
+  "due",
+  "assignee",
+  "q",
+];
+
+// Validate the filters of a view, returning { error } or { filters }.
+// Single values only for status and priority, as the task list edits them.
+const validateFilters = (filters) => {
+  if (typeof filters !== "object" || filters === null) {
+    return { error: "Filters must be an object" };
+  }
+
+  const unknown = Object.keys(filters).filter(
+    (key) => !FILTER_FIELDS.includes(key)
+  );
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown filter ${unknown[0]}, use: ${FILTER_FIELDS.join(", ")}`,
+    };
+  }
+
+  const {
+    status = null,
+    priority = null,
+    due = null,
+    assignee = null,
+    q = "",
+  } = filters;
+  for (const [field, value] of Object.entries({
+    status,
+    priority,
+    due,
+    assignee,
+  })) {
+    if (value !== null && (typeof value !== "string" || value.includes(","))) {
+      return { error: `Filter ${field} must be a single value or null` };
+    }
+  }
+  if (typeof q !== "string") {
+    return { error: "Filter q must be a string" };
+  }
+
+  const tagResult = normalizeTagNames(filters.tags ?? []);
+  if (tagResult.error) {
+    return { error: tagResult.error };
+  }
+
+  return {
+    filters: {
+      status,
+      priority,
+      tags: tagResult.tags,
+      tagMatch: filters.tagMatch ?? "all",
+      due,
+      assignee,
+      q: q.trim(),
+    },
+  };
+};
+
+// Validate a view body on top of `current` (the stored view when updating).
+// Filters and sort are checked the same way GET /tasks checks its query.
+// Returns { error } or { values } with only the supplied fields.
+const validateViewInput = (body, current = {}) => {
+  const values = {};
+
+  if (body.name !== undefined || !current.name) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { error: "View name is required" };
+    }
+    if (body.name.trim().length > 50) {
+      return { error: "View name cannot exceed 50 characters" };
+    }
+    values.name = body.name.trim();
+  }
+
+  if (body.filters !== undefined) {
+    const result = validateFilters(body.filters);
+    if (result.error) return { error: result.error };
+    values.filters = result.filters;
+  }
+
+  ["sortBy", "sortOrder", "layout"].forEach((field) => {
+    if (body[field] !== undefined) values[field] = body[field];
+  });
+
+  if (values.layout !== undefined && !View.LAYOUTS.includes(values.layout)) {
+    return { error: `Layout must be one of: ${View.LAYOUTS.join(", ")}` };
+  }
+
+  const filters = values.filters || current.filters || {};
+  const parsed = parseTaskListQuery({
+    status: filters.status || undefined,
+    priority: filters.priority || undefined,
+    tags: filters.tags?.length ? filters.tags.join(",") : undefined,
+    tagMatch: filters.tagMatch,
+    due: filters.due || undefined,
+    assignee: filters.assignee || undefined,
+    q: filters.q || undefined,
+    sortBy: values.sortBy ?? current.sortBy,
+    sortOrder: values.sortOrder ?? current.sortOrder,
+  });
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+
+  return { values };
+};
+
+const sendViewExists = (res) =>
+  res.status(409).json({
+    success: false,
+    error: "A view with this name already exists",
+    code: "VIEW_EXISTS",
+  });
+
+// Find another view of this user with the same name, ignoring case
+const findConflictingView = (userId, name, excludeId) => {
+  const filter = { userId, name };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return View.findOne(filter).collation(View.COLLATION);
+};
+
+// GET /views - Retrieve the user's saved views, by name
+router.get("/", async (req, res) => {
+  try {
+    const views = await View.find({ userId: req.user._id })
+      .sort({ name: 1 })
+      .collation(View.COLLATION);
+
+    res.json({
+      success: true,
+      views,
+    });
+  } catch (error) {
+    console.error("Error fetching views:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch views",
+      message: error.message,
+    });
+  }
+});
+
+// POST /views - Save a new view
+router.post("/", async (req, res) => {
+  try {
+    const { values, error } = validateViewInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const viewCount = await View.countDocuments({ userId: req.user._id });
+    if (viewCount >= MAX_VIEWS) {
+      return res.status(400).json({
+        success: false,
+        error: `You cannot have more than ${MAX_VIEWS} saved views`,
+      });
+    }
+
+    if (await findConflictingView(req.user._id, values.name)) {
+      return sendViewExists(res);
+    }
+
+    const view = await View.create({ ...values, userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      view,
+    });
+  } catch (error) {
+    console.error("Error creating view:", error);
+
+    if (error.code === 11000) {
+      return sendViewExists(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to create view",
+      message: error.message,
+    });
+  }
+});
+
+// PUT /views/:id - Rename a view or replace its filters, sort or layout
+router.put("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid view ID format",
+      });
+    }
+
+    const view = await View.findOne({ _id: id, userId: req.user._id });
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        error: "View not found or access denied",
+      });
+    }
+
+    const { values, error } = validateViewInput(req.body, view);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    if (
+      values.name &&
+      (await findConflictingView(req.user._id, values.name, view._id))
+    ) {
+      return sendViewExists(res);
+    }
+
+    view.set(values);
+    await view.save();
+
+    res.json({
+      success: true,
+      view,
+    });
+  } catch (error) {
+    console.error("Error updating view:", error);
+
+    if (error.code === 11000) {
+      return sendViewExists(res);
+    }
+
+    if (error.name === "ValidationError") {
+      const validationErrors = Object.values(error.errors).map(
+        (err) => err.message
+      );
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to update view",
+      message: error.message,
+    });
+  }
+});
+
+// DELETE /views/:id - Delete a saved view (its tasks are untouched)
+router.delete("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid view ID format",
+      });
+    }
+
+    const view = await View.findOneAndDelete({ _id: id, userId: req.user._id });
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        error: "View not found or access denied",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "View deleted successfully",
+      deletedView: view,
+    });
+  } catch (error) {
+    console.error("Error deleting view:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete view",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,307 @@
+const express = require("express");
+const router = express.Router();
+const Workflow = require("../models/Workflow");
+const Task = require("../models/Task");
+const View = require("../models/View");
+const {
+  authenticate,
+  requirePermission,
+  resolveWorkspace,
+  workspaceScope,
+} = require("../middleware/auth");
+const { getWorkflow } = require("../utils/workflow");
+const { diffTaskFields, recordTaskHistory } = require("../utils/taskHistory");
+
+// Apply authentication middleware to all workflow routes
+router.use(authenticate);
+// The workflow is the workspace's named by X-Workspace-Id, if any
+router.use(resolveWorkspace());
+
+// A workspace's workflow is changed by its owner; a personal one by its user
+const canEditWorkflow = (req, res, next) =>
+  requirePermission(req.workspace ? "workspace:manage" : "tasks:write")(
+    req,
+    res,
+    next
+  );
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Validate the statuses of a PUT body against the `current` workflow,
+// returning { error } or { statuses, renamed } where `renamed` maps the old
+// names of kept statuses (matched by _id) to their new ones
+const validateStatuses = (input, current) => {
+  if (
+    !Array.isArray(input) ||
+    input.length === 0 ||
+    input.length > Workflow.MAX_STATUSES
+  ) {
+    return {
+      error: `Provide between 1 and ${Workflow.MAX_STATUSES} statuses`,
+    };
+  }
+
+  const statuses = [];
+  const renamed = new Map();
+  const seenNames = new Set();
+  const seenIds = new Set();
+
+  for (const status of input) {
+    if (!status || typeof status !== "object") {
+      return { error: "Each status must be an object with a name" };
+    }
+
+    const name = typeof status.name === "string" ? status.name.trim() : "";
+    if (!name) {
+      return { error: "Status name is required" };
+    }
+    if (name.length > 30) {
+      return { error: "Status name cannot exceed 30 characters" };
+    }
+    // Commas separate statuses in the ?status= list filter
+    if (name.includes(",")) {
+      return { error: "Status name cannot contain commas" };
+    }
+    if (seenNames.has(name.toLowerCase())) {
+      return { error: `Status "${name}" is listed more than once` };
+    }
+    seenNames.add(name.toLowerCase());
+
+    if (
+      status.color !== undefined &&
+      (typeof status.color !== "string" || !COLOR_PATTERN.test(status.color))
+    ) {
+      return { error: "Color must be a hex value like #3b82f6" };
+    }
+    if (status.terminal !== undefined && typeof status.terminal !== "boolean") {
+      return { error: "Terminal must be true or false" };
+    }
+
+    const value = { name, terminal: status.terminal === true };
+    if (status.color !== undefined) value.color = status.color;
+
+    // A status sent with its _id keeps it, and is renamed if its name changed
+    if (status._id !== undefined) {
+      const existing = current.statuses.find(
+        (s) => s._id.toString() === String(status._id)
+      );
+      if (!existing || seenIds.has(String(status._id))) {
+        return { error: "Unknown status ID" };
+      }
+      seenIds.add(String(status._id));
+      value._id = existing._id;
+      if (existing.name !== name) renamed.set(existing.name, name);
+    }
+
+    statuses.push(value);
+  }
+
+  if (statuses[0].terminal) {
+    return {
+      error: "The first status is where new tasks start and cannot be terminal",
+    };
+  }
+  if (!statuses.some((status) => status.terminal)) {
+    return { error: "At least one status must be terminal" };
+  }
+
+  return { statuses, renamed };
+};
+
+// Aggregation expression for `field` with the names in `mapping` replaced,
+// so one pipeline update can rename statuses even when they swap names
+const renameExpression = (field, mapping) => ({
+  $switch: {
+    branches: [...mapping].map(([from, to]) => ({
+      case: { $eq: [field, from] },
+      then: to,
+    })),
+    default: field,
+  },
+});
+
+// GET /workflow - Retrieve the statuses of the user's (or workspace's) tasks
+router.get("/", async (req, res) => {
+  try {
+    const workflow = await getWorkflow(req);
+
+    res.json({
+      success: true,
+      workflow,
+    });
+  } catch (error) {
+    console.error("Error fetching workflow:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch workflow",
+      message: error.message,
+    });
+  }
+});
+
+// PUT /workflow - Replace the statuses (in order). Body: statuses
+// ([{ _id?, name, color?, terminal? }]; statuses sent without an _id are new),
+// reassign ({ "<removed status>": "<status to move its tasks to>" }).
+// Tasks follow renamed statuses; removing a status that tasks still use
+// needs a reassign entry for it.
+router.put("/", canEditWorkflow, async (req, res) => {
+  try {
+    const current = await getWorkflow(req);
+    const { reassign = {} } = req.body;
+
+    const { statuses, renamed, error } = validateStatuses(
+      req.body.statuses,
+      current
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    if (!reassign || typeof reassign !== "object" || Array.isArray(reassign)) {
+      return res.status(400).json({
+        success: false,
+        error: "reassign must map removed statuses to new ones",
+      });
+    }
+
+    const newNames = statuses.map((status) => status.name);
+    const keptIds = new Set(
+      statuses.filter((s) => s._id).map((s) => s._id.toString())
+    );
+    // A removed status whose name a new one takes keeps its tasks
+    const removedNames = current.statuses
+      .filter((status) => !keptIds.has(status._id.toString()))
+      .map((status) => status.name)
+      .filter((name) => !newNames.includes(name));
+
+    for (const [from, to] of Object.entries(reassign)) {
+      if (!removedNames.includes(from) || !newNames.includes(to)) {
+        return res.status(400).json({
+          success: false,
+          error: "reassign must map removed statuses to new ones",
+        });
+      }
+    }
+
+    // Trashed tasks count too, so they can still be restored
+    const scope = workspaceScope(req);
+    const usage = await Task.aggregate([
+      { $match: { ...scope, status: { $in: removedNames } } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+    const inUse = usage.filter(({ _id }) => !reassign[_id]);
+    if (inUse.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: "Some removed statuses are still used by tasks",
+        code: "STATUS_IN_USE",
+        statuses: inUse.map(({ _id, count }) => ({ name: _id, count })),
+      });
+    }
+
+    // Save the workflow before touching any task, so statuses it rejects
+    // leave tasks and views as they were
+    current.statuses = statuses;
+    await current.save();
+
+    // Move tasks to the new names in one pass, so statuses can swap names.
+    // Reassigned tasks changed status, so they also get a new version.
+    const mapping = new Map([...renamed, ...Object.entries(reassign)]);
+    if (mapping.size > 0) {
+      const reassignedNames = Object.keys(reassign);
+      const liveReassigned = await Task.find({
+        ...scope,
+        status: { $in: reassignedNames },
+        deletedAt: null,
+      });
+
+      const isReassigned = { $in: ["$status", reassignedNames] };
+      await Task.collection.updateMany(
+        { ...scope, status: { $in: [...mapping.keys()] } },
+        [
+          {
+            $set: {
+              version: {
+                $cond: [
+                  isReassigned,
+                  { $add: [{ $ifNull: ["$version", 0] }, 1] },
+                  "$version",
+                ],
+              },
+              updatedAt: {
+                $cond: [isReassigned, "$$NOW", "$updatedAt"],
+              },
+              status: renameExpression("$status", mapping),
+            },
+          },
+        ]
+      );
+
+      await recordTaskHistory(
+        req,
+        liveReassigned.map((task) => ({
+          task,
+          action: "updated",
+          changes: diffTaskFields(task, { status: reassign[task.status] }),
+        }))
+      );
+    }
+
+    // Saved views are the user's own rather than a workspace's, so only
+    // their personal workflow's statuses can be followed in them. Views on a
+    // removed status go back to any status.
+    if (!req.workspace) {
+      const viewMapping = new Map([
+        ...renamed,
+        ...removedNames.map((name) => [name, null]),
+      ]);
+      if (viewMapping.size > 0) {
+        await View.updateMany(
+          {
+            userId: req.user._id,
+            "filters.status": { $in: [...viewMapping.keys()] },
+          },
+          [
+            {
+              $set: {
+                "filters.status": renameExpression(
+                  "$filters.status",
+                  viewMapping
+                ),
+              },
+            },
+          ]
+        );
+      }
+    }
+
+    res.json({
+      success: true,
+      workflow: current,
+    });
+  } catch (error) {
+    console.error("Error updating workflow:", error);
+
+    if (error.name === "ValidationError") {
+      const validationErrors = Object.values(error.errors).map(
+        (err) => err.message
+      );
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to update workflow",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
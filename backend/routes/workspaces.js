@@ -0,0 +1,577 @@
+const express = require("express");
+const router = express.Router();
+const Workspace = require("../models/Workspace");
+const Invitation = require("../models/Invitation");
+const Project = require("../models/Project");
+const Tag = require("../models/Tag");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const Workflow = require("../models/Workflow");
+const {
+  authenticate,
+  requirePermission,
+  requireOwnership,
+  resolveWorkspace,
+} = require("../middleware/auth");
+
+// Apply authentication middleware to all workspace routes
+router.use(authenticate);
+
+const MAX_WORKSPACES = 20;
+const MAX_MEMBERS = 50;
+// Roles that can be given to members; each workspace has exactly one owner
+const ASSIGNABLE_ROLES = ["editor", "viewer"];
+const MEMBER_FIELDS = "username email firstName lastName";
+
+// Routes under /workspaces/:id act on that workspace, if the user is in it
+const loadWorkspace = resolveWorkspace((req) => req.params.id);
+const canManage = requirePermission("workspace:manage");
+
+// Validate a workspace name, returning { error } or { name }
+const validateWorkspaceName = (name) => {
+  if (typeof name !== "string" || !name.trim()) {
+    return { error: "Workspace name is required" };
+  }
+  if (name.trim().length > 50) {
+    return { error: "Workspace name cannot exceed 50 characters" };
+  }
+  return { name: name.trim() };
+};
+
+// Validate a role given to a member or invitation
+const validateRole = (role) =>
+  ASSIGNABLE_ROLES.includes(role)
+    ? { role }
+    : { error: `Role must be one of: ${ASSIGNABLE_ROLES.join(", ")}` };
+
+// The workspace as seen by the requesting user
+const toWorkspaceSummary = (workspace, userId) => ({
+  ...workspace.toJSON(),
+  role: workspace.roleOf(userId),
+  memberCount: workspace.members.length,
+});
+
+// GET /workspaces - Retrieve the workspaces the user belongs to
+router.get("/", async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({
+      "members.userId": req.user._id,
+    }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      workspaces: workspaces.map((workspace) =>
+        toWorkspaceSummary(workspace, req.user._id)
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching workspaces:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch workspaces",
+      message: error.message,
+    });
+  }
+});
+
+// POST /workspaces - Create a workspace owned by the user
+router.post("/", async (req, res) => {
+  try {
+    const { name, error } = validateWorkspaceName(req.body.name);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const workspaceCount = await Workspace.countDocuments({
+      "members.userId": req.user._id,
+    });
+    if (workspaceCount >= MAX_WORKSPACES) {
+      return res.status(400).json({
+        success: false,
+        error: `You cannot belong to more than ${MAX_WORKSPACES} workspaces`,
+      });
+    }
+
+    const workspace = await Workspace.create({
+      name,
+      ownerId: req.user._id,
+      members: [{ userId: req.user._id, role: "owner" }],
+    });
+
+    res.status(201).json({
+      success: true,
+      workspace: toWorkspaceSummary(workspace, req.user._id),
+    });
+  } catch (error) {
+    console.error("Error creating workspace:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create workspace",
+      message: error.message,
+    });
+  }
+});
+
+// GET /workspaces/invitations - Pending invitations sent to the user's email
+router.get("/invitations", async (req, res) => {
+  try {
+    const invitations = await Invitation.find({
+      email: req.user.email,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ createdAt: -1 })
+      .populate("workspaceId", "name")
+      .populate("invitedBy", MEMBER_FIELDS);
+
+    res.json({
+      success: true,
+      // Skip invitations whose workspace has since been deleted
+      invitations: invitations.filter((invitation) => invitation.workspaceId),
+    });
+  } catch (error) {
+    console.error("Error fetching invitations:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch invitations",
+      message: error.message,
+    });
+  }
+});
+
+// POST /workspaces/invitations/:token/accept - Join a workspace through an
+// invitation. Email invitations are used up; link invitations stay valid
+// until they expire or are revoked.
+router.post("/invitations/:token/accept", async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({
+      token: req.params.token,
+      expiresAt: { $gt: new Date() },
+    });
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: "Invitation not found or expired",
+        code: "INVITATION_NOT_FOUND",
+      });
+    }
+
+    if (invitation.email && invitation.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        error: "This invitation was sent to a different email address",
+        code: "INVITATION_EMAIL_MISMATCH",
+      });
+    }
+
+    const workspace = await Workspace.findById(invitation.workspaceId);
+    if (!workspace) {
+      await invitation.deleteOne();
+      return res.status(404).json({
+        success: false,
+        error: "Invitation not found or expired",
+        code: "INVITATION_NOT_FOUND",
+      });
+    }
+
+    if (!workspace.roleOf(req.user._id)) {
+      if (workspace.members.length >= MAX_MEMBERS) {
+        return res.status(400).json({
+          success: false,
+          error: `A workspace cannot have more than ${MAX_MEMBERS} members`,
+        });
+      }
+      workspace.members.push({ userId: req.user._id, role: invitation.role });
+      await workspace.save();
+    }
+
+    if (invitation.email) {
+      await invitation.deleteOne();
+    }
+
+    res.json({
+      success: true,
+      message: `Joined ${workspace.name}`,
+      workspace: toWorkspaceSummary(workspace, req.user._id),
+    });
+  } catch (error) {
+    console.error("Error accepting invitation:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to accept invitation",
+      message: error.message,
+    });
+  }
+});
+
+// DELETE /workspaces/invitations/:token - Decline an invitation sent to the
+// user's email
+router.delete("/invitations/:token", async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndDelete({
+      token: req.params.token,
+      email: req.user.email,
+    });
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: "Invitation not found or expired",
+        code: "INVITATION_NOT_FOUND",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Invitation declined",
+    });
+  } catch (error) {
+    console.error("Error declining invitation:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to decline invitation",
+      message: error.message,
+    });
+  }
+});
+
+// GET /workspaces/:id - Retrieve a workspace with its members
+router.get("/:id", loadWorkspace, async (req, res) => {
+  try {
+    await req.workspace.populate("members.userId", MEMBER_FIELDS);
+
+    res.json({
+      success: true,
+      workspace: toWorkspaceSummary(req.workspace, req.user._id),
+    });
+  } catch (error) {
+    console.error("Error fetching workspace:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch workspace",
+      message: error.message,
+    });
+  }
+});
+
+// PUT /workspaces/:id - Rename a workspace
+router.put("/:id", loadWorkspace, canManage, async (req, res) => {
+  try {
+    const { name, error } = validateWorkspaceName(req.body.name);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    req.workspace.name = name;
+    await req.workspace.save();
+
+    res.json({
+      success: true,
+      workspace: toWorkspaceSummary(req.workspace, req.user._id),
+    });
+  } catch (error) {
+    console.error("Error updating workspace:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update workspace",
+      message: error.message,
+    });
+  }
+});
+
+// DELETE /workspaces/:id - Delete a workspace (owner only). Its tasks move
+// to the owner's personal trash so they can still be restored; its projects,
+// invitations, tags and workflow are removed.
+router.delete(
+  "/:id",
+  loadWorkspace,
+  requireOwnership((req) => req.workspace.ownerId),
+  async (req, res) => {
+    try {
+      const { workspace } = req;
+      const scope = { workspaceId: workspace._id };
+
+      const result = await Task.moveWorkspaceToOwner(
+        workspace._id,
+        workspace.ownerId
+      );
+
+      // The moved tasks keep their tags, so the names join the owner's
+      // personal catalogue
+      const tagNames = await Tag.find(scope).distinct("name");
+      await Tag.resolveNames(
+        { userId: workspace.ownerId, workspaceId: null },
+        tagNames
+      );
+
+      await Promise.all([
+        Project.deleteMany(scope),
+        Invitation.deleteMany(scope),
+        Tag.deleteMany(scope),
+        Workflow.deleteMany(scope),
+      ]);
+      await workspace.deleteOne();
+
+      res.json({
+        success: true,
+        message: "Workspace deleted and its tasks moved to your trash",
+        deletedWorkspace: workspace,
+        tasksMoved: result.modifiedCount,
+      });
+    } catch (error) {
+      console.error("Error deleting workspace:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to delete workspace",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// PUT /workspaces/:id/members/:userId - Change a member's role
+// Body: role (editor or viewer)
+router.put(
+  "/:id/members/:userId",
+  loadWorkspace,
+  canManage,
+  async (req, res) => {
+    try {
+      const { role, error } = validateRole(req.body.role);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error,
+        });
+      }
+
+      const member = req.workspace.members.find(
+        (item) => item.userId.toString() === req.params.userId
+      );
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          error: "Member not found",
+        });
+      }
+      if (member.role === "owner") {
+        return res.status(400).json({
+          success: false,
+          error: "The owner's role cannot be changed",
+        });
+      }
+
+      member.role = role;
+      await req.workspace.save();
+      // Viewers can't be assigned, as they couldn't work on the task
+      if (role === "viewer") {
+        await Task.unassignFromWorkspace(req.workspace._id, member.userId);
+      }
+      await req.workspace.populate("members.userId", MEMBER_FIELDS);
+
+      res.json({
+        success: true,
+        workspace: toWorkspaceSummary(req.workspace, req.user._id),
+      });
+    } catch (error) {
+      console.error("Error updating member:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to update member",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// DELETE /workspaces/:id/members/:userId - Remove a member. Members may
+// remove themselves (leave); removing others needs the manage permission.
+// Tasks they created stay in the workspace; they are taken off the tasks
+// assigned to them.
+router.delete(
+  "/:id/members/:userId",
+  loadWorkspace,
+  (req, res, next) =>
+    req.params.userId === req.user._id.toString()
+      ? next()
+      : canManage(req, res, next),
+  async (req, res) => {
+    try {
+      const role = req.workspace.roleOf(req.params.userId);
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          error: "Member not found",
+        });
+      }
+      if (role === "owner") {
+        return res.status(400).json({
+          success: false,
+          error: "The owner cannot leave; delete the workspace instead",
+        });
+      }
+
+      req.workspace.members = req.workspace.members.filter(
+        (item) => item.userId.toString() !== req.params.userId
+      );
+      await req.workspace.save();
+      await Task.unassignFromWorkspace(req.workspace._id, req.params.userId);
+
+      res.json({
+        success: true,
+        message:
+          req.params.userId === req.user._id.toString()
+            ? "You left the workspace"
+            : "Member removed",
+      });
+    } catch (error) {
+      console.error("Error removing member:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to remove member",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// GET /workspaces/:id/invitations - Pending invitations to a workspace
+router.get("/:id/invitations", loadWorkspace, canManage, async (req, res) => {
+  try {
+    const invitations = await Invitation.find({
+      workspaceId: req.workspace._id,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ createdAt: -1 })
+      .populate("invitedBy", MEMBER_FIELDS);
+
+    res.json({
+      success: true,
+      invitations,
+    });
+  } catch (error) {
+    console.error("Error fetching invitations:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch invitations",
+      message: error.message,
+    });
+  }
+});
+
+// POST /workspaces/:id/invitations - Invite someone to a workspace
+// Body: email (optional; omit to create a shareable link), role
+router.post("/:id/invitations", loadWorkspace, canManage, async (req, res) => {
+  try {
+    const { role = "editor" } = req.body;
+    const email =
+      typeof req.body.email === "string"
+        ? req.body.email.trim().toLowerCase()
+        : "";
+
+    const roleCheck = validateRole(role);
+    if (roleCheck.error) {
+      return res.status(400).json({
+        success: false,
+        error: roleCheck.error,
+      });
+    }
+
+    if (email) {
+      const isMember = await User.exists({
+        _id: { $in: req.workspace.members.map((member) => member.userId) },
+        email,
+      });
+      if (isMember) {
+        return res.status(409).json({
+          success: false,
+          error: "This person is already a member",
+          code: "ALREADY_MEMBER",
+        });
+      }
+
+      // Re-inviting the same address replaces the earlier invitation
+      await Invitation.deleteMany({ workspaceId: req.workspace._id, email });
+    }
+
+    const invitation = await Invitation.create({
+      workspaceId: req.workspace._id,
+      email: email || null,
+      role,
+      invitedBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      invitation,
+    });
+  } catch (error) {
+    console.error("Error creating invitation:", error);
+
+    if (error.name === "ValidationError") {
+      const validationErrors = Object.values(error.errors).map(
+        (err) => err.message
+      );
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: validationErrors,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to create invitation",
+      message: error.message,
+    });
+  }
+});
+
+// DELETE /workspaces/:id/invitations/:invitationId - Revoke an invitation
+router.delete(
+  "/:id/invitations/:invitationId",
+  loadWorkspace,
+  canManage,
+  async (req, res) => {
+    try {
+      const { invitationId } = req.params;
+
+      // Validate ObjectId format
+      if (!invitationId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid invitation ID format",
+        });
+      }
+
+      const invitation = await Invitation.findOneAndDelete({
+        _id: invitationId,
+        workspaceId: req.workspace._id,
+      });
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          error: "Invitation not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Invitation revoked",
+      });
+    } catch (error) {
+      console.error("Error revoking invitation:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to revoke invitation",
+        message: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -4,7 +4,15 @@ const dotenv = require("dotenv");
 const connectDB = require("./config/database");
 const taskRoutes = require("./routes/tasks");
 const authRoutes = require("./routes/auth");
+const tagRoutes = require("./routes/tags");
+const viewRoutes = require("./routes/views");
+const projectRoutes = require("./routes/projects");
+const workspaceRoutes = require("./routes/workspaces");
+const workflowRoutes = require("./routes/workflow");
 const errorHandler = require("./middleware/errorHandler");
+const Task = require("./models/Task");
+const Tag = require("./models/Tag");
+const { startTrashPurge } = require("./utils/trash");
 
 // Load environment variables
 dotenv.config();
@@ -15,10 +23,29 @@ const app = express();
 // Get port from environment or default to 5000
 const PORT = process.env.PORT || 5000;
 
-// Connect to MongoDB (non-blocking)
-connectDB().catch((err) => {
-  console.error("⚠️  Starting server without database connection");
-});
+// Start purging expired trash and backfill fields added since
+const runStartupMaintenance = async () => {
+  startTrashPurge();
+  await Promise.all([
+    Task.backfillPriority(),
+    Task.backfillPositions(),
+    Task.dropTrashTtlIndex(),
+    Tag.dropLegacyNameIndex().then(() => Tag.backfillWorkspaceTags()),
+  ]);
+};
+
+// Connect to MongoDB (non-blocking), then run the startup maintenance. Its
+// failures are reported on their own: the database is connected by then.
+connectDB()
+  .then((conn) => {
+    if (!conn) return;
+    runStartupMaintenance().catch((err) => {
+      console.error("Error running startup maintenance:", err);
+    });
+  })
+  .catch((err) => {
+    console.error("⚠️  Starting server without database connection");
+  });
 
 // CORS configuration
 const corsOptions = {
@@ -57,8 +84,15 @@ const corsOptions = {
     callback(new Error("Not allowed by CORS"));
   },
   credentials: true,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "X-Requested-With",
+    "If-Match",
+    "X-Workspace-Id",
+  ],
+  exposedHeaders: ["ETag"],
 };
 
 // Middleware
@@ -75,10 +109,13 @@ app.options("*", (req, res) => {
   ) {
     res.header("Access-Control-Allow-Origin", origin);
     res.header("Access-Control-Allow-Credentials", "true");
-    res.header("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
+    res.header(
+      "Access-Control-Allow-Methods",
+      "GET,POST,PUT,PATCH,DELETE,OPTIONS"
+    );
     res.header(
       "Access-Control-Allow-Headers",
-      "Content-Type,Authorization,X-Requested-With"
+      "Content-Type,Authorization,X-Requested-With,If-Match,X-Workspace-Id"
     );
   }
   res.status(200).send();
@@ -110,6 +147,11 @@ app.get("/health", (req, res) => {
 // API routes
 app.use("/api/auth", authRoutes);
 app.use("/api/tasks", taskRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/views", viewRoutes);
+app.use("/api/projects", projectRoutes);
+app.use("/api/workspaces", workspaceRoutes);
+app.use("/api/workflow", workflowRoutes);
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -123,11 +165,112 @@ app.get("/", (req, res) => {
       "POST /api/auth/logout": "User logout",
       "GET /api/auth/me": "Get current user profile",
       "GET /api/auth/sessions": "Get active sessions",
-      "GET /api/tasks": "Get user's tasks (auth required)",
+      "PATCH /api/auth/preferences": "Update task preferences",
+      "GET /api/tasks":
+        "Get user's tasks, searched, filtered, sorted and paginated (auth required)",
       "POST /api/tasks": "Create a new task (auth required)",
+      "POST /api/tasks/bulk":
+        "Change status, delete or retag several tasks (auth required)",
+      "GET /api/tasks/assignees":
+        "List users tasks can be assigned to (auth required)",
       "GET /api/tasks/:id": "Get task by ID (auth required)",
+      "GET /api/tasks/:id/history": "Get task change history (auth required)",
       "PUT /api/tasks/:id": "Update task by ID (auth required)",
-      "DELETE /api/tasks/:id": "Delete task by ID (auth required)",
+      "PATCH /api/tasks/:id":
+        "Update only the supplied task fields (auth required)",
+      "POST /api/tasks/:id/move":
+        "Move a task to another status or position (auth required)",
+      "DELETE /api/tasks/:id": "Move task to the trash (auth required)",
+      "GET /api/tasks/trash": "Get user's trashed tasks (auth required)",
+      "POST /api/tasks/:id/restore":
+        "Restore a task from the trash (auth required)",
+      "DELETE /api/tasks/trash/:id":
+        "Permanently delete a trashed task (auth required)",
+      "DELETE /api/tasks/trash": "Empty the trash (auth required)",
+      "POST /api/tasks/:id/attachments":
+        "Attach files to a task (auth required)",
+      "GET /api/tasks/:id/attachments/:attachmentId":
+        "Download an attachment (auth required)",
+      "DELETE /api/tasks/:id/attachments/:attachmentId":
+        "Remove an attachment (auth required)",
+      "POST /api/tasks/:id/dependencies":
+        "Mark a task as blocked by another (auth required)",
+      "DELETE /api/tasks/:id/dependencies/:blockerId":
+        "Remove a blocked-by link (auth required)",
+      "GET /api/tasks/:id/comments": "Get a task's comments (auth required)",
+      "POST /api/tasks/:id/comments": "Comment on a task (auth required)",
+      "PUT /api/tasks/:id/comments/:commentId":
+        "Edit your own comment (auth required)",
+      "DELETE /api/tasks/:id/comments/:commentId":
+        "Delete your own comment (auth required)",
+      "GET /api/tasks/stats": "Get task statistics (auth required)",
+      "GET /api/tasks/export": "Download tasks as CSV or JSON (auth required)",
+      "GET /api/tasks/timer": "Get your running timer (auth required)",
+      "POST /api/tasks/:id/timer": "Start a timer on a task (auth required)",
+      "DELETE /api/tasks/:id/timer":
+        "Stop your timer on a task (auth required)",
+      "GET /api/tasks/:id/time-entries":
+        "Get a task's time entries (auth required)",
+      "POST /api/tasks/:id/time-entries":
+        "Add time spent on a task (auth required)",
+      "PUT /api/tasks/:id/time-entries/:entryId":
+        "Edit your own time entry (auth required)",
+      "DELETE /api/tasks/:id/time-entries/:entryId":
+        "Delete your own time entry (auth required)",
+      "POST /api/tasks/:id/checklist":
+        "Add a checklist item to a task (auth required)",
+      "PATCH /api/tasks/:id/checklist/:itemId":
+        "Edit or check off a checklist item (auth required)",
+      "PUT /api/tasks/:id/checklist/order":
+        "Reorder a task's checklist (auth required)",
+      "DELETE /api/tasks/:id/checklist/:itemId":
+        "Remove a checklist item (auth required)",
+      "GET /api/tags": "Get user's tags with usage counts (auth required)",
+      "POST /api/tags": "Create a new tag (auth required)",
+      "PUT /api/tags/:id":
+        "Rename or recolour a tag and its tasks (auth required)",
+      "DELETE /api/tags/:id":
+        "Delete a tag and remove it from tasks (auth required)",
+      "GET /api/views": "Get user's saved views (auth required)",
+      "POST /api/views":
+        "Save a filter, sort and layout as a view (auth required)",
+      "PUT /api/views/:id": "Update a saved view (auth required)",
+      "DELETE /api/views/:id": "Delete a saved view (auth required)",
+      "GET /api/projects":
+        "Get user's projects with task counts (auth required)",
+      "POST /api/projects": "Create a new project (auth required)",
+      "PUT /api/projects/:id":
+        "Rename, recolour or archive a project (auth required)",
+      "DELETE /api/projects/:id":
+        "Delete a project, moving or trashing its tasks (auth required)",
+      "GET /api/workspaces":
+        "Get the workspaces the user belongs to (auth required)",
+      "POST /api/workspaces": "Create a workspace (auth required)",
+      "GET /api/workspaces/:id":
+        "Get a workspace with its members (member only)",
+      "PUT /api/workspaces/:id": "Rename a workspace (owner only)",
+      "DELETE /api/workspaces/:id":
+        "Delete a workspace, trashing its tasks (owner only)",
+      "PUT /api/workspaces/:id/members/:userId":
+        "Change a member's role (owner only)",
+      "DELETE /api/workspaces/:id/members/:userId":
+        "Remove a member, or leave a workspace (auth required)",
+      "GET /api/workspaces/:id/invitations":
+        "Get a workspace's pending invitations (owner only)",
+      "POST /api/workspaces/:id/invitations":
+        "Invite someone by email or create an invite link (owner only)",
+      "DELETE /api/workspaces/:id/invitations/:invitationId":
+        "Revoke an invitation (owner only)",
+      "GET /api/workspaces/invitations":
+        "Get invitations sent to the user's email (auth required)",
+      "POST /api/workspaces/invitations/:token/accept":
+        "Join a workspace through an invitation (auth required)",
+      "DELETE /api/workspaces/invitations/:token":
+        "Decline an invitation (auth required)",
+      "GET /api/workflow":
+        "Get the statuses of the user's or workspace's tasks (auth required)",
+      "PUT /api/workflow":
+        "Rename, reorder, add or remove statuses (auth required; owner in a workspace)",
     },
   });
 });
@@ -0,0 +1,199 @@
+const { test, describe, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Task = require("../models/Task");
+const Tag = require("../models/Tag");
+const Project = require("../models/Project");
+const TaskHistory = require("../models/TaskHistory");
+const User = require("../models/User");
+const Workflow = require("../models/Workflow");
+const Workspace = require("../models/Workspace");
+const tasksRouter = require("../routes/tasks");
+const { newId, matches, withObjectId, createResponse } = require("./helpers");
+
+const owner = newId();
+const member = newId();
+const stranger = newId();
+
+// The owner shares a workspace with `member` but not with `stranger`
+const workspace = new Workspace({
+  name: "Team",
+  ownerId: owner,
+  members: [
+    { userId: owner, role: "owner" },
+    { userId: member, role: "editor" },
+  ],
+});
+
+let tasks;
+
+// The handler of PATCH /tasks/:id, past the authentication middleware
+const patchHandler = tasksRouter.stack
+  .find((layer) => layer.route?.path === "/:id" && layer.route.methods.patch)
+  .route.stack.at(-1).handle;
+
+// PATCH `task` as `userId`, outside any workspace
+const patch = async (userId, task, body) => {
+  const req = {
+    user: { _id: userId },
+    workspace: null,
+    workspaceRole: null,
+    params: { id: task._id.toString() },
+    body,
+    get: () => undefined,
+  };
+  const res = createResponse();
+  await patchHandler(req, res);
+  return res;
+};
+
+const findTask = (filter) =>
+  tasks.find((doc) => matches(withObjectId(filter), doc)) || null;
+
+// A personal task of the owner's, assigned to `member`
+const assignedTask = (fields) => ({
+  _id: newId(),
+  title: "Shared chore",
+  userId: owner,
+  workspaceId: null,
+  projectId: null,
+  assigneeIds: [member],
+  status: "To Do",
+  tags: [],
+  blockedBy: [],
+  deletedAt: null,
+  ...fields,
+});
+
+beforeEach(() => {
+  mock.method(Task, "findOne", (filter) => {
+    const query = {
+      select: () => query,
+      lean: async () => findTask(filter),
+    };
+    return query;
+  });
+  mock.method(Task, "findOneAndUpdate", async (filter, update) => {
+    const found = findTask(filter);
+    if (!found) return null;
+    const previous = { ...found };
+    Object.assign(found, update);
+    return previous;
+  });
+  mock.method(Task, "findById", (id) => ({
+    populate: async () => findTask({ _id: id.toString() }),
+  }));
+  mock.method(Workflow, "forScope", async (scope) => {
+    return new Workflow({ ...scope, statuses: Workflow.DEFAULT_STATUSES });
+  });
+  mock.method(Workspace, "find", (filter) => {
+    const query = {
+      select: () => query,
+      lean: async () =>
+        [workspace.toObject()].filter((doc) => matches(filter, doc)),
+    };
+    return query;
+  });
+  mock.method(User, "countDocuments", async (filter) => filter._id.$in.length);
+  mock.method(Project, "findOne", () => {
+    throw new Error("the project should not be looked up");
+  });
+  mock.method(Tag, "resolveNames", async (scope, names) => names);
+  mock.method(TaskHistory, "insertMany", async () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("PATCH /tasks/:id on an assigned personal task", () => {
+  test("an assignee cannot move it into another project", async () => {
+    const task = assignedTask();
+    tasks = [task];
+
+    const res = await patch(member, task, { projectId: newId().toString() });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(
+      res.body.error,
+      "Only the task's owner can change its project"
+    );
+    assert.equal(task.projectId, null);
+  });
+
+  test("an assignee can send the project the task already has", async () => {
+    const projectId = newId();
+    const task = assignedTask({ projectId });
+    tasks = [task];
+
+    const res = await patch(member, task, {
+      title: "Renamed chore",
+      projectId: projectId.toString(),
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(task.title, "Renamed chore");
+    assert.equal(task.projectId, projectId);
+  });
+
+  test("an assignee cannot bring in users outside the owner's workspaces", async () => {
+    const task = assignedTask();
+    tasks = [task];
+
+    const res = await patch(member, task, {
+      assigneeIds: [member.toString(), stranger.toString()],
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(
+      res.body.error,
+      "Assignees must be the task's owner or members of the owner's workspaces"
+    );
+    assert.deepEqual(task.assigneeIds, [member]);
+  });
+
+  test("assignees are checked against the owner's workspaces", async () => {
+    const task = assignedTask({ assigneeIds: [] });
+    tasks = [task];
+
+    const res = await patch(owner, task, {
+      assigneeIds: [owner.toString(), member.toString()],
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(task.assigneeIds, [owner.toString(), member.toString()]);
+  });
+
+  test("the owner cannot assign users outside their workspaces", async () => {
+    const task = assignedTask();
+    tasks = [task];
+
+    const res = await patch(owner, task, {
+      assigneeIds: [stranger.toString()],
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(task.assigneeIds, [member]);
+  });
+
+  test("users already assigned may stay", async () => {
+    const task = assignedTask({ assigneeIds: [member, stranger] });
+    tasks = [task];
+
+    const res = await patch(member, task, {
+      assigneeIds: [stranger.toString()],
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(task.assigneeIds, [stranger.toString()]);
+  });
+
+  test("an assignee's new tags go into the owner's catalogue", async () => {
+    const task = assignedTask();
+    tasks = [task];
+
+    const res = await patch(member, task, { tags: ["errand"] });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(task.tags, ["errand"]);
+    const [scope] = Tag.resolveNames.mock.calls[0].arguments;
+    assert.deepEqual(scope, { userId: owner, workspaceId: null });
+  });
+});
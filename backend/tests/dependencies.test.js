@@ -0,0 +1,176 @@
+const { test, describe, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Task = require("../models/Task");
+const TaskHistory = require("../models/TaskHistory");
+const Workflow = require("../models/Workflow");
+const tasksRouter = require("../routes/tasks");
+const {
+  findBlockersOfMove,
+  createsDependencyCycle,
+} = require("../utils/dependencies");
+const { newId, matches, withObjectId, createResponse } = require("./helpers");
+
+const workflow = new Workflow({
+  userId: newId(),
+  workspaceId: null,
+  statuses: Workflow.DEFAULT_STATUSES,
+});
+let tasks;
+
+const task = (fields) => ({
+  _id: newId(),
+  status: "To Do",
+  blockedBy: [],
+  deletedAt: null,
+  ...fields,
+});
+
+beforeEach(() => {
+  mock.method(Task, "find", (filter) => {
+    const query = {
+      select: () => query,
+      lean: async () => tasks.filter((doc) => matches(filter, doc)),
+    };
+    return query;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("createsDependencyCycle", () => {
+  test("refuses a task blocking itself", async () => {
+    const own = task();
+    tasks = [own];
+
+    assert.equal(await createsDependencyCycle(own._id, own._id), true);
+  });
+
+  test("finds a task already waiting on the other directly or through others", async () => {
+    const first = task();
+    const second = task({ blockedBy: [first._id] });
+    const third = task({ blockedBy: [second._id] });
+    tasks = [first, second, third];
+
+    assert.equal(await createsDependencyCycle(first._id, second._id), true);
+    assert.equal(await createsDependencyCycle(first._id, third._id), true);
+  });
+
+  test("allows links that close no loop", async () => {
+    const first = task();
+    const second = task({ blockedBy: [first._id] });
+    const third = task({ blockedBy: [first._id, second._id] });
+    tasks = [first, second, third];
+
+    assert.equal(await createsDependencyCycle(third._id, first._id), false);
+    assert.equal(await createsDependencyCycle(second._id, first._id), false);
+  });
+
+  test("stops on loops that do not involve the task", async () => {
+    const target = task();
+    const first = task();
+    const second = task({ blockedBy: [first._id] });
+    first.blockedBy = [second._id];
+    tasks = [target, first, second];
+
+    assert.equal(await createsDependencyCycle(target._id, first._id), false);
+    // One query per level: the blocker, then its blocker
+    assert.equal(Task.find.mock.callCount(), 2);
+  });
+});
+
+describe("findBlockersOfMove", () => {
+  test("returns the unfinished live blockers of a task leaving the first status", async () => {
+    const open = task({ status: "In Progress" });
+    const done = task({ status: "Done" });
+    const trashed = task({ deletedAt: new Date() });
+    const blocked = task({ blockedBy: [open._id, done._id, trashed._id] });
+    tasks = [open, done, trashed, blocked];
+
+    assert.deepEqual(await findBlockersOfMove(workflow, blocked, "Done"), [
+      open,
+    ]);
+  });
+
+  test("lets blocked tasks move into the first status or stay where they are", async () => {
+    const open = task();
+    const blocked = task({ status: "In Progress", blockedBy: [open._id] });
+    tasks = [open, blocked];
+
+    assert.deepEqual(await findBlockersOfMove(workflow, blocked, "To Do"), []);
+    assert.deepEqual(
+      await findBlockersOfMove(workflow, blocked, "In Progress"),
+      []
+    );
+  });
+});
+
+describe("POST /tasks/:id/dependencies", () => {
+  const owner = newId();
+  const assignee = newId();
+
+  // The handler of the route, past the authentication middleware
+  const linkHandler = tasksRouter.stack
+    .find(
+      (layer) =>
+        layer.route?.path === "/:id/dependencies" && layer.route.methods.post
+    )
+    .route.stack.at(-1).handle;
+
+  // Ask, as `userId` outside any workspace, for `blocked` to wait on `blocker`
+  const link = async (userId, blocked, blocker) => {
+    const req = {
+      user: { _id: userId },
+      workspace: null,
+      workspaceRole: null,
+      params: { id: blocked._id.toString() },
+      body: { blockerId: blocker._id.toString() },
+      get: () => undefined,
+    };
+    const res = createResponse();
+    await linkHandler(req, res);
+    return res;
+  };
+
+  // A personal task document, as Task.findOne would load it
+  const personalTask = (fields) =>
+    task({
+      workspaceId: null,
+      assigneeIds: [],
+      save: async () => {},
+      populate: async () => {},
+      ...fields,
+    });
+
+  beforeEach(() => {
+    mock.method(Task, "findOne", (filter) => {
+      const found =
+        tasks.find((doc) => matches(withObjectId(filter), doc)) || null;
+      const query = Promise.resolve(found);
+      query.select = () => query;
+      return query;
+    });
+    mock.method(TaskHistory, "insertMany", async () => {});
+  });
+
+  test("an assignee cannot make the owner's task wait on their own task", async () => {
+    const blocked = personalTask({ userId: owner, assigneeIds: [assignee] });
+    const own = personalTask({ userId: assignee });
+    tasks = [blocked, own];
+
+    const res = await link(assignee, blocked, own);
+
+    assert.equal(res.statusCode, 404);
+    assert.deepEqual(blocked.blockedBy, []);
+  });
+
+  test("an assignee can link two of the owner's tasks they can see", async () => {
+    const blocked = personalTask({ userId: owner, assigneeIds: [assignee] });
+    const blocker = personalTask({ userId: owner, assigneeIds: [assignee] });
+    tasks = [blocked, blocker];
+
+    const res = await link(assignee, blocked, blocker);
+
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(blocked.blockedBy, [blocker._id]);
+  });
+});
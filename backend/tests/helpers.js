@@ -0,0 +1,73 @@
+// Shared test helpers. There is no MongoDB server in the test run: queries
+// and updates are evaluated in memory by mingo, which follows MongoDB's
+// semantics, against plain documents.
+const mongoose = require("mongoose");
+const { Query, updateMany } = require("mingo");
+
+const newId = () => new mongoose.Types.ObjectId();
+
+// Whether a query filter matches a document
+const matches = (filter, doc) => new Query(filter).test(doc);
+
+// Apply an update (operators or pipeline) to the matching documents, in
+// place, the way Model.updateMany would
+const applyUpdate = (docs, filter, update) => {
+  const originals = [...docs];
+  const result = updateMany(docs, filter, update);
+  // Pipeline updates replace the documents; copy the result back so tests
+  // holding a document see the change
+  docs.forEach((doc, index) => {
+    const original = originals[index];
+    if (doc === original) return;
+    for (const key of Object.keys(original)) delete original[key];
+    docs[index] = Object.assign(original, doc);
+  });
+  return { modifiedCount: result.modifiedCount };
+};
+
+// A copy of `filter` with a string _id (as route parameters arrive) turned
+// into an ObjectId, so it matches stored documents
+const withObjectId = (filter) =>
+  typeof filter._id === "string"
+    ? { ...filter, _id: new mongoose.Types.ObjectId(filter._id) }
+    : filter;
+
+// Remove the matching documents, in place, the way Model.deleteMany would
+const removeMatching = (docs, filter) => {
+  const query = new Query(filter);
+  const before = docs.length;
+  const kept = docs.filter((doc) => !query.test(doc));
+  docs.splice(0, docs.length, ...kept);
+  return { deletedCount: before - kept.length };
+};
+
+// A minimal Express response recording what the handler sent
+const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+};
+
+module.exports = {
+  newId,
+  matches,
+  withObjectId,
+  applyUpdate,
+  removeMatching,
+  createResponse,
+};
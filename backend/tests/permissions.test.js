@@ -0,0 +1,212 @@
+const { test, describe, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Task = require("../models/Task");
+const Workflow = require("../models/Workflow");
+const Workspace = require("../models/Workspace");
+const {
+  requirePermission,
+  workspaceScope,
+  visibleScope,
+} = require("../middleware/auth");
+const { newId, matches, applyUpdate, createResponse } = require("./helpers");
+
+const owner = newId();
+const editor = newId();
+const viewer = newId();
+const outsider = newId();
+
+const workspace = new Workspace({
+  name: "Team",
+  ownerId: owner,
+  members: [
+    { userId: owner, role: "owner" },
+    { userId: editor, role: "editor" },
+    { userId: viewer, role: "viewer" },
+  ],
+});
+
+// A request from `userId`, in `workspace` when given
+const requestFor = (userId, inWorkspace = null) => ({
+  user: { _id: userId },
+  workspace: inWorkspace,
+  workspaceRole: inWorkspace ? inWorkspace.roleOf(userId) : null,
+});
+
+const task = (fields) => ({
+  _id: newId(),
+  workspaceId: null,
+  assigneeIds: [],
+  ...fields,
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("visibleScope", () => {
+  test("outside a workspace matches own tasks and personal tasks assigned to the user", () => {
+    const scope = visibleScope(requestFor(viewer));
+
+    assert.ok(matches(scope, task({ userId: viewer })));
+    assert.ok(matches(scope, task({ userId: owner, assigneeIds: [viewer] })));
+    assert.ok(!matches(scope, task({ userId: owner })));
+  });
+
+  test("outside a workspace does not reach assigned workspace tasks", () => {
+    const scope = visibleScope(requestFor(viewer));
+    const workspaceTask = task({
+      userId: owner,
+      workspaceId: workspace._id,
+      assigneeIds: [viewer],
+    });
+
+    assert.ok(!matches(scope, workspaceTask));
+  });
+
+  test("inside a workspace matches only that workspace's tasks", () => {
+    const req = requestFor(editor, workspace);
+    const scope = visibleScope(req);
+
+    assert.deepEqual(scope, workspaceScope(req));
+    assert.ok(
+      matches(scope, task({ userId: owner, workspaceId: workspace._id }))
+    );
+    assert.ok(!matches(scope, task({ userId: editor, assigneeIds: [editor] })));
+  });
+});
+
+describe("requirePermission", () => {
+  const run = (permission, req) => {
+    const res = createResponse();
+    let called = false;
+    requirePermission(permission)(req, res, () => {
+      called = true;
+    });
+    return { res, called };
+  };
+
+  test("stops workspace viewers from writing", () => {
+    const { res, called } = run("tasks:write", requestFor(viewer, workspace));
+
+    assert.equal(called, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, "INSUFFICIENT_PERMISSIONS");
+  });
+
+  test("lets editors write in their workspace", () => {
+    assert.equal(
+      run("tasks:write", requestFor(editor, workspace)).called,
+      true
+    );
+  });
+
+  test("lets users write their personal tasks, which is all visibleScope reaches without a workspace", () => {
+    assert.equal(run("tasks:write", requestFor(viewer)).called, true);
+  });
+});
+
+describe("Workspace#hasPermission", () => {
+  test("follows each member's role", () => {
+    assert.equal(workspace.hasPermission(owner, "tasks:write"), true);
+    assert.equal(workspace.hasPermission(editor, "tasks:write"), true);
+    assert.equal(workspace.hasPermission(viewer, "tasks:write"), false);
+    assert.equal(workspace.hasPermission(viewer, "tasks:read"), true);
+  });
+
+  test("is false for users outside the workspace", () => {
+    assert.equal(workspace.hasPermission(outsider, "tasks:read"), false);
+  });
+});
+
+describe("Task.unassignFromWorkspace", () => {
+  test("takes the user off the workspace's tasks only", async () => {
+    const otherWorkspace = newId();
+    const tasks = [
+      task({ workspaceId: workspace._id, assigneeIds: [editor, viewer] }),
+      task({ workspaceId: otherWorkspace, assigneeIds: [editor] }),
+      task({ workspaceId: null, assigneeIds: [editor] }),
+    ];
+    mock.method(Task, "updateMany", async (filter, update) =>
+      applyUpdate(tasks, filter, update)
+    );
+
+    await Task.unassignFromWorkspace(workspace._id, editor);
+
+    assert.deepEqual(tasks[0].assigneeIds, [viewer]);
+    assert.deepEqual(tasks[1].assigneeIds, [editor]);
+    assert.deepEqual(tasks[2].assigneeIds, [editor]);
+  });
+});
+
+describe("Task.moveWorkspaceToOwner", () => {
+  // The owner's personal workflow, without the workspace's "Review" status
+  beforeEach(() => {
+    mock.method(
+      Workflow,
+      "forScope",
+      async (scope) =>
+        new Workflow({ ...scope, statuses: Workflow.DEFAULT_STATUSES })
+    );
+  });
+
+  test("leaves former members no way back into the moved tasks", async () => {
+    const personal = task({ userId: editor });
+    const blocker = task({ userId: owner, workspaceId: workspace._id });
+    const moved = task({
+      userId: editor,
+      workspaceId: workspace._id,
+      projectId: newId(),
+      assigneeIds: [editor, viewer],
+      blockedBy: [blocker._id, personal._id],
+      deletedAt: null,
+    });
+    const linkedFromOutside = task({ userId: editor, blockedBy: [moved._id] });
+    const tasks = [personal, blocker, moved, linkedFromOutside];
+    const inMemory = async (filter, update) =>
+      applyUpdate(tasks, filter, update);
+    mock.method(Task, "find", (filter) => ({
+      distinct: async (field) =>
+        tasks.filter((doc) => matches(filter, doc)).map((doc) => doc[field]),
+    }));
+    mock.method(Task, "updateMany", inMemory);
+    mock.method(Task.collection, "updateMany", inMemory);
+
+    await Task.moveWorkspaceToOwner(workspace._id, owner);
+
+    for (const doc of [blocker, moved]) {
+      assert.equal(doc.userId, owner);
+      assert.equal(doc.workspaceId, null);
+      assert.ok(doc.deletedAt instanceof Date);
+    }
+    assert.deepEqual(moved.assigneeIds, []);
+    assert.equal(moved.projectId, null);
+    assert.deepEqual(moved.blockedBy, [blocker._id]);
+    assert.deepEqual(linkedFromOutside.blockedBy, []);
+    for (const member of [editor, viewer]) {
+      const scope = visibleScope(requestFor(member));
+      assert.ok(!matches(scope, blocker));
+      assert.ok(!matches(scope, moved));
+    }
+  });
+
+  test("moves statuses the owner's workflow lacks to its first status", async () => {
+    const inReview = task({ workspaceId: workspace._id, status: "Review" });
+    const done = task({ workspaceId: workspace._id, status: "Done" });
+    const ownReview = task({ userId: editor, status: "Review" });
+    const tasks = [inReview, done, ownReview];
+    const inMemory = async (filter, update) =>
+      applyUpdate(tasks, filter, update);
+    mock.method(Task, "find", (filter) => ({
+      distinct: async (field) =>
+        tasks.filter((doc) => matches(filter, doc)).map((doc) => doc[field]),
+    }));
+    mock.method(Task, "updateMany", inMemory);
+    mock.method(Task.collection, "updateMany", inMemory);
+
+    await Task.moveWorkspaceToOwner(workspace._id, owner);
+
+    assert.equal(inReview.status, "To Do");
+    assert.equal(done.status, "Done");
+    assert.equal(ownReview.status, "Review");
+    const [scope] = Workflow.forScope.mock.calls[0].arguments;
+    assert.deepEqual(scope, { userId: owner, workspaceId: null });
+  });
+});
@@ -0,0 +1,182 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  nextRecurrenceDate,
+  buildNextOccurrence,
+} = require("../utils/recurrence");
+const { newId } = require("./helpers");
+
+const at = (iso) => new Date(`${iso}T09:00:00Z`);
+
+const rule = (fields) => ({
+  interval: 1,
+  byWeekday: [],
+  byMonthDay: null,
+  until: null,
+  count: null,
+  ...fields,
+});
+
+// A completed occurrence of a recurring task
+const recurringTask = (fields) => ({
+  _id: newId(),
+  userId: newId(),
+  title: "Water the plants",
+  tags: ["home"],
+  checklist: [{ text: "Balcony", done: true }],
+  dueDate: null,
+  startDate: null,
+  ...fields,
+});
+
+describe("nextRecurrenceDate", () => {
+  test("steps days and weeks by the interval", () => {
+    const from = at("2026-10-19");
+
+    assert.deepEqual(
+      nextRecurrenceDate(rule({ frequency: "daily", interval: 3 }), from),
+      at("2026-10-22")
+    );
+    assert.deepEqual(
+      nextRecurrenceDate(rule({ frequency: "weekly", interval: 2 }), from),
+      at("2026-11-02")
+    );
+  });
+
+  test("takes later weekdays this week before skipping `interval` weeks", () => {
+    // Mondays and Thursdays, every other week
+    const everyOther = rule({
+      frequency: "weekly",
+      interval: 2,
+      byWeekday: [1, 4],
+    });
+
+    assert.deepEqual(
+      nextRecurrenceDate(everyOther, at("2026-10-19")),
+      at("2026-10-22")
+    );
+    assert.deepEqual(
+      nextRecurrenceDate(everyOther, at("2026-10-22")),
+      at("2026-11-02")
+    );
+  });
+
+  test("treats Sunday as the end of the week", () => {
+    const sundays = rule({ frequency: "weekly", byWeekday: [0] });
+
+    assert.deepEqual(
+      nextRecurrenceDate(sundays, at("2026-10-22")),
+      at("2026-10-25")
+    );
+  });
+
+  test("falls back to the last day of shorter months", () => {
+    const monthly = rule({ frequency: "monthly" });
+
+    assert.deepEqual(
+      nextRecurrenceDate(monthly, at("2026-01-31")),
+      at("2026-02-28")
+    );
+    assert.deepEqual(
+      nextRecurrenceDate(monthly, at("2028-01-31")),
+      at("2028-02-29")
+    );
+  });
+
+  test("returns to the day of month after a shorter month", () => {
+    const onThe31st = rule({ frequency: "monthly", byMonthDay: 31 });
+
+    const february = nextRecurrenceDate(onThe31st, at("2026-01-31"));
+    assert.deepEqual(february, at("2026-02-28"));
+    assert.deepEqual(nextRecurrenceDate(onThe31st, february), at("2026-03-31"));
+  });
+
+  test("takes a day of month still ahead in this month first", () => {
+    const onThe15th = rule({ frequency: "monthly", byMonthDay: 15 });
+
+    assert.deepEqual(
+      nextRecurrenceDate(onThe15th, at("2026-10-03")),
+      at("2026-10-15")
+    );
+  });
+
+  test("moves a leap day to Feb 28 in other years", () => {
+    const yearly = rule({ frequency: "yearly" });
+
+    assert.deepEqual(
+      nextRecurrenceDate(yearly, at("2028-02-29")),
+      at("2029-02-28")
+    );
+  });
+});
+
+describe("buildNextOccurrence", () => {
+  test("moves the due date on and keeps the gap to the start date", () => {
+    const task = recurringTask({
+      recurrence: rule({ frequency: "weekly" }),
+      startDate: at("2026-10-12"),
+      dueDate: at("2026-10-14"),
+    });
+
+    const next = buildNextOccurrence(task, at("2026-10-13"));
+
+    assert.deepEqual(next.dueDate, at("2026-10-21"));
+    assert.deepEqual(next.startDate, at("2026-10-19"));
+    assert.equal(next.occurrence, 2);
+    assert.equal(next.seriesId, task._id);
+    assert.deepEqual(next.checklist, [{ text: "Balcony", done: false }]);
+  });
+
+  test("skips dates already past when completed late", () => {
+    const task = recurringTask({
+      recurrence: rule({ frequency: "daily" }),
+      dueDate: at("2026-10-01"),
+    });
+
+    const next = buildNextOccurrence(task, new Date("2026-10-05T12:00:00Z"));
+
+    assert.deepEqual(next.dueDate, at("2026-10-06"));
+  });
+
+  test("ends the series after `count` occurrences", () => {
+    const recurrence = rule({ frequency: "daily", count: 3 });
+    const seriesId = newId();
+
+    assert.ok(
+      buildNextOccurrence(
+        recurringTask({ recurrence, seriesId, occurrence: 2 }),
+        at("2026-10-19")
+      )
+    );
+    assert.equal(
+      buildNextOccurrence(
+        recurringTask({ recurrence, seriesId, occurrence: 3 }),
+        at("2026-10-19")
+      ),
+      null
+    );
+  });
+
+  test("ends the series after `until`", () => {
+    const recurrence = rule({
+      frequency: "weekly",
+      until: new Date("2026-10-20T23:59:59Z"),
+    });
+
+    const lastBefore = recurringTask({ recurrence, dueDate: at("2026-10-07") });
+    const pastEnd = recurringTask({ recurrence, dueDate: at("2026-10-14") });
+
+    assert.deepEqual(
+      buildNextOccurrence(lastBefore, at("2026-10-07")).dueDate,
+      at("2026-10-14")
+    );
+    assert.equal(buildNextOccurrence(pastEnd, at("2026-10-14")), null);
+  });
+
+  test("does not repeat tasks without a rule", () => {
+    assert.equal(
+      buildNextOccurrence(recurringTask({ recurrence: null })),
+      null
+    );
+  });
+});
@@ -0,0 +1,185 @@
+const { test, describe, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Tag = require("../models/Tag");
+const Task = require("../models/Task");
+const View = require("../models/View");
+const Workspace = require("../models/Workspace");
+const tagsRouter = require("../routes/tags");
+const {
+  newId,
+  matches,
+  withObjectId,
+  applyUpdate,
+  createResponse,
+} = require("./helpers");
+
+const owner = newId();
+const editor = newId();
+const workspace = new Workspace({
+  name: "Team",
+  ownerId: owner,
+  members: [
+    { userId: owner, role: "owner" },
+    { userId: editor, role: "editor" },
+  ],
+});
+
+let tags;
+let tasks;
+let views;
+
+// The handler of a tag route, past the authentication middleware
+const handlerFor = (method) =>
+  tagsRouter.stack
+    .find(
+      (layer) => layer.route?.path === "/:id" && layer.route.methods[method]
+    )
+    .route.stack.at(-1).handle;
+
+// Send a request about `tag`, from its workspace unless `inWorkspace` says
+// otherwise
+const send = async (
+  method,
+  userId,
+  tag,
+  body = {},
+  inWorkspace = Boolean(tag.workspaceId)
+) => {
+  const req = {
+    user: { _id: userId },
+    workspace: inWorkspace ? workspace : null,
+    workspaceRole: inWorkspace ? workspace.roleOf(userId) : null,
+    params: { id: tag._id.toString() },
+    body,
+  };
+  const res = createResponse();
+  await handlerFor(method)(req, res);
+  return res;
+};
+
+const findTag = (filter) =>
+  tags.find((doc) => matches(withObjectId(filter), doc)) || null;
+
+const tag = (fields) => ({
+  _id: newId(),
+  userId: null,
+  workspaceId: null,
+  save: async () => {},
+  ...fields,
+});
+
+const view = (userId, tagNames) => ({
+  _id: newId(),
+  userId,
+  filters: { tags: tagNames },
+});
+
+const task = (fields) => ({
+  _id: newId(),
+  workspaceId: null,
+  deletedAt: null,
+  ...fields,
+});
+
+beforeEach(() => {
+  mock.method(Tag, "findOne", (filter) => {
+    const query = Promise.resolve(findTag(filter));
+    query.collation = () => query;
+    return query;
+  });
+  mock.method(Tag, "findOneAndDelete", async (filter) => {
+    const found = findTag(filter);
+    tags = tags.filter((doc) => doc !== found);
+    return found;
+  });
+  mock.method(Task, "updateMany", async (filter, update) =>
+    applyUpdate(tasks, filter, update)
+  );
+  mock.method(View, "updateMany", async (filter, update) =>
+    applyUpdate(views, filter, update)
+  );
+  views = [];
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("tag routes", () => {
+  test("renaming a workspace tag renames it on every member's tasks there", async () => {
+    const shared = tag({ workspaceId: workspace._id, name: "bug" });
+    const personal = tag({ userId: editor, name: "bug" });
+    tags = [shared, personal];
+    const byOwner = task({
+      userId: owner,
+      workspaceId: workspace._id,
+      tags: ["bug"],
+    });
+    const byEditor = task({
+      userId: editor,
+      workspaceId: workspace._id,
+      tags: ["bug", "ui"],
+    });
+    const editorsOwn = task({ userId: editor, tags: ["bug"] });
+    tasks = [byOwner, byEditor, editorsOwn];
+
+    const res = await send("put", editor, shared, { name: "defect" });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.tasksUpdated, 2);
+    assert.deepEqual(byOwner.tags, ["defect"]);
+    assert.deepEqual(byEditor.tags, ["defect", "ui"]);
+    assert.deepEqual(editorsOwn.tags, ["bug"]);
+    assert.equal(personal.name, "bug");
+    // Saved views only follow personal tags
+    assert.equal(View.updateMany.mock.callCount(), 0);
+  });
+
+  test("renaming a personal tag renames it in the user's saved views", async () => {
+    const personal = tag({ userId: editor, name: "bug" });
+    tags = [personal];
+    tasks = [];
+    const mine = view(editor, ["ui", "bug"]);
+    const other = view(editor, ["ui"]);
+    const someoneElses = view(owner, ["bug"]);
+    views = [mine, other, someoneElses];
+
+    const res = await send("put", editor, personal, { name: "defect" });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(mine.filters.tags, ["ui", "defect"]);
+    assert.deepEqual(other.filters.tags, ["ui"]);
+    assert.deepEqual(someoneElses.filters.tags, ["bug"]);
+  });
+
+  test("deleting a personal tag leaves workspace tasks alone and clears it from views", async () => {
+    const personal = tag({ userId: editor, name: "bug" });
+    tags = [personal];
+    const editorsOwn = task({ userId: editor, tags: ["bug"] });
+    const inWorkspace = task({
+      userId: editor,
+      workspaceId: workspace._id,
+      tags: ["bug"],
+    });
+    tasks = [editorsOwn, inWorkspace];
+    const mine = view(editor, ["bug", "ui"]);
+    views = [mine];
+
+    const res = await send("delete", editor, personal);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(editorsOwn.tags, []);
+    assert.deepEqual(inWorkspace.tags, ["bug"]);
+    assert.deepEqual(tags, []);
+    assert.deepEqual(mine.filters.tags, ["ui"]);
+  });
+
+  test("a workspace tag is not reachable from the personal catalogue", async () => {
+    const shared = tag({ workspaceId: workspace._id, name: "bug" });
+    tags = [shared];
+    tasks = [];
+
+    const res = await send("put", editor, shared, { name: "defect" }, false);
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(shared.name, "bug");
+  });
+});
@@ -0,0 +1,135 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  escapeCsvValue,
+  generateExport,
+} = require("../utils/taskExport");
+const { newId } = require("./helpers");
+
+const exportedAt = new Date("2026-10-19T12:00:00Z");
+
+// A task document with its project and assignees populated
+const exportedTask = (fields) => ({
+  _id: newId(),
+  title: "Plan launch",
+  description: "",
+  status: "In Progress",
+  priority: "High",
+  tags: ["launch", "q4"],
+  startDate: null,
+  dueDate: new Date("2026-10-31T00:00:00Z"),
+  estimateMinutes: 90,
+  checklist: [
+    { text: "Book venue", done: true },
+    { text: "Send invites", done: false },
+  ],
+  recurrence: null,
+  projectId: { _id: newId(), name: "Launch" },
+  assigneeIds: [],
+  assignees: [],
+  trackedSeconds: 1800,
+  createdAt: new Date("2026-10-01T08:00:00Z"),
+  updatedAt: new Date("2026-10-02T08:00:00Z"),
+  ...fields,
+});
+
+// The whole export file as one string
+const exportAll = async (format, tasks) => {
+  let output = "";
+  for await (const chunk of generateExport(format, tasks, exportedAt)) {
+    output += chunk;
+  }
+  return output;
+};
+
+describe("escapeCsvValue", () => {
+  test("leaves plain values alone and empties missing ones", () => {
+    assert.equal(escapeCsvValue("Plan launch"), "Plan launch");
+    assert.equal(escapeCsvValue(42), "42");
+    assert.equal(escapeCsvValue(null), "");
+    assert.equal(escapeCsvValue(undefined), "");
+  });
+
+  test("quotes delimiters, quotes and line breaks", () => {
+    assert.equal(escapeCsvValue("a, b"), '"a, b"');
+    assert.equal(escapeCsvValue('say "hi"'), '"say ""hi"""');
+    assert.equal(escapeCsvValue("one\r\ntwo"), '"one\r\ntwo"');
+  });
+
+  test("disarms text a spreadsheet would run as a formula", () => {
+    assert.equal(escapeCsvValue("=1+1"), "'=1+1");
+    assert.equal(escapeCsvValue("+1"), "'+1");
+    assert.equal(escapeCsvValue("-1"), "'-1");
+    assert.equal(escapeCsvValue("@SUM(A1)"), "'@SUM(A1)");
+    assert.equal(escapeCsvValue("\tx"), "'\tx");
+    assert.equal(escapeCsvValue("\rx"), '"\'\rx"');
+    assert.equal(
+      escapeCsvValue('=HYPERLINK("http://x","y")'),
+      `"'=HYPERLINK(""http://x"",""y"")"`
+    );
+  });
+
+  test("keeps negative numbers as numbers", () => {
+    assert.equal(escapeCsvValue(-5), "-5");
+  });
+});
+
+describe("generateExport", () => {
+  test("writes a CSV header and one row per task", async () => {
+    const task = exportedTask({
+      title: "=cmd|' /C calc'!A0",
+      description: "First line\nsecond line",
+      assignees: [{ username: "sam" }, { username: "alex" }],
+    });
+
+    const lines = (await exportAll("csv", [task])).split("\r\n");
+
+    assert.equal(
+      lines[0],
+      "id,title,description,status,priority,tags,project,assignees," +
+        "startDate,dueDate,estimateMinutes,trackedSeconds,checklist," +
+        "recurring,createdAt,updatedAt"
+    );
+    assert.equal(
+      lines[1],
+      `${task._id},'=cmd|' /C calc'!A0,"First line\nsecond line",` +
+        'In Progress,High,"launch, q4",Launch,"sam, alex",' +
+        ",2026-10-31T00:00:00.000Z,90,1800,1/2," +
+        "no,2026-10-01T08:00:00.000Z,2026-10-02T08:00:00.000Z"
+    );
+    assert.equal(lines[2], "");
+    assert.equal(lines.length, 3);
+  });
+
+  test("writes versioned JSON whose tasks can be sent back to POST /tasks", async () => {
+    const assignee = newId();
+    const task = exportedTask({
+      assigneeIds: [{ _id: assignee }],
+      assignees: [{ username: "sam" }],
+    });
+
+    const file = JSON.parse(await exportAll("json", [task]));
+
+    assert.equal(file.format, EXPORT_FORMAT);
+    assert.equal(file.version, EXPORT_VERSION);
+    assert.equal(file.exportedAt, exportedAt.toISOString());
+    assert.equal(file.tasks.length, 1);
+    const [exported] = file.tasks;
+    assert.equal(exported.id, task._id.toString());
+    assert.equal(exported.projectId, task.projectId._id.toString());
+    assert.equal(exported.project, "Launch");
+    assert.deepEqual(exported.assigneeIds, [assignee.toString()]);
+    assert.deepEqual(exported.assignees, ["sam"]);
+    assert.deepEqual(exported.checklist, task.checklist);
+    assert.equal(exported.dueDate, "2026-10-31T00:00:00.000Z");
+    assert.equal(exported.startDate, null);
+  });
+
+  test("writes an empty task list as valid JSON", async () => {
+    const file = JSON.parse(await exportAll("json", []));
+
+    assert.deepEqual(file.tasks, []);
+  });
+});
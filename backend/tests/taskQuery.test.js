@@ -0,0 +1,92 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildCursorFilter,
+  encodeCursor,
+  encodeOffsetCursor,
+  parseTaskListQuery,
+} = require("../utils/taskQuery");
+const { newId, matches } = require("./helpers");
+
+// Decode a cursor the way GET /tasks does
+const decode = (cursor, sortBy, extra = {}) =>
+  parseTaskListQuery({ sortBy, sortOrder: "asc", cursor, ...extra });
+
+// Tasks in _id order: two share a due date, two have none
+const early = new Date("2026-03-01T00:00:00Z");
+const late = new Date("2026-03-09T00:00:00Z");
+const [tiedFirst, tiedSecond, latest, undatedFirst, undatedSecond] = [
+  early,
+  early,
+  late,
+  null,
+  null,
+].map((dueDate) => ({ _id: newId(), dueDate }));
+
+// The order MongoDB lists them in: nulls first ascending and last
+// descending, ties broken by _id in the same direction
+const ORDERS = {
+  asc: [undatedFirst, undatedSecond, tiedFirst, tiedSecond, latest],
+  desc: [latest, tiedSecond, tiedFirst, undatedSecond, undatedFirst],
+};
+
+describe("task list cursors", () => {
+  test("decode back to the sort value and ID they were made from", () => {
+    const { cursor } = decode(encodeCursor(tiedFirst, "dueDate"), "dueDate");
+
+    assert.deepEqual(cursor.value, early);
+    assert.ok(cursor.id.equals(tiedFirst._id));
+  });
+
+  test("keep a missing sort value as null", () => {
+    const { cursor } = decode(encodeCursor(undatedFirst, "dueDate"), "dueDate");
+
+    assert.equal(cursor.value, null);
+  });
+
+  test("are refused when malformed or made for another sort", () => {
+    const badDate = Buffer.from(
+      JSON.stringify({ v: "not a date", id: newId().toString() })
+    ).toString("base64url");
+    const badId = Buffer.from(JSON.stringify({ v: 3, id: "42" })).toString(
+      "base64url"
+    );
+
+    assert.equal(decode("not-a-cursor", "dueDate").error, "Invalid cursor");
+    assert.equal(decode(badDate, "dueDate").error, "Invalid cursor");
+    assert.equal(decode(badId, "priority").error, "Invalid cursor");
+    assert.equal(
+      decode(encodeCursor(latest, "dueDate"), "priority").error,
+      "Invalid cursor"
+    );
+  });
+
+  test("hold an offset when ranking by relevance", () => {
+    const search = { q: "report" };
+
+    assert.deepEqual(
+      decode(encodeOffsetCursor(50), "relevance", search).cursor,
+      { offset: 50 }
+    );
+    assert.equal(
+      decode(encodeOffsetCursor(-1), "relevance", search).error,
+      "Invalid cursor"
+    );
+  });
+});
+
+describe("buildCursorFilter", () => {
+  for (const [sortOrder, order] of Object.entries(ORDERS)) {
+    test(`selects exactly the tasks after the cursor, ${sortOrder}ending`, () => {
+      order.forEach((task, index) => {
+        const { cursor } = decode(encodeCursor(task, "dueDate"), "dueDate");
+        const filter = buildCursorFilter("dueDate", sortOrder, cursor);
+
+        assert.deepEqual(
+          order.filter((doc) => matches(filter, doc)),
+          order.slice(index + 1)
+        );
+      });
+    });
+  }
+});
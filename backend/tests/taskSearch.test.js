@@ -0,0 +1,69 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSearchQuery } = require("../utils/taskSearch");
+
+const STATUSES = ["Backlog", "In Progress", "Shipped"];
+
+describe("parseSearchQuery", () => {
+  test("splits words, quoted phrases and exclusions into a $text search", () => {
+    const parsed = parseSearchQuery('fix "login page" -draft -"old copy"');
+
+    assert.deepEqual(parsed.words, ["fix"]);
+    assert.deepEqual(parsed.phrases, ["login page"]);
+    assert.deepEqual(parsed.excludedTerms, ["draft", '"old copy"']);
+    assert.equal(parsed.textSearch, 'fix "login page" -draft -"old copy"');
+  });
+
+  test("leaves out the $text search without a positive term", () => {
+    const parsed = parseSearchQuery("-draft priority:high");
+
+    assert.deepEqual(parsed.excludedTerms, ["draft"]);
+    assert.equal(parsed.textSearch, "");
+  });
+
+  test("turns operators into filters, negated ones into exclusions", () => {
+    const { filters } = parseSearchQuery(
+      'tag:"client work" -tag:blocked priority:URGENT -priority:low'
+    );
+
+    assert.deepEqual(filters.tag, { $in: ["client work"], $nin: ["blocked"] });
+    assert.deepEqual(filters.priority, { $in: ["Urgent"], $nin: ["Low"] });
+    assert.deepEqual(filters.status, { $in: [], $nin: [] });
+  });
+
+  test("matches statuses of the given workflow loosely", () => {
+    const { filters } = parseSearchQuery("status:in-progress -status:shipped", {
+      statuses: STATUSES,
+    });
+
+    assert.deepEqual(filters.status, {
+      $in: ["In Progress"],
+      $nin: ["Shipped"],
+    });
+  });
+
+  test("rejects values an operator does not accept", () => {
+    assert.equal(
+      parseSearchQuery("status:done", { statuses: STATUSES }).error,
+      'Unknown status "done", use one of: Backlog, In Progress, Shipped'
+    );
+    assert.match(
+      parseSearchQuery("priority:whenever").error,
+      /^Unknown priority "whenever"/
+    );
+  });
+
+  test("searches unknown prefixes as plain text", () => {
+    const parsed = parseSearchQuery("owner:sam http://example.com");
+
+    assert.deepEqual(parsed.words, ["owner:sam", "http://example.com"]);
+  });
+
+  test("rejects queries over 200 characters", () => {
+    assert.equal(
+      parseSearchQuery("a".repeat(201)).error,
+      "Search cannot exceed 200 characters"
+    );
+    assert.equal(parseSearchQuery("a".repeat(200)).error, undefined);
+  });
+});
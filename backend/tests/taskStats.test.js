@@ -0,0 +1,92 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseStatsRange, computeStreaks } = require("../utils/taskStats");
+
+// A client five hours behind UTC, where it is still the 18th
+const TZ_OFFSET = 300;
+const now = new Date("2026-10-19T02:00:00Z");
+
+describe("parseStatsRange", () => {
+  test("defaults to the 30 days up to the client's today", () => {
+    assert.deepEqual(parseStatsRange({}, TZ_OFFSET, now), {
+      from: "2026-09-19",
+      to: "2026-10-18",
+      start: new Date("2026-09-19T05:00:00Z"),
+      end: new Date("2026-10-19T05:00:00Z"),
+    });
+  });
+
+  test("counts back 30 days from a given end", () => {
+    const range = parseStatsRange({ to: "2026-03-01" }, 0, now);
+
+    assert.equal(range.from, "2026-01-31");
+    assert.deepEqual(range.end, new Date("2026-03-02T00:00:00Z"));
+  });
+
+  test("accepts a single day and a whole leap year", () => {
+    assert.equal(
+      parseStatsRange({ from: "2026-10-01", to: "2026-10-01" }, 0, now).error,
+      undefined
+    );
+    assert.equal(
+      parseStatsRange({ from: "2024-01-01", to: "2024-12-31" }, 0, now).error,
+      undefined
+    );
+  });
+
+  test("rejects days that are malformed or do not exist", () => {
+    for (const from of [
+      "2026-10-1",
+      "10/01/2026",
+      "2026-02-30",
+      "2026-13-01",
+    ]) {
+      assert.equal(
+        parseStatsRange({ from }, 0, now).error,
+        "from must be a date like 2024-01-31"
+      );
+    }
+    assert.equal(
+      parseStatsRange({ to: "tomorrow" }, 0, now).error,
+      "to must be a date like 2024-01-31"
+    );
+  });
+
+  test("rejects reversed and overlong ranges", () => {
+    assert.equal(
+      parseStatsRange({ from: "2026-10-02", to: "2026-10-01" }, 0, now).error,
+      "from cannot be after to"
+    );
+    assert.equal(
+      parseStatsRange({ from: "2025-01-01", to: "2026-01-02" }, 0, now).error,
+      "The range cannot be longer than 366 days"
+    );
+  });
+});
+
+describe("computeStreaks", () => {
+  const days = [
+    "2026-09-29",
+    "2026-09-30",
+    "2026-10-01",
+    "2026-10-10",
+    "2026-10-11",
+  ];
+
+  test("finds the longest run, across month ends", () => {
+    assert.equal(computeStreaks(days, "2026-10-11").longest, 3);
+  });
+
+  test("keeps the current streak until the day after its last completion", () => {
+    assert.equal(computeStreaks(days, "2026-10-11").current, 2);
+    assert.equal(computeStreaks(days, "2026-10-12").current, 2);
+    assert.equal(computeStreaks(days, "2026-10-13").current, 0);
+  });
+
+  test("is zero without completions", () => {
+    assert.deepEqual(computeStreaks([], "2026-10-19"), {
+      current: 0,
+      longest: 0,
+    });
+  });
+});
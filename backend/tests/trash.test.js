@@ -0,0 +1,152 @@
+const { test, describe, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Query } = require("mingo");
+const Task = require("../models/Task");
+const TaskHistory = require("../models/TaskHistory");
+const Comment = require("../models/Comment");
+const TimeEntry = require("../models/TimeEntry");
+const { getStorage } = require("../utils/storage");
+const { purgeTasks, purgeExpiredTasks } = require("../utils/trash");
+const { newId, applyUpdate, removeMatching } = require("./helpers");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date("2026-06-30T12:00:00Z");
+const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+
+const userId = newId();
+let tasks;
+let history;
+let comments;
+let timeEntries;
+let removedFiles;
+
+const task = (fields) => ({
+  _id: newId(),
+  userId,
+  workspaceId: null,
+  deletedAt: null,
+  attachments: [],
+  blockedBy: [],
+  ...fields,
+});
+
+// Records belonging to a task, for each related collection
+const relatedTo = (taskDoc) => ({ _id: newId(), taskId: taskDoc._id });
+
+// Back the models used by utils/trash.js with the arrays above
+const mockModels = ({ beforeDelete = () => {} } = {}) => {
+  mock.method(Task, "find", (filter) => {
+    const found = () => tasks.filter((doc) => new Query(filter).test(doc));
+    return {
+      limit: async (limit) => (limit ? found().slice(0, limit) : found()),
+      distinct: async (field) => found().map((doc) => doc[field]),
+    };
+  });
+  mock.method(Task, "deleteMany", async (filter) => {
+    beforeDelete();
+    return removeMatching(tasks, filter);
+  });
+  mock.method(Task.collection, "updateMany", async (filter, update) =>
+    applyUpdate(tasks, filter, update)
+  );
+  mock.method(TaskHistory, "deleteMany", async (filter) =>
+    removeMatching(history, filter)
+  );
+  mock.method(Comment, "deleteMany", async (filter) =>
+    removeMatching(comments, filter)
+  );
+  mock.method(TimeEntry, "deleteMany", async (filter) =>
+    removeMatching(timeEntries, filter)
+  );
+  mock.method(getStorage(), "remove", async (key) => {
+    removedFiles.push(key);
+  });
+};
+
+beforeEach(() => {
+  history = [];
+  comments = [];
+  timeEntries = [];
+  removedFiles = [];
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("purgeExpiredTasks", () => {
+  test("purges tasks past the retention period with everything tied to them", async () => {
+    const expired = task({
+      deletedAt: daysAgo(Task.TRASH_RETENTION_DAYS + 1),
+      attachments: [{ storageKey: "tasks/expired/report.pdf" }],
+    });
+    const blocked = task({ blockedBy: [expired._id] });
+    tasks = [expired, blocked];
+    history = [relatedTo(expired), relatedTo(blocked)];
+    comments = [relatedTo(expired)];
+    timeEntries = [relatedTo(expired)];
+    mockModels();
+
+    const count = await purgeExpiredTasks(now);
+
+    assert.equal(count, 1);
+    assert.deepEqual(tasks, [blocked]);
+    assert.deepEqual(blocked.blockedBy, []);
+    assert.deepEqual(
+      history.map((entry) => entry.taskId),
+      [blocked._id]
+    );
+    assert.deepEqual(comments, []);
+    assert.deepEqual(timeEntries, []);
+    assert.deepEqual(removedFiles, ["tasks/expired/report.pdf"]);
+  });
+
+  test("keeps live tasks and tasks still within the retention period", async () => {
+    const live = task();
+    const recent = task({ deletedAt: daysAgo(1) });
+    tasks = [live, recent];
+    history = [relatedTo(live), relatedTo(recent)];
+    mockModels();
+
+    const count = await purgeExpiredTasks(now);
+
+    assert.equal(count, 0);
+    assert.deepEqual(tasks, [live, recent]);
+    assert.equal(history.length, 2);
+  });
+});
+
+describe("purgeTasks", () => {
+  test("only purges trashed tasks within the given scope", async () => {
+    const otherUser = newId();
+    const mine = task({ deletedAt: daysAgo(2) });
+    const theirs = task({ userId: otherUser, deletedAt: daysAgo(2) });
+    const live = task();
+    tasks = [mine, theirs, live];
+    mockModels();
+
+    const purged = await purgeTasks({ userId, workspaceId: null });
+
+    assert.deepEqual(purged, [mine]);
+    assert.deepEqual(tasks, [theirs, live]);
+  });
+
+  test("leaves a task restored while the purge runs, with its history", async () => {
+    const restored = task({ deletedAt: daysAgo(2) });
+    const trashed = task({ deletedAt: daysAgo(2) });
+    tasks = [restored, trashed];
+    history = [relatedTo(restored), relatedTo(trashed)];
+    mockModels({
+      beforeDelete: () => {
+        restored.deletedAt = null;
+      },
+    });
+
+    const purged = await purgeTasks({ userId });
+
+    assert.deepEqual(purged, [trashed]);
+    assert.deepEqual(tasks, [restored]);
+    assert.deepEqual(
+      history.map((entry) => entry.taskId),
+      [restored._id]
+    );
+  });
+});
@@ -0,0 +1,179 @@
+const { test, describe, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { aggregate } = require("mingo");
+const Task = require("../models/Task");
+const View = require("../models/View");
+const Workflow = require("../models/Workflow");
+const TaskHistory = require("../models/TaskHistory");
+const workflowRouter = require("../routes/workflow");
+const { newId, matches, applyUpdate, createResponse } = require("./helpers");
+
+const userId = newId();
+let workflow;
+let tasks;
+let views;
+let history;
+
+// The PUT /workflow handler, past the authentication middleware
+const updateWorkflow = workflowRouter.stack
+  .find((layer) => layer.route?.path === "/" && layer.route.methods.put)
+  .route.stack.at(-1).handle;
+
+const put = async (body) => {
+  const req = { user: { _id: userId }, workspace: null, workflow, body };
+  const res = createResponse();
+  await updateWorkflow(req, res);
+  return res;
+};
+
+const task = (fields) => ({
+  _id: newId(),
+  userId,
+  workspaceId: null,
+  version: 0,
+  deletedAt: null,
+  ...fields,
+});
+
+const view = (status) => ({
+  _id: newId(),
+  userId,
+  filters: { status },
+});
+
+// The current statuses as sent back by a client, changed by `edit`
+const editStatuses = (edit) =>
+  workflow.statuses.map((status) =>
+    edit({
+      _id: status._id.toString(),
+      name: status.name,
+      terminal: status.terminal,
+    })
+  );
+
+beforeEach(() => {
+  workflow = new Workflow({
+    userId,
+    workspaceId: null,
+    statuses: Workflow.DEFAULT_STATUSES,
+  });
+  history = [];
+  mock.method(workflow, "save", async () => workflow);
+  mock.method(Task, "aggregate", async (pipeline) =>
+    aggregate(tasks, pipeline)
+  );
+  // Copies, like the documents Mongoose loads
+  mock.method(Task, "find", async (filter) =>
+    tasks.filter((doc) => matches(filter, doc)).map((doc) => ({ ...doc }))
+  );
+  mock.method(Task.collection, "updateMany", async (filter, update) =>
+    applyUpdate(tasks, filter, update)
+  );
+  mock.method(View, "updateMany", async (filter, update) =>
+    applyUpdate(views, filter, update)
+  );
+  mock.method(TaskHistory, "insertMany", async (docs) => {
+    history.push(...docs);
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("PUT /workflow", () => {
+  test("swaps two status names on tasks and saved views", async () => {
+    const todo = task({ status: "To Do" });
+    const doing = task({ status: "In Progress" });
+    tasks = [todo, doing];
+    views = [view("To Do"), view("In Progress"), view("Done")];
+
+    const res = await put({
+      statuses: editStatuses((status) => ({
+        ...status,
+        name:
+          status.name === "To Do"
+            ? "In Progress"
+            : status.name === "In Progress"
+              ? "To Do"
+              : status.name,
+      })),
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(todo.status, "In Progress");
+    assert.equal(doing.status, "To Do");
+    assert.deepEqual(
+      views.map((doc) => doc.filters.status),
+      ["In Progress", "To Do", "Done"]
+    );
+    // Renaming alone is not an edit of the tasks
+    assert.equal(todo.version, 0);
+    assert.deepEqual(history, []);
+  });
+
+  test("moves the tasks of a removed status and records the change", async () => {
+    const doing = task({ status: "In Progress" });
+    const trashed = task({ status: "In Progress", deletedAt: new Date() });
+    const done = task({ status: "Done" });
+    tasks = [doing, trashed, done];
+    views = [view("In Progress"), view("Done")];
+
+    const res = await put({
+      statuses: editStatuses((status) => status).filter(
+        (status) => status.name !== "In Progress"
+      ),
+      reassign: { "In Progress": "To Do" },
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(doing.status, "To Do");
+    assert.equal(doing.version, 1);
+    assert.equal(trashed.status, "To Do");
+    assert.equal(done.status, "Done");
+    assert.deepEqual(
+      views.map((doc) => doc.filters.status),
+      [null, "Done"]
+    );
+    assert.equal(history.length, 1);
+    assert.equal(history[0].taskId, doing._id);
+    assert.equal(history[0].action, "status_changed");
+  });
+
+  test("refuses to remove a status tasks use without a reassign entry", async () => {
+    const doing = task({ status: "In Progress" });
+    tasks = [doing];
+    views = [];
+
+    const res = await put({
+      statuses: editStatuses((status) => status).filter(
+        (status) => status.name !== "In Progress"
+      ),
+    });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, "STATUS_IN_USE");
+    assert.equal(doing.status, "In Progress");
+    assert.equal(workflow.save.mock.callCount(), 0);
+  });
+
+  test("leaves tasks and views untouched when the workflow fails to save", async () => {
+    const todo = task({ status: "To Do" });
+    tasks = [todo];
+    views = [view("To Do")];
+    workflow.save.mock.mockImplementation(async () => {
+      throw new mongoose.Error.ValidationError(workflow);
+    });
+
+    const res = await put({
+      statuses: editStatuses((status) => ({
+        ...status,
+        name: status.name === "To Do" ? "Backlog" : status.name,
+      })),
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(todo.status, "To Do");
+    assert.equal(views[0].filters.status, "To Do");
+    assert.equal(Task.collection.updateMany.mock.callCount(), 0);
+  });
+});
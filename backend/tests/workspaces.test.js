@@ -0,0 +1,66 @@
+const { test, describe, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Invitation = require("../models/Invitation");
+const Project = require("../models/Project");
+const Tag = require("../models/Tag");
+const Task = require("../models/Task");
+const Workflow = require("../models/Workflow");
+const Workspace = require("../models/Workspace");
+const workspacesRouter = require("../routes/workspaces");
+const { newId, createResponse } = require("./helpers");
+
+const owner = newId();
+
+// The handler of DELETE /workspaces/:id, past loading the workspace and
+// checking its ownership
+const deleteHandler = workspacesRouter.stack
+  .find((layer) => layer.route?.path === "/:id" && layer.route.methods.delete)
+  .route.stack.at(-1).handle;
+
+afterEach(() => mock.restoreAll());
+
+describe("DELETE /workspaces/:id", () => {
+  test("removes the workspace's workflow and tags, keeping tag names for the owner", async () => {
+    const workspace = new Workspace({
+      name: "Team",
+      ownerId: owner,
+      members: [{ userId: owner, role: "owner" }],
+    });
+    mock.method(workspace, "deleteOne", async () => {});
+    mock.method(Task, "moveWorkspaceToOwner", async () => ({
+      modifiedCount: 2,
+    }));
+    mock.method(Tag, "find", () => ({
+      distinct: async () => ["bug", "ui"],
+    }));
+    mock.method(Tag, "resolveNames", async (scope, names) => names);
+    const deleted = [];
+    for (const Model of [Project, Invitation, Tag, Workflow]) {
+      mock.method(Model, "deleteMany", async (filter) => {
+        deleted.push([Model.modelName, filter]);
+        return { deletedCount: 1 };
+      });
+    }
+
+    const res = createResponse();
+    await deleteHandler({ user: { _id: owner }, workspace }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.tasksMoved, 2);
+    assert.deepEqual(Tag.resolveNames.mock.calls[0].arguments, [
+      { userId: owner, workspaceId: null },
+      ["bug", "ui"],
+    ]);
+    const scope = { workspaceId: workspace._id };
+    assert.deepEqual(
+      deleted.sort(([a], [b]) => a.localeCompare(b)),
+      [
+        ["Invitation", scope],
+        ["Project", scope],
+        ["Tag", scope],
+        ["Workflow", scope],
+      ]
+    );
+    assert.equal(workspace.deleteOne.mock.callCount(), 1);
+  });
+});
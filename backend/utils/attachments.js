@@ -0,0 +1,96 @@
+const path = require("path");
+
+// Largest file accepted, matching the JSON body limit in server.js
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+// Files accepted in one upload request
+const MAX_FILES_PER_UPLOAD = 5;
+
+// Accepted types with the extensions each may carry. SVG and HTML are left
+// out as they can run scripts when opened from the API's origin.
+const ALLOWED_TYPES = {
+  "image/png": [".png"],
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/gif": [".gif"],
+  "image/webp": [".webp"],
+  "application/pdf": [".pdf"],
+  "text/plain": [".txt", ".log"],
+  "text/markdown": [".md"],
+  "text/csv": [".csv"],
+  "application/json": [".json"],
+  "application/zip": [".zip"],
+  "application/msword": [".doc"],
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": [
+    ".docx",
+  ],
+  "application/vnd.ms-excel": [".xls"],
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": [
+    ".xlsx",
+  ],
+  "application/vnd.ms-powerpoint": [".ppt"],
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": [
+    ".pptx",
+  ],
+};
+
+// Types browsers may show inline; everything else is downloaded
+const INLINE_TYPES = new Set([
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+]);
+
+// Browsers send some types under other names, or as octet-stream
+const TYPE_ALIASES = {
+  "image/jpg": "image/jpeg",
+  "application/x-zip-compressed": "application/zip",
+  "text/x-markdown": "text/markdown",
+};
+
+// Work out a file's type from what the client sent and its extension,
+// returning the canonical type or null when the file is not accepted
+const resolveContentType = (file) => {
+  const extension = path.extname(file.originalname || "").toLowerCase();
+  const declared = TYPE_ALIASES[file.mimetype] || file.mimetype;
+
+  if (ALLOWED_TYPES[declared]?.includes(extension)) return declared;
+  if (declared === "application/octet-stream" || !declared) {
+    const match = Object.entries(ALLOWED_TYPES).find(([, extensions]) =>
+      extensions.includes(extension)
+    );
+    if (match) return match[0];
+  }
+  return null;
+};
+
+// Clean an uploaded file's name for storing and sending back: no folders,
+// no control characters, at most 255 characters
+const sanitizeFilename = (name) => {
+  const base = path
+    .basename(String(name || "").replace(/\\/g, "/"))
+    .replace(/[\u0000-\u001f\u007f"]/g, "")
+    .trim();
+  return base.slice(-255) || "file";
+};
+
+// Content-Disposition header for downloading an attachment, with an ASCII
+// fallback and the UTF-8 name (RFC 6266)
+const buildContentDisposition = (attachment) => {
+  const type = INLINE_TYPES.has(attachment.contentType)
+    ? "inline"
+    : "attachment";
+  const asciiName = attachment.filename.replace(/[^\x20-\x7e]/g, "_");
+  return `${type}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(
+    attachment.filename
+  )}`;
+};
+
+module.exports = {
+  MAX_ATTACHMENT_SIZE,
+  MAX_FILES_PER_UPLOAD,
+  ALLOWED_TYPES,
+  resolveContentType,
+  sanitizeFilename,
+  buildContentDisposition,
+};
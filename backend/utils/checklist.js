@@ -0,0 +1,83 @@
+const Task = require("../models/Task");
+
+const MAX_ITEM_LENGTH = 200;
+
+// Validate checklist item text, returning { error } or { text }
+const validateItemText = (text) => {
+  if (typeof text !== "string" || !text.trim()) {
+    return { error: "Checklist item text is required" };
+  }
+  if (text.trim().length > MAX_ITEM_LENGTH) {
+    return {
+      error: `Checklist item cannot exceed ${MAX_ITEM_LENGTH} characters`,
+    };
+  }
+  return { text: text.trim() };
+};
+
+// Validate a whole checklist from a task body. Items keep their _id when
+// one is given so edits don't churn IDs. Returns { error } or { checklist }.
+const normalizeChecklist = (items) => {
+  if (!Array.isArray(items)) {
+    return { error: "Checklist must be an array of items" };
+  }
+  if (items.length > Task.MAX_CHECKLIST_ITEMS) {
+    return {
+      error: `A task cannot have more than ${Task.MAX_CHECKLIST_ITEMS} checklist items`,
+    };
+  }
+
+  const seenIds = new Set();
+  const checklist = [];
+  for (const item of items) {
+    if (!item || typeof item !== "object") {
+      return { error: "Each checklist item must be an object with text" };
+    }
+
+    const { text, error } = validateItemText(item.text);
+    if (error) return { error };
+
+    if (item.done !== undefined && typeof item.done !== "boolean") {
+      return { error: "Checklist item done must be true or false" };
+    }
+
+    const entry = { text, done: item.done === true };
+    if (
+      typeof item._id === "string" &&
+      /^[0-9a-fA-F]{24}$/.test(item._id) &&
+      !seenIds.has(item._id)
+    ) {
+      entry._id = item._id;
+      seenIds.add(item._id);
+    }
+    checklist.push(entry);
+  }
+
+  return { checklist };
+};
+
+const isChecklistComplete = (checklist = []) =>
+  checklist.length > 0 && checklist.every((item) => item.done);
+
+// Whether a checklist change should move the task to the workflow's done
+// status: the user opted in, the task isn't finished yet, the checklist has
+// just become complete, and the same change didn't pick a status itself
+const shouldAutoComplete = (
+  user,
+  workflow,
+  previous,
+  checklist,
+  requestedStatus
+) =>
+  Boolean(user.preferences?.autoCompleteChecklists) &&
+  Boolean(workflow.doneStatus) &&
+  !workflow.isTerminal(previous.status) &&
+  isChecklistComplete(checklist) &&
+  !isChecklistComplete(previous.checklist) &&
+  (requestedStatus === undefined || requestedStatus === previous.status);
+
+module.exports = {
+  validateItemText,
+  normalizeChecklist,
+  shouldAutoComplete,
+};
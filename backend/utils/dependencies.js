@@ -0,0 +1,63 @@
+const Task = require("../models/Task");
+
+// Fields of a blocking task sent with a refused status change
+const BLOCKER_FIELDS = "title status";
+
+// The live tasks among `blockedBy` that are not in a terminal status of
+// `workflow` (blockers share the workflow of the task they block)
+const findOpenBlockers = (workflow, blockedBy) => {
+  if (!blockedBy || blockedBy.length === 0) return [];
+
+  return Task.find({
+    _id: { $in: blockedBy },
+    status: { $nin: workflow.getTerminalNames() },
+    deletedAt: null,
+  })
+    .select(BLOCKER_FIELDS)
+    .lean();
+};
+
+// Unfinished tasks that stop `task` moving to `status`, or [] when the move
+// is allowed. Blocked tasks can only be in the workflow's first status;
+// tasks already in another one can stay there.
+const findBlockersOfMove = (workflow, task, status) => {
+  if (status === workflow.initialStatus || task.status === status) return [];
+  return findOpenBlockers(workflow, task.blockedBy);
+};
+
+// Whether making `taskId` blocked by `blockerId` would close a loop, i.e.
+// `blockerId` already waits on `taskId` directly or through other tasks.
+// Walks the blocked-by links breadth first, one query per level.
+const createsDependencyCycle = async (taskId, blockerId) => {
+  const target = taskId.toString();
+  if (blockerId.toString() === target) return true;
+
+  const visited = new Set([blockerId.toString()]);
+  let frontier = [blockerId];
+
+  while (frontier.length > 0) {
+    const tasks = await Task.find({ _id: { $in: frontier } })
+      .select("blockedBy")
+      .lean();
+
+    frontier = [];
+    for (const task of tasks) {
+      for (const id of task.blockedBy || []) {
+        const key = id.toString();
+        if (key === target) return true;
+        if (!visited.has(key)) {
+          visited.add(key);
+          frontier.push(id);
+        }
+      }
+    }
+  }
+
+  return false;
+};
+
+module.exports = {
+  findOpenBlockers,
+  findBlockersOfMove,
+  createsDependencyCycle,
+};
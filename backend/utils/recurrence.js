@@ -0,0 +1,268 @@
+const FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+// RRULE weekday codes, indexed like Date#getUTCDay (Sunday first)
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const MAX_INTERVAL = 365;
+const MAX_COUNT = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Parse an RRULE-style string such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"
+// (an "RRULE:" prefix is allowed) into recurrence fields for validation.
+// Supports FREQ, INTERVAL, BYDAY, BYMONTHDAY, UNTIL and COUNT.
+const parseRRule = (rule) => {
+  const fields = {};
+  const parts = rule
+    .trim()
+    .replace(/^RRULE:/i, "")
+    .split(";")
+    .filter(Boolean);
+
+  for (const part of parts) {
+    const [rawKey, value = ""] = part.split("=");
+    const key = rawKey.trim().toUpperCase();
+    switch (key) {
+      case "FREQ":
+        fields.frequency = value.trim().toLowerCase();
+        break;
+      case "INTERVAL":
+        fields.interval = Number(value);
+        break;
+      case "BYDAY":
+        fields.byWeekday = value.split(",").map((day) => day.trim());
+        break;
+      case "BYMONTHDAY":
+        fields.byMonthDay = Number(value);
+        break;
+      case "UNTIL": {
+        // Basic (20261231 or 20261231T090000Z) or extended ISO format
+        const match = value
+          .trim()
+          .match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+        fields.until = match
+          ? `${match[1]}-${match[2]}-${match[3]}T${match[4] || "23"}:${
+              match[5] || "59"
+            }:${match[6] || "59"}Z`
+          : value.trim();
+        break;
+      }
+      case "COUNT":
+        fields.count = Number(value);
+        break;
+      default:
+        return { error: `Unsupported recurrence rule part ${key}` };
+    }
+  }
+
+  return { fields };
+};
+
+// Validate a recurrence rule from a task body: an object
+// { frequency, interval?, byWeekday?, byMonthDay?, until?, count? } or an
+// RRULE-style string. null stops a series. Returns { error } or
+// { recurrence } (null when the task should not repeat).
+const normalizeRecurrence = (value) => {
+  if (value === null || value === "") return { recurrence: null };
+
+  let fields = value;
+  if (typeof value === "string") {
+    const parsed = parseRRule(value);
+    if (parsed.error) return { error: parsed.error };
+    fields = parsed.fields;
+  }
+  if (!isPlainObject(fields)) {
+    return { error: "Recurrence must be an object, RRULE string or null" };
+  }
+
+  const { frequency, interval = 1, until = null, count = null } = fields;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    return {
+      error: `Recurrence frequency must be one of: ${FREQUENCIES.join(", ")}`,
+    };
+  }
+
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    return {
+      error: `Recurrence interval must be a whole number from 1 to ${MAX_INTERVAL}`,
+    };
+  }
+
+  // Weekdays as numbers (0 = Sunday) or RRULE codes, weekly rules only
+  const rawWeekdays = fields.byWeekday ?? [];
+  if (!Array.isArray(rawWeekdays)) {
+    return { error: "Recurrence weekdays must be an array" };
+  }
+  const byWeekday = [];
+  for (const day of rawWeekdays) {
+    const index =
+      typeof day === "string"
+        ? WEEKDAY_CODES.indexOf(day.toUpperCase())
+        : Number.isInteger(day) && day >= 0 && day <= 6
+          ? day
+          : -1;
+    if (index === -1) {
+      return {
+        error: `Recurrence weekdays must be 0-6 or ${WEEKDAY_CODES.join(", ")}`,
+      };
+    }
+    if (!byWeekday.includes(index)) byWeekday.push(index);
+  }
+  if (byWeekday.length > 0 && frequency !== "weekly") {
+    return { error: "Recurrence weekdays only apply to weekly rules" };
+  }
+  byWeekday.sort((a, b) => a - b);
+
+  const byMonthDay = fields.byMonthDay ?? null;
+  if (byMonthDay !== null) {
+    if (frequency !== "monthly") {
+      return { error: "Recurrence day of month only applies to monthly rules" };
+    }
+    if (!Number.isInteger(byMonthDay) || byMonthDay < 1 || byMonthDay > 31) {
+      return { error: "Recurrence day of month must be from 1 to 31" };
+    }
+  }
+
+  let untilDate = null;
+  if (until !== null) {
+    untilDate = new Date(until);
+    if (isNaN(untilDate.getTime())) {
+      return { error: "Recurrence end date must be a valid date" };
+    }
+  }
+
+  if (count !== null) {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+      return {
+        error: `Recurrence count must be a whole number from 1 to ${MAX_COUNT}`,
+      };
+    }
+    if (untilDate) {
+      return {
+        error: "A recurrence can end on a date or after a count, not both",
+      };
+    }
+  }
+
+  return {
+    recurrence: {
+      frequency,
+      interval,
+      byWeekday,
+      byMonthDay,
+      until: untilDate,
+      count,
+    },
+  };
+};
+
+// Days in a month, given UTC year and zero-based month
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Same time of day, `months` later, on `day` (or the month's last day when
+// it is shorter, so the 31st falls back to the 30th or 28th)
+const addMonths = (date, months, day = date.getUTCDate()) => {
+  const result = new Date(date);
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  result.setUTCDate(
+    Math.min(day, daysInMonth(result.getUTCFullYear(), result.getUTCMonth()))
+  );
+  return result;
+};
+
+// The first date after `from` that the rule falls on (UTC calendar)
+const nextRecurrenceDate = (recurrence, from) => {
+  const { frequency, interval, byWeekday = [], byMonthDay } = recurrence;
+
+  switch (frequency) {
+    case "daily":
+      return new Date(from.getTime() + interval * DAY_MS);
+
+    case "weekly": {
+      if (byWeekday.length === 0) {
+        return new Date(from.getTime() + interval * 7 * DAY_MS);
+      }
+      // Weeks start on Monday, as in RRULE; later days this week come
+      // first, otherwise the first listed day `interval` weeks on
+      const mondayBased = (day) => (day + 6) % 7;
+      const current = mondayBased(from.getUTCDay());
+      const days = byWeekday.map(mondayBased).sort((a, b) => a - b);
+      const later = days.find((day) => day > current);
+      const offset =
+        later !== undefined
+          ? later - current
+          : interval * 7 - current + days[0];
+      return new Date(from.getTime() + offset * DAY_MS);
+    }
+
+    case "monthly":
+      // A day of month still ahead in this month comes first
+      if (
+        byMonthDay &&
+        from.getUTCDate() < byMonthDay &&
+        byMonthDay <= daysInMonth(from.getUTCFullYear(), from.getUTCMonth())
+      ) {
+        const result = new Date(from);
+        result.setUTCDate(byMonthDay);
+        return result;
+      }
+      return addMonths(from, interval, byMonthDay || from.getUTCDate());
+
+    case "yearly":
+      return addMonths(from, interval * 12);
+
+    default:
+      return null;
+  }
+};
+
+// Fields for the occurrence after `task`, completed at `completedAt`, or
+// null when the series has ended. Dates move by the rule from the due date
+// (else the start date, else the completion time) and skip any dates
+// already past, so a late completion doesn't create overdue occurrences.
+const buildNextOccurrence = (task, completedAt = new Date()) => {
+  const { recurrence } = task;
+  if (!recurrence || !recurrence.frequency) return null;
+
+  const occurrence = (task.occurrence || 1) + 1;
+  if (recurrence.count && occurrence > recurrence.count) return null;
+
+  const anchor = task.dueDate || task.startDate || completedAt;
+  let next = nextRecurrenceDate(recurrence, anchor);
+  for (let i = 0; next && next <= completedAt && i < MAX_COUNT; i++) {
+    next = nextRecurrenceDate(recurrence, next);
+  }
+  if (!next || (recurrence.until && next > recurrence.until)) return null;
+
+  // Keep the gap between start and due dates
+  const shift = next.getTime() - anchor.getTime();
+  const moveDate = (date) => date && new Date(date.getTime() + shift);
+
+  return {
+    userId: task.userId._id || task.userId,
+    workspaceId: task.workspaceId || null,
+    projectId: task.projectId || null,
+    assigneeIds: [...(task.assigneeIds || [])],
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    tags: [...task.tags],
+    estimateMinutes: task.estimateMinutes ?? null,
+    checklist: task.checklist.map(({ text }) => ({ text, done: false })),
+    recurrence: recurrence.toObject ? recurrence.toObject() : recurrence,
+    seriesId: task.seriesId || task._id,
+    occurrence,
+    startDate: moveDate(task.startDate) || null,
+    dueDate: task.dueDate || !task.startDate ? next : null,
+  };
+};
+
+module.exports = {
+  FREQUENCIES,
+  normalizeRecurrence,
+  nextRecurrenceDate,
+  buildNextOccurrence,
+};
@@ -0,0 +1,44 @@
+const fs = require("fs");
+const path = require("path");
+
+// Storage adapter keeping files under a directory on the local disk. Keys
+// become relative paths, so they must not contain "..".
+const createDiskStorage = ({ directory }) => {
+  const root = path.resolve(directory);
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    createReadStream: async (key) => {
+      const filePath = resolveKey(key);
+      // Find out here, not mid-response, when the file is gone
+      try {
+        await fs.promises.access(filePath, fs.constants.R_OK);
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+module.exports = { createDiskStorage };
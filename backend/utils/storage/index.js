@@ -0,0 +1,47 @@
+const path = require("path");
+const { createDiskStorage } = require("./diskStorage");
+
+// Where uploaded files are kept. Every adapter implements:
+//   name                                 "local" or "s3"
+//   save(key, buffer, { contentType })   store a file, replacing any at key
+//   createReadStream(key)                readable stream, or null if missing
+//   remove(key)                          delete a file; missing is not an error
+// Keys are opaque "/"-separated strings chosen by the caller.
+
+let storage = null;
+
+// Build the adapter picked by STORAGE_DRIVER ("local" by default, or "s3")
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || "local";
+
+  if (driver === "local") {
+    return createDiskStorage({
+      directory:
+        process.env.UPLOAD_DIR || path.join(__dirname, "..", "..", "uploads"),
+    });
+  }
+
+  if (driver === "s3") {
+    // Loaded on demand so the SDK is only required when S3 is used
+    const { createS3Storage } = require("./s3Storage");
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_PREFIX,
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}"; use "local" or "s3"`);
+};
+
+// The configured storage adapter, created on first use
+const getStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,69 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+// Storage adapter for Amazon S3 or any S3-compatible service (MinIO,
+// Cloudflare R2, ...). `endpoint` and `forcePathStyle` point it at services
+// other than AWS, such as a local MinIO container.
+const createS3Storage = ({
+  bucket,
+  region,
+  endpoint,
+  forcePathStyle,
+  accessKeyId,
+  secretAccessKey,
+  prefix = "",
+}) => {
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required when STORAGE_DRIVER is s3");
+  }
+
+  const client = new S3Client({
+    region: region || "us-east-1",
+    ...(endpoint && { endpoint }),
+    forcePathStyle: Boolean(forcePathStyle),
+    // Without explicit keys the SDK's default chain (env, profile, role) applies
+    ...(accessKeyId &&
+      secretAccessKey && { credentials: { accessKeyId, secretAccessKey } }),
+  });
+
+  const toObjectKey = (key) => `${prefix}${key}`;
+
+  return {
+    name: "s3",
+
+    save: async (key, buffer, { contentType } = {}) => {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: toObjectKey(key),
+          Body: buffer,
+          ContentType: contentType,
+        })
+      );
+    },
+
+    createReadStream: async (key) => {
+      try {
+        const { Body } = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: toObjectKey(key) })
+        );
+        return Body;
+      } catch (error) {
+        if (error.name === "NoSuchKey") return null;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      await client.send(
+        new DeleteObjectCommand({ Bucket: bucket, Key: toObjectKey(key) })
+      );
+    },
+  };
+};
+
+module.exports = { createS3Storage };
@@ -0,0 +1,114 @@
+// Task exports for GET /tasks/export. JSON exports follow a versioned
+// schema (see the README): bump EXPORT_VERSION whenever a field is renamed,
+// removed or changes meaning, so importers can tell old files apart.
+const EXPORT_FORMAT = "task-manager-export";
+const EXPORT_VERSION = 1;
+const EXPORT_FORMATS = ["csv", "json"];
+
+const toIsoDate = (date) => (date ? date.toISOString() : null);
+const toId = (value) => (value ? String(value._id || value) : null);
+
+// One task in the JSON schema. The fields POST /tasks accepts keep its names
+// and shapes, so each entry can be sent back to re-create the task; `id`,
+// `project`, `assignees`, `trackedSeconds` and the dates after them are
+// read-only. Expects `projectId` populated with the name, and `assignees`.
+const toExportTask = (task) => ({
+  id: String(task._id),
+  title: task.title,
+  description: task.description || "",
+  status: task.status,
+  priority: task.priority,
+  tags: [...task.tags],
+  startDate: toIsoDate(task.startDate),
+  dueDate: toIsoDate(task.dueDate),
+  estimateMinutes: task.estimateMinutes ?? null,
+  checklist: task.checklist.map(({ text, done }) => ({ text, done })),
+  recurrence: task.recurrence
+    ? {
+        frequency: task.recurrence.frequency,
+        interval: task.recurrence.interval,
+        byWeekday: [...task.recurrence.byWeekday],
+        byMonthDay: task.recurrence.byMonthDay ?? null,
+        until: toIsoDate(task.recurrence.until),
+        count: task.recurrence.count ?? null,
+      }
+    : null,
+  projectId: toId(task.projectId),
+  assigneeIds: task.assigneeIds.map(toId),
+  project: task.projectId?.name ?? null,
+  assignees: (task.assignees || []).map((user) => user.username),
+  trackedSeconds: task.trackedSeconds || 0,
+  createdAt: toIsoDate(task.createdAt),
+  updatedAt: toIsoDate(task.updatedAt),
+});
+
+// CSV columns in order, each read from an exported task
+const CSV_COLUMNS = [
+  ["id", (task) => task.id],
+  ["title", (task) => task.title],
+  ["description", (task) => task.description],
+  ["status", (task) => task.status],
+  ["priority", (task) => task.priority],
+  ["tags", (task) => task.tags.join(", ")],
+  ["project", (task) => task.project],
+  ["assignees", (task) => task.assignees.join(", ")],
+  ["startDate", (task) => task.startDate],
+  ["dueDate", (task) => task.dueDate],
+  ["estimateMinutes", (task) => task.estimateMinutes],
+  ["trackedSeconds", (task) => task.trackedSeconds],
+  [
+    "checklist",
+    (task) =>
+      task.checklist.length > 0
+        ? `${task.checklist.filter((item) => item.done).length}/${task.checklist.length}`
+        : null,
+  ],
+  ["recurring", (task) => (task.recurrence ? "yes" : "no")],
+  ["createdAt", (task) => task.createdAt],
+  ["updatedAt", (task) => task.updatedAt],
+];
+
+// Quote a CSV field when it holds a delimiter, quote or line break
+// (RFC 4180). Text a spreadsheet would run as a formula gets a leading
+// apostrophe, so opening an export can't execute what a task's title says.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => values.map(escapeCsvValue).join(",") + "\r\n";
+
+// The export file's chunks, one task at a time from `tasks` (an async
+// iterable of task documents) so large exports are never held in memory
+async function* generateExport(format, tasks, exportedAt = new Date()) {
+  if (format === "csv") {
+    yield toCsvRow(CSV_COLUMNS.map(([name]) => name));
+    for await (const task of tasks) {
+      const row = toExportTask(task);
+      yield toCsvRow(CSV_COLUMNS.map(([, read]) => read(row)));
+    }
+    return;
+  }
+
+  yield `{"format":"${EXPORT_FORMAT}","version":${EXPORT_VERSION},` +
+    `"exportedAt":"${exportedAt.toISOString()}","tasks":[`;
+  let separator = "";
+  for await (const task of tasks) {
+    yield separator + JSON.stringify(toExportTask(task));
+    separator = ",";
+  }
+  yield "]}\n";
+}
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  EXPORT_FORMATS,
+  toExportTask,
+  escapeCsvValue,
+  generateExport,
+};
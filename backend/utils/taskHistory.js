@@ -0,0 +1,104 @@
+const TaskHistory = require("../models/TaskHistory");
+
+// Task fields whose changes are recorded in the history
+const TRACKED_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "tags",
+  "estimateMinutes",
+  "startDate",
+  "dueDate",
+  "checklist",
+  "recurrence",
+  "projectId",
+  "assigneeIds",
+  "attachments",
+  "blockedBy",
+];
+
+// Checklist items are recorded by content only, without their IDs
+const toPlainItem = (item) =>
+  item && typeof item === "object" && "text" in item
+    ? { text: item.text, done: Boolean(item.done) }
+    : item;
+
+// Embedded documents (the recurrence rule) as plain objects
+const toPlainObject = (value) =>
+  typeof value.toObject === "function" ? value.toObject() : value;
+
+// Normalise a field value so equal dates/arrays/objects compare equal
+const toComparable = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) {
+    return value.length > 0 ? JSON.stringify(value.map(toPlainItem)) : null;
+  }
+  if (typeof value === "object") return JSON.stringify(toPlainObject(value));
+  return value;
+};
+
+// Store values as plain data (Mongoose arrays become regular arrays)
+const toStoredValue = (value) => {
+  if (value === undefined || value === "") return null;
+  if (Array.isArray(value)) return value.map(toPlainItem);
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return toPlainObject(value);
+  }
+  return value;
+};
+
+// List the tracked fields that differ between `before` and `after`. Only
+// fields present in `after` are compared, so it can be a partial update.
+const diffTaskFields = (before, after) =>
+  TRACKED_FIELDS.filter(
+    (field) =>
+      after[field] !== undefined &&
+      toComparable(before[field]) !== toComparable(after[field])
+  ).map((field) => ({
+    field,
+    oldValue: toStoredValue(before[field]),
+    newValue: toStoredValue(after[field]),
+  }));
+
+// Initial values of a newly created task, as changes from nothing
+const describeNewTask = (task) => diffTaskFields({}, task);
+
+// An update that only touched the status is shown as a status change
+const getUpdateAction = (changes) =>
+  changes.length === 1 && changes[0].field === "status"
+    ? "status_changed"
+    : "updated";
+
+// Record history entries ({ task, action, changes }) made by the request's
+// user and session. Updates with no tracked changes are skipped. Failures
+// are logged rather than thrown so they never fail the change itself.
+const recordTaskHistory = async (req, entries) => {
+  const docs = entries
+    .filter(
+      ({ action, changes = [] }) => action !== "updated" || changes.length > 0
+    )
+    .map(({ task, action, changes = [] }) => ({
+      taskId: task._id,
+      userId: task.userId._id || task.userId,
+      action: action === "updated" ? getUpdateAction(changes) : action,
+      changes,
+      actor: req.user._id,
+      sessionId: req.session?.sessionId || null,
+    }));
+
+  if (docs.length === 0) return;
+
+  try {
+    await TaskHistory.insertMany(docs);
+  } catch (error) {
+    console.error("Error recording task history:", error);
+  }
+};
+
+module.exports = {
+  diffTaskFields,
+  describeNewTask,
+  recordTaskHistory,
+};
@@ -0,0 +1,425 @@
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const {
+  escapeRegex,
+  parseSearchQuery,
+  buildSearchConditions,
+} = require("./taskSearch");
+
+// Allowed values for list query parameters (statuses come from the
+// user's or workspace's workflow, see models/Workflow.js)
+const TASK_PRIORITIES = Task.schema.path("priority").enumValues;
+
+// Sortable fields mapped to the stored path and its type
+const SORT_FIELDS = {
+  createdAt: { path: "createdAt", type: "date" },
+  updatedAt: { path: "updatedAt", type: "date" },
+  title: { path: "title", type: "string" },
+  status: { path: "status", type: "string" },
+  dueDate: { path: "dueDate", type: "date" },
+  priority: { path: "priorityRank", type: "number" },
+  // Manual order set by dragging tasks (see POST /tasks/:id/move)
+  position: { path: "position", type: "number" },
+};
+// Ranks `q` matches by text score; paged by offset as scores aren't stored
+const RELEVANCE = "relevance";
+const DUE_FILTERS = ["overdue", "today", "week"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TAG_MATCH_MODES = ["all", "any"];
+// `project` value selecting tasks that are not in any project
+const NO_PROJECT = "none";
+// `assignee` value selecting tasks assigned to the caller
+const ASSIGNED_TO_ME = "me";
+const MAX_TAGS = 20;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Case-insensitive ordering for string sorts and cursor comparisons
+const LIST_COLLATION = { locale: "en", strength: 2 };
+
+// Trim, validate and de-duplicate (ignoring case) a list of tag names.
+// Returns { error } or { tags }.
+const normalizeTagNames = (values) => {
+  if (!Array.isArray(values)) {
+    return { error: "Tags must be an array of names" };
+  }
+
+  const seen = new Set();
+  const tags = [];
+  for (const value of values) {
+    if (typeof value !== "string" || !value.trim()) {
+      return { error: "Tag names must be non-empty strings" };
+    }
+    const name = value.trim();
+    if (name.length > 30) {
+      return { error: "Tag names cannot exceed 30 characters" };
+    }
+    if (name.includes(",")) {
+      return { error: "Tag names cannot contain commas" };
+    }
+    if (!seen.has(name.toLowerCase())) {
+      seen.add(name.toLowerCase());
+      tags.push(name);
+    }
+  }
+
+  if (tags.length > MAX_TAGS) {
+    return { error: `A task cannot have more than ${MAX_TAGS} tags` };
+  }
+
+  return { tags };
+};
+
+// Start of the client's local day, given its Date#getTimezoneOffset() value
+const getLocalDayStart = (date, tzOffset) => {
+  const local = new Date(date.getTime() - tzOffset * 60 * 1000);
+  local.setUTCHours(0, 0, 0, 0);
+  return new Date(local.getTime() + tzOffset * 60 * 1000);
+};
+
+// Build the condition for a due-date view relative to the client's today.
+// Tasks in a terminal status are never overdue.
+const buildDueFilter = (
+  due,
+  tzOffset,
+  terminalStatuses = [],
+  now = new Date()
+) => {
+  const todayStart = getLocalDayStart(now, tzOffset);
+
+  switch (due) {
+    case "overdue":
+      return {
+        dueDate: { $lt: todayStart },
+        status: { $nin: terminalStatuses },
+      };
+    case "today":
+      return {
+        dueDate: {
+          $gte: todayStart,
+          $lt: new Date(todayStart.getTime() + DAY_MS),
+        },
+      };
+    case "week":
+      return {
+        dueDate: {
+          $gte: todayStart,
+          $lt: new Date(todayStart.getTime() + 7 * DAY_MS),
+        },
+      };
+    default:
+      return {};
+  }
+};
+
+// Encode the sort key of the last task in a page as an opaque cursor
+const encodeCursor = (task, sortBy) => {
+  const value = task[SORT_FIELDS[sortBy].path];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : (value ?? null),
+    id: task._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+// Encode the offset of the next page of relevance-ranked results
+const encodeOffsetCursor = (offset) =>
+  Buffer.from(JSON.stringify({ o: offset })).toString("base64url");
+
+// Decode a cursor back into { value, id } (or { offset } when ranking by
+// relevance), or null if it is malformed
+const decodeCursor = (cursor, sortBy) => {
+  try {
+    const payload = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+
+    if (sortBy === RELEVANCE) {
+      return Number.isInteger(payload?.o) && payload.o >= 0
+        ? { offset: payload.o }
+        : null;
+    }
+
+    if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) {
+      return null;
+    }
+
+    const { type } = SORT_FIELDS[sortBy];
+    let value = payload.v;
+    if (value !== null && type === "date") {
+      value = new Date(value);
+      if (isNaN(value.getTime())) return null;
+    } else if (value !== null && typeof value !== type) {
+      return null;
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Build the keyset condition selecting tasks that come after the cursor.
+// Null sort values sort first ascending and last descending, like MongoDB does.
+const buildCursorFilter = (sortBy, sortOrder, cursor) => {
+  const { value, id } = cursor;
+  const path = SORT_FIELDS[sortBy].path;
+  const ascending = sortOrder === "asc";
+  const idCondition = { _id: ascending ? { $gt: id } : { $lt: id } };
+
+  if (value === null) {
+    const sameValue = { [path]: null, ...idCondition };
+    return ascending
+      ? { $or: [sameValue, { [path]: { $ne: null } }] }
+      : sameValue;
+  }
+
+  const conditions = [
+    { [path]: ascending ? { $gt: value } : { $lt: value } },
+    { [path]: value, ...idCondition },
+  ];
+  if (!ascending) {
+    conditions.push({ [path]: null });
+  }
+
+  return { $or: conditions };
+};
+
+// Sort specification for a sort field, with _id as a stable tie-breaker
+const buildSort = (sortBy, sortOrder) => {
+  const direction = sortOrder === "asc" ? 1 : -1;
+  return { [SORT_FIELDS[sortBy].path]: direction, _id: direction };
+};
+
+// Parse and validate list query parameters for GET /tasks. Statuses are
+// checked against `workflow` when given (saved views are not tied to one).
+// Returns { error } on invalid input, otherwise the normalised options.
+const parseTaskListQuery = (query, workflow = null) => {
+  const {
+    status,
+    priority,
+    tags,
+    tagMatch = "all",
+    project,
+    assignee,
+    search,
+    q,
+    due,
+    tzOffset,
+    sortBy = "createdAt",
+    sortOrder = "desc",
+    limit,
+    cursor,
+  } = query;
+
+  const statuses = status
+    ? String(status)
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean)
+    : [];
+  if (workflow && statuses.some((s) => !workflow.hasStatus(s))) {
+    return {
+      error: `Status must be one of: ${workflow.getStatusNames().join(", ")}`,
+    };
+  }
+
+  const priorities = priority
+    ? String(priority)
+        .split(",")
+        .map((p) => p.trim())
+        .filter(Boolean)
+    : [];
+  if (priorities.some((p) => !TASK_PRIORITIES.includes(p))) {
+    return {
+      error: `Priority must be one of: ${TASK_PRIORITIES.join(", ")}`,
+    };
+  }
+
+  const tagFilter = tags
+    ? normalizeTagNames(
+        String(tags)
+          .split(",")
+          .filter((t) => t.trim())
+      )
+    : { tags: [] };
+  if (tagFilter.error) {
+    return { error: tagFilter.error };
+  }
+
+  if (!TAG_MATCH_MODES.includes(tagMatch)) {
+    return { error: 'tagMatch must be "all" or "any"' };
+  }
+
+  let projectId = null;
+  if (project !== undefined && project !== "") {
+    projectId = String(project);
+    if (projectId !== NO_PROJECT && !/^[0-9a-fA-F]{24}$/.test(projectId)) {
+      return { error: `project must be a project ID or "${NO_PROJECT}"` };
+    }
+  }
+
+  if (
+    assignee !== undefined &&
+    assignee !== "" &&
+    assignee !== ASSIGNED_TO_ME
+  ) {
+    return { error: `assignee must be "${ASSIGNED_TO_ME}"` };
+  }
+
+  if (due && !DUE_FILTERS.includes(due)) {
+    return { error: `due must be one of: ${DUE_FILTERS.join(", ")}` };
+  }
+
+  // Minutes behind UTC, as reported by the browser; defaults to UTC
+  let offset = 0;
+  if (tzOffset !== undefined) {
+    offset = parseInt(tzOffset, 10);
+    if (isNaN(offset) || Math.abs(offset) > 14 * 60) {
+      return { error: "tzOffset must be a timezone offset in minutes" };
+    }
+  }
+
+  let parsedSearch = null;
+  if (q !== undefined && String(q).trim()) {
+    parsedSearch = parseSearchQuery(q, {
+      statuses: workflow ? workflow.getStatusNames() : undefined,
+    });
+    if (parsedSearch.error) {
+      return { error: parsedSearch.error };
+    }
+  }
+
+  if (!SORT_FIELDS[sortBy] && sortBy !== RELEVANCE) {
+    return {
+      error: `sortBy must be one of: ${[
+        ...Object.keys(SORT_FIELDS),
+        RELEVANCE,
+      ].join(", ")}`,
+    };
+  }
+
+  // Without search words there is no score, so rank by newest instead
+  let effectiveSortBy = sortBy;
+  let effectiveSortOrder = sortOrder;
+  if (sortBy === RELEVANCE && !parsedSearch?.textSearch) {
+    effectiveSortBy = "createdAt";
+    effectiveSortOrder = "desc";
+  }
+
+  if (!["asc", "desc"].includes(sortOrder)) {
+    return { error: 'sortOrder must be "asc" or "desc"' };
+  }
+
+  let pageSize = DEFAULT_LIMIT;
+  if (limit !== undefined) {
+    pageSize = parseInt(limit, 10);
+    if (isNaN(pageSize) || pageSize < 1 || pageSize > MAX_LIMIT) {
+      return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+    }
+  }
+
+  let decodedCursor = null;
+  if (cursor) {
+    decodedCursor = decodeCursor(String(cursor), effectiveSortBy);
+    if (!decodedCursor) {
+      return { error: "Invalid cursor" };
+    }
+  }
+
+  return {
+    statuses,
+    priorities,
+    tags: tagFilter.tags,
+    tagMatch,
+    projectId,
+    assignee: assignee || null,
+    search: search ? String(search).trim() : "",
+    parsedSearch,
+    due: due || null,
+    tzOffset: offset,
+    terminalStatuses: workflow ? workflow.getTerminalNames() : [],
+    sortBy: effectiveSortBy,
+    sortOrder: effectiveSortOrder,
+    limit: pageSize,
+    cursor: decodedCursor,
+  };
+};
+
+// Build the MongoDB filter for the tasks in `scope` (see workspaceScope in
+// middleware/auth.js) from parsed list options.
+// Status is applied separately so per-status counts can ignore it.
+// Tag names match case-insensitively through LIST_COLLATION.
+const buildTaskFilter = (
+  scope,
+  {
+    priorities,
+    tags,
+    tagMatch,
+    projectId,
+    assigneeId,
+    search,
+    parsedSearch,
+    due,
+    tzOffset,
+    terminalStatuses,
+  }
+) => {
+  // Trashed tasks never show up in the normal listing
+  const conditions = [{ ...scope, deletedAt: null }];
+
+  if (projectId) {
+    conditions.push({
+      projectId:
+        projectId === NO_PROJECT
+          ? null
+          : new mongoose.Types.ObjectId(projectId),
+    });
+  }
+
+  if (assigneeId) {
+    conditions.push({ assigneeIds: assigneeId });
+  }
+
+  if (priorities && priorities.length > 0) {
+    conditions.push({ priority: { $in: priorities } });
+  }
+
+  if (tags && tags.length > 0) {
+    conditions.push({
+      tags: tagMatch === "any" ? { $in: tags } : { $all: tags },
+    });
+  }
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), "i");
+    conditions.push({ $or: [{ title: pattern }, { description: pattern }] });
+  }
+
+  // Search box query (`q`): $text terms plus status:/priority:/tag:
+  if (parsedSearch) {
+    conditions.push(...buildSearchConditions(parsedSearch));
+  }
+
+  if (due) {
+    conditions.push(buildDueFilter(due, tzOffset, terminalStatuses));
+  }
+
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+module.exports = {
+  TASK_PRIORITIES,
+  SORT_FIELDS,
+  RELEVANCE,
+  NO_PROJECT,
+  ASSIGNED_TO_ME,
+  LIST_COLLATION,
+  buildSort,
+  normalizeTagNames,
+  parseTaskListQuery,
+  buildTaskFilter,
+  buildCursorFilter,
+  encodeCursor,
+  encodeOffsetCursor,
+};
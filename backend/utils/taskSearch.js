@@ -0,0 +1,189 @@
+const Task = require("../models/Task");
+
+const MAX_QUERY_LENGTH = 200;
+// Characters of description shown around the first match
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+
+// Field operators and the values they accept (null accepts any value).
+// Statuses come from the workflow passed to parseSearchQuery.
+const OPERATORS = {
+  status: null,
+  priority: Task.schema.path("priority").enumValues,
+  tag: null,
+};
+
+// Optional "-", optional "field:", then a "quoted phrase" or a bare word
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+
+// Escape user input before embedding it in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Compare enum values loosely so "done", "in-progress" and "In Progress" work
+const looseKey = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Parse a search box query into $text terms and field filters. Supports
+// "quoted phrases", -exclusions and status:, priority: and tag: operators;
+// status: takes one of `statuses` when given.
+// Returns { error } or { words, phrases, excludedTerms, filters, textSearch }.
+const parseSearchQuery = (q, { statuses } = {}) => {
+  const query = String(q).trim();
+  if (query.length > MAX_QUERY_LENGTH) {
+    return {
+      error: `Search cannot exceed ${MAX_QUERY_LENGTH} characters`,
+    };
+  }
+
+  const words = [];
+  const phrases = [];
+  const excludedTerms = [];
+  const filters = Object.fromEntries(
+    Object.keys(OPERATORS).map((field) => [field, { $in: [], $nin: [] }])
+  );
+
+  for (const match of query.matchAll(TOKEN_PATTERN)) {
+    const [, negated, rawField, quoted, bare] = match;
+    const field = rawField && rawField.toLowerCase();
+    const value = (quoted ?? bare).trim();
+    if (!value) continue;
+
+    if (field && field in OPERATORS) {
+      const allowed =
+        field === "status" && statuses ? statuses : OPERATORS[field];
+      const resolved = allowed
+        ? allowed.find((option) => looseKey(option) === looseKey(value))
+        : value;
+      if (!resolved) {
+        return {
+          error: `Unknown ${field} "${value}", use one of: ${allowed.join(", ")}`,
+        };
+      }
+      filters[field][negated ? "$nin" : "$in"].push(resolved);
+    } else {
+      // Unknown "word:" prefixes are searched for as plain text
+      const text = rawField ? `${rawField}:${value}` : value;
+      if (negated) {
+        excludedTerms.push(quoted !== undefined ? `"${text}"` : text);
+      } else if (quoted !== undefined) {
+        phrases.push(text);
+      } else {
+        words.push(text);
+      }
+    }
+  }
+
+  // MongoDB $text syntax: words are ORed, phrases and exclusions must match
+  const textSearch = [
+    ...words,
+    ...phrases.map((phrase) => `"${phrase}"`),
+    ...excludedTerms.map((term) => `-${term}`),
+  ].join(" ");
+
+  return {
+    words,
+    phrases,
+    excludedTerms,
+    filters,
+    // $text needs at least one positive term
+    textSearch: words.length > 0 || phrases.length > 0 ? textSearch : "",
+  };
+};
+
+// Conditions for the operator part of a parsed search query
+const buildSearchConditions = ({ filters, textSearch }) => {
+  const conditions = [];
+  if (textSearch) {
+    conditions.push({ $text: { $search: textSearch } });
+  }
+
+  const paths = { status: "status", priority: "priority", tag: "tags" };
+  Object.entries(filters).forEach(([field, { $in, $nin }]) => {
+    if ($in.length > 0) {
+      conditions.push({
+        [paths[field]]: field === "tag" ? { $all: $in } : { $in },
+      });
+    }
+    if ($nin.length > 0) {
+      conditions.push({ [paths[field]]: { $nin } });
+    }
+  });
+
+  return conditions;
+};
+
+// Character ranges ([start, end)) in `text` matching the query's words
+// (as word prefixes, so "run" marks "running") and phrases, merged
+const findMatchRanges = (text, { words, phrases }) => {
+  if (!text) return [];
+
+  const patterns = [
+    ...words.map((word) => `\\b${escapeRegex(word)}\\w*`),
+    ...phrases.map((phrase) => escapeRegex(phrase).split(/\s+/).join("\\s+")),
+  ];
+  if (patterns.length === 0) return [];
+
+  const ranges = [];
+  for (const match of text.matchAll(new RegExp(patterns.join("|"), "gi"))) {
+    if (match[0].length > 0) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+};
+
+// A window of `text` around its first match, with ranges relative to it.
+// "…" marks text cut off at either end.
+const buildSnippet = (text, ranges) => {
+  if (ranges.length === 0) return null;
+
+  let start = Math.max(0, ranges[0][0] - SNIPPET_LEAD);
+  // Start at a word boundary unless that would skip the match
+  if (start > 0) {
+    const space = text.indexOf(" ", start);
+    if (space !== -1 && space < ranges[0][0]) start = space + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+  const offset = prefix.length - start;
+
+  return {
+    text: prefix + text.slice(start, end) + suffix,
+    highlights: ranges
+      .filter(([from, to]) => to > start && from < end)
+      .map(([from, to]) => [
+        Math.max(from, start) + offset,
+        Math.min(to, end) + offset,
+      ]),
+  };
+};
+
+// Describe why a task matched: its text score (when ranked), highlighted
+// title ranges and a highlighted description snippet
+const buildSearchMatch = (task, search) => ({
+  score: task.get("score") ?? null,
+  title: findMatchRanges(task.title, search),
+  snippet: buildSnippet(
+    task.description || "",
+    findMatchRanges(task.description, search)
+  ),
+});
+
+module.exports = {
+  escapeRegex,
+  parseSearchQuery,
+  buildSearchConditions,
+  buildSearchMatch,
+};
@@ -0,0 +1,256 @@
+const Task = require("../models/Task");
+const TaskHistory = require("../models/TaskHistory");
+const { LIST_COLLATION } = require("./taskQuery");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Days covered when no range is given, and the most a range can cover
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Days are YYYY-MM-DD strings in the client's local time, which is
+// `tzOffset` minutes behind UTC (its Date#getTimezoneOffset() value)
+const shiftDay = (day, days) =>
+  new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+
+const toLocalDay = (date, tzOffset) =>
+  new Date(date.getTime() - tzOffset * 60 * 1000).toISOString().slice(0, 10);
+
+// Start of a local day as a Date
+const getDayStart = (day, tzOffset) =>
+  new Date(Date.parse(`${day}T00:00:00Z`) + tzOffset * 60 * 1000);
+
+// The "+HH:MM" timezone MongoDB date operators expect for a tzOffset
+const toTimezone = (tzOffset) => {
+  const minutes = Math.abs(tzOffset);
+  const hours = String(Math.floor(minutes / 60)).padStart(2, "0");
+  return `${tzOffset > 0 ? "-" : "+"}${hours}:${String(minutes % 60).padStart(2, "0")}`;
+};
+
+// Local day of a date field, for grouping in an aggregation
+const localDayOf = (field, tzOffset) => ({
+  $dateToString: {
+    format: "%Y-%m-%d",
+    date: field,
+    timezone: toTimezone(tzOffset),
+  },
+});
+
+// Parse the from/to query parameters (local days, both included). The
+// range defaults to the 30 days up to today. Returns { error } or
+// { from, to, start, end } where start and end are the Dates bounding it.
+const parseStatsRange = ({ from, to }, tzOffset, now = new Date()) => {
+  for (const [label, value] of [
+    ["from", from],
+    ["to", to],
+  ]) {
+    // Dates like 2024-02-30 would otherwise roll over into the next month
+    if (
+      value !== undefined &&
+      (!DAY_PATTERN.test(value) ||
+        isNaN(Date.parse(value)) ||
+        shiftDay(value, 0) !== value)
+    ) {
+      return { error: `${label} must be a date like 2024-01-31` };
+    }
+  }
+
+  const toDay = to || toLocalDay(now, tzOffset);
+  const fromDay = from || shiftDay(toDay, -(DEFAULT_RANGE_DAYS - 1));
+  const days = (Date.parse(toDay) - Date.parse(fromDay)) / DAY_MS + 1;
+
+  if (days < 1) {
+    return { error: "from cannot be after to" };
+  }
+  if (days > MAX_RANGE_DAYS) {
+    return { error: `The range cannot be longer than ${MAX_RANGE_DAYS} days` };
+  }
+
+  return {
+    from: fromDay,
+    to: toDay,
+    start: getDayStart(fromDay, tzOffset),
+    end: getDayStart(shiftDay(toDay, 1), tzOffset),
+  };
+};
+
+// Current and longest runs of consecutive days among `days` (sorted, each
+// with a completion). The current streak still counts until the end of
+// the day after its last completion.
+const computeStreaks = (days, today) => {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  for (const day of days) {
+    run = previous && shiftDay(previous, 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  }
+
+  const isOngoing = previous === today || previous === shiftDay(today, -1);
+  return { current: isOngoing ? run : 0, longest };
+};
+
+// Task counts per status (in the workflow's order, then any others in
+// use). Task queries use LIST_COLLATION so tag filters match as in the list.
+const countByStatus = async (filter, workflow) => {
+  const rows = await Task.aggregate([
+    { $match: filter },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]).collation(LIST_COLLATION);
+
+  const byStatus = Object.fromEntries(
+    workflow.getStatusNames().map((status) => [status, 0])
+  );
+  rows.forEach(({ _id, count }) => {
+    byStatus[_id] = count;
+  });
+  return byStatus;
+};
+
+// Tasks created per local day between `start` and `end`, as { day: count }
+const countCreatedByDay = async (filter, { start, end }, tzOffset) => {
+  const rows = await Task.aggregate([
+    { $match: { ...filter, createdAt: { $gte: start, $lt: end } } },
+    {
+      $group: {
+        _id: localDayOf("$createdAt", tzOffset),
+        count: { $sum: 1 },
+      },
+    },
+  ]).collation(LIST_COLLATION);
+  return Object.fromEntries(rows.map(({ _id, count }) => [_id, count]));
+};
+
+// When the tasks matching `filter` that are done now were completed, read
+// from their history: the last time each moved from an unfinished status
+// (or none, when created) into a terminal one. Returns completions per
+// local day over all time, and the average time from creation to
+// completion of the tasks completed between `start` and `end`.
+const summarizeCompletions = async (
+  filter,
+  workflow,
+  { start, end },
+  tzOffset
+) => {
+  const terminal = workflow.getTerminalNames();
+  const doneTasks = await Task.find({
+    $and: [filter, { status: { $in: terminal } }],
+  })
+    .select("_id")
+    .collation(LIST_COLLATION)
+    .lean();
+  if (doneTasks.length === 0) {
+    return { byDay: {}, completed: 0, averageSeconds: null };
+  }
+
+  const [result] = await TaskHistory.aggregate([
+    {
+      $match: {
+        taskId: { $in: doneTasks.map((task) => task._id) },
+        "changes.field": "status",
+      },
+    },
+    { $unwind: "$changes" },
+    {
+      $match: {
+        "changes.field": "status",
+        "changes.newValue": { $in: terminal },
+        "changes.oldValue": { $nin: terminal },
+      },
+    },
+    { $group: { _id: "$taskId", completedAt: { $max: "$createdAt" } } },
+    {
+      $lookup: {
+        from: Task.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        as: "task",
+      },
+    },
+    {
+      $set: {
+        day: localDayOf("$completedAt", tzOffset),
+        duration: {
+          $max: [
+            {
+              $subtract: [
+                "$completedAt",
+                { $arrayElemAt: ["$task.createdAt", 0] },
+              ],
+            },
+            0,
+          ],
+        },
+      },
+    },
+    {
+      $facet: {
+        byDay: [{ $group: { _id: "$day", count: { $sum: 1 } } }],
+        inRange: [
+          { $match: { completedAt: { $gte: start, $lt: end } } },
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              averageMs: { $avg: "$duration" },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const [inRange] = result.inRange;
+  return {
+    byDay: Object.fromEntries(
+      result.byDay.map(({ _id, count }) => [_id, count])
+    ),
+    completed: inRange ? inRange.count : 0,
+    averageSeconds: inRange ? Math.round(inRange.averageMs / 1000) : null,
+  };
+};
+
+// Statistics for the tasks matching `filter` over a parsed `range`:
+// counts per status, tasks created and completed per day, the average
+// time to completion and streaks of days with completions
+const buildTaskStats = async (filter, workflow, range, tzOffset) => {
+  const [byStatus, createdByDay, completions] = await Promise.all([
+    countByStatus(filter, workflow),
+    countCreatedByDay(filter, range, tzOffset),
+    summarizeCompletions(filter, workflow, range, tzOffset),
+  ]);
+
+  const daily = [];
+  for (let day = range.from; day <= range.to; day = shiftDay(day, 1)) {
+    daily.push({
+      date: day,
+      created: createdByDay[day] || 0,
+      completed: completions.byDay[day] || 0,
+    });
+  }
+
+  return {
+    range: { from: range.from, to: range.to, tzOffset },
+    total: Object.values(byStatus).reduce((sum, n) => sum + n, 0),
+    byStatus,
+    daily,
+    created: daily.reduce((sum, { created }) => sum + created, 0),
+    completed: completions.completed,
+    averageCompletionSeconds: completions.averageSeconds,
+    streaks: computeStreaks(
+      Object.keys(completions.byDay).sort(),
+      toLocalDay(new Date(), tzOffset)
+    ),
+  };
+};
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  parseStatsRange,
+  computeStreaks,
+  buildTaskStats,
+};
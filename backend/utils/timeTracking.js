@@ -0,0 +1,134 @@
+const Task = require("../models/Task");
+const TimeEntry = require("../models/TimeEntry");
+
+// Longest time entry that can be added or edited by hand; a timer left
+// running can go past it
+const MAX_ENTRY_HOURS = 24;
+const MAX_ENTRY_MS = MAX_ENTRY_HOURS * 60 * 60 * 1000;
+
+// Allowance for clients whose clock runs slightly ahead of the server's
+const CLOCK_SKEW_MS = 60 * 1000;
+
+// Parse an estimate in minutes from a request body: undefined leaves it as
+// is, null or "" clears it. Returns { error } or { value }.
+const parseEstimate = (value) => {
+  if (value === undefined) return { value: undefined };
+  if (value === null || value === "") return { value: null };
+
+  if (
+    !Number.isInteger(value) ||
+    value < 1 ||
+    value > Task.MAX_ESTIMATE_MINUTES
+  ) {
+    return {
+      error: `Estimate must be a whole number of minutes between 1 and ${Task.MAX_ESTIMATE_MINUTES}`,
+    };
+  }
+  return { value };
+};
+
+const parseEntryDate = (value, label) => {
+  const date = new Date(value);
+  if (value === null || value === "" || isNaN(date.getTime())) {
+    return { error: `${label} must be a valid date` };
+  }
+  if (date.getTime() > Date.now() + CLOCK_SKEW_MS) {
+    return { error: `${label} cannot be in the future` };
+  }
+  return { date };
+};
+
+// Validate the startedAt, endedAt and note of a time entry added by hand,
+// or with `existing` an edit of that entry where omitted fields are kept.
+// Returns { error } or { values } with only the supplied fields.
+const validateTimeEntryInput = (body, existing = null) => {
+  const values = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (!existing && (!has("startedAt") || !has("endedAt"))) {
+    return { error: "Start and end times are required" };
+  }
+
+  if (has("startedAt")) {
+    const start = parseEntryDate(body.startedAt, "Start time");
+    if (start.error) return { error: start.error };
+    values.startedAt = start.date;
+  }
+
+  if (has("endedAt")) {
+    if (existing && !existing.endedAt) {
+      return { error: "Stop the timer to end a running entry" };
+    }
+    const end = parseEntryDate(body.endedAt, "End time");
+    if (end.error) return { error: end.error };
+    values.endedAt = end.date;
+  }
+
+  if (has("note")) {
+    if (typeof body.note !== "string") {
+      return { error: "Note must be a string" };
+    }
+    if (body.note.trim().length > TimeEntry.MAX_NOTE_LENGTH) {
+      return {
+        error: `Note cannot exceed ${TimeEntry.MAX_NOTE_LENGTH} characters`,
+      };
+    }
+    values.note = body.note.trim();
+  }
+
+  // Compare against the stored times for fields left out of an edit
+  const startedAt = values.startedAt || existing?.startedAt;
+  const endedAt = values.endedAt || existing?.endedAt;
+  if (endedAt) {
+    if (endedAt <= startedAt) {
+      return { error: "End time must be after the start time" };
+    }
+    if (
+      (has("startedAt") || has("endedAt")) &&
+      endedAt - startedAt > MAX_ENTRY_MS
+    ) {
+      return {
+        error: `A time entry cannot be longer than ${MAX_ENTRY_HOURS} hours`,
+      };
+    }
+  }
+
+  return { values };
+};
+
+// Seconds a time entry adds to its task's total; running timers add
+// nothing until they are stopped
+const countedSeconds = (entry) => (entry.endedAt ? entry.durationSeconds : 0);
+
+// Add `seconds` (possibly negative) to a task's tracked total. Uses the
+// driver so the bookkeeping doesn't count as an edit of the task.
+const addTrackedTime = async (taskId, seconds) => {
+  if (!seconds) return;
+  await Task.collection.updateOne(
+    { _id: taskId },
+    { $inc: { trackedSeconds: seconds } }
+  );
+};
+
+// Stop the user's running timer (only if it is on one of the tasks matched
+// by `filter`), adding its time to its task. Returns the stopped entry or
+// null when no timer was running.
+const stopRunningTimer = async (userId, filter = {}) => {
+  const entry = await TimeEntry.findOneAndUpdate(
+    { ...filter, userId, endedAt: null },
+    { endedAt: new Date() },
+    { new: true }
+  );
+  if (!entry) return null;
+
+  await addTrackedTime(entry.taskId, countedSeconds(entry));
+  return entry;
+};
+
+module.exports = {
+  parseEstimate,
+  validateTimeEntryInput,
+  countedSeconds,
+  addTrackedTime,
+  stopRunningTimer,
+};
@@ -0,0 +1,109 @@
+const Task = require("../models/Task");
+const TaskHistory = require("../models/TaskHistory");
+const Comment = require("../models/Comment");
+const TimeEntry = require("../models/TimeEntry");
+const { getStorage } = require("./storage");
+
+// How often trashed tasks past their retention period are purged, and how
+// many are purged at a time
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 200;
+
+// Delete the stored files of tasks' attachments. Failures are logged, not
+// thrown, as the tasks no longer reference the files.
+const removeAttachmentFiles = async (tasks) => {
+  const storage = getStorage();
+  const keys = tasks.flatMap((task) =>
+    task.attachments.map((attachment) => attachment.storageKey)
+  );
+  await Promise.all(
+    keys.map((key) =>
+      storage
+        .remove(key)
+        .catch((error) =>
+          console.error(`Failed to remove attachment file ${key}:`, error)
+        )
+    )
+  );
+};
+
+// Drop purged tasks from the blocked-by lists of the tasks they blocked.
+// Uses the driver so the clean-up doesn't count as an edit of those tasks.
+const unlinkBlockers = (taskIds) =>
+  Task.collection.updateMany(
+    { blockedBy: { $in: taskIds } },
+    { $pull: { blockedBy: { $in: taskIds } } }
+  );
+
+// Permanently delete the trashed tasks matching `filter` (up to `limit`),
+// taking their history, comments, time entries, files and blocked-by links
+// with them. Tasks restored meanwhile are left alone. Returns the purged
+// tasks.
+const purgeTasks = async (filter, { limit = 0 } = {}) => {
+  const trashFilter = { $and: [filter, { deletedAt: { $ne: null } }] };
+  const tasks = await Task.find(trashFilter).limit(limit);
+  if (tasks.length === 0) return [];
+
+  const ids = tasks.map((task) => task._id);
+  const result = await Task.deleteMany({
+    _id: { $in: ids },
+    deletedAt: { $ne: null },
+  });
+  let purged = tasks;
+  if (result.deletedCount !== tasks.length) {
+    const kept = new Set(
+      (await Task.find({ _id: { $in: ids } }).distinct("_id")).map(String)
+    );
+    purged = tasks.filter((task) => !kept.has(String(task._id)));
+  }
+
+  const taskIds = purged.map((task) => task._id);
+  await Promise.all([
+    TaskHistory.deleteMany({ taskId: { $in: taskIds } }),
+    Comment.deleteMany({ taskId: { $in: taskIds } }),
+    TimeEntry.deleteMany({ taskId: { $in: taskIds } }),
+    removeAttachmentFiles(purged),
+    unlinkBlockers(taskIds),
+  ]);
+  return purged;
+};
+
+// Purge every task that has been in the trash longer than the retention
+// period, in batches. Returns how many were purged.
+const purgeExpiredTasks = async (now = new Date()) => {
+  const cutoff = new Date(
+    now.getTime() - Task.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+  let count = 0;
+  for (;;) {
+    const purged = await purgeTasks(
+      { deletedAt: { $lte: cutoff } },
+      { limit: PURGE_BATCH_SIZE }
+    );
+    count += purged.length;
+    if (purged.length < PURGE_BATCH_SIZE) return count;
+  }
+};
+
+// Purge expired tasks now and then every PURGE_INTERVAL_MS, without keeping
+// the process alive. Returns the timer.
+const startTrashPurge = (intervalMs = PURGE_INTERVAL_MS) => {
+  const run = () =>
+    purgeExpiredTasks()
+      .then((count) => {
+        if (count > 0) console.log(`🗑️  Purged ${count} expired task(s)`);
+      })
+      .catch((error) => console.error("Error purging expired tasks:", error));
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  removeAttachmentFiles,
+  purgeTasks,
+  purgeExpiredTasks,
+  startTrashPurge,
+};
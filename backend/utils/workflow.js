@@ -0,0 +1,44 @@
+const Workflow = require("../models/Workflow");
+const { workspaceScope } = require("../middleware/auth");
+
+// The workflow of the scope the request acts on (the workspace's, or the
+// user's own), loaded once per request
+const getWorkflow = async (req) => {
+  if (!req.workflow) {
+    req.workflow = await Workflow.forScope(workspaceScope(req));
+  }
+  return req.workflow;
+};
+
+// The workflow a task's statuses come from: its workspace's, or for a
+// personal task its owner's, which differs from the request's for tasks
+// assigned to the user by someone else
+const getTaskWorkflow = (req, task) => {
+  const ownerId = (task.userId?._id || task.userId)?.toString();
+  const inScope = req.workspace
+    ? task.workspaceId?.toString() === req.workspace._id.toString()
+    : !task.workspaceId && ownerId === req.user._id.toString();
+
+  if (inScope) return getWorkflow(req);
+  return Workflow.forScope(
+    task.workspaceId
+      ? { workspaceId: task.workspaceId }
+      : { userId: ownerId, workspaceId: null }
+  );
+};
+
+// Whether a status change completes a task, i.e. moves it from a
+// non-terminal status into a terminal one
+const isCompletion = (workflow, fromStatus, toStatus) =>
+  !workflow.isTerminal(fromStatus) && workflow.isTerminal(toStatus);
+
+// Error message listing the statuses a workflow accepts
+const describeStatuses = (workflow) =>
+  `Status must be one of: ${workflow.getStatusNames().join(", ")}`;
+
+module.exports = {
+  getWorkflow,
+  getTaskWorkflow,
+  isCompletion,
+  describeStatuses,
+};
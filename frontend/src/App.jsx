@@ -1,56 +1,407 @@
-import React, { useState, useEffect } from "react";
-import { RefreshCw, Plus, XCircle, LogOut } from "lucide-react";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  RefreshCw,
+  Plus,
+  XCircle,
+  LogOut,
+  Tag,
+  Trash2,
+  Folder,
+  Users,
+  Workflow,
+  BarChart3,
+} from "lucide-react";
 import { AuthProvider } from "./contexts/AuthContext";
 import { useAuth } from "./contexts/authUtils.jsx";
 import AuthPage from "./components/auth/AuthPage";
 import TaskForm from "./components/TaskForm";
 import TaskList from "./components/TaskList";
-import { useTaskFunctions } from "./hooks/task-functions";
+import ViewSidebar from "./components/ViewSidebar";
+import TagManager from "./components/TagManager";
+import ProjectSwitcher from "./components/ProjectSwitcher";
+import ProjectManager from "./components/ProjectManager";
+import WorkspaceSwitcher from "./components/WorkspaceSwitcher";
+import WorkspaceManager from "./components/WorkspaceManager";
+import WorkflowEditor from "./components/WorkflowEditor";
+import TrashPanel from "./components/TrashPanel";
+import StatsDashboard from "./components/StatsDashboard";
+import ExportMenu from "./components/ExportMenu";
+import RunningTimer from "./components/RunningTimer";
+import UndoToast from "./components/UndoToast";
+import {
+  useTaskFunctions,
+  DEFAULT_TASK_QUERY,
+  ALL_PROJECTS,
+  NO_PROJECT,
+} from "./hooks/task-functions";
+import { useTagFunctions } from "./hooks/tag-functions";
+import { useProjectFunctions } from "./hooks/project-functions";
+import { useWorkspaceFunctions } from "./hooks/workspace-functions";
+import { useAssigneeFunctions } from "./hooks/assignee-functions";
+import { useWorkflowFunctions } from "./hooks/workflow-functions";
+import { useTrashFunctions } from "./hooks/trash-functions";
+import { useTimerFunctions } from "./hooks/time-functions";
+import { useStatsFunctions } from "./hooks/stats-functions";
+import {
+  useViewFunctions,
+  viewToQuery,
+  queryToViewData,
+  isViewModified,
+} from "./hooks/view-functions";
+import { authAPI } from "./services/api";
+import { getUserInitial } from "./utils/user";
 import "./css/index.css";
 
+const VIEW_MODE_KEY = "taskManager_viewMode";
+const VIEW_PARAM = "view";
+const INVITE_PARAM = "invite";
+
+// The saved view named in the URL (?view=<id>), if any
+const getUrlViewId = () =>
+  new URLSearchParams(window.location.search).get(VIEW_PARAM);
+
+// Point the URL at a saved view (or none) so it can be bookmarked
+const setUrlViewId = (viewId, { replace = false } = {}) => {
+  const url = new URL(window.location.href);
+  if (viewId) {
+    url.searchParams.set(VIEW_PARAM, viewId);
+  } else {
+    url.searchParams.delete(VIEW_PARAM);
+  }
+  if (url.href === window.location.href) return;
+
+  if (replace) {
+    window.history.replaceState(null, "", url);
+  } else {
+    window.history.pushState(null, "", url);
+  }
+};
+
+// The invitation token of an invite link (?invite=<token>), if any
+const getUrlInviteToken = () =>
+  new URLSearchParams(window.location.search).get(INVITE_PARAM);
+
+const clearUrlInviteToken = () => {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(INVITE_PARAM);
+  window.history.replaceState(null, "", url);
+};
+
 // Main App Component (wrapped with auth)
 const AppContent = () => {
-  const { user, isAuthenticated, isLoading, logout } = useAuth();
+  const { user, isAuthenticated, isLoading, logout, updateProfile } = useAuth();
   const {
     tasks,
     isTasksLoading,
+    isLoadingMore,
     error,
+    query,
+    pagination,
+    counts,
     loadTasks,
+    loadMoreTasks,
+    updateTaskQuery,
     createTask,
     updateTask,
     deleteTask,
     updateTaskStatus,
+    moveTask,
+    toggleChecklistItem,
+    uploadAttachments,
+    removeAttachment,
+    addDependency,
+    removeDependency,
+    applyTrackedTime,
+    bulkUpdateTasks,
+    restoreTask,
+    exportTasks,
     clearError,
     clearTasks,
   } = useTaskFunctions();
+  const { tags, loadTags, createTag, updateTag, deleteTag, clearTags } =
+    useTagFunctions();
+  const {
+    trashedTasks,
+    retentionDays,
+    isTrashLoading,
+    loadTrash,
+    purgeTask,
+    emptyTrash,
+    removeFromTrash,
+    clearTrash,
+  } = useTrashFunctions();
+  const { views, loadViews, createView, updateView, deleteView, clearViews } =
+    useViewFunctions();
+  const {
+    projects,
+    unassignedCount,
+    isProjectsLoaded,
+    loadProjects,
+    createProject,
+    updateProject,
+    deleteProject,
+    clearProjects,
+  } = useProjectFunctions();
+  const {
+    workspaces,
+    workspaceId,
+    invitations,
+    isWorkspacesLoaded,
+    loadWorkspaces,
+    loadInvitations,
+    selectWorkspace,
+    createWorkspace,
+    updateWorkspace,
+    deleteWorkspace,
+    leaveWorkspace,
+    acceptInvitation,
+    declineInvitation,
+    clearWorkspaces,
+  } = useWorkspaceFunctions();
+  const { assignees, loadAssignees, clearAssignees } = useAssigneeFunctions();
+  const { statuses, loadWorkflow, updateWorkflow, clearWorkflow } =
+    useWorkflowFunctions();
+  const { timer, loadTimer, startTimer, stopTimer, clearTimer } =
+    useTimerFunctions(applyTrackedTime);
+  const { stats, isStatsLoading, statsError, loadStats, clearStats } =
+    useStatsFunctions();
 
   const [showForm, setShowForm] = useState(false);
+  const [showTagManager, setShowTagManager] = useState(false);
+  const [showProjectManager, setShowProjectManager] = useState(false);
+  const [showWorkspaceManager, setShowWorkspaceManager] = useState(false);
+  const [showWorkflowEditor, setShowWorkflowEditor] = useState(false);
+  // Why an invite link could not be used
+  const [inviteError, setInviteError] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showStats, setShowStats] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
+  // Last task moved to the trash from TaskItem, offered for undo
+  const [undoDelete, setUndoDelete] = useState(null);
+  // List or board layout, remembered on this device
+  const [viewMode, setViewMode] = useState(
+    () => localStorage.getItem(VIEW_MODE_KEY) || "list"
+  );
+  // Saved view currently applied, mirrored in the URL
+  const [activeViewId, setActiveViewId] = useState(getUrlViewId);
+
+  // The project remembered on this device may have been deleted elsewhere
+  const isMissingProject =
+    isProjectsLoaded &&
+    query.project !== ALL_PROJECTS &&
+    query.project !== NO_PROJECT &&
+    !projects.some((project) => project._id === query.project);
+
+  const activeWorkspace = workspaces.find(
+    (workspace) => workspace._id === workspaceId
+  );
+  // The workspace remembered on this device may have been left or deleted
+  const isMissingWorkspace =
+    isWorkspacesLoaded && Boolean(workspaceId) && !activeWorkspace;
+  // Viewers can look at a workspace's tasks but not change them
+  const canEditTasks = activeWorkspace?.role !== "viewer";
+  // A workspace's statuses are its owner's to change
+  const canEditWorkflow = activeWorkspace
+    ? activeWorkspace.role === "owner"
+    : true;
+
+  const activeView = views.find((view) => view._id === activeViewId);
+  const isActiveViewModified = activeView
+    ? isViewModified(activeView, query, viewMode)
+    : false;
 
-  // Load tasks when user is authenticated
+  const changeViewMode = useCallback((mode) => {
+    localStorage.setItem(VIEW_MODE_KEY, mode);
+    setViewMode(mode);
+  }, []);
+
+  // Apply a saved view's filters, sort and layout (null for all tasks)
+  const applyView = useCallback(
+    (view) => {
+      setActiveViewId(view ? view._id : null);
+      updateTaskQuery(view ? viewToQuery(view) : DEFAULT_TASK_QUERY);
+      if (view) changeViewMode(view.layout);
+    },
+    [updateTaskQuery, changeViewMode]
+  );
+
+  // Load tasks when user is authenticated, the filter/sort query changes or
+  // another workspace is picked
   useEffect(() => {
     if (isAuthenticated) {
       loadTasks();
     }
-  }, [isAuthenticated, loadTasks]);
+  }, [isAuthenticated, loadTasks, workspaceId]);
+
+  // Load the tag catalogue when user is authenticated or another workspace
+  // is picked, as each workspace has its own
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadTags().catch(() => {});
+    }
+  }, [isAuthenticated, loadTags, workspaceId]);
+
+  // Load projects when user is authenticated or another workspace is picked
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadProjects().catch(() => {});
+    }
+  }, [isAuthenticated, loadProjects, workspaceId]);
+
+  // Load the statuses when user is authenticated or another workspace is
+  // picked, as each workspace has its own
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadWorkflow().catch(() => {});
+    }
+  }, [isAuthenticated, loadWorkflow, workspaceId]);
+
+  // Load the running timer when user is authenticated; it lives on the
+  // server, so a timer started before a reload keeps running
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadTimer().catch(() => {});
+    }
+  }, [isAuthenticated, loadTimer]);
+
+  // Load who tasks can be assigned to whenever the task form opens, as
+  // workspace members may have changed since
+  useEffect(() => {
+    if (isAuthenticated && showForm) {
+      loadAssignees().catch(() => {});
+    }
+  }, [isAuthenticated, showForm, loadAssignees, workspaceId]);
+
+  // Load workspaces and invitations when user is authenticated, first
+  // joining the workspace of an invite link (?invite=<token>) and showing
+  // its tasks
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const token = getUrlInviteToken();
+    if (token) clearUrlInviteToken();
+
+    const joined = token
+      ? acceptInvitation(token)
+          .then((workspace) => {
+            selectWorkspace(workspace._id);
+            updateTaskQuery({ project: ALL_PROJECTS });
+          })
+          .catch((err) =>
+            setInviteError(
+              err.response?.data?.error || "Failed to accept invitation"
+            )
+          )
+      : Promise.resolve();
+
+    joined.then(() => {
+      loadWorkspaces().catch(() => {});
+      loadInvitations().catch(() => {});
+    });
+  }, [
+    isAuthenticated,
+    acceptInvitation,
+    selectWorkspace,
+    updateTaskQuery,
+    loadWorkspaces,
+    loadInvitations,
+  ]);
+
+  // Fall back to personal tasks when the selected workspace is gone
+  useEffect(() => {
+    if (isMissingWorkspace) {
+      selectWorkspace(null);
+    }
+  }, [isMissingWorkspace, selectWorkspace]);
+
+  // Fall back to all projects when the selected one no longer exists
+  useEffect(() => {
+    if (isMissingProject) {
+      updateTaskQuery({ project: ALL_PROJECTS });
+    }
+  }, [isMissingProject, updateTaskQuery]);
+
+  // Load saved views, then apply the one the URL points at
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    loadViews()
+      .then((loadedViews) => {
+        const viewId = getUrlViewId();
+        if (!loadedViews || !viewId) return;
+
+        const view = loadedViews.find((item) => item._id === viewId);
+        if (view) {
+          applyView(view);
+        } else {
+          // Deleted, or someone else's view
+          setActiveViewId(null);
+          setUrlViewId(null, { replace: true });
+        }
+      })
+      .catch(() => {});
+  }, [isAuthenticated, loadViews, applyView]);
+
+  // Follow the browser's back and forward buttons between views
+  useEffect(() => {
+    const handlePopState = () => {
+      const viewId = getUrlViewId();
+      applyView(views.find((view) => view._id === viewId) || null);
+    };
+
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [views, applyView]);
 
   // Listen for auth logout events
   useEffect(() => {
     const handleAuthLogout = () => {
       clearTasks();
+      clearTags();
+      clearTrash();
+      clearViews();
+      clearProjects();
+      clearWorkspaces();
+      clearAssignees();
+      clearWorkflow();
+      clearTimer();
+      clearStats();
+      setActiveViewId(null);
+      setUrlViewId(null, { replace: true });
       setShowForm(false);
+      setShowTagManager(false);
+      setShowProjectManager(false);
+      setShowWorkspaceManager(false);
+      setShowWorkflowEditor(false);
+      setShowTrash(false);
+      setShowStats(false);
       setEditingTask(null);
+      setUndoDelete(null);
+      setInviteError(null);
     };
 
     window.addEventListener("auth:logout", handleAuthLogout);
     return () => window.removeEventListener("auth:logout", handleAuthLogout);
-  }, [clearTasks]);
+  }, [
+    clearTasks,
+    clearTags,
+    clearTrash,
+    clearViews,
+    clearProjects,
+    clearWorkspaces,
+    clearAssignees,
+    clearWorkflow,
+    clearTimer,
+    clearStats,
+  ]);
 
   // BACKEND CALL: POST /tasks - Create a new task
   const handleCreateTask = async (taskData) => {
     try {
       await createTask(taskData);
       setShowForm(false);
+      loadTags().catch(() => {}); // New tag names are added to the catalogue
+      loadProjects().catch(() => {}); // Project task counts changed
     } catch (error) {
       console.error("Failed to create task:", error);
       throw error; // Re-throw to handle in TaskForm
@@ -63,32 +414,215 @@ const AppContent = () => {
       await updateTask(editingTask._id || editingTask.id, taskData);
       setEditingTask(null);
       setShowForm(false);
+      loadTags().catch(() => {});
+      loadProjects().catch(() => {});
     } catch (error) {
       console.error("Failed to update task:", error);
       throw error; // Re-throw to handle in TaskForm
     }
   };
 
-  // BACKEND CALL: DELETE /tasks/:id - Delete a task by ID
+  // BACKEND CALL: DELETE /tasks/:id - Move a task to the trash
   const handleDeleteTask = async (taskId) => {
     try {
-      await deleteTask(taskId);
+      const index = tasks.findIndex((task) => (task._id || task.id) === taskId);
+      const deletedTask = await deleteTask(taskId);
+      setUndoDelete({ task: deletedTask, index });
+      loadTags().catch(() => {}); // Trashed tasks don't count towards tags
+      loadProjects().catch(() => {});
+      if (showTrash) loadTrash().catch(() => {});
     } catch (error) {
       console.error("Failed to delete task:", error);
       throw error; // Re-throw to handle in TaskItem
     }
   };
 
-  // BACKEND CALL: PUT /tasks/:id - Update task status
-  const handleStatusChange = async (taskId, newStatus) => {
+  // BACKEND CALL: POST /tasks/:id/restore - Undo the last delete
+  const handleUndoDelete = async () => {
+    const { task, index } = undoDelete;
+    await restoreTask(task._id, index);
+    removeFromTrash(task._id);
+    setUndoDelete(null);
+    loadTags().catch(() => {});
+    loadProjects().catch(() => {});
+  };
+
+  const dismissUndoDelete = useCallback(() => setUndoDelete(null), []);
+
+  // BACKEND CALL: POST /tasks/:id/restore - Restore from the trash panel
+  const handleRestoreFromTrash = async (taskId) => {
+    await restoreTask(taskId);
+    removeFromTrash(taskId);
+    loadTags().catch(() => {});
+    loadProjects().catch(() => {});
+  };
+
+  const handleToggleTrash = () => {
+    if (!showTrash) loadTrash().catch(() => {});
+    setShowTrash(!showTrash);
+  };
+
+  // BACKEND CALL: PATCH /tasks/:id - Update task status
+  const handleStatusChange = async (taskId, newStatus, options) => {
     try {
-      await updateTaskStatus(taskId, newStatus);
+      await updateTaskStatus(taskId, newStatus, options);
     } catch (error) {
       console.error("Failed to update task status:", error);
       throw error; // Re-throw to handle in TaskItem
     }
   };
 
+  // BACKEND CALL: PATCH /tasks/:id/checklist/:itemId - Check off an item
+  const handleChecklistToggle = async (taskId, itemId, done) => {
+    try {
+      await toggleChecklistItem(taskId, itemId, done);
+    } catch (error) {
+      console.error("Failed to update checklist item:", error);
+      throw error; // Re-throw to handle in TaskItem
+    }
+  };
+
+  // BACKEND CALL: PATCH /auth/preferences - Toggle checklist auto-complete
+  const handleAutoCompleteChange = async (enabled) => {
+    const { user: updatedUser } = await authAPI.updatePreferences({
+      autoCompleteChecklists: enabled,
+    });
+    await updateProfile({ preferences: updatedUser.preferences });
+  };
+
+  // BACKEND CALL: PUT /tags/:id - Rename/recolour, then refresh renamed tasks
+  const handleUpdateTag = async (tagId, tagData) => {
+    const previous = tags.find((tag) => tag._id === tagId);
+    const updated = await updateTag(tagId, tagData);
+
+    if (previous && updated.name !== previous.name) {
+      if (query.tags.includes(previous.name)) {
+        // Changing the filter reloads tasks on its own
+        updateTaskQuery({
+          tags: query.tags.map((t) => (t === previous.name ? updated.name : t)),
+        });
+      } else {
+        loadTasks();
+      }
+    }
+  };
+
+  // BACKEND CALL: DELETE /tags/:id - Delete, then refresh affected tasks
+  const handleDeleteTag = async (tagId) => {
+    const previous = tags.find((tag) => tag._id === tagId);
+    await deleteTag(tagId);
+
+    if (previous && query.tags.includes(previous.name)) {
+      updateTaskQuery({ tags: query.tags.filter((t) => t !== previous.name) });
+    } else {
+      loadTasks();
+    }
+  };
+
+  // BACKEND CALL: POST /tasks/bulk - Change status, delete or retag tasks
+  const handleBulkAction = async (bulkData) => {
+    const data = await bulkUpdateTasks(bulkData);
+    if (bulkData.action !== "status") {
+      loadTags().catch(() => {}); // Tag usage counts changed
+    }
+    if (bulkData.action === "delete") {
+      loadProjects().catch(() => {});
+      if (showTrash) loadTrash().catch(() => {});
+    }
+    return data;
+  };
+
+  const handleProjectChange = (project) => {
+    updateTaskQuery({ project });
+  };
+
+  // BACKEND CALL: DELETE /projects/:id - Delete a project, moving or
+  // trashing its tasks, then refresh what that changed
+  const handleDeleteProject = async (projectId, choice) => {
+    await deleteProject(projectId, choice);
+
+    if (query.project === projectId) {
+      // Changing the project reloads tasks on its own
+      updateTaskQuery({ project: ALL_PROJECTS });
+    } else {
+      loadTasks();
+    }
+    if (choice.tasks === "delete") {
+      loadTags().catch(() => {});
+      if (showTrash) loadTrash().catch(() => {});
+    }
+  };
+
+  // BACKEND CALL: PUT /workflow - Save the statuses, then refresh the tasks
+  // that moved and the saved views that follow renamed statuses
+  const handleSaveWorkflow = async (nextStatuses, reassign) => {
+    const previous = statuses.find((status) => status.name === query.status);
+    const saved = await updateWorkflow(nextStatuses, reassign);
+    loadViews().catch(() => {});
+    if (showTrash) loadTrash().catch(() => {});
+
+    const filtered = previous
+      ? saved.find((status) => status._id && status._id === previous._id)
+      : null;
+    if (query.status !== "All" && filtered?.name !== query.status) {
+      // The filtered status was renamed or removed; changing the filter
+      // reloads tasks on its own
+      updateTaskQuery({ status: filtered ? filtered.name : "All" });
+    } else {
+      loadTasks();
+    }
+  };
+
+  // Show another workspace's tasks (or personal ones); projects and
+  // statuses differ between workspaces, so those filters start over
+  const handleWorkspaceChange = (id) => {
+    selectWorkspace(id);
+    updateTaskQuery({ project: ALL_PROJECTS, status: "All" });
+    setShowWorkflowEditor(false);
+    setShowForm(false);
+    setEditingTask(null);
+    setUndoDelete(null);
+    if (showTrash) loadTrash().catch(() => {});
+  };
+
+  // BACKEND CALL: DELETE /workspaces/:id or /members/:userId - Delete or
+  // leave the selected workspace, going back to personal tasks
+  const handleDropWorkspace = async (dropAction, ...args) => {
+    await dropAction(...args);
+    handleWorkspaceChange(null);
+  };
+
+  const handleSelectView = (viewId) => {
+    // Re-picking the active view only matters once it has been changed
+    if (viewId && viewId === activeViewId && !isActiveViewModified) return;
+    setUrlViewId(viewId);
+    applyView(views.find((view) => view._id === viewId) || null);
+  };
+
+  // BACKEND CALL: POST /views - Save the current filters, sort and layout
+  const handleCreateView = async (name) => {
+    const view = await createView({
+      name,
+      ...queryToViewData(query, viewMode),
+    });
+    setActiveViewId(view._id);
+    setUrlViewId(view._id);
+  };
+
+  // BACKEND CALL: PUT /views/:id - Save changes back to the active view
+  const handleUpdateView = async () => {
+    await updateView(activeViewId, queryToViewData(query, viewMode));
+  };
+
+  // BACKEND CALL: DELETE /views/:id - Delete a view, leaving tasks as shown
+  const handleDeleteView = async (viewId) => {
+    await deleteView(viewId);
+    if (viewId === activeViewId) {
+      setActiveViewId(null);
+      setUrlViewId(null, { replace: true });
+    }
+  };
+
   const handleEditTask = (task) => {
     setEditingTask(task);
     setShowForm(true);
@@ -101,6 +635,7 @@ const AppContent = () => {
 
   const handleRefresh = () => {
     loadTasks();
+    loadTags().catch(() => {});
   };
 
   const handleLogout = async () => {
@@ -139,13 +674,7 @@ const AppContent = () => {
             </div>
 
             <div className="user-info">
-              <div className="user-avatar">
-                {(
-                  user?.firstName?.[0] ||
-                  user?.username?.[0] ||
-                  "U"
-                ).toUpperCase()}
-              </div>
+              <div className="user-avatar">{getUserInitial(user)}</div>
               <div className="user-details">
                 <span className="user-name">
                   {user?.fullName || user?.username}
@@ -156,6 +685,21 @@ const AppContent = () => {
           </div>
 
           <div className="header-actions">
+            {timer && <RunningTimer timer={timer} onStop={stopTimer} />}
+
+            <WorkspaceSwitcher
+              workspaces={workspaces}
+              value={activeWorkspace ? workspaceId : ""}
+              onChange={handleWorkspaceChange}
+            />
+
+            <ProjectSwitcher
+              projects={projects}
+              unassignedCount={unassignedCount}
+              value={query.project}
+              onChange={handleProjectChange}
+            />
+
             <button
               className="btn btn-refresh"
               onClick={handleRefresh}
@@ -165,21 +709,90 @@ const AppContent = () => {
               <RefreshCw size={20} />
             </button>
 
+            {canEditTasks && (
+              <button
+                className="btn btn-primary"
+                onClick={() => setShowForm(!showForm)}
+                disabled={isTasksLoading}
+              >
+                {showForm ? (
+                  "Cancel"
+                ) : (
+                  <>
+                    <Plus size={20} />
+                    Add Task
+                  </>
+                )}
+              </button>
+            )}
+
+            {canEditTasks && (
+              <button
+                className="btn btn-secondary"
+                onClick={() => setShowTagManager(!showTagManager)}
+                title="Manage tags"
+              >
+                <Tag size={20} />
+                Tags
+              </button>
+            )}
+
+            {canEditTasks && (
+              <button
+                className="btn btn-secondary"
+                onClick={() => setShowProjectManager(!showProjectManager)}
+                title="Manage projects"
+              >
+                <Folder size={20} />
+                Projects
+              </button>
+            )}
+
             <button
-              className="btn btn-primary"
-              onClick={() => setShowForm(!showForm)}
-              disabled={isTasksLoading}
+              className="btn btn-secondary"
+              onClick={() => setShowWorkspaceManager(!showWorkspaceManager)}
+              title="Shared workspaces"
             >
-              {showForm ? (
-                "Cancel"
-              ) : (
-                <>
-                  <Plus size={20} />
-                  Add Task
-                </>
+              <Users size={20} />
+              Workspaces
+              {invitations.length > 0 && (
+                <span className="header-badge">{invitations.length}</span>
               )}
             </button>
 
+            <ExportMenu onExport={exportTasks} />
+
+            <button
+              className="btn btn-secondary"
+              onClick={() => setShowStats(!showStats)}
+              title="Task statistics"
+            >
+              <BarChart3 size={20} />
+              Stats
+            </button>
+
+            {canEditWorkflow && (
+              <button
+                className="btn btn-secondary"
+                onClick={() => setShowWorkflowEditor(!showWorkflowEditor)}
+                title="Edit statuses"
+              >
+                <Workflow size={20} />
+                Workflow
+              </button>
+            )}
+
+            {canEditTasks && (
+              <button
+                className="btn btn-secondary"
+                onClick={handleToggleTrash}
+                title="Deleted tasks"
+              >
+                <Trash2 size={20} />
+                Trash
+              </button>
+            )}
+
             <button
               className="btn btn-secondary"
               onClick={handleLogout}
@@ -204,32 +817,202 @@ const AppContent = () => {
           </div>
         )}
 
+        {inviteError && (
+          <div className="error-banner">
+            <div className="error-content">
+              <XCircle size={20} />
+              <span>{inviteError}</span>
+            </div>
+            <button
+              className="error-close"
+              onClick={() => setInviteError(null)}
+            >
+              ×
+            </button>
+          </div>
+        )}
+
         {/* Main Content */}
         <main className="app-main">
           {/* Task Form */}
-          {showForm && (
+          {showForm && canEditTasks && (
             <section className="form-section">
               <TaskForm
                 task={editingTask}
                 onSubmit={editingTask ? handleUpdateTask : handleCreateTask}
                 onCancel={handleCancelForm}
                 isEditing={!!editingTask}
+                availableTags={tags}
+                projects={projects}
+                assignees={assignees}
+                defaultProjectId={
+                  projects.some(
+                    (project) =>
+                      project._id === query.project && !project.archived
+                  )
+                    ? query.project
+                    : ""
+                }
+                autoCompleteChecklists={Boolean(
+                  user?.preferences?.autoCompleteChecklists
+                )}
+                onAutoCompleteChange={handleAutoCompleteChange}
+                statuses={statuses}
               />
             </section>
           )}
 
-          {/* Task List */}
-          <section className="list-section">
-            <TaskList
-              tasks={tasks}
-              onEdit={handleEditTask}
-              onDelete={handleDeleteTask}
-              onStatusChange={handleStatusChange}
-              isLoading={isTasksLoading}
+          {/* Tag Manager */}
+          {showTagManager && canEditTasks && (
+            <section className="form-section">
+              <TagManager
+                tags={tags}
+                onCreate={createTag}
+                onUpdate={handleUpdateTag}
+                onDelete={handleDeleteTag}
+                onClose={() => setShowTagManager(false)}
+              />
+            </section>
+          )}
+
+          {/* Project Manager */}
+          {showProjectManager && canEditTasks && (
+            <section className="form-section">
+              <ProjectManager
+                projects={projects}
+                onCreate={createProject}
+                onUpdate={updateProject}
+                onDelete={handleDeleteProject}
+                onClose={() => setShowProjectManager(false)}
+              />
+            </section>
+          )}
+
+          {/* Workspace Manager */}
+          {showWorkspaceManager && (
+            <section className="form-section">
+              <WorkspaceManager
+                workspace={activeWorkspace}
+                invitations={invitations}
+                currentUserId={user?._id || user?.id}
+                onCreate={createWorkspace}
+                onRename={updateWorkspace}
+                onDelete={(id) => handleDropWorkspace(deleteWorkspace, id)}
+                onLeave={(id, userId) =>
+                  handleDropWorkspace(leaveWorkspace, id, userId)
+                }
+                onAccept={acceptInvitation}
+                onDecline={declineInvitation}
+                onClose={() => setShowWorkspaceManager(false)}
+              />
+            </section>
+          )}
+
+          {/* Workflow Editor */}
+          {showWorkflowEditor && canEditWorkflow && (
+            <section className="form-section">
+              <WorkflowEditor
+                statuses={statuses}
+                onSave={handleSaveWorkflow}
+                onClose={() => setShowWorkflowEditor(false)}
+              />
+            </section>
+          )}
+
+          {/* Statistics */}
+          {showStats && (
+            <section className="form-section">
+              <StatsDashboard
+                stats={stats}
+                isLoading={isStatsLoading}
+                error={statsError}
+                statuses={statuses}
+                project={
+                  query.project !== ALL_PROJECTS ? query.project : undefined
+                }
+                workspaceId={workspaceId}
+                onLoad={loadStats}
+                onClose={() => setShowStats(false)}
+              />
+            </section>
+          )}
+
+          {/* Trash */}
+          {showTrash && canEditTasks && (
+            <section className="form-section">
+              <TrashPanel
+                trashedTasks={trashedTasks}
+                retentionDays={retentionDays}
+                isLoading={isTrashLoading}
+                onRestore={handleRestoreFromTrash}
+                onPurge={purgeTask}
+                onEmpty={emptyTrash}
+                onClose={() => setShowTrash(false)}
+              />
+            </section>
+          )}
+
+          <div className="list-layout">
+            {/* Saved Views */}
+            <ViewSidebar
+              views={views}
+              activeViewId={activeView ? activeViewId : null}
+              isModified={isActiveViewModified}
+              onSelect={handleSelectView}
+              onCreate={handleCreateView}
+              onUpdate={handleUpdateView}
+              onDelete={handleDeleteView}
             />
-          </section>
+
+            {/* Task List */}
+            <section className="list-section">
+              <TaskList
+                tasks={tasks}
+                statuses={statuses}
+                availableTags={tags}
+                projects={projects}
+                query={query}
+                counts={counts}
+                pagination={pagination}
+                onQueryChange={updateTaskQuery}
+                onLoadMore={loadMoreTasks}
+                onEdit={canEditTasks ? handleEditTask : undefined}
+                onDelete={canEditTasks ? handleDeleteTask : undefined}
+                onStatusChange={canEditTasks ? handleStatusChange : undefined}
+                onChecklistToggle={
+                  canEditTasks ? handleChecklistToggle : undefined
+                }
+                onAttachmentsUpload={
+                  canEditTasks ? uploadAttachments : undefined
+                }
+                onAttachmentRemove={canEditTasks ? removeAttachment : undefined}
+                onDependencyAdd={canEditTasks ? addDependency : undefined}
+                onDependencyRemove={canEditTasks ? removeDependency : undefined}
+                runningTimer={timer}
+                onTimerStart={canEditTasks ? startTimer : undefined}
+                onTimerStop={stopTimer}
+                onTrackedTime={applyTrackedTime}
+                onMove={canEditTasks ? moveTask : undefined}
+                onBulkAction={canEditTasks ? handleBulkAction : undefined}
+                viewMode={viewMode}
+                onViewModeChange={changeViewMode}
+                isLoading={isTasksLoading}
+                isLoadingMore={isLoadingMore}
+              />
+            </section>
+          </div>
         </main>
 
+        {/* Undo Delete */}
+        {undoDelete && (
+          <UndoToast
+            key={undoDelete.task._id}
+            message={`"${undoDelete.task.title}" moved to trash`}
+            onUndo={handleUndoDelete}
+            onDismiss={dismissUndoDelete}
+          />
+        )}
+
         {/* Footer */}
         <footer className="app-footer">
           <p>Built with React • Secured with JWT Authentication</p>
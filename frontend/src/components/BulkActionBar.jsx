@@ -0,0 +1,165 @@
+import React, { useState } from "react";
+import { Trash2, X } from "lucide-react";
+import { DEFAULT_STATUSES } from "../utils/workflow";
+
+const BulkActionBar = ({
+  selectedTasks,
+  statuses = DEFAULT_STATUSES,
+  visibleCount,
+  availableTags = [],
+  onToggleAll,
+  onClearSelection,
+  onBulkAction,
+}) => {
+  const [isWorking, setIsWorking] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const selectedCount = selectedTasks.length;
+  const allSelected = selectedCount > 0 && selectedCount === visibleCount;
+
+  // Tags present on at least one selected task, for the "Remove tag" menu
+  const selectedTags = [
+    ...new Set(selectedTasks.flatMap((task) => task.tags || [])),
+  ].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }));
+
+  const runBulkAction = async (bulkData) => {
+    setIsWorking(true);
+    setErrorMessage("");
+    try {
+      const { results, summary } = await onBulkAction({
+        ...bulkData,
+        ids: selectedTasks.map((task) => task._id || task.id),
+      });
+
+      if (summary.failed > 0) {
+        const firstError = results.find((result) => !result.success).error;
+        setErrorMessage(
+          `${summary.failed} of ${summary.requested} tasks could not be updated: ${firstError}`
+        );
+      }
+    } catch (error) {
+      console.error("Error running bulk action:", error);
+      setErrorMessage(
+        error.response?.data?.error || "Bulk action failed. Please try again."
+      );
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleDelete = () => {
+    if (
+      window.confirm(
+        `Move ${selectedCount} task${
+          selectedCount === 1 ? "" : "s"
+        } to the trash?`
+      )
+    ) {
+      runBulkAction({ action: "delete" });
+    }
+  };
+
+  return (
+    <div className={`bulk-bar ${selectedCount > 0 ? "active" : ""}`}>
+      <label className="bulk-select-all">
+        <input
+          type="checkbox"
+          checked={allSelected}
+          ref={(el) => {
+            if (el) el.indeterminate = selectedCount > 0 && !allSelected;
+          }}
+          onChange={() => onToggleAll(!allSelected)}
+          disabled={isWorking}
+        />
+        {selectedCount > 0 ? `${selectedCount} selected` : "Select all"}
+      </label>
+
+      {selectedCount > 0 && (
+        <div className="bulk-actions">
+          <select
+            value=""
+            onChange={(e) =>
+              e.target.value &&
+              runBulkAction({ action: "status", status: e.target.value })
+            }
+            className="control-select"
+            disabled={isWorking}
+            aria-label="Set status of selected tasks"
+          >
+            <option value="">Set status...</option>
+            {statuses.map((status) => (
+              <option key={status.name} value={status.name}>
+                {status.name}
+              </option>
+            ))}
+          </select>
+
+          {availableTags.length > 0 && (
+            <select
+              value=""
+              onChange={(e) =>
+                e.target.value &&
+                runBulkAction({ action: "retag", addTags: [e.target.value] })
+              }
+              className="control-select"
+              disabled={isWorking}
+              aria-label="Add tag to selected tasks"
+            >
+              <option value="">Add tag...</option>
+              {availableTags.map((tag) => (
+                <option key={tag._id} value={tag.name}>
+                  {tag.name}
+                </option>
+              ))}
+            </select>
+          )}
+
+          {selectedTags.length > 0 && (
+            <select
+              value=""
+              onChange={(e) =>
+                e.target.value &&
+                runBulkAction({ action: "retag", removeTags: [e.target.value] })
+              }
+              className="control-select"
+              disabled={isWorking}
+              aria-label="Remove tag from selected tasks"
+            >
+              <option value="">Remove tag...</option>
+              {selectedTags.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          )}
+
+          <button
+            className="btn btn-delete"
+            onClick={handleDelete}
+            disabled={isWorking}
+            title="Delete selected tasks"
+          >
+            <Trash2 size={16} />
+            Delete
+          </button>
+
+          <button
+            className="btn btn-secondary"
+            onClick={onClearSelection}
+            disabled={isWorking}
+            title="Clear selection"
+          >
+            <X size={16} />
+          </button>
+        </div>
+      )}
+
+      {errorMessage && (
+        <span className="error-message bulk-error">{errorMessage}</span>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import { ArrowUp, ArrowDown, X } from "lucide-react";
+
+const MAX_ITEMS = 100;
+const MAX_ITEM_LENGTH = 200;
+
+// Items not yet saved have no _id, so give them a local key for React
+let nextNewItemKey = 0;
+const newItemKey = () => `new-${nextNewItemKey++}`;
+
+// Editable checklist for TaskForm. `value` is a list of
+// { key, _id?, text, done } items in display order.
+const ChecklistEditor = ({ value, onChange, disabled }) => {
+  const [inputValue, setInputValue] = useState("");
+
+  const addItem = () => {
+    const text = inputValue.trim().slice(0, MAX_ITEM_LENGTH);
+    if (!text || value.length >= MAX_ITEMS) return;
+
+    onChange([...value, { key: newItemKey(), text, done: false }]);
+    setInputValue("");
+  };
+
+  const updateItem = (key, changes) => {
+    onChange(
+      value.map((item) => (item.key === key ? { ...item, ...changes } : item))
+    );
+  };
+
+  const removeItem = (key) => {
+    onChange(value.filter((item) => item.key !== key));
+  };
+
+  const moveItem = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= value.length) return;
+
+    const reordered = [...value];
+    [reordered[index], reordered[target]] = [
+      reordered[target],
+      reordered[index],
+    ];
+    onChange(reordered);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      addItem();
+    }
+  };
+
+  return (
+    <div className="checklist-editor">
+      {value.length > 0 && (
+        <ul className="checklist-editor-list">
+          {value.map((item, index) => (
+            <li key={item.key} className="checklist-editor-item">
+              <input
+                type="checkbox"
+                checked={item.done}
+                onChange={(e) =>
+                  updateItem(item.key, { done: e.target.checked })
+                }
+                disabled={disabled}
+                aria-label={`Mark "${item.text}" as done`}
+              />
+              <input
+                type="text"
+                value={item.text}
+                onChange={(e) => updateItem(item.key, { text: e.target.value })}
+                className="form-input"
+                maxLength={MAX_ITEM_LENGTH}
+                disabled={disabled}
+                aria-label="Checklist item"
+              />
+              <button
+                type="button"
+                className="btn btn-edit"
+                onClick={() => moveItem(index, -1)}
+                disabled={disabled || index === 0}
+                title="Move up"
+              >
+                <ArrowUp size={14} />
+              </button>
+              <button
+                type="button"
+                className="btn btn-edit"
+                onClick={() => moveItem(index, 1)}
+                disabled={disabled || index === value.length - 1}
+                title="Move down"
+              >
+                <ArrowDown size={14} />
+              </button>
+              <button
+                type="button"
+                className="btn btn-delete"
+                onClick={() => removeItem(item.key)}
+                disabled={disabled}
+                title="Remove item"
+              >
+                <X size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="checklist-editor-add">
+        <input
+          id="checklist"
+          type="text"
+          value={inputValue}
+          onChange={(e) => setInputValue(e.target.value)}
+          onKeyDown={handleKeyDown}
+          className="form-input"
+          placeholder={
+            value.length >= MAX_ITEMS
+              ? "Checklist is full"
+              : "Add an item and press Enter..."
+          }
+          maxLength={MAX_ITEM_LENGTH}
+          disabled={disabled || value.length >= MAX_ITEMS}
+        />
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={addItem}
+          disabled={disabled || !inputValue.trim() || value.length >= MAX_ITEMS}
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ChecklistEditor;
@@ -0,0 +1,188 @@
+import React, { useState } from "react";
+import { AlertTriangle } from "lucide-react";
+import { describeRecurrence } from "../utils/recurrence";
+import { getUserName } from "../utils/user";
+
+const FIELD_LABELS = {
+  title: "Title",
+  description: "Description",
+  status: "Status",
+  priority: "Priority",
+  tags: "Tags",
+  estimateHours: "Estimate (hours)",
+  projectId: "Project",
+  assigneeIds: "Assignees",
+  startDate: "Start Date",
+  dueDate: "Due Date",
+  checklist: "Checklist",
+  recurrence: "Repeat",
+};
+
+const formatChecklistItem = (item) => `${item.done ? "☑" : "☐"} ${item.text}`;
+
+const formatValue = (field, value, projects, users) => {
+  if (field === "tags") return value.length > 0 ? value.join(", ") : "(none)";
+  if (field === "checklist") {
+    return value.length > 0
+      ? value.map(formatChecklistItem).join("\n")
+      : "(none)";
+  }
+  if (field === "recurrence") return describeRecurrence(value) || "(none)";
+  if (field === "assigneeIds") {
+    if (value.length === 0) return "(none)";
+    return value
+      .map((id) => getUserName(users.find((user) => user._id === id)))
+      .join(", ");
+  }
+  if (field === "projectId") {
+    if (!value) return "(none)";
+    return projects.find((project) => project._id === value)?.name || value;
+  }
+  return value || "(empty)";
+};
+
+const isSameValue = (field, a, b) => {
+  if (field === "tags") return a.join("\n") === b.join("\n");
+  if (field === "assigneeIds")
+    return [...a].sort().join() === [...b].sort().join();
+  if (field === "checklist") {
+    return (
+      a.map(formatChecklistItem).join("\n") ===
+      b.map(formatChecklistItem).join("\n")
+    );
+  }
+  if (field === "recurrence") {
+    return describeRecurrence(a) === describeRecurrence(b);
+  }
+  return a === b;
+};
+
+// Dialog shown when a task was changed by someone else while it was being
+// edited. `mine` and `theirs` are form values (see TaskForm); `projects`
+// and `users` name their projects and assignees.
+const ConflictDialog = ({
+  mine,
+  theirs,
+  projects = [],
+  users = [],
+  onKeepMine,
+  onTakeTheirs,
+  onMerge,
+  isSubmitting,
+}) => {
+  const changedFields = Object.keys(FIELD_LABELS).filter(
+    (field) => !isSameValue(field, mine[field], theirs[field])
+  );
+
+  // Which side each differing field is taken from when merging
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(changedFields.map((field) => [field, "mine"]))
+  );
+
+  const handleMerge = () => {
+    const merged = { ...mine };
+    changedFields.forEach((field) => {
+      if (choices[field] === "theirs") merged[field] = theirs[field];
+    });
+    onMerge(merged);
+  };
+
+  return (
+    <div className="conflict-overlay">
+      <div
+        className="conflict-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="conflict-title"
+      >
+        <h3 id="conflict-title">
+          <AlertTriangle size={20} />
+          This task was changed elsewhere
+        </h3>
+        <p className="conflict-intro">
+          Someone saved this task after you opened it.{" "}
+          {changedFields.length > 0
+            ? "Choose which version to keep for each field that differs."
+            : "None of the fields you can edit here differ."}
+        </p>
+
+        {changedFields.length > 0 && (
+          <table className="conflict-table">
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>Your version</th>
+                <th>Saved version</th>
+              </tr>
+            </thead>
+            <tbody>
+              {changedFields.map((field) => (
+                <tr key={field}>
+                  <td className="conflict-field">{FIELD_LABELS[field]}</td>
+                  {["mine", "theirs"].map((side) => (
+                    <td key={side}>
+                      <label
+                        className={`conflict-choice ${
+                          choices[field] === side ? "selected" : ""
+                        }`}
+                      >
+                        <input
+                          type="radio"
+                          name={`conflict-${field}`}
+                          checked={choices[field] === side}
+                          onChange={() =>
+                            setChoices((prev) => ({ ...prev, [field]: side }))
+                          }
+                          disabled={isSubmitting}
+                        />
+                        <span>
+                          {formatValue(
+                            field,
+                            side === "mine" ? mine[field] : theirs[field],
+                            projects,
+                            users
+                          )}
+                        </span>
+                      </label>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div className="conflict-actions">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={onTakeTheirs}
+            disabled={isSubmitting}
+          >
+            Take saved version
+          </button>
+          {changedFields.length > 0 && (
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={handleMerge}
+              disabled={isSubmitting}
+            >
+              Save merged
+            </button>
+          )}
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={onKeepMine}
+            disabled={isSubmitting}
+          >
+            Keep mine
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictDialog;
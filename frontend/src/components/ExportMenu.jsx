@@ -0,0 +1,73 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Download } from "lucide-react";
+
+const FORMATS = [
+  { value: "csv", label: "CSV (spreadsheets)" },
+  { value: "json", label: "JSON (backup)" },
+];
+
+// Header menu downloading the tasks matching the current filters, in a
+// format picked from the menu. `onExport(format)` does the download.
+const ExportMenu = ({ onExport }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleMouseDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener("mousedown", handleMouseDown);
+    return () => document.removeEventListener("mousedown", handleMouseDown);
+  }, [isOpen]);
+
+  const handleExport = async (format) => {
+    setIsOpen(false);
+    setIsExporting(true);
+    try {
+      await onExport(format);
+    } catch {
+      // Shown in the error banner by useTaskFunctions
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div
+      className="export-menu"
+      ref={menuRef}
+      onKeyDown={(e) => e.key === "Escape" && setIsOpen(false)}
+    >
+      <button
+        className="btn btn-secondary"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={isExporting}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        title="Download the tasks matching the current filters"
+      >
+        <Download size={20} />
+        {isExporting ? "Exporting..." : "Export"}
+      </button>
+      {isOpen && (
+        <div className="export-menu-list" role="menu">
+          {FORMATS.map((format) => (
+            <button
+              key={format.value}
+              className="export-menu-item"
+              role="menuitem"
+              onClick={() => handleExport(format.value)}
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
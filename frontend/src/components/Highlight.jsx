@@ -0,0 +1,25 @@
+import React from "react";
+
+// Render `text` with the given [start, end) character ranges marked. Ranges
+// come from the server's search match and are assumed sorted and disjoint.
+const Highlight = ({ text, ranges = [] }) => {
+  if (!text || ranges.length === 0) return text || null;
+
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start < cursor || end <= start) return;
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(
+      <mark key={start} className="search-highlight">
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  if (cursor < text.length) parts.push(text.slice(cursor));
+
+  return <>{parts}</>;
+};
+
+export default Highlight;
@@ -0,0 +1,150 @@
+import React from "react";
+
+// Inline syntax: `code`, **bold**, *italic* or _italic_, [text](url)
+const INLINE_PATTERN =
+  /`([^`\n]+)`|\*\*([^*\n]+)\*\*|\*([^*\n]+)\*|(?<!\w)_([^_\n]+)_(?!\w)|\[([^\]\n]+)\]\(([^)\s]+)\)/g;
+
+// Links to anything else (javascript:, data: ...) are shown as plain text
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+const BULLET_ITEM = /^\s*[-*+]\s+/;
+const NUMBERED_ITEM = /^\s*\d+[.)]\s+/;
+const QUOTE_LINE = /^>\s?/;
+const FENCE = /^\s*```/;
+
+const renderInline = (text, keyPrefix = "") => {
+  const parts = [];
+  let cursor = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [source, code, bold, starItalic, underscoreItalic, label, url] =
+      match;
+    const key = `${keyPrefix}${match.index}`;
+
+    if (match.index > cursor) parts.push(text.slice(cursor, match.index));
+    if (code !== undefined) {
+      parts.push(<code key={key}>{code}</code>);
+    } else if (bold !== undefined) {
+      parts.push(<strong key={key}>{renderInline(bold, `${key}-`)}</strong>);
+    } else if (starItalic !== undefined || underscoreItalic !== undefined) {
+      parts.push(
+        <em key={key}>
+          {renderInline(starItalic ?? underscoreItalic, `${key}-`)}
+        </em>
+      );
+    } else if (SAFE_URL.test(url)) {
+      parts.push(
+        <a key={key} href={url} target="_blank" rel="noopener noreferrer">
+          {renderInline(label, `${key}-`)}
+        </a>
+      );
+    } else {
+      parts.push(source);
+    }
+    cursor = match.index + source.length;
+  }
+  if (cursor < text.length) parts.push(text.slice(cursor));
+
+  return parts;
+};
+
+// Lines of one block, with line breaks kept
+const renderLines = (lines) =>
+  lines.map((line, index) => (
+    <React.Fragment key={index}>
+      {index > 0 && <br />}
+      {renderInline(line, `${index}-`)}
+    </React.Fragment>
+  ));
+
+// Split Markdown source into paragraph, list, quote and code blocks
+const parseBlocks = (source) => {
+  const lines = source.replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let index = 0;
+
+  // Collect the lines from `index` on that match `pattern`, stripped of it
+  const takeWhile = (pattern) => {
+    const taken = [];
+    while (index < lines.length && pattern.test(lines[index])) {
+      taken.push(lines[index].replace(pattern, ""));
+      index += 1;
+    }
+    return taken;
+  };
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index += 1;
+    } else if (FENCE.test(line)) {
+      index += 1;
+      const code = [];
+      while (index < lines.length && !FENCE.test(lines[index])) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      index += 1; // Closing fence, if any
+      blocks.push({ type: "code", lines: code });
+    } else if (BULLET_ITEM.test(line)) {
+      blocks.push({ type: "ul", lines: takeWhile(BULLET_ITEM) });
+    } else if (NUMBERED_ITEM.test(line)) {
+      blocks.push({ type: "ol", lines: takeWhile(NUMBERED_ITEM) });
+    } else if (QUOTE_LINE.test(line)) {
+      blocks.push({ type: "quote", lines: takeWhile(QUOTE_LINE) });
+    } else {
+      const paragraph = [];
+      while (
+        index < lines.length &&
+        lines[index].trim() &&
+        ![FENCE, BULLET_ITEM, NUMBERED_ITEM, QUOTE_LINE].some((pattern) =>
+          pattern.test(lines[index])
+        )
+      ) {
+        paragraph.push(lines[index]);
+        index += 1;
+      }
+      blocks.push({ type: "paragraph", lines: paragraph });
+    }
+  }
+
+  return blocks;
+};
+
+// Render a small, safe subset of Markdown (paragraphs, lists, quotes, code,
+// emphasis and http(s)/mailto links). Everything is built as React elements,
+// never as HTML, so any markup in `source` is shown as text.
+const Markdown = ({ source, className = "markdown" }) => (
+  <div className={className}>
+    {parseBlocks(source || "").map((block, index) => {
+      switch (block.type) {
+        case "code":
+          return (
+            <pre key={index}>
+              <code>{block.lines.join("\n")}</code>
+            </pre>
+          );
+        case "ul":
+        case "ol": {
+          const List = block.type;
+          return (
+            <List key={index}>
+              {block.lines.map((item, itemIndex) => (
+                <li key={itemIndex}>{renderInline(item)}</li>
+              ))}
+            </List>
+          );
+        }
+        case "quote":
+          return (
+            <blockquote key={index}>{renderLines(block.lines)}</blockquote>
+          );
+        default:
+          return <p key={index}>{renderLines(block.lines)}</p>;
+      }
+    })}
+  </div>
+);
+
+export default Markdown;
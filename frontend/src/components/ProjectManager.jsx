@@ -0,0 +1,371 @@
+import React, { useState } from "react";
+import {
+  Archive,
+  ArchiveRestore,
+  Check,
+  Edit2,
+  Plus,
+  Trash2,
+  X,
+} from "lucide-react";
+
+const DEFAULT_COLOR = "#445d86";
+
+// Panel for creating, renaming, recolouring, archiving and deleting
+// projects. Shares its layout with TagManager.
+const ProjectManager = ({
+  projects,
+  onCreate,
+  onUpdate,
+  onDelete,
+  onClose,
+}) => {
+  const [newProject, setNewProject] = useState({
+    name: "",
+    color: DEFAULT_COLOR,
+  });
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState("");
+  // Project being deleted and what should happen to its tasks
+  const [deleting, setDeleting] = useState(null);
+  const [error, setError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const getErrorMessage = (err, fallback) =>
+    err.response?.data?.error || fallback;
+
+  // Run an API action with shared saving/error handling
+  const runAction = async (action, fallbackMessage) => {
+    setIsSaving(true);
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error(fallbackMessage, err);
+      setError(getErrorMessage(err, fallbackMessage));
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = newProject.name.trim();
+    if (!name) return;
+
+    const created = await runAction(
+      () => onCreate({ name, color: newProject.color }),
+      "Failed to create project"
+    );
+    if (created) {
+      setNewProject({ name: "", color: DEFAULT_COLOR });
+    }
+  };
+
+  const startEditing = (project) => {
+    setEditingId(project._id);
+    setEditingName(project.name);
+    setDeleting(null);
+    setError("");
+  };
+
+  const handleRename = async (project) => {
+    const name = editingName.trim();
+    if (!name || name === project.name) {
+      setEditingId(null);
+      return;
+    }
+
+    const renamed = await runAction(
+      () => onUpdate(project._id, { name }),
+      "Failed to rename project"
+    );
+    if (renamed) {
+      setEditingId(null);
+    }
+  };
+
+  const handleColorChange = (project, color) => {
+    runAction(
+      () => onUpdate(project._id, { color }),
+      "Failed to update colour"
+    );
+  };
+
+  const handleArchiveToggle = (project) => {
+    runAction(
+      () => onUpdate(project._id, { archived: !project.archived }),
+      project.archived
+        ? "Failed to unarchive project"
+        : "Failed to archive project"
+    );
+  };
+
+  // Projects without tasks are deleted after a plain confirmation; others
+  // ask whether to move their tasks or send them to the trash
+  const handleDelete = (project) => {
+    if (project.taskCount > 0) {
+      setDeleting({ project, tasks: "move", moveTo: "" });
+      setEditingId(null);
+      setError("");
+      return;
+    }
+    if (window.confirm(`Delete "${project.name}"?`)) {
+      runAction(
+        () => onDelete(project._id, { tasks: "move" }),
+        "Failed to delete project"
+      );
+    }
+  };
+
+  const confirmDelete = async () => {
+    const deleted = await runAction(
+      () =>
+        onDelete(deleting.project._id, {
+          tasks: deleting.tasks,
+          moveTo: deleting.tasks === "move" ? deleting.moveTo || null : null,
+        }),
+      "Failed to delete project"
+    );
+    if (deleted) {
+      setDeleting(null);
+    }
+  };
+
+  // Active projects other than the one being deleted can take its tasks
+  const moveTargets = deleting
+    ? projects.filter(
+        (project) => !project.archived && project._id !== deleting.project._id
+      )
+    : [];
+
+  return (
+    <div className="tag-manager">
+      <div className="tag-manager-header">
+        <h2>Manage Projects</h2>
+        <button className="btn btn-secondary" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {error && <span className="error-message">{error}</span>}
+
+      <form className="tag-manager-create" onSubmit={handleCreate}>
+        <input
+          type="color"
+          value={newProject.color}
+          onChange={(e) =>
+            setNewProject({ ...newProject, color: e.target.value })
+          }
+          className="tag-color-input"
+          title="Project colour"
+          disabled={isSaving}
+        />
+        <input
+          type="text"
+          value={newProject.name}
+          onChange={(e) =>
+            setNewProject({ ...newProject, name: e.target.value })
+          }
+          className="form-input"
+          placeholder="New project name..."
+          maxLength={50}
+          disabled={isSaving}
+        />
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={isSaving || !newProject.name.trim()}
+        >
+          <Plus size={16} />
+          Add
+        </button>
+      </form>
+
+      {projects.length === 0 ? (
+        <p className="tag-manager-empty">
+          No projects yet. Add one above to group related tasks.
+        </p>
+      ) : (
+        <ul className="tag-manager-list">
+          {projects.map((project) => (
+            <li
+              key={project._id}
+              className={`tag-manager-item project-manager-item ${
+                project.archived ? "archived" : ""
+              }`}
+            >
+              <div className="project-manager-row">
+                <input
+                  type="color"
+                  value={project.color}
+                  onChange={(e) => handleColorChange(project, e.target.value)}
+                  className="tag-color-input"
+                  title="Change colour"
+                  disabled={isSaving}
+                />
+
+                {editingId === project._id ? (
+                  <input
+                    type="text"
+                    value={editingName}
+                    onChange={(e) => setEditingName(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") handleRename(project);
+                      if (e.key === "Escape") setEditingId(null);
+                    }}
+                    className="form-input"
+                    maxLength={50}
+                    autoFocus
+                    disabled={isSaving}
+                  />
+                ) : (
+                  <span className="project-manager-name">
+                    {project.name}
+                    {project.archived && (
+                      <span className="project-archived-label">Archived</span>
+                    )}
+                  </span>
+                )}
+
+                <span className="tag-manager-count">
+                  {project.taskCount || 0} task
+                  {project.taskCount === 1 ? "" : "s"}
+                </span>
+
+                <div className="tag-manager-actions">
+                  {editingId === project._id ? (
+                    <>
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => handleRename(project)}
+                        disabled={isSaving}
+                        title="Save name"
+                      >
+                        <Check size={16} />
+                      </button>
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => setEditingId(null)}
+                        disabled={isSaving}
+                        title="Cancel"
+                      >
+                        <X size={16} />
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      className="btn btn-edit"
+                      onClick={() => startEditing(project)}
+                      disabled={isSaving}
+                      title="Rename project"
+                    >
+                      <Edit2 size={16} />
+                    </button>
+                  )}
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => handleArchiveToggle(project)}
+                    disabled={isSaving}
+                    title={
+                      project.archived ? "Unarchive project" : "Archive project"
+                    }
+                  >
+                    {project.archived ? (
+                      <ArchiveRestore size={16} />
+                    ) : (
+                      <Archive size={16} />
+                    )}
+                  </button>
+                  <button
+                    className="btn btn-delete"
+                    onClick={() => handleDelete(project)}
+                    disabled={isSaving}
+                    title="Delete project"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+
+              {deleting?.project._id === project._id && (
+                <div className="project-delete">
+                  <p>
+                    Delete "{project.name}"? It has {project.taskCount} task
+                    {project.taskCount === 1 ? "" : "s"}.
+                  </p>
+                  <label className="checkbox-label">
+                    <input
+                      type="radio"
+                      name="projectDeleteMode"
+                      checked={deleting.tasks === "move"}
+                      onChange={() =>
+                        setDeleting({ ...deleting, tasks: "move" })
+                      }
+                      disabled={isSaving}
+                    />
+                    <span className="checkbox-text">Move its tasks to</span>
+                    <select
+                      value={deleting.moveTo}
+                      onChange={(e) =>
+                        setDeleting({
+                          ...deleting,
+                          tasks: "move",
+                          moveTo: e.target.value,
+                        })
+                      }
+                      className="form-select"
+                      aria-label="Project to move tasks to"
+                      disabled={isSaving}
+                    >
+                      <option value="">No project</option>
+                      {moveTargets.map((target) => (
+                        <option key={target._id} value={target._id}>
+                          {target.name}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="checkbox-label">
+                    <input
+                      type="radio"
+                      name="projectDeleteMode"
+                      checked={deleting.tasks === "delete"}
+                      onChange={() =>
+                        setDeleting({ ...deleting, tasks: "delete" })
+                      }
+                      disabled={isSaving}
+                    />
+                    <span className="checkbox-text">
+                      Move its tasks to the trash
+                    </span>
+                  </label>
+                  <div className="project-delete-actions">
+                    <button
+                      className="btn btn-delete"
+                      onClick={confirmDelete}
+                      disabled={isSaving}
+                    >
+                      Delete project
+                    </button>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => setDeleting(null)}
+                      disabled={isSaving}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ProjectManager;
@@ -0,0 +1,48 @@
+import React from "react";
+import { Folder } from "lucide-react";
+import { ALL_PROJECTS, NO_PROJECT } from "../hooks/task-functions";
+
+// Header select narrowing the task list to one project, tasks outside any
+// project, or everything. Archived projects are listed separately.
+const ProjectSwitcher = ({ projects, unassignedCount, value, onChange }) => {
+  const activeProjects = projects.filter((project) => !project.archived);
+  const archivedProjects = projects.filter((project) => project.archived);
+  const selected = projects.find((project) => project._id === value);
+
+  const renderOption = (project) => (
+    <option key={project._id} value={project._id}>
+      {project.name} ({project.taskCount || 0})
+    </option>
+  );
+
+  return (
+    <div className="project-switcher">
+      {selected ? (
+        <span
+          className="project-color"
+          style={{ backgroundColor: selected.color }}
+          aria-hidden
+        />
+      ) : (
+        <Folder size={18} aria-hidden />
+      )}
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="form-select"
+        aria-label="Project"
+      >
+        <option value={ALL_PROJECTS}>All projects</option>
+        {activeProjects.map(renderOption)}
+        <option value={NO_PROJECT}>No project ({unassignedCount})</option>
+        {archivedProjects.length > 0 && (
+          <optgroup label="Archived">
+            {archivedProjects.map(renderOption)}
+          </optgroup>
+        )}
+      </select>
+    </div>
+  );
+};
+
+export default ProjectSwitcher;
@@ -0,0 +1,184 @@
+import React from "react";
+import { FREQUENCY_OPTIONS, WEEKDAYS } from "../utils/recurrence";
+
+const DEFAULT_RULE = {
+  frequency: "weekly",
+  interval: 1,
+  byWeekday: [],
+  byMonthDay: null,
+  until: null,
+  count: null,
+};
+
+// Repeat rule editor for TaskForm. `value` is null (does not repeat) or a
+// rule with `until` as a YYYY-MM-DD input value ("" while being picked).
+const RecurrenceEditor = ({ value, onChange, disabled }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const handleFrequencyChange = (e) => {
+    const frequency = e.target.value;
+    if (!frequency) {
+      onChange(null);
+      return;
+    }
+    // Weekdays and day of month only belong to their own frequency
+    onChange({
+      ...DEFAULT_RULE,
+      ...value,
+      frequency,
+      byWeekday: frequency === "weekly" ? value?.byWeekday || [] : [],
+      byMonthDay: frequency === "monthly" ? value?.byMonthDay || null : null,
+    });
+  };
+
+  const toggleWeekday = (day) => {
+    update({
+      byWeekday: value.byWeekday.includes(day)
+        ? value.byWeekday.filter((item) => item !== day)
+        : [...value.byWeekday, day],
+    });
+  };
+
+  const endType =
+    value?.until != null ? "until" : value?.count ? "count" : "never";
+
+  const handleEndTypeChange = (e) => {
+    const type = e.target.value;
+    update({
+      until: type === "until" ? value.until || "" : null,
+      count: type === "count" ? value.count || 10 : null,
+    });
+  };
+
+  const unit = FREQUENCY_OPTIONS.find(
+    (option) => option.value === value?.frequency
+  )?.unit;
+
+  return (
+    <div className="recurrence-editor">
+      <select
+        id="recurrence"
+        value={value?.frequency || ""}
+        onChange={handleFrequencyChange}
+        className="form-select"
+        disabled={disabled}
+      >
+        <option value="">Does not repeat</option>
+        {FREQUENCY_OPTIONS.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+
+      {value && (
+        <>
+          <div className="recurrence-row">
+            <label htmlFor="recurrenceInterval">Every</label>
+            <input
+              type="number"
+              id="recurrenceInterval"
+              value={value.interval}
+              onChange={(e) =>
+                update({ interval: Math.max(1, Number(e.target.value) || 1) })
+              }
+              className="form-input recurrence-number"
+              min={1}
+              max={365}
+              disabled={disabled}
+            />
+            <span>
+              {unit}
+              {value.interval === 1 ? "" : "s"}
+            </span>
+
+            {value.frequency === "monthly" && (
+              <>
+                <label htmlFor="recurrenceMonthDay">on day</label>
+                <input
+                  type="number"
+                  id="recurrenceMonthDay"
+                  value={value.byMonthDay || ""}
+                  onChange={(e) =>
+                    update({ byMonthDay: Number(e.target.value) || null })
+                  }
+                  className="form-input recurrence-number"
+                  min={1}
+                  max={31}
+                  placeholder="auto"
+                  disabled={disabled}
+                />
+              </>
+            )}
+          </div>
+
+          {value.frequency === "weekly" && (
+            <div className="recurrence-weekdays" role="group" aria-label="On">
+              {WEEKDAYS.map((day) => {
+                const isSelected = value.byWeekday.includes(day.value);
+                return (
+                  <button
+                    key={day.value}
+                    type="button"
+                    className={`recurrence-weekday ${
+                      isSelected ? "selected" : ""
+                    }`}
+                    onClick={() => toggleWeekday(day.value)}
+                    aria-pressed={isSelected}
+                    disabled={disabled}
+                  >
+                    {day.label}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
+          <div className="recurrence-row">
+            <label htmlFor="recurrenceEnd">Ends</label>
+            <select
+              id="recurrenceEnd"
+              value={endType}
+              onChange={handleEndTypeChange}
+              className="form-select recurrence-end"
+              disabled={disabled}
+            >
+              <option value="never">Never</option>
+              <option value="until">On date</option>
+              <option value="count">After</option>
+            </select>
+            {endType === "until" && (
+              <input
+                type="date"
+                value={value.until}
+                onChange={(e) => update({ until: e.target.value })}
+                className="form-input"
+                aria-label="End date"
+                disabled={disabled}
+              />
+            )}
+            {endType === "count" && (
+              <>
+                <input
+                  type="number"
+                  value={value.count}
+                  onChange={(e) =>
+                    update({ count: Math.max(1, Number(e.target.value) || 1) })
+                  }
+                  className="form-input recurrence-number"
+                  min={1}
+                  max={1000}
+                  aria-label="Number of occurrences"
+                  disabled={disabled}
+                />
+                <span>occurrences</span>
+              </>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
@@ -0,0 +1,41 @@
+import React, { useState } from "react";
+import { Square } from "lucide-react";
+import { useElapsedSeconds } from "../hooks/time-functions";
+import { formatClock } from "../utils/time";
+
+// Header badge for the user's running timer, whichever task or workspace
+// it is on, with a button to stop it
+const RunningTimer = ({ timer, onStop }) => {
+  const [isStopping, setIsStopping] = useState(false);
+  const elapsedSeconds = useElapsedSeconds(timer.startedAt);
+  const title = timer.task?.title || "Deleted task";
+
+  const handleStop = async () => {
+    setIsStopping(true);
+    try {
+      await onStop();
+    } catch (error) {
+      console.error("Error stopping timer:", error);
+      alert("Failed to stop the timer. Please try again.");
+    } finally {
+      setIsStopping(false);
+    }
+  };
+
+  return (
+    <div className="running-timer" title={`Timer running on "${title}"`}>
+      <span className="running-timer-title">{title}</span>
+      <span className="timer-clock">{formatClock(elapsedSeconds)}</span>
+      <button
+        className="btn btn-timer running"
+        onClick={handleStop}
+        disabled={isStopping}
+        title="Stop timer"
+      >
+        <Square size={16} />
+      </button>
+    </div>
+  );
+};
+
+export default RunningTimer;
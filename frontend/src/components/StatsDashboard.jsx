@@ -0,0 +1,230 @@
+import React, { useEffect, useState } from "react";
+import { RefreshCw } from "lucide-react";
+import { DEFAULT_STATUSES, getStatusColor } from "../utils/workflow";
+import { formatDuration } from "../utils/time";
+
+// Date ranges offered, in days up to today
+const RANGE_OPTIONS = [7, 30, 90];
+const DEFAULT_RANGE_DAYS = 30;
+
+// Size of the daily chart's drawing area (scaled to the panel's width)
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+
+const formatDay = (day) =>
+  new Date(`${day}T00:00:00`).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  });
+
+// Durations of a day or more read better in days, e.g. "2.5 days"
+const formatAverage = (seconds) => {
+  if (seconds === null) return "—";
+  const days = seconds / (24 * 60 * 60);
+  return days >= 1 ? `${days.toFixed(1)} days` : formatDuration(seconds);
+};
+
+const formatStreak = (days) => `${days} day${days === 1 ? "" : "s"}`;
+
+// Tasks created and completed each day, as pairs of bars
+const DailyChart = ({ daily }) => {
+  const max = Math.max(
+    1,
+    ...daily.map((d) => Math.max(d.created, d.completed))
+  );
+  const slot = CHART_WIDTH / daily.length;
+  const barWidth = Math.max(slot * 0.4, 1);
+  const getHeight = (count) => (count / max) * CHART_HEIGHT;
+
+  return (
+    <figure className="stats-chart">
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label="Tasks created and completed per day"
+      >
+        {daily.map((day, index) => (
+          <g key={day.date}>
+            <title>
+              {`${formatDay(day.date)}: ${day.created} created, ${day.completed} completed`}
+            </title>
+            {/* Full-height hit area so empty days still show their tooltip */}
+            <rect
+              x={index * slot}
+              y={0}
+              width={slot}
+              height={CHART_HEIGHT}
+              fill="transparent"
+            />
+            <rect
+              className="stats-bar-created"
+              x={index * slot + slot * 0.1}
+              y={CHART_HEIGHT - getHeight(day.created)}
+              width={barWidth}
+              height={getHeight(day.created)}
+            />
+            <rect
+              className="stats-bar-completed"
+              x={index * slot + slot * 0.5}
+              y={CHART_HEIGHT - getHeight(day.completed)}
+              width={barWidth}
+              height={getHeight(day.completed)}
+            />
+          </g>
+        ))}
+      </svg>
+      <figcaption className="stats-chart-axis">
+        <span>{formatDay(daily[0].date)}</span>
+        <span className="stats-legend">
+          <span className="stats-legend-created">Created</span>
+          <span className="stats-legend-completed">Completed</span>
+          <span>Peak {max}/day</span>
+        </span>
+        <span>{formatDay(daily[daily.length - 1].date)}</span>
+      </figcaption>
+    </figure>
+  );
+};
+
+// Task statistics for the tasks in view (the project picked in the header,
+// in the current workspace), over a range of days up to today. Loads them
+// with `onLoad` (useStatsFunctions' loadStats) when shown and whenever the
+// range, project or workspace changes.
+const StatsDashboard = ({
+  stats,
+  isLoading,
+  error,
+  statuses = DEFAULT_STATUSES,
+  project,
+  workspaceId,
+  onLoad,
+  onClose,
+}) => {
+  const [days, setDays] = useState(DEFAULT_RANGE_DAYS);
+
+  useEffect(() => {
+    onLoad({ days, project });
+  }, [onLoad, days, project, workspaceId]);
+
+  // Statuses in the workflow's order, then any others tasks still have
+  const statusRows = stats
+    ? Object.entries(stats.byStatus).map(([name, count]) => ({
+        name,
+        count,
+        share: stats.total > 0 ? (count / stats.total) * 100 : 0,
+      }))
+    : [];
+
+  return (
+    <div className="stats-dashboard">
+      <div className="stats-header">
+        <div>
+          <h2>Statistics</h2>
+          {stats && (
+            <p className="stats-hint">
+              {formatDay(stats.range.from)} – {formatDay(stats.range.to)}
+            </p>
+          )}
+        </div>
+        <div className="stats-header-actions">
+          <div className="view-toggle" role="group" aria-label="Date range">
+            {RANGE_OPTIONS.map((option) => (
+              <button
+                key={option}
+                className={`view-toggle-btn ${days === option ? "active" : ""}`}
+                onClick={() => setDays(option)}
+                aria-pressed={days === option}
+                title={`Last ${option} days`}
+              >
+                {option}d
+              </button>
+            ))}
+          </div>
+          <button
+            className={`btn btn-refresh ${isLoading ? "loading" : ""}`}
+            onClick={() => onLoad({ days, project })}
+            disabled={isLoading}
+            title="Refresh statistics"
+          >
+            <RefreshCw size={16} className={isLoading ? "spinning" : ""} />
+          </button>
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      {error && <span className="error-message">{error}</span>}
+
+      {!stats ? (
+        <p className="stats-hint">
+          {isLoading ? "Loading statistics..." : "No statistics to show."}
+        </p>
+      ) : (
+        <>
+          <div className="task-stats stats-summary">
+            <div className="stat-item">
+              <span className="stat-number">{stats.total}</span>
+              <span className="stat-label">Tasks</span>
+            </div>
+            <div className="stat-item">
+              <span className="stat-number">{stats.created}</span>
+              <span className="stat-label">Created</span>
+            </div>
+            <div className="stat-item">
+              <span className="stat-number">{stats.completed}</span>
+              <span className="stat-label">Completed</span>
+            </div>
+            <div className="stat-item stat-time">
+              <span className="stat-number">
+                {formatAverage(stats.averageCompletionSeconds)}
+              </span>
+              <span className="stat-label">Avg. time to done</span>
+            </div>
+            <div className="stat-item stat-time">
+              <span className="stat-number">
+                {formatStreak(stats.streaks.current)}
+              </span>
+              <span className="stat-label">Current streak</span>
+            </div>
+            <div className="stat-item stat-time">
+              <span className="stat-number">
+                {formatStreak(stats.streaks.longest)}
+              </span>
+              <span className="stat-label">Longest streak</span>
+            </div>
+          </div>
+
+          <div className="stats-section">
+            <h3>Daily activity</h3>
+            <DailyChart daily={stats.daily} />
+          </div>
+
+          <div className="stats-section">
+            <h3>By status</h3>
+            <ul className="stats-status-list">
+              {statusRows.map(({ name, count, share }) => (
+                <li key={name} className="stats-status-row">
+                  <span className="stats-status-name">{name}</span>
+                  <span className="stats-status-track">
+                    <span
+                      className="stats-status-bar"
+                      style={{
+                        width: `${share}%`,
+                        background: getStatusColor(statuses, name),
+                      }}
+                    />
+                  </span>
+                  <span className="stats-status-count">{count}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StatsDashboard;
@@ -0,0 +1,139 @@
+import React, { useState } from "react";
+import { X } from "lucide-react";
+
+const MAX_TAGS = 20;
+const MAX_SUGGESTIONS = 6;
+
+const TagInput = ({ value, onChange, availableTags = [], disabled }) => {
+  const [inputValue, setInputValue] = useState("");
+  const [highlighted, setHighlighted] = useState(0);
+
+  const hasTag = (name) =>
+    value.some((tag) => tag.toLowerCase() === name.toLowerCase());
+
+  const getTagColor = (name) =>
+    availableTags.find((tag) => tag.name.toLowerCase() === name.toLowerCase())
+      ?.color;
+
+  // Catalogue tags matching what has been typed, excluding ones already added
+  const query = inputValue.trim().toLowerCase();
+  const suggestions = query
+    ? availableTags
+        .filter(
+          (tag) => tag.name.toLowerCase().includes(query) && !hasTag(tag.name)
+        )
+        .slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  const addTag = (rawName) => {
+    const name = rawName.trim().replace(/,/g, "").slice(0, 30);
+    if (!name || hasTag(name) || value.length >= MAX_TAGS) {
+      setInputValue("");
+      return;
+    }
+
+    // Reuse the catalogue's spelling when the name already exists
+    const existing = availableTags.find(
+      (tag) => tag.name.toLowerCase() === name.toLowerCase()
+    );
+    onChange([...value, existing ? existing.name : name]);
+    setInputValue("");
+    setHighlighted(0);
+  };
+
+  const removeTag = (name) => {
+    onChange(value.filter((tag) => tag !== name));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      if (suggestions[highlighted]) {
+        addTag(suggestions[highlighted].name);
+      } else {
+        addTag(inputValue);
+      }
+    } else if (e.key === "Backspace" && !inputValue && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    } else if (e.key === "ArrowDown" && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlighted((prev) => (prev + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp" && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlighted(
+        (prev) => (prev - 1 + suggestions.length) % suggestions.length
+      );
+    } else if (e.key === "Escape") {
+      setInputValue("");
+    }
+  };
+
+  return (
+    <div className="tag-input">
+      <div className={`tag-input-field ${disabled ? "disabled" : ""}`}>
+        {value.map((name) => (
+          <span
+            key={name}
+            className="tag-chip"
+            style={{ backgroundColor: getTagColor(name) }}
+          >
+            {name}
+            <button
+              type="button"
+              className="tag-chip-remove"
+              onClick={() => removeTag(name)}
+              disabled={disabled}
+              title={`Remove ${name}`}
+            >
+              <X size={12} />
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          id="tags"
+          value={inputValue}
+          onChange={(e) => {
+            setInputValue(e.target.value);
+            setHighlighted(0);
+          }}
+          onKeyDown={handleKeyDown}
+          onBlur={() => inputValue.trim() && addTag(inputValue)}
+          className="tag-input-text"
+          placeholder={value.length === 0 ? "Add tags..." : ""}
+          maxLength={30}
+          disabled={disabled || value.length >= MAX_TAGS}
+          autoComplete="off"
+        />
+      </div>
+
+      {suggestions.length > 0 && (
+        <ul className="tag-suggestions" role="listbox">
+          {suggestions.map((tag, index) => (
+            <li
+              key={tag._id || tag.name}
+              role="option"
+              aria-selected={index === highlighted}
+              className={`tag-suggestion ${
+                index === highlighted ? "highlighted" : ""
+              }`}
+              // Use mousedown so the input's blur doesn't add the raw text first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTag(tag.name);
+              }}
+            >
+              <span
+                className="tag-color-dot"
+                style={{ backgroundColor: tag.color }}
+              ></span>
+              {tag.name}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,212 @@
+import React, { useState } from "react";
+import { Check, Edit2, Plus, Trash2, X } from "lucide-react";
+
+const DEFAULT_COLOR = "#6b7280";
+
+const TagManager = ({ tags, onCreate, onUpdate, onDelete, onClose }) => {
+  const [newTag, setNewTag] = useState({ name: "", color: DEFAULT_COLOR });
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState("");
+  const [error, setError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const getErrorMessage = (err, fallback) =>
+    err.response?.data?.error || fallback;
+
+  // Run an API action with shared saving/error handling
+  const runAction = async (action, fallbackMessage) => {
+    setIsSaving(true);
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error(fallbackMessage, err);
+      setError(getErrorMessage(err, fallbackMessage));
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = newTag.name.trim();
+    if (!name) return;
+
+    const created = await runAction(
+      () => onCreate({ name, color: newTag.color }),
+      "Failed to create tag"
+    );
+    if (created) {
+      setNewTag({ name: "", color: DEFAULT_COLOR });
+    }
+  };
+
+  const startEditing = (tag) => {
+    setEditingId(tag._id);
+    setEditingName(tag.name);
+    setError("");
+  };
+
+  const handleRename = async (tag) => {
+    const name = editingName.trim();
+    if (!name || name === tag.name) {
+      setEditingId(null);
+      return;
+    }
+
+    const renamed = await runAction(
+      () => onUpdate(tag._id, { name }),
+      "Failed to rename tag"
+    );
+    if (renamed) {
+      setEditingId(null);
+    }
+  };
+
+  const handleColorChange = (tag, color) => {
+    runAction(() => onUpdate(tag._id, { color }), "Failed to update colour");
+  };
+
+  const handleDelete = (tag) => {
+    const message =
+      tag.taskCount > 0
+        ? `Delete "${tag.name}"? It will be removed from ${tag.taskCount} task(s).`
+        : `Delete "${tag.name}"?`;
+    if (window.confirm(message)) {
+      runAction(() => onDelete(tag._id), "Failed to delete tag");
+    }
+  };
+
+  return (
+    <div className="tag-manager">
+      <div className="tag-manager-header">
+        <h2>Manage Tags</h2>
+        <button className="btn btn-secondary" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {error && <span className="error-message">{error}</span>}
+
+      <form className="tag-manager-create" onSubmit={handleCreate}>
+        <input
+          type="color"
+          value={newTag.color}
+          onChange={(e) => setNewTag({ ...newTag, color: e.target.value })}
+          className="tag-color-input"
+          title="Tag colour"
+          disabled={isSaving}
+        />
+        <input
+          type="text"
+          value={newTag.name}
+          onChange={(e) => setNewTag({ ...newTag, name: e.target.value })}
+          className="form-input"
+          placeholder="New tag name..."
+          maxLength={30}
+          disabled={isSaving}
+        />
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={isSaving || !newTag.name.trim()}
+        >
+          <Plus size={16} />
+          Add
+        </button>
+      </form>
+
+      {tags.length === 0 ? (
+        <p className="tag-manager-empty">
+          No tags yet. Add one above or while editing a task.
+        </p>
+      ) : (
+        <ul className="tag-manager-list">
+          {tags.map((tag) => (
+            <li key={tag._id} className="tag-manager-item">
+              <input
+                type="color"
+                value={tag.color}
+                onChange={(e) => handleColorChange(tag, e.target.value)}
+                className="tag-color-input"
+                title="Change colour"
+                disabled={isSaving}
+              />
+
+              {editingId === tag._id ? (
+                <input
+                  type="text"
+                  value={editingName}
+                  onChange={(e) => setEditingName(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") handleRename(tag);
+                    if (e.key === "Escape") setEditingId(null);
+                  }}
+                  className="form-input"
+                  maxLength={30}
+                  autoFocus
+                  disabled={isSaving}
+                />
+              ) : (
+                <span
+                  className="tag-chip"
+                  style={{ backgroundColor: tag.color }}
+                >
+                  {tag.name}
+                </span>
+              )}
+
+              <span className="tag-manager-count">
+                {tag.taskCount || 0} task{tag.taskCount === 1 ? "" : "s"}
+              </span>
+
+              <div className="tag-manager-actions">
+                {editingId === tag._id ? (
+                  <>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => handleRename(tag)}
+                      disabled={isSaving}
+                      title="Save name"
+                    >
+                      <Check size={16} />
+                    </button>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => setEditingId(null)}
+                      disabled={isSaving}
+                      title="Cancel"
+                    >
+                      <X size={16} />
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    className="btn btn-edit"
+                    onClick={() => startEditing(tag)}
+                    disabled={isSaving}
+                    title="Rename tag"
+                  >
+                    <Edit2 size={16} />
+                  </button>
+                )}
+                <button
+                  className="btn btn-delete"
+                  onClick={() => handleDelete(tag)}
+                  disabled={isSaving}
+                  title="Delete tag"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagManager;
@@ -0,0 +1,149 @@
+import React, { useRef, useState } from "react";
+import { FileText, Paperclip, X } from "lucide-react";
+import {
+  ATTACHMENT_ACCEPT,
+  MAX_ATTACHMENT_SIZE,
+  MAX_FILES_PER_UPLOAD,
+  formatFileSize,
+  useAttachmentFunctions,
+  useAttachmentThumbnail,
+} from "../hooks/attachment-functions";
+
+// Image preview, or a file icon until (or unless) one is available
+const AttachmentThumbnail = ({ taskId, attachment }) => {
+  const { thumbnailUrl } = useAttachmentThumbnail(taskId, attachment);
+
+  return thumbnailUrl ? (
+    <img src={thumbnailUrl} alt="" className="attachment-thumbnail" />
+  ) : (
+    <span className="attachment-thumbnail attachment-icon">
+      <FileText size={20} />
+    </span>
+  );
+};
+
+// A task's files with thumbnails for images. Without `onUpload` and
+// `onRemove` the list is read-only.
+const TaskAttachments = ({ task, onUpload, onRemove }) => {
+  const taskId = task._id || task.id;
+  const attachments = task.attachments || [];
+  const { downloadAttachment } = useAttachmentFunctions(taskId);
+  const fileInputRef = useRef(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const [removingId, setRemovingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleFilesChosen = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = ""; // Allow choosing the same file again
+    if (files.length === 0) return;
+
+    if (files.length > MAX_FILES_PER_UPLOAD) {
+      setError(`Upload at most ${MAX_FILES_PER_UPLOAD} files at a time`);
+      return;
+    }
+    const tooLarge = files.find((file) => file.size > MAX_ATTACHMENT_SIZE);
+    if (tooLarge) {
+      setError(
+        `"${tooLarge.name}" is larger than ${formatFileSize(MAX_ATTACHMENT_SIZE)}`
+      );
+      return;
+    }
+
+    setIsUploading(true);
+    try {
+      await onUpload(taskId, files);
+      setError(null);
+    } catch (error) {
+      setError(error.response?.data?.error || "Failed to upload files");
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      await downloadAttachment(attachment);
+    } catch {
+      setError(`Failed to download "${attachment.filename}"`);
+    }
+  };
+
+  const handleRemove = async (attachment) => {
+    if (!window.confirm(`Remove "${attachment.filename}"?`)) return;
+
+    setRemovingId(attachment._id);
+    try {
+      await onRemove(taskId, attachment._id);
+      setError(null);
+    } catch (error) {
+      setError(error.response?.data?.error || "Failed to remove file");
+    } finally {
+      setRemovingId(null);
+    }
+  };
+
+  return (
+    <div className="task-attachments">
+      {attachments.length === 0 ? (
+        <p className="task-attachments-empty">No files attached.</p>
+      ) : (
+        <ul className="attachment-list">
+          {attachments.map((attachment) => (
+            <li key={attachment._id} className="attachment">
+              <button
+                type="button"
+                className="attachment-open"
+                onClick={() => handleDownload(attachment)}
+                title={`Download ${attachment.filename}`}
+              >
+                <AttachmentThumbnail taskId={taskId} attachment={attachment} />
+                <span className="attachment-name">{attachment.filename}</span>
+                <span className="attachment-size">
+                  {formatFileSize(attachment.size)}
+                </span>
+              </button>
+              {onRemove && (
+                <button
+                  type="button"
+                  className="btn btn-link attachment-remove"
+                  onClick={() => handleRemove(attachment)}
+                  disabled={removingId === attachment._id}
+                  title="Remove file"
+                >
+                  <X size={14} />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <span className="error-message">{error}</span>}
+
+      {onUpload && (
+        <>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept={ATTACHMENT_ACCEPT}
+            onChange={handleFilesChosen}
+            hidden
+          />
+          <button
+            type="button"
+            className="btn btn-secondary attachment-add"
+            onClick={() => fileInputRef.current.click()}
+            disabled={isUploading}
+          >
+            <Paperclip size={14} />
+            {isUploading ? "Uploading..." : "Attach files"}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TaskAttachments;
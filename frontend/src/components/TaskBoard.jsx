@@ -0,0 +1,317 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Edit2, GripVertical, Lock } from "lucide-react";
+import { getOpenBlockers, runBlockedMove } from "../utils/dependencies";
+import { DEFAULT_STATUSES, getStatusStyle } from "../utils/workflow";
+
+const getTaskId = (task) => task._id || task.id;
+
+// Manual order; tasks without a position fall back to newest first, which
+// is where the server places them too
+const getPosition = (task) =>
+  task.position ?? -new Date(task.createdAt).getTime();
+
+const formatDay = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  });
+
+// Board view: one column per status of the workflow, in its order. Cards are
+// moved by dragging or, with a card focused, Alt + arrow keys (up/down within
+// a column, left/right across).
+const TaskBoard = ({
+  tasks,
+  statuses = DEFAULT_STATUSES,
+  tagColors = {},
+  onMove,
+  onEdit,
+}) => {
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [focusTaskId, setFocusTaskId] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
+  const boardRef = useRef(null);
+
+  const boardStatuses = statuses.map((status) => status.name);
+  const columns = Object.fromEntries(
+    boardStatuses.map((status) => [
+      status,
+      tasks
+        .filter((task) => task.status === status)
+        .sort((a, b) => getPosition(a) - getPosition(b)),
+    ])
+  );
+
+  // Keep keyboard focus on a card after it moves to another column
+  useEffect(() => {
+    if (!focusTaskId || !boardRef.current) return;
+    const card = boardRef.current.querySelector(
+      `[data-task-id="${focusTaskId}"]`
+    );
+    if (card) card.focus();
+    setFocusTaskId(null);
+  }, [focusTaskId, tasks]);
+
+  // Place a task at `index` of a column, counted without the task itself
+  const moveTo = async (task, status, index) => {
+    const taskId = getTaskId(task);
+    const others = columns[status].filter(
+      (other) => getTaskId(other) !== taskId
+    );
+    const prev = others[index - 1];
+    const next = others[index];
+
+    // Dropped back where it was
+    const current = columns[task.status] || [];
+    const currentIndex = current.findIndex(
+      (other) => getTaskId(other) === taskId
+    );
+    if (status === task.status && index === currentIndex) return;
+
+    setAnnouncement(
+      `Moved "${task.title}" to ${status}, position ${index + 1} of ${
+        others.length + 1
+      }`
+    );
+
+    try {
+      // A blocked task only changes column once the user confirms
+      await runBlockedMove((force) =>
+        onMove(taskId, {
+          ...(status !== task.status && { status }),
+          prevId: prev ? getTaskId(prev) : null,
+          nextId: next ? getTaskId(next) : null,
+          force,
+        })
+      );
+    } catch (error) {
+      console.error("Error moving task:", error);
+      setAnnouncement(`Could not move "${task.title}"`);
+      alert("Failed to move task. Please try again.");
+    }
+  };
+
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", getTaskId(task));
+    setDraggingId(getTaskId(task));
+  };
+
+  const handleDragEnd = () => {
+    setDraggingId(null);
+    setDropTarget(null);
+  };
+
+  // Work out where in the column the dragged card would land
+  const handleDragOver = (e, status) => {
+    if (!draggingId) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+
+    const cards = [
+      ...e.currentTarget.querySelectorAll(".board-card[data-task-id]"),
+    ].filter((card) => card.dataset.taskId !== draggingId);
+    const index = cards.findIndex((card) => {
+      const rect = card.getBoundingClientRect();
+      return e.clientY < rect.top + rect.height / 2;
+    });
+    const dropIndex = index === -1 ? cards.length : index;
+
+    if (dropTarget?.status !== status || dropTarget?.index !== dropIndex) {
+      setDropTarget({ status, index: dropIndex });
+    }
+  };
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    const task = tasks.find((item) => getTaskId(item) === draggingId);
+    if (task && dropTarget?.status === status) {
+      moveTo(task, status, dropTarget.index);
+    }
+    handleDragEnd();
+  };
+
+  const handleCardKeyDown = (e, task) => {
+    // Tasks in a status of someone else's workflow have no column
+    const column = columns[task.status] || [];
+    const index = column.findIndex(
+      (item) => getTaskId(item) === getTaskId(task)
+    );
+    const statusIndex = boardStatuses.indexOf(task.status);
+
+    if (e.altKey) {
+      let target = null;
+      if (e.key === "ArrowUp" && index > 0) {
+        target = { status: task.status, index: index - 1 };
+      } else if (e.key === "ArrowDown" && index < column.length - 1) {
+        target = { status: task.status, index: index + 1 };
+      } else if (e.key === "ArrowLeft" && statusIndex > 0) {
+        target = { status: boardStatuses[statusIndex - 1], index: 0 };
+      } else if (
+        e.key === "ArrowRight" &&
+        statusIndex < boardStatuses.length - 1
+      ) {
+        target = { status: boardStatuses[statusIndex + 1], index: 0 };
+      }
+
+      if (target) {
+        e.preventDefault();
+        moveTo(task, target.status, target.index).then(() =>
+          setFocusTaskId(getTaskId(task))
+        );
+      }
+      return;
+    }
+
+    if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+      const sibling = column[index + (e.key === "ArrowUp" ? -1 : 1)];
+      if (sibling) {
+        e.preventDefault();
+        setFocusTaskId(getTaskId(sibling));
+      }
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      onEdit(task);
+    }
+  };
+
+  const renderCard = (task) => {
+    const checklist = task.checklist || [];
+    const doneCount = checklist.filter((item) => item.done).length;
+    const openBlockers = getOpenBlockers(task, statuses);
+
+    return (
+      <li
+        key={getTaskId(task)}
+        className={`board-card ${
+          draggingId === getTaskId(task) ? "dragging" : ""
+        }`}
+        data-task-id={getTaskId(task)}
+        draggable
+        tabIndex={0}
+        onDragStart={(e) => handleDragStart(e, task)}
+        onDragEnd={handleDragEnd}
+        onKeyDown={(e) => handleCardKeyDown(e, task)}
+        aria-label={`${task.title}, ${task.priority || "Medium"} priority`}
+        aria-describedby="board-instructions"
+      >
+        <div className="board-card-header">
+          <GripVertical size={14} className="board-card-grip" aria-hidden />
+          <span className="board-card-title">{task.title}</span>
+          <button
+            className="btn btn-edit"
+            onClick={() => onEdit(task)}
+            tabIndex={-1}
+            title="Edit task"
+          >
+            <Edit2 size={14} />
+          </button>
+        </div>
+        <div className="board-card-meta">
+          <span
+            className={`task-priority priority-${(
+              task.priority || "Medium"
+            ).toLowerCase()}`}
+          >
+            {task.priority || "Medium"}
+          </span>
+          {openBlockers.length > 0 && (
+            <span
+              className="task-blocked"
+              title={`Waiting on ${openBlockers
+                .map((blocker) => blocker.title)
+                .join(", ")}`}
+            >
+              <Lock size={12} />
+              Blocked
+            </span>
+          )}
+          {task.dueDate && (
+            <span className="task-due">Due {formatDay(task.dueDate)}</span>
+          )}
+          {checklist.length > 0 && (
+            <span className="board-card-checklist">
+              {doneCount}/{checklist.length}
+            </span>
+          )}
+        </div>
+        {task.tags?.length > 0 && (
+          <div className="task-tags">
+            {task.tags.map((tag) => (
+              <span
+                key={tag}
+                className="tag-chip"
+                style={{ backgroundColor: tagColors[tag.toLowerCase()] }}
+              >
+                {tag}
+              </span>
+            ))}
+          </div>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="task-board-container">
+      <p id="board-instructions" className="board-instructions">
+        Drag cards between columns, or focus a card and use Alt + arrow keys to
+        move it. Press Enter to edit.
+      </p>
+      <div className="sr-only" aria-live="polite">
+        {announcement}
+      </div>
+
+      <div className="task-board" ref={boardRef}>
+        {boardStatuses.map((status) => {
+          const column = columns[status];
+          const isDropColumn = dropTarget?.status === status;
+          let othersIndex = 0;
+
+          return (
+            <section
+              key={status}
+              className={`board-column ${isDropColumn ? "drop-target" : ""}`}
+              style={getStatusStyle(statuses, status)}
+              onDragOver={(e) => handleDragOver(e, status)}
+              onDrop={(e) => handleDrop(e, status)}
+              aria-label={`${status} column`}
+            >
+              <h3 className="board-column-title">
+                {status}
+                <span className="board-column-count">{column.length}</span>
+              </h3>
+              <ul className="board-cards">
+                {column.map((task) => {
+                  const isDragged = getTaskId(task) === draggingId;
+                  const showIndicator =
+                    isDropColumn &&
+                    !isDragged &&
+                    dropTarget.index === othersIndex;
+                  if (!isDragged) othersIndex += 1;
+
+                  return (
+                    <React.Fragment key={getTaskId(task)}>
+                      {showIndicator && (
+                        <li className="board-drop-indicator" aria-hidden />
+                      )}
+                      {renderCard(task)}
+                    </React.Fragment>
+                  );
+                })}
+                {isDropColumn && dropTarget.index === othersIndex && (
+                  <li className="board-drop-indicator" aria-hidden />
+                )}
+                {column.length === 0 && !isDropColumn && (
+                  <li className="board-column-empty">No tasks</li>
+                )}
+              </ul>
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TaskBoard;
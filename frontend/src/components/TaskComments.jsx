@@ -0,0 +1,210 @@
+import React, { useEffect, useState } from "react";
+import { Edit2, Trash2 } from "lucide-react";
+import Markdown from "./Markdown";
+import { useAuth } from "../contexts/authUtils.jsx";
+import { getUserInitial, getUserName } from "../utils/user";
+
+// Same limit as the backend's Comment model
+const MAX_COMMENT_LENGTH = 5000;
+
+const formatTimestamp = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Textarea for writing or editing a comment; Ctrl/Cmd+Enter submits
+const CommentEditor = ({
+  initialValue = "",
+  submitLabel,
+  onSubmit,
+  onCancel,
+  autoFocus = false,
+}) => {
+  const [body, setBody] = useState(initialValue);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setIsSaving(true);
+    try {
+      await onSubmit(body.trim());
+      setBody("");
+      setError(null);
+    } catch (error) {
+      setError(error.response?.data?.error || "Failed to save comment");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="comment-editor" onSubmit={handleSubmit}>
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) handleSubmit(e);
+        }}
+        className="form-textarea"
+        placeholder="Write a comment... (Markdown supported)"
+        rows={3}
+        maxLength={MAX_COMMENT_LENGTH}
+        disabled={isSaving}
+        autoFocus={autoFocus}
+        aria-label={submitLabel}
+      />
+      {error && <span className="error-message">{error}</span>}
+      <div className="comment-editor-actions">
+        {onCancel && (
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={onCancel}
+            disabled={isSaving}
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={isSaving || !body.trim()}
+        >
+          {isSaving ? "Saving..." : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// A task's discussion thread, loaded when shown. `thread` comes from
+// useCommentFunctions; without `canComment` the thread is read-only.
+const TaskComments = ({ thread, canComment = false }) => {
+  const {
+    comments,
+    isCommentsLoading,
+    commentsError,
+    hasMoreComments,
+    loadComments,
+    loadMoreComments,
+    addComment,
+    updateComment,
+    deleteComment,
+  } = thread;
+  const { user } = useAuth();
+  const currentUserId = user?._id || user?.id;
+  const [editingId, setEditingId] = useState(null);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments]);
+
+  const handleDelete = async (commentId) => {
+    if (!window.confirm("Delete this comment?")) return;
+    try {
+      await deleteComment(commentId);
+    } catch (error) {
+      console.error("Error deleting comment:", error);
+      alert("Failed to delete comment. Please try again.");
+    }
+  };
+
+  return (
+    <div className="task-comments">
+      {commentsError ? (
+        <p className="task-comments-empty">{commentsError}</p>
+      ) : comments.length === 0 ? (
+        <p className="task-comments-empty">
+          {isCommentsLoading ? "Loading comments..." : "No comments yet."}
+        </p>
+      ) : (
+        <ol className="comment-list">
+          {comments.map((comment) => {
+            const isOwn = comment.userId?._id === currentUserId;
+            return (
+              <li key={comment._id} className="comment">
+                <span className="assignee-avatar">
+                  {getUserInitial(comment.userId)}
+                </span>
+                <div className="comment-content">
+                  <div className="comment-header">
+                    <strong>
+                      {comment.userId
+                        ? getUserName(comment.userId)
+                        : "Deleted user"}
+                    </strong>
+                    <time dateTime={comment.createdAt}>
+                      {formatTimestamp(comment.createdAt)}
+                    </time>
+                    {comment.editedAt && (
+                      <span
+                        className="comment-edited"
+                        title={`Edited ${formatTimestamp(comment.editedAt)}`}
+                      >
+                        (edited)
+                      </span>
+                    )}
+                    {isOwn && canComment && editingId !== comment._id && (
+                      <span className="comment-actions">
+                        <button
+                          className="btn btn-link"
+                          onClick={() => setEditingId(comment._id)}
+                          title="Edit comment"
+                        >
+                          <Edit2 size={12} />
+                        </button>
+                        <button
+                          className="btn btn-link"
+                          onClick={() => handleDelete(comment._id)}
+                          title="Delete comment"
+                        >
+                          <Trash2 size={12} />
+                        </button>
+                      </span>
+                    )}
+                  </div>
+                  {editingId === comment._id ? (
+                    <CommentEditor
+                      initialValue={comment.body}
+                      submitLabel="Save"
+                      onSubmit={async (body) => {
+                        await updateComment(comment._id, body);
+                        setEditingId(null);
+                      }}
+                      onCancel={() => setEditingId(null)}
+                      autoFocus
+                    />
+                  ) : (
+                    <Markdown source={comment.body} className="comment-body" />
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {hasMoreComments && (
+        <button
+          className="btn btn-link"
+          onClick={loadMoreComments}
+          disabled={isCommentsLoading}
+        >
+          {isCommentsLoading ? "Loading..." : "Load more comments"}
+        </button>
+      )}
+
+      {canComment && (
+        <CommentEditor submitLabel="Comment" onSubmit={addComment} />
+      )}
+    </div>
+  );
+};
+
+export default TaskComments;
@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import { X } from "lucide-react";
+import { DEFAULT_STATUSES, isTerminalStatus } from "../utils/workflow";
+
+const getTaskId = (task) => task._id || task.id;
+
+// The tasks a task is blocked by, with a picker for adding more from
+// `options` (the tasks loaded in the list). Without `onAdd` and `onRemove`
+// the list is read-only.
+const TaskDependencies = ({
+  task,
+  statuses = DEFAULT_STATUSES,
+  options = [],
+  onAdd,
+  onRemove,
+}) => {
+  const taskId = getTaskId(task);
+  const blockers = task.blockers || [];
+  const [selectedId, setSelectedId] = useState("");
+  const [pendingId, setPendingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const blockerIds = new Set(blockers.map(getTaskId));
+  const candidates = options.filter(
+    (option) =>
+      getTaskId(option) !== taskId && !blockerIds.has(getTaskId(option))
+  );
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!selectedId) return;
+
+    setPendingId(selectedId);
+    try {
+      await onAdd(taskId, selectedId);
+      setSelectedId("");
+      setError(null);
+    } catch (error) {
+      setError(error.response?.data?.error || "Failed to add dependency");
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleRemove = async (blockerId) => {
+    setPendingId(blockerId);
+    try {
+      await onRemove(taskId, blockerId);
+      setError(null);
+    } catch (error) {
+      setError(error.response?.data?.error || "Failed to remove dependency");
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  return (
+    <div className="task-dependencies">
+      {blockers.length === 0 ? (
+        <p className="task-dependencies-empty">Not waiting on other tasks.</p>
+      ) : (
+        <ul className="dependency-list">
+          {blockers.map((blocker) => (
+            <li
+              key={blocker._id}
+              className={`dependency ${
+                isTerminalStatus(statuses, blocker.status) ? "done" : ""
+              }`}
+            >
+              <span className="dependency-title">{blocker.title}</span>
+              <span className="dependency-status">{blocker.status}</span>
+              {onRemove && (
+                <button
+                  type="button"
+                  className="btn btn-link dependency-remove"
+                  onClick={() => handleRemove(blocker._id)}
+                  disabled={pendingId !== null}
+                  title="Remove dependency"
+                >
+                  <X size={14} />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <span className="error-message">{error}</span>}
+
+      {onAdd && candidates.length > 0 && (
+        <form className="dependency-add" onSubmit={handleAdd}>
+          <select
+            value={selectedId}
+            onChange={(e) => setSelectedId(e.target.value)}
+            aria-label="Task this one waits on"
+            disabled={pendingId !== null}
+          >
+            <option value="">Waits on…</option>
+            {candidates.map((option) => (
+              <option key={getTaskId(option)} value={getTaskId(option)}>
+                {option.title}
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            className="btn btn-secondary"
+            disabled={!selectedId || pendingId !== null}
+          >
+            Add
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TaskDependencies;
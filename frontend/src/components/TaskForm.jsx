@@ -1,24 +1,161 @@
 import React, { useState, useEffect } from 'react';
+import TagInput from './TagInput';
+import ConflictDialog from './ConflictDialog';
+import ChecklistEditor from './ChecklistEditor';
+import RecurrenceEditor from './RecurrenceEditor';
+import { getUserInitial, getUserName } from '../utils/user';
+import { runBlockedMove } from '../utils/dependencies';
+import { DEFAULT_STATUSES, getInitialStatus } from '../utils/workflow';
+import { MAX_ESTIMATE_MINUTES } from '../utils/time';
+
+// Convert an ISO date from the API into a local YYYY-MM-DD input value
+const toDateInputValue = (dateString) => {
+  if (!dateString) return '';
+  const date = new Date(dateString);
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 10);
+};
+
+// Convert a YYYY-MM-DD input value into an ISO date at local midnight
+const fromDateInputValue = (value) => {
+  if (!value) return null;
+  return new Date(`${value}T00:00:00`).toISOString();
+};
+
+// Estimates are entered in hours and stored in minutes
+const toEstimateHours = (minutes) =>
+  minutes ? String(Math.round((minutes / 60) * 100) / 100) : '';
+
+const toEstimateMinutes = (hours) =>
+  hours === '' ? null : Math.round(Number(hours) * 60);
+
+// Map a repeat rule from the API onto RecurrenceEditor's value
+const toRecurrenceForm = (recurrence) =>
+  recurrence
+    ? {
+      ...recurrence,
+      until: recurrence.until ? toDateInputValue(recurrence.until) : null
+    }
+    : null;
+
+// Map RecurrenceEditor's value onto what the API expects; a series that
+// ends on a date still includes occurrences due that day
+const toRecurrenceData = (recurrence) =>
+  recurrence
+    ? {
+      frequency: recurrence.frequency,
+      interval: recurrence.interval,
+      byWeekday: recurrence.byWeekday,
+      byMonthDay: recurrence.byMonthDay,
+      until: recurrence.until
+        ? new Date(`${recurrence.until}T23:59:59`).toISOString()
+        : null,
+      count: recurrence.count
+    }
+    : null;
+
+// Map a task from the API onto the form's field values
+const toFormData = (task) => ({
+  title: task.title || '',
+  description: task.description || '',
+  status: task.status,
+  priority: task.priority || 'Medium',
+  tags: task.tags || [],
+  estimateHours: toEstimateHours(task.estimateMinutes),
+  projectId: task.projectId || '',
+  assigneeIds: task.assigneeIds || [],
+  startDate: toDateInputValue(task.startDate),
+  dueDate: toDateInputValue(task.dueDate),
+  checklist: (task.checklist || []).map(({ _id, text, done }) => ({
+    key: _id,
+    _id,
+    text,
+    done
+  })),
+  recurrence: toRecurrenceForm(task.recurrence)
+});
+
+// Map the form's checklist onto what the API expects, dropping blank items
+const toChecklistData = (checklist) =>
+  checklist
+    .filter((item) => item.text.trim())
+    .map(({ _id, text, done }) => ({
+      ...(_id && { _id }),
+      text: text.trim(),
+      done
+    }));
+
+const TaskForm = ({
+  task,
+  onSubmit,
+  onCancel,
+  isEditing = false,
+  availableTags = [],
+  projects = [],
+  assignees = [],
+  defaultProjectId = '',
+  autoCompleteChecklists = false,
+  onAutoCompleteChange,
+  statuses = DEFAULT_STATUSES
+}) => {
+  // New tasks start in the workflow's first status
+  const initialStatus = getInitialStatus(statuses);
+  const doneStatus = statuses.find((status) => status.terminal)?.name;
 
-const TaskForm = ({ task, onSubmit, onCancel, isEditing = false }) => {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    status: 'To Do'
+    status: initialStatus,
+    priority: 'Medium',
+    tags: [],
+    estimateHours: '',
+    projectId: defaultProjectId,
+    assigneeIds: [],
+    startDate: '',
+    dueDate: '',
+    checklist: [],
+    recurrence: null
   });
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Version of the task the form was loaded from, sent back to detect conflicts
+  const [version, setVersion] = useState(undefined);
+  const [conflict, setConflict] = useState(null);
+  // Whether edits to a recurring task apply to it alone or to later ones too
+  const [scope, setScope] = useState('this');
+
+  const isSeries = Boolean(isEditing && task && (task.recurrence || task.seriesId));
 
-  const statusOptions = ['To Do', 'In Progress', 'Done'];
+  // Archived projects take no new tasks, but stay selected on tasks in them
+  const projectOptions = projects.filter(
+    (project) => !project.archived || project._id === formData.projectId
+  );
+
+  // Users already on the task stay listed even if they can no longer be
+  // picked (e.g. they left the workspace)
+  const assigneeOptions = [
+    ...assignees,
+    ...(task?.assignees || []).filter(
+      (user) => !assignees.some((item) => item._id === user._id)
+    )
+  ];
+
+  // A task assigned from someone else's list can be in a status of theirs
+  const statusOptions = [
+    ...(formData.status && !statuses.some((status) => status.name === formData.status)
+      ? [formData.status]
+      : []),
+    ...statuses.map((status) => status.name)
+  ];
+  const priorityOptions = ['Low', 'Medium', 'High', 'Urgent'];
 
   // Populate form when editing
   useEffect(() => {
     if (isEditing && task) {
-      setFormData({
-        title: task.title || '',
-        description: task.description || '',
-        status: task.status || 'To Do'
-      });
+      setFormData(toFormData(task));
+      setVersion(task.version);
+      setConflict(null);
+      setScope('this');
     }
   }, [isEditing, task]);
 
@@ -35,6 +172,18 @@ const TaskForm = ({ task, onSubmit, onCancel, isEditing = false }) => {
       newErrors.description = 'Description must be less than 500 characters';
     }
 
+    // YYYY-MM-DD strings compare correctly as plain strings
+    if (formData.startDate && formData.dueDate && formData.dueDate < formData.startDate) {
+      newErrors.dueDate = 'Due date cannot be before start date';
+    }
+
+    if (formData.estimateHours !== '') {
+      const minutes = toEstimateMinutes(formData.estimateHours);
+      if (!(minutes >= 1 && minutes <= MAX_ESTIMATE_MINUTES)) {
+        newErrors.estimateHours = `Estimate must be between 1 minute and ${MAX_ESTIMATE_MINUTES / 60} hours`;
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -55,33 +204,108 @@ const TaskForm = ({ task, onSubmit, onCancel, isEditing = false }) => {
     }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const handleTagsChange = (tags) => {
+    setFormData(prev => ({
+      ...prev,
+      tags
+    }));
+  };
 
-    if (!validateForm()) {
-      return;
+  const handleAssigneeToggle = (userId, checked) => {
+    setFormData(prev => ({
+      ...prev,
+      assigneeIds: checked
+        ? [...prev.assigneeIds, userId]
+        : prev.assigneeIds.filter((id) => id !== userId)
+    }));
+  };
+
+  const handleChecklistChange = (checklist) => {
+    setFormData(prev => ({
+      ...prev,
+      checklist
+    }));
+  };
+
+  const handleRecurrenceChange = (recurrence) => {
+    setFormData(prev => ({
+      ...prev,
+      recurrence
+    }));
+  };
+
+  // Stop the series: neither this task nor later occurrences repeat
+  const handleStopSeries = () => {
+    handleRecurrenceChange(null);
+    setScope('future');
+  };
+
+  const handleAutoCompleteChange = async (e) => {
+    try {
+      await onAutoCompleteChange(e.target.checked);
+    } catch (error) {
+      console.error('Error updating preferences:', error);
+      alert('Failed to update preference. Please try again.');
     }
+  };
 
+  // Submit form values, expecting the task to still be at `expectedVersion`
+  const saveTask = async (values, expectedVersion) => {
     setIsSubmitting(true);
 
     try {
       const taskData = {
-        ...formData,
-        title: formData.title.trim(),
-        description: formData.description.trim()
+        ...values,
+        title: values.title.trim(),
+        description: values.description.trim(),
+        startDate: fromDateInputValue(values.startDate),
+        dueDate: fromDateInputValue(values.dueDate),
+        checklist: toChecklistData(values.checklist),
+        recurrence: toRecurrenceData(values.recurrence),
+        projectId: values.projectId || null,
+        estimateHours: undefined,
+        estimateMinutes: toEstimateMinutes(values.estimateHours)
       };
+      if (isEditing && expectedVersion !== undefined) {
+        taskData.version = expectedVersion;
+      }
+      if (isSeries) {
+        taskData.scope = scope;
+      }
 
-      await onSubmit(taskData);
+      // Starting or finishing a blocked task needs the user's go-ahead
+      await runBlockedMove((force) =>
+        onSubmit(force ? { ...taskData, force } : taskData)
+      );
+      setConflict(null);
 
       // Reset form if not editing
       if (!isEditing) {
         setFormData({
           title: '',
           description: '',
-          status: 'To Do'
+          status: initialStatus,
+          priority: 'Medium',
+          tags: [],
+          estimateHours: '',
+          projectId: defaultProjectId,
+          assigneeIds: [],
+          startDate: '',
+          dueDate: '',
+          checklist: [],
+          recurrence: null
         });
       }
     } catch (error) {
+      const currentTask = error.response?.data?.currentTask;
+      if (error.response?.status === 409 && currentTask) {
+        // Someone else saved the task first; let the user decide what to keep
+        setConflict({
+          theirs: toFormData(currentTask),
+          version: currentTask.version
+        });
+        return;
+      }
       console.error('Error submitting task:', error);
       // Handle error display here if needed
     } finally {
@@ -89,13 +313,52 @@ const TaskForm = ({ task, onSubmit, onCancel, isEditing = false }) => {
     }
   };
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    await saveTask(formData, version);
+  };
+
+  // Conflict resolution: overwrite with the form as it is
+  const handleKeepMine = () => {
+    saveTask(formData, conflict.version);
+  };
+
+  // Conflict resolution: load the saved version and keep editing from it
+  const handleTakeTheirs = () => {
+    setFormData(conflict.theirs);
+    setVersion(conflict.version);
+    setErrors({});
+    setConflict(null);
+  };
+
+  // Conflict resolution: save a field-by-field mix of both versions
+  const handleMerge = (merged) => {
+    setFormData(merged);
+    saveTask(merged, conflict.version);
+  };
+
   const handleCancel = () => {
     setFormData({
       title: '',
       description: '',
-      status: 'To Do'
+      status: initialStatus,
+      priority: 'Medium',
+      tags: [],
+      estimateHours: '',
+      projectId: defaultProjectId,
+      assigneeIds: [],
+      startDate: '',
+      dueDate: '',
+      checklist: [],
+      recurrence: null
     });
     setErrors({});
+    setConflict(null);
     onCancel && onCancel();
   };
 
@@ -144,26 +407,231 @@ const TaskForm = ({ task, onSubmit, onCancel, isEditing = false }) => {
             {errors.description && <span className="error-message">{errors.description}</span>}
           </div>
 
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="status" className="form-label">
+                Status
+              </label>
+              <select
+                id="status"
+                name="status"
+                value={formData.status}
+                onChange={handleInputChange}
+                className="form-select"
+                disabled={isSubmitting}
+              >
+                {statusOptions.map(option => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="priority" className="form-label">
+                Priority
+              </label>
+              <select
+                id="priority"
+                name="priority"
+                value={formData.priority}
+                onChange={handleInputChange}
+                className="form-select"
+                disabled={isSubmitting}
+              >
+                {priorityOptions.map(option => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
           <div className="form-group">
-            <label htmlFor="status" className="form-label">
-              Status
+            <label htmlFor="projectId" className="form-label">
+              Project
             </label>
             <select
-              id="status"
-              name="status"
-              value={formData.status}
+              id="projectId"
+              name="projectId"
+              value={formData.projectId}
               onChange={handleInputChange}
               className="form-select"
               disabled={isSubmitting}
             >
-              {statusOptions.map(option => (
-                <option key={option} value={option}>
-                  {option}
+              <option value="">No project</option>
+              {projectOptions.map(project => (
+                <option key={project._id} value={project._id}>
+                  {project.name}
+                  {project.archived ? ' (archived)' : ''}
                 </option>
               ))}
             </select>
           </div>
 
+          {assigneeOptions.length > 0 && (
+            <div className="form-group">
+              <span className="form-label">Assignees</span>
+              <div className="assignee-options">
+                {assigneeOptions.map(user => (
+                  <label key={user._id} className="checkbox-label assignee-option">
+                    <input
+                      type="checkbox"
+                      checked={formData.assigneeIds.includes(user._id)}
+                      onChange={(e) => handleAssigneeToggle(user._id, e.target.checked)}
+                      disabled={isSubmitting}
+                    />
+                    <span className="assignee-avatar">{getUserInitial(user)}</span>
+                    <span className="checkbox-text">{getUserName(user)}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="tags" className="form-label">
+              Tags
+            </label>
+            <TagInput
+              value={formData.tags}
+              onChange={handleTagsChange}
+              availableTags={availableTags}
+              disabled={isSubmitting}
+            />
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="startDate" className="form-label">
+                Start Date
+              </label>
+              <input
+                type="date"
+                id="startDate"
+                name="startDate"
+                value={formData.startDate}
+                onChange={handleInputChange}
+                className="form-input"
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="dueDate" className="form-label">
+                Due Date
+              </label>
+              <input
+                type="date"
+                id="dueDate"
+                name="dueDate"
+                value={formData.dueDate}
+                onChange={handleInputChange}
+                min={formData.startDate || undefined}
+                className={`form-input ${errors.dueDate ? 'error' : ''}`}
+                disabled={isSubmitting}
+              />
+              {errors.dueDate && <span className="error-message">{errors.dueDate}</span>}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="estimateHours" className="form-label">
+              Estimate (hours)
+            </label>
+            <input
+              type="number"
+              id="estimateHours"
+              name="estimateHours"
+              value={formData.estimateHours}
+              onChange={handleInputChange}
+              min="0"
+              max={MAX_ESTIMATE_MINUTES / 60}
+              step="any"
+              className={`form-input ${errors.estimateHours ? 'error' : ''}`}
+              placeholder="e.g. 1.5"
+              disabled={isSubmitting}
+            />
+            {errors.estimateHours && <span className="error-message">{errors.estimateHours}</span>}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="recurrence" className="form-label">
+              Repeat
+            </label>
+            <RecurrenceEditor
+              value={formData.recurrence}
+              onChange={handleRecurrenceChange}
+              disabled={isSubmitting}
+            />
+            {isSeries && (
+              <div className="recurrence-scope">
+                <span className="recurrence-scope-label">Apply changes to:</span>
+                <label className="checkbox-label">
+                  <input
+                    type="radio"
+                    name="scope"
+                    value="this"
+                    checked={scope === 'this'}
+                    onChange={() => setScope('this')}
+                    disabled={isSubmitting}
+                  />
+                  <span className="checkbox-text">This occurrence</span>
+                </label>
+                <label className="checkbox-label">
+                  <input
+                    type="radio"
+                    name="scope"
+                    value="future"
+                    checked={scope === 'future'}
+                    onChange={() => setScope('future')}
+                    disabled={isSubmitting}
+                  />
+                  <span className="checkbox-text">This and future occurrences</span>
+                </label>
+                {task.recurrence && (
+                  <button
+                    type="button"
+                    className="btn btn-link"
+                    onClick={handleStopSeries}
+                    disabled={isSubmitting || !formData.recurrence}
+                  >
+                    Stop series
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="checklist" className="form-label">
+              Checklist
+            </label>
+            <ChecklistEditor
+              value={formData.checklist}
+              onChange={handleChecklistChange}
+              disabled={isSubmitting}
+            />
+            {onAutoCompleteChange && (
+              <div className="checkbox-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={autoCompleteChecklists}
+                    onChange={handleAutoCompleteChange}
+                    disabled={isSubmitting}
+                  />
+                  <span className="checkbox-text">
+                    Move tasks to {doneStatus || 'a finished status'} when every
+                    checklist item is checked
+                  </span>
+                </label>
+              </div>
+            )}
+          </div>
+
           <div className="form-actions">
             <button
               type="submit"
@@ -186,6 +654,20 @@ const TaskForm = ({ task, onSubmit, onCancel, isEditing = false }) => {
           </div>
         </form>
       </div>
+
+      {conflict && (
+        <ConflictDialog
+          key={conflict.version}
+          mine={formData}
+          theirs={conflict.theirs}
+          projects={projects}
+          users={assigneeOptions}
+          onKeepMine={handleKeepMine}
+          onTakeTheirs={handleTakeTheirs}
+          onMerge={handleMerge}
+          isSubmitting={isSubmitting}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,158 @@
+import React, { useEffect } from "react";
+import { useHistoryFunctions } from "../hooks/history-functions";
+import { describeRecurrence } from "../utils/recurrence";
+import { getUserName } from "../utils/user";
+import { formatDuration } from "../utils/time";
+
+const FIELD_LABELS = {
+  title: "title",
+  description: "description",
+  status: "status",
+  priority: "priority",
+  tags: "tags",
+  estimateMinutes: "estimate",
+  projectId: "project",
+  assigneeIds: "assignees",
+  blockedBy: "blocked by",
+  attachments: "files",
+  startDate: "start date",
+  dueDate: "due date",
+  checklist: "checklist",
+  recurrence: "repeat",
+};
+
+const ACTION_LABELS = {
+  created: "created the task",
+  updated: "edited the task",
+  status_changed: "changed the status",
+  deleted: "moved the task to the trash",
+  restored: "restored the task",
+};
+
+const DATE_FIELDS = ["startDate", "dueDate"];
+
+const formatTimestamp = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const formatValue = (field, value, projects, users) => {
+  if (value === null || value === undefined || value === "") return "none";
+  if (field === "assigneeIds" && value.length > 0) {
+    return value
+      .map((id) => {
+        const user = users.find((item) => item._id === id);
+        return user ? getUserName(user) : "a former assignee";
+      })
+      .join(", ");
+  }
+  if (field === "projectId") {
+    const project = projects.find((item) => item._id === value);
+    return project ? project.name : "a deleted project";
+  }
+  if (field === "checklist") {
+    const done = value.filter((item) => item.done).length;
+    return `${value.length} ${value.length === 1 ? "item" : "items"}, ${done} done`;
+  }
+  if (field === "recurrence") return describeRecurrence(value);
+  if (field === "estimateMinutes") return formatDuration(value * 60);
+  if (Array.isArray(value)) return value.length > 0 ? value.join(", ") : "none";
+  if (DATE_FIELDS.includes(field)) {
+    return new Date(value).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+    });
+  }
+  return String(value);
+};
+
+// Collapsible timeline of a task's changes, reloaded when the task changes.
+// `projects` and `users` name the projects and assignees in changes.
+const TaskHistory = ({ taskId, version, projects = [], users = [] }) => {
+  const {
+    history,
+    isHistoryLoading,
+    historyError,
+    hasMoreHistory,
+    loadHistory,
+    loadMoreHistory,
+  } = useHistoryFunctions(taskId);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory, version]);
+
+  if (historyError) {
+    return <p className="task-history-empty">{historyError}</p>;
+  }
+
+  if (history.length === 0) {
+    return (
+      <p className="task-history-empty">
+        {isHistoryLoading ? "Loading history..." : "No history recorded yet."}
+      </p>
+    );
+  }
+
+  return (
+    <div className="task-history">
+      <ol className="task-history-list">
+        {history.map((entry) => (
+          <li key={entry._id} className={`task-history-entry ${entry.action}`}>
+            <div className="task-history-summary">
+              <strong>
+                {entry.actor?.fullName || entry.actor?.username || "Someone"}
+              </strong>{" "}
+              {ACTION_LABELS[entry.action] || entry.action}
+              <time dateTime={entry.createdAt}>
+                {formatTimestamp(entry.createdAt)}
+              </time>
+            </div>
+            {entry.action !== "created" && entry.changes.length > 0 && (
+              <ul className="task-history-changes">
+                {entry.changes.map((change) => (
+                  <li key={change.field}>
+                    {FIELD_LABELS[change.field] || change.field}:{" "}
+                    <span className="old-value">
+                      {formatValue(
+                        change.field,
+                        change.oldValue,
+                        projects,
+                        users
+                      )}
+                    </span>{" "}
+                    →{" "}
+                    <span className="new-value">
+                      {formatValue(
+                        change.field,
+                        change.newValue,
+                        projects,
+                        users
+                      )}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {hasMoreHistory && (
+        <button
+          className="btn btn-link"
+          onClick={loadMoreHistory}
+          disabled={isHistoryLoading}
+        >
+          {isHistoryLoading ? "Loading..." : "Show older"}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TaskHistory;
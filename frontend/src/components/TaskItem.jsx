@@ -1,20 +1,100 @@
 import React, { useState } from "react";
-import { Edit2, Trash2 } from "lucide-react";
+import {
+  Edit2,
+  Trash2,
+  History,
+  Repeat,
+  Folder,
+  MessageSquare,
+  Paperclip,
+  Lock,
+  Link2,
+  Clock,
+  Play,
+  Square,
+} from "lucide-react";
+import TaskHistory from "./TaskHistory";
+import TaskComments from "./TaskComments";
+import TaskAttachments from "./TaskAttachments";
+import TaskDependencies from "./TaskDependencies";
+import TaskTimeEntries from "./TaskTimeEntries";
+import Highlight from "./Highlight";
+import { describeRecurrence } from "../utils/recurrence";
+import { getUserInitial, getUserName } from "../utils/user";
+import { getOpenBlockers, runBlockedMove } from "../utils/dependencies";
+import {
+  DEFAULT_STATUSES,
+  getStatusStyle,
+  isTerminalStatus,
+} from "../utils/workflow";
+import { formatClock, formatDuration } from "../utils/time";
+import { useCommentFunctions } from "../hooks/comment-functions";
+import {
+  useElapsedSeconds,
+  useTimeEntryFunctions,
+} from "../hooks/time-functions";
 
-const TaskItem = ({ task, onEdit, onDelete, onStatusChange }) => {
+const TaskItem = ({
+  task,
+  statuses = DEFAULT_STATUSES,
+  isSelected = false,
+  onSelectChange,
+  tagColors = {},
+  projects = [],
+  showProject = false,
+  onEdit,
+  onDelete,
+  onStatusChange,
+  onChecklistToggle,
+  onAttachmentsUpload,
+  onAttachmentRemove,
+  onDependencyAdd,
+  onDependencyRemove,
+  dependencyOptions = [],
+  runningTimer = null,
+  onTimerStart,
+  onTimerStop,
+  onTrackedTime,
+  onTagClick,
+  reorderHandle,
+}) => {
   const [isExpanded, setIsExpanded] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showComments, setShowComments] = useState(false);
+  const [showAttachments, setShowAttachments] = useState(false);
+  const [showDependencies, setShowDependencies] = useState(false);
+  const [showTime, setShowTime] = useState(false);
+  const [isTimerPending, setIsTimerPending] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [pendingItemId, setPendingItemId] = useState(null);
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case "To Do":
-        return "status-todo";
-      case "In Progress":
-        return "status-progress";
-      case "Done":
-        return "status-done";
+  // Kept here so the badge follows comments added or deleted in the panel
+  const commentThread = useCommentFunctions(task._id || task.id);
+  const commentCount = commentThread.total ?? task.commentCount ?? 0;
+  const timeLog = useTimeEntryFunctions(task._id || task.id, onTrackedTime);
+
+  // The user's timer, when it runs on this task
+  const isTimerRunning = runningTimer?.taskId === (task._id || task.id);
+  const elapsedSeconds = useElapsedSeconds(
+    isTimerRunning ? runningTimer.startedAt : null
+  );
+
+  const project =
+    task.projectId && projects.find((item) => item._id === task.projectId);
+  const openBlockers = getOpenBlockers(task, statuses);
+  // Tasks assigned from someone else's list can be in a status of theirs
+  const isKnownStatus = statuses.some((status) => status.name === task.status);
+
+  const getPriorityColor = (priority) => {
+    switch (priority) {
+      case "Low":
+        return "priority-low";
+      case "High":
+        return "priority-high";
+      case "Urgent":
+        return "priority-urgent";
       default:
-        return "status-todo";
+        return "priority-medium";
     }
   };
 
@@ -29,29 +109,93 @@ const TaskItem = ({ task, onEdit, onDelete, onStatusChange }) => {
     });
   };
 
+  const formatDay = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+  };
+
+  // Compare the due date against today's local date range
+  const getDueState = () => {
+    if (!task.dueDate || isTerminalStatus(statuses, task.status)) return null;
+
+    const todayStart = new Date();
+    todayStart.setHours(0, 0, 0, 0);
+    const tomorrowStart = new Date(todayStart);
+    tomorrowStart.setDate(tomorrowStart.getDate() + 1);
+
+    const dueDate = new Date(task.dueDate);
+    if (dueDate < todayStart) return "overdue";
+    if (dueDate < tomorrowStart) return "due-today";
+    return null;
+  };
+
+  const dueState = getDueState();
+
+  // No confirmation: deleted tasks go to the trash and can be undone
   const handleDelete = async () => {
-    if (window.confirm("Are you sure you want to delete this task?")) {
-      setIsDeleting(true);
-      try {
-        await onDelete(task._id || task.id);
-      } catch (error) {
-        console.error("Error deleting task:", error);
-        alert("Failed to delete task. Please try again.");
-      } finally {
-        setIsDeleting(false);
-      }
+    setIsDeleting(true);
+    try {
+      await onDelete(task._id || task.id);
+    } catch (error) {
+      console.error("Error deleting task:", error);
+      alert("Failed to delete task. Please try again.");
+    } finally {
+      setIsDeleting(false);
     }
   };
 
   const handleStatusChange = async (newStatus) => {
     try {
-      await onStatusChange(task._id || task.id, newStatus);
+      // A blocked task only moves on once the user confirms
+      await runBlockedMove((force) =>
+        onStatusChange(task._id || task.id, newStatus, { force })
+      );
     } catch (error) {
       console.error("Error updating task status:", error);
       alert("Failed to update task status. Please try again.");
     }
   };
 
+  const handleTimerToggle = async () => {
+    setIsTimerPending(true);
+    try {
+      if (isTimerRunning) {
+        await onTimerStop();
+      } else {
+        await onTimerStart(task);
+      }
+    } catch (error) {
+      console.error("Error toggling timer:", error);
+      alert("Failed to update the timer. Please try again.");
+    } finally {
+      setIsTimerPending(false);
+    }
+  };
+
+  const handleChecklistToggle = async (itemId, done) => {
+    setPendingItemId(itemId);
+    try {
+      await onChecklistToggle(task._id || task.id, itemId, done);
+    } catch (error) {
+      console.error("Error updating checklist item:", error);
+      alert("Failed to update checklist item. Please try again.");
+    } finally {
+      setPendingItemId(null);
+    }
+  };
+
+  const checklist = task.checklist || [];
+  const doneCount = checklist.filter((item) => item.done).length;
+  const checklistProgress =
+    checklist.length > 0 ? Math.round((doneCount / checklist.length) * 100) : 0;
+
+  // Present when the list is a search result
+  const match = task.match;
+
   const truncateText = (text, maxLength = 100) => {
     if (!text) return "";
     if (text.length <= maxLength) return text;
@@ -59,60 +203,204 @@ const TaskItem = ({ task, onEdit, onDelete, onStatusChange }) => {
   };
 
   return (
-    <div className={`task-item ${isDeleting ? "deleting" : ""}`}>
+    <div
+      className={`task-item ${isDeleting ? "deleting" : ""} ${
+        dueState === "overdue" ? "overdue" : ""
+      } ${isSelected ? "selected" : ""}`}
+      data-task-id={task._id || task.id}
+    >
       <div className="task-header">
+        {reorderHandle}
+        {onSelectChange && (
+          <input
+            type="checkbox"
+            className="task-select"
+            checked={isSelected}
+            onChange={(e) =>
+              onSelectChange(task._id || task.id, e.target.checked)
+            }
+            disabled={isDeleting}
+            aria-label={`Select "${task.title}"`}
+          />
+        )}
         <div className="task-main-info">
-          <h3 className="task-title">{task.title}</h3>
+          <h3 className="task-title">
+            <Highlight text={task.title} ranges={match?.title} />
+          </h3>
           <div className="task-meta">
-            <span className={`task-status ${getStatusColor(task.status)}`}>
+            <span
+              className="task-status"
+              style={getStatusStyle(statuses, task.status)}
+            >
               {task.status}
             </span>
+            <span
+              className={`task-priority ${getPriorityColor(task.priority)}`}
+            >
+              {task.priority || "Medium"}
+            </span>
             <span className="task-date">
               Created: {formatDate(task.createdAt)}
             </span>
+            {task.startDate && (
+              <span className="task-date">
+                Starts: {formatDay(task.startDate)}
+              </span>
+            )}
+            {task.dueDate && (
+              <span className={`task-due ${dueState || ""}`}>
+                Due: {formatDay(task.dueDate)}
+                {dueState === "overdue" && " (Overdue)"}
+                {dueState === "due-today" && " (Today)"}
+              </span>
+            )}
+            {openBlockers.length > 0 && (
+              <span
+                className="task-blocked"
+                title={`Waiting on ${openBlockers
+                  .map((blocker) => blocker.title)
+                  .join(", ")}`}
+              >
+                <Lock size={12} />
+                Blocked
+              </span>
+            )}
+            {(task.trackedSeconds > 0 || task.estimateMinutes > 0) && (
+              <span
+                className={`task-time ${
+                  task.estimateMinutes &&
+                  task.trackedSeconds > task.estimateMinutes * 60
+                    ? "over-estimate"
+                    : ""
+                }`}
+                title="Time tracked / estimated"
+              >
+                <Clock size={12} />
+                {formatDuration(task.trackedSeconds)}
+                {task.estimateMinutes > 0 &&
+                  ` / ${formatDuration(task.estimateMinutes * 60)}`}
+              </span>
+            )}
+            {showProject && project && (
+              <span className="task-project">
+                <Folder size={12} style={{ color: project.color }} />
+                {project.name}
+              </span>
+            )}
+            {task.recurrence && (
+              <span
+                className="task-recurrence"
+                title={`Occurrence ${task.occurrence || 1} of a repeating task`}
+              >
+                <Repeat size={12} />
+                {describeRecurrence(task.recurrence)}
+              </span>
+            )}
+            {task.assignees?.length > 0 && (
+              <span
+                className="task-assignees"
+                title={`Assigned to ${task.assignees.map(getUserName).join(", ")}`}
+              >
+                {task.assignees.map((user) => (
+                  <span key={user._id} className="assignee-avatar">
+                    {getUserInitial(user)}
+                  </span>
+                ))}
+              </span>
+            )}
           </div>
         </div>
 
-        <div className="task-actions">
-          <select
-            value={task.status}
-            onChange={(e) => handleStatusChange(e.target.value)}
-            className="status-dropdown"
-            disabled={isDeleting}
-          >
-            <option value="To Do">To Do</option>
-            <option value="In Progress">In Progress</option>
-            <option value="Done">Done</option>
-          </select>
-
-          <button
-            className="btn btn-edit"
-            onClick={() => onEdit(task)}
-            disabled={isDeleting}
-            title="Edit task"
-          >
-            <Edit2 size={16} />
-          </button>
-
-          <button
-            className="btn btn-delete"
-            onClick={handleDelete}
-            disabled={isDeleting}
-            title="Delete task"
-          >
-            {isDeleting ? (
-              <div className="spinner"></div>
-            ) : (
-              <Trash2 size={16} />
+        {/* Left out for read-only tasks (workspace viewers) */}
+        {onEdit && (
+          <div className="task-actions">
+            <select
+              value={task.status}
+              onChange={(e) => handleStatusChange(e.target.value)}
+              className="status-dropdown"
+              disabled={isDeleting}
+            >
+              {!isKnownStatus && (
+                <option value={task.status}>{task.status}</option>
+              )}
+              {statuses.map((status) => (
+                <option key={status.name} value={status.name}>
+                  {status.name}
+                </option>
+              ))}
+            </select>
+
+            {onTimerStart && (
+              <button
+                className={`btn btn-timer ${isTimerRunning ? "running" : ""}`}
+                onClick={handleTimerToggle}
+                disabled={isDeleting || isTimerPending}
+                title={isTimerRunning ? "Stop timer" : "Start timer"}
+              >
+                {isTimerRunning ? <Square size={16} /> : <Play size={16} />}
+                {isTimerRunning && (
+                  <span className="timer-clock">
+                    {formatClock(elapsedSeconds)}
+                  </span>
+                )}
+              </button>
             )}
-          </button>
-        </div>
+
+            <button
+              className="btn btn-edit"
+              onClick={() => onEdit(task)}
+              disabled={isDeleting}
+              title="Edit task"
+            >
+              <Edit2 size={16} />
+            </button>
+
+            <button
+              className="btn btn-delete"
+              onClick={handleDelete}
+              disabled={isDeleting}
+              title="Move to trash"
+            >
+              {isDeleting ? (
+                <div className="spinner"></div>
+              ) : (
+                <Trash2 size={16} />
+              )}
+            </button>
+          </div>
+        )}
       </div>
 
+      {task.tags?.length > 0 && (
+        <div className="task-tags">
+          {task.tags.map((tag) => (
+            <button
+              key={tag}
+              type="button"
+              className="tag-chip"
+              style={{ backgroundColor: tagColors[tag.toLowerCase()] }}
+              onClick={() => onTagClick && onTagClick(tag)}
+              title={`Filter by ${tag}`}
+            >
+              {tag}
+            </button>
+          ))}
+        </div>
+      )}
+
       {task.description && (
         <div className="task-description">
           <p className={isExpanded ? "expanded" : "collapsed"}>
-            {isExpanded ? task.description : truncateText(task.description)}
+            {isExpanded ? (
+              task.description
+            ) : match?.snippet ? (
+              <Highlight
+                text={match.snippet.text}
+                ranges={match.snippet.highlights}
+              />
+            ) : (
+              truncateText(task.description)
+            )}
           </p>
           {task.description.length > 100 && (
             <button
@@ -125,11 +413,145 @@ const TaskItem = ({ task, onEdit, onDelete, onStatusChange }) => {
         </div>
       )}
 
-      {task.updatedAt && task.updatedAt !== task.createdAt && (
-        <div className="task-updated">
-          <small>Last updated: {formatDate(task.updatedAt)}</small>
+      {checklist.length > 0 && (
+        <div className="task-checklist">
+          <div className="checklist-progress">
+            <div
+              className="checklist-progress-bar"
+              role="progressbar"
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={checklistProgress}
+              aria-label="Checklist progress"
+            >
+              <div
+                className="checklist-progress-fill"
+                style={{ width: `${checklistProgress}%` }}
+              />
+            </div>
+            <span className="checklist-progress-label">
+              {doneCount}/{checklist.length}
+            </span>
+          </div>
+          <ul className="checklist-items">
+            {checklist.map((item) => (
+              <li
+                key={item._id}
+                className={`checklist-item ${item.done ? "done" : ""}`}
+              >
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={item.done}
+                    onChange={(e) =>
+                      handleChecklistToggle(item._id, e.target.checked)
+                    }
+                    disabled={
+                      !onChecklistToggle || isDeleting || pendingItemId !== null
+                    }
+                  />
+                  <span>{item.text}</span>
+                </label>
+              </li>
+            ))}
+          </ul>
         </div>
       )}
+
+      <div className="task-updated">
+        {task.updatedAt && task.updatedAt !== task.createdAt && (
+          <small>Last updated: {formatDate(task.updatedAt)}</small>
+        )}
+        <button
+          className="btn btn-link history-toggle"
+          onClick={() => setShowDependencies(!showDependencies)}
+          aria-expanded={showDependencies}
+        >
+          <Link2 size={14} />
+          {showDependencies ? "Hide dependencies" : "Dependencies"}
+          {task.blockers?.length > 0 && (
+            <span className="comment-count">{task.blockers.length}</span>
+          )}
+        </button>
+        <button
+          className="btn btn-link history-toggle"
+          onClick={() => setShowAttachments(!showAttachments)}
+          aria-expanded={showAttachments}
+        >
+          <Paperclip size={14} />
+          {showAttachments ? "Hide files" : "Files"}
+          {task.attachments?.length > 0 && (
+            <span className="comment-count">{task.attachments.length}</span>
+          )}
+        </button>
+        <button
+          className="btn btn-link history-toggle"
+          onClick={() => setShowComments(!showComments)}
+          aria-expanded={showComments}
+        >
+          <MessageSquare size={14} />
+          {showComments ? "Hide comments" : "Comments"}
+          {commentCount > 0 && (
+            <span className="comment-count">{commentCount}</span>
+          )}
+        </button>
+        <button
+          className="btn btn-link history-toggle"
+          onClick={() => setShowTime(!showTime)}
+          aria-expanded={showTime}
+        >
+          <Clock size={14} />
+          {showTime ? "Hide time" : "Time"}
+        </button>
+        <button
+          className="btn btn-link history-toggle"
+          onClick={() => setShowHistory(!showHistory)}
+          aria-expanded={showHistory}
+        >
+          <History size={14} />
+          {showHistory ? "Hide history" : "History"}
+        </button>
+      </div>
+
+      {showDependencies && (
+        <TaskDependencies
+          task={task}
+          statuses={statuses}
+          options={dependencyOptions}
+          onAdd={onDependencyAdd}
+          onRemove={onDependencyRemove}
+        />
+      )}
+
+      {showAttachments && (
+        <TaskAttachments
+          task={task}
+          onUpload={onAttachmentsUpload}
+          onRemove={onAttachmentRemove}
+        />
+      )}
+
+      {showComments && (
+        <TaskComments thread={commentThread} canComment={Boolean(onEdit)} />
+      )}
+
+      {showTime && (
+        <TaskTimeEntries
+          task={task}
+          timeLog={timeLog}
+          isTimerRunning={isTimerRunning}
+          canTrack={Boolean(onEdit)}
+        />
+      )}
+
+      {showHistory && (
+        <TaskHistory
+          taskId={task._id || task.id}
+          version={task.version}
+          projects={projects}
+          users={task.assignees}
+        />
+      )}
     </div>
   );
 };
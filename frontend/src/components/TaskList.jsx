@@ -1,70 +1,286 @@
-import React, { useState } from "react";
-import { ArrowUp, ArrowDown, Clipboard } from "lucide-react";
+import React, { useState, useRef, useEffect } from "react";
+import {
+  ArrowUp,
+  ArrowDown,
+  Clipboard,
+  LayoutList,
+  Columns3,
+  GripVertical,
+  Search,
+  X,
+} from "lucide-react";
 import TaskItem from "./TaskItem";
+import TaskBoard from "./TaskBoard";
+import BulkActionBar from "./BulkActionBar";
+import { ALL_PROJECTS, ASSIGNED_TO_ME } from "../hooks/task-functions";
+import { DEFAULT_STATUSES, getStatusStyle } from "../utils/workflow";
+import { formatDuration } from "../utils/time";
 
-const TaskList = ({ tasks, onEdit, onDelete, onStatusChange, isLoading }) => {
-  const [filter, setFilter] = useState("All");
-  const [sortBy, setSortBy] = useState("createdAt");
-  const [sortOrder, setSortOrder] = useState("desc");
+// Wait for a pause in typing before searching
+const SEARCH_DEBOUNCE_MS = 300;
 
-  const filterOptions = ["All", "To Do", "In Progress", "Done"];
+const TaskList = ({
+  tasks,
+  statuses = DEFAULT_STATUSES,
+  availableTags = [],
+  projects = [],
+  query,
+  counts,
+  pagination,
+  onQueryChange,
+  onLoadMore,
+  onEdit,
+  onDelete,
+  onStatusChange,
+  onChecklistToggle,
+  onAttachmentsUpload,
+  onAttachmentRemove,
+  onDependencyAdd,
+  onDependencyRemove,
+  runningTimer,
+  onTimerStart,
+  onTimerStop,
+  onTrackedTime,
+  onMove,
+  onBulkAction,
+  viewMode = "list",
+  onViewModeChange,
+  isLoading,
+  isLoadingMore,
+}) => {
+  // Filtering and sorting happen on the server; this only edits the query
+  const {
+    status: filter,
+    priority: priorityFilter,
+    tags: tagFilter,
+    tagMatch,
+    due: dueFilter,
+    assignee: assigneeFilter,
+    search,
+    sortBy,
+    sortOrder,
+  } = query;
+
+  const filterOptions = ["All", ...statuses.map((status) => status.name)];
+  const priorityOptions = ["All", "Urgent", "High", "Medium", "Low"];
+  const dueOptions = [
+    { value: "All", label: "Any Time" },
+    { value: "overdue", label: "Overdue" },
+    { value: "today", label: "Due Today" },
+    { value: "week", label: "Due This Week" },
+  ];
+  const assigneeOptions = [
+    { value: "All", label: "Anyone" },
+    { value: ASSIGNED_TO_ME, label: "Assigned to Me" },
+  ];
   const sortOptions = [
     { value: "createdAt", label: "Date Created" },
+    { value: "dueDate", label: "Due Date" },
+    { value: "priority", label: "Priority" },
     { value: "title", label: "Title" },
     { value: "status", label: "Status" },
+    { value: "position", label: "Manual" },
+    // Ranking only means something while searching
+    ...(search ? [{ value: "relevance", label: "Relevance" }] : []),
   ];
+  const hasActiveFilter =
+    search !== "" ||
+    filter !== "All" ||
+    priorityFilter !== "All" ||
+    tagFilter.length > 0 ||
+    dueFilter !== "All" ||
+    assigneeFilter !== "All";
+  const activeFilterLabel = [
+    search && `"${search}"`,
+    filter !== "All" && filter,
+    priorityFilter !== "All" && `${priorityFilter} priority`,
+    tagFilter.length > 0 &&
+      `tagged ${tagFilter.join(tagMatch === "any" ? " or " : " and ")}`,
+    dueFilter !== "All" &&
+      dueOptions.find((option) => option.value === dueFilter)?.label,
+    assigneeFilter === ASSIGNED_TO_ME && "assigned to me",
+  ]
+    .filter(Boolean)
+    .join(", ");
 
-  // Filter tasks based on selected filter
-  const filteredTasks = tasks.filter((task) => {
-    if (filter === "All") return true;
-    return task.status === filter;
-  });
-
-  // Sort tasks based on selected criteria
-  const sortedTasks = [...filteredTasks].sort((a, b) => {
-    let aValue = a[sortBy];
-    let bValue = b[sortBy];
-
-    // Handle date sorting
-    if (sortBy === "createdAt") {
-      aValue = new Date(aValue);
-      bValue = new Date(bValue);
-    }
+  // Counts come from the server so they cover every page, not just loaded ones
+  const getStatusCount = (status) => counts.byStatus[status] || 0;
+  const doneStatus = statuses.find((status) => status.terminal)?.name;
 
-    // Handle string sorting (case-insensitive)
-    if (typeof aValue === "string") {
-      aValue = aValue.toLowerCase();
-      bValue = bValue.toLowerCase();
-    }
+  const tagColors = Object.fromEntries(
+    availableTags.map((tag) => [tag.name.toLowerCase(), tag.color])
+  );
 
-    if (sortOrder === "asc") {
-      return aValue < bValue ? -1 : aValue > bValue ? 1 : 0;
-    } else {
-      return aValue > bValue ? -1 : aValue < bValue ? 1 : 0;
-    }
-  });
-
-  const getTaskCounts = () => {
-    const counts = {
-      total: tasks.length,
-      todo: tasks.filter((task) => task.status === "To Do").length,
-      inProgress: tasks.filter((task) => task.status === "In Progress").length,
-      done: tasks.filter((task) => task.status === "Done").length,
-    };
-    return counts;
+  const isTagSelected = (name) =>
+    tagFilter.some((tag) => tag.toLowerCase() === name.toLowerCase());
+
+  // Toggle a tag in the multi-tag filter
+  const toggleTagFilter = (name) => {
+    onQueryChange({
+      tags: isTagSelected(name)
+        ? tagFilter.filter((tag) => tag.toLowerCase() !== name.toLowerCase())
+        : [...tagFilter, name],
+    });
   };
 
-  const taskCounts = getTaskCounts();
+  // The search box updates the query once typing pauses. Results are ranked
+  // by relevance while searching, falling back to newest first when cleared.
+  const [searchInput, setSearchInput] = useState(search);
 
-  if (isLoading) {
-    return (
-      <div className="task-list-loading">
-        <div className="loading-spinner"></div>
-        <p>Loading tasks...</p>
-      </div>
-    );
+  // Follow searches set from outside the box, e.g. by picking a saved view
+  const [appliedSearch, setAppliedSearch] = useState(search);
+  if (search !== appliedSearch) {
+    setAppliedSearch(search);
+    if (search !== searchInput.trim()) setSearchInput(search);
   }
 
+  useEffect(() => {
+    const trimmed = searchInput.trim();
+    if (trimmed === search) return;
+
+    const timer = setTimeout(() => {
+      if (trimmed && !search) {
+        onQueryChange({ search: trimmed, sortBy: "relevance" });
+      } else if (!trimmed && sortBy === "relevance") {
+        onQueryChange({ search: "", sortBy: "createdAt", sortOrder: "desc" });
+      } else {
+        onQueryChange({ search: trimmed });
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput, search, sortBy, onQueryChange]);
+
+  const clearSearch = () => {
+    setSearchInput("");
+  };
+
+  // List or board layout, kept by the parent so saved views can set it
+  const isBoard = viewMode === "board" && Boolean(onMove);
+
+  // Multi-select; IDs of tasks no longer loaded are simply ignored
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const getTaskId = (task) => task._id || task.id;
+  const selectedTasks = tasks.filter((task) =>
+    selectedIds.has(getTaskId(task))
+  );
+
+  const toggleSelected = (taskId, isSelected) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (isSelected) {
+        next.add(taskId);
+      } else {
+        next.delete(taskId);
+      }
+      return next;
+    });
+  };
+
+  const toggleSelectAll = (selectAll) => {
+    setSelectedIds(selectAll ? new Set(tasks.map(getTaskId)) : new Set());
+  };
+
+  // Manual order: tasks are reordered by dragging their handle, or with the
+  // handle focused, the up/down arrow keys
+  const isManual = sortBy === "position";
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const listRef = useRef(null);
+
+  // Place a task at `index` of the list, counted without the task itself
+  const reorderTo = async (task, index) => {
+    const taskId = getTaskId(task);
+    if (index === tasks.findIndex((item) => getTaskId(item) === taskId)) return;
+
+    const others = tasks.filter((item) => getTaskId(item) !== taskId);
+    const above = others[index - 1];
+    const below = others[index];
+    // Positions ascend down the list unless it is shown in reverse
+    const [prev, next] = sortOrder === "asc" ? [above, below] : [below, above];
+
+    try {
+      await onMove(taskId, {
+        prevId: prev ? getTaskId(prev) : null,
+        nextId: next ? getTaskId(next) : null,
+      });
+    } catch (error) {
+      console.error("Error reordering task:", error);
+      alert("Failed to reorder task. Please try again.");
+    }
+  };
+
+  const handleReorderDragStart = (e, task) => {
+    const item = e.currentTarget.closest(".task-item");
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", getTaskId(task));
+    if (item) e.dataTransfer.setDragImage(item, 16, 16);
+    setDraggingId(getTaskId(task));
+  };
+
+  const handleReorderDragEnd = () => {
+    setDraggingId(null);
+    setDropIndex(null);
+  };
+
+  // Work out where in the list the dragged task would land
+  const handleReorderDragOver = (e) => {
+    if (!draggingId) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+
+    const items = [
+      ...e.currentTarget.querySelectorAll(".task-item[data-task-id]"),
+    ].filter((item) => item.dataset.taskId !== draggingId);
+    const index = items.findIndex((item) => {
+      const rect = item.getBoundingClientRect();
+      return e.clientY < rect.top + rect.height / 2;
+    });
+    setDropIndex(index === -1 ? items.length : index);
+  };
+
+  const handleReorderDrop = (e) => {
+    e.preventDefault();
+    const task = tasks.find((item) => getTaskId(item) === draggingId);
+    if (task && dropIndex !== null) reorderTo(task, dropIndex);
+    handleReorderDragEnd();
+  };
+
+  const handleReorderKeyDown = async (e, task, index) => {
+    const offset = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+    if (!offset || !tasks[index + offset]) return;
+
+    e.preventDefault();
+    await reorderTo(task, index + offset);
+
+    // Keep focus on the handle of the task that moved
+    listRef.current
+      ?.querySelector(`[data-task-id="${getTaskId(task)}"] .reorder-handle`)
+      ?.focus();
+  };
+
+  const renderReorderHandle = (task, index) => (
+    <button
+      type="button"
+      className="reorder-handle"
+      draggable
+      onDragStart={(e) => handleReorderDragStart(e, task)}
+      onDragEnd={handleReorderDragEnd}
+      onKeyDown={(e) => handleReorderKeyDown(e, task, index)}
+      aria-label={`Reorder "${task.title}" (use the up and down arrow keys)`}
+      title="Drag to reorder"
+    >
+      <GripVertical size={16} />
+    </button>
+  );
+
+  const handleLoadMore = async () => {
+    try {
+      await onLoadMore();
+    } catch (error) {
+      console.error("Error loading more tasks:", error);
+    }
+  };
+
   return (
     <div className="task-list-container">
       {/* Task Summary */}
@@ -72,24 +288,61 @@ const TaskList = ({ tasks, onEdit, onDelete, onStatusChange, isLoading }) => {
         <h2>Your Tasks</h2>
         <div className="task-stats">
           <div className="stat-item">
-            <span className="stat-number">{taskCounts.total}</span>
+            <span className="stat-number">{counts.total}</span>
             <span className="stat-label">Total</span>
           </div>
-          <div className="stat-item">
-            <span className="stat-number">{taskCounts.todo}</span>
-            <span className="stat-label">To Do</span>
+          {statuses.map((status) => (
+            <div
+              key={status.name}
+              className="stat-item stat-status"
+              style={getStatusStyle(statuses, status.name)}
+            >
+              <span className="stat-number">{getStatusCount(status.name)}</span>
+              <span className="stat-label">{status.name}</span>
+            </div>
+          ))}
+          <div className="stat-item stat-time">
+            <span className="stat-number">
+              {formatDuration(counts.trackedSeconds)}
+            </span>
+            <span className="stat-label">Tracked</span>
           </div>
-          <div className="stat-item">
-            <span className="stat-number">{taskCounts.inProgress}</span>
-            <span className="stat-label">In Progress</span>
-          </div>
-          <div className="stat-item">
-            <span className="stat-number">{taskCounts.done}</span>
-            <span className="stat-label">Done</span>
+          <div className="stat-item stat-time">
+            <span className="stat-number">
+              {formatDuration((counts.estimateMinutes || 0) * 60)}
+            </span>
+            <span className="stat-label">Estimated</span>
           </div>
         </div>
       </div>
 
+      {/* Search */}
+      <div className="task-search">
+        <Search size={16} className="task-search-icon" aria-hidden />
+        <input
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          onKeyDown={(e) => e.key === "Escape" && clearSearch()}
+          className="task-search-input"
+          placeholder={`Search tasks… "exact phrase" -exclude${
+            doneStatus && !/\s/.test(doneStatus) ? ` status:${doneStatus}` : ""
+          }`}
+          maxLength={200}
+          aria-label="Search tasks"
+        />
+        {searchInput && (
+          <button
+            type="button"
+            className="task-search-clear"
+            onClick={clearSearch}
+            title="Clear search"
+          >
+            <X size={14} />
+          </button>
+        )}
+      </div>
+
       {/* Filters and Sorting */}
       <div className="task-controls">
         <div className="filter-group">
@@ -99,29 +352,68 @@ const TaskList = ({ tasks, onEdit, onDelete, onStatusChange, isLoading }) => {
           <select
             id="filter"
             value={filter}
-            onChange={(e) => setFilter(e.target.value)}
+            onChange={(e) => onQueryChange({ status: e.target.value })}
             className="control-select"
           >
-            {filterOptions.map((option) => {
-              const getCount = (option) => {
-                switch (option) {
-                  case "To Do":
-                    return taskCounts.todo;
-                  case "In Progress":
-                    return taskCounts.inProgress;
-                  case "Done":
-                    return taskCounts.done;
-                  default:
-                    return "";
-                }
-              };
-
-              return (
-                <option key={option} value={option}>
-                  {option} {option !== "All" && `(${getCount(option)})`}
-                </option>
-              );
-            })}
+            {filterOptions.map((option) => (
+              <option key={option} value={option}>
+                {option} {option !== "All" && `(${getStatusCount(option)})`}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="filter-group">
+          <label htmlFor="priorityFilter" className="control-label">
+            Priority:
+          </label>
+          <select
+            id="priorityFilter"
+            value={priorityFilter}
+            onChange={(e) => onQueryChange({ priority: e.target.value })}
+            className="control-select"
+          >
+            {priorityOptions.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="filter-group">
+          <label htmlFor="dueFilter" className="control-label">
+            Due:
+          </label>
+          <select
+            id="dueFilter"
+            value={dueFilter}
+            onChange={(e) => onQueryChange({ due: e.target.value })}
+            className="control-select"
+          >
+            {dueOptions.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="filter-group">
+          <label htmlFor="assigneeFilter" className="control-label">
+            Assignee:
+          </label>
+          <select
+            id="assigneeFilter"
+            value={assigneeFilter}
+            onChange={(e) => onQueryChange({ assignee: e.target.value })}
+            className="control-select"
+          >
+            {assigneeOptions.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
           </select>
         </div>
 
@@ -132,7 +424,7 @@ const TaskList = ({ tasks, onEdit, onDelete, onStatusChange, isLoading }) => {
           <select
             id="sortBy"
             value={sortBy}
-            onChange={(e) => setSortBy(e.target.value)}
+            onChange={(e) => onQueryChange({ sortBy: e.target.value })}
             className="control-select"
           >
             {sortOptions.map((option) => (
@@ -149,8 +441,11 @@ const TaskList = ({ tasks, onEdit, onDelete, onStatusChange, isLoading }) => {
           </label>
           <button
             className={`sort-order-btn ${sortOrder}`}
-            onClick={() => setSortOrder(sortOrder === "asc" ? "desc" : "asc")}
+            onClick={() =>
+              onQueryChange({ sortOrder: sortOrder === "asc" ? "desc" : "asc" })
+            }
             title={`Sort ${sortOrder === "asc" ? "Descending" : "Ascending"}`}
+            disabled={sortBy === "relevance"}
           >
             {sortOrder === "asc" ? (
               <ArrowUp size={16} />
@@ -159,13 +454,81 @@ const TaskList = ({ tasks, onEdit, onDelete, onStatusChange, isLoading }) => {
             )}
           </button>
         </div>
+
+        {onMove && onViewModeChange && (
+          <div className="view-toggle" role="group" aria-label="View">
+            <button
+              className={`view-toggle-btn ${!isBoard ? "active" : ""}`}
+              onClick={() => onViewModeChange("list")}
+              aria-pressed={!isBoard}
+              title="List view"
+            >
+              <LayoutList size={16} />
+            </button>
+            <button
+              className={`view-toggle-btn ${isBoard ? "active" : ""}`}
+              onClick={() => onViewModeChange("board")}
+              aria-pressed={isBoard}
+              title="Board view"
+            >
+              <Columns3 size={16} />
+            </button>
+          </div>
+        )}
       </div>
 
+      {/* Tag Filter */}
+      {availableTags.length > 0 && (
+        <div className="tag-filter">
+          <span className="control-label">Tags:</span>
+          <div className="tag-filter-chips">
+            {availableTags.map((tag) => (
+              <button
+                key={tag._id}
+                type="button"
+                className={`tag-chip tag-filter-chip ${
+                  isTagSelected(tag.name) ? "selected" : ""
+                }`}
+                style={{ backgroundColor: tag.color }}
+                onClick={() => toggleTagFilter(tag.name)}
+                aria-pressed={isTagSelected(tag.name)}
+              >
+                {tag.name}
+              </button>
+            ))}
+          </div>
+          {tagFilter.length > 1 && (
+            <select
+              value={tagMatch}
+              onChange={(e) => onQueryChange({ tagMatch: e.target.value })}
+              className="control-select tag-match-select"
+              aria-label="Tag match mode"
+            >
+              <option value="all">Match all</option>
+              <option value="any">Match any</option>
+            </select>
+          )}
+          {tagFilter.length > 0 && (
+            <button
+              className="btn btn-link"
+              onClick={() => onQueryChange({ tags: [] })}
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Task List */}
       <div className="task-list">
-        {sortedTasks.length === 0 ? (
+        {isLoading ? (
+          <div className="task-list-loading">
+            <div className="loading-spinner"></div>
+            <p>Loading tasks...</p>
+          </div>
+        ) : tasks.length === 0 ? (
           <div className="empty-state">
-            {tasks.length === 0 ? (
+            {counts.total === 0 ? (
               <div className="no-tasks">
                 <Clipboard size={64} strokeWidth={1.5} />
                 <h3>No tasks yet</h3>
@@ -175,38 +538,125 @@ const TaskList = ({ tasks, onEdit, onDelete, onStatusChange, isLoading }) => {
               <div className="no-filtered-tasks">
                 <h3>No tasks found</h3>
                 <p>
-                  No tasks match the current filter: <strong>{filter}</strong>
+                  No tasks match the current filter:{" "}
+                  <strong>{activeFilterLabel}</strong>
                 </p>
                 <button
                   className="btn btn-secondary"
-                  onClick={() => setFilter("All")}
+                  onClick={() => {
+                    setSearchInput("");
+                    onQueryChange({
+                      search: "",
+                      status: "All",
+                      priority: "All",
+                      tags: [],
+                      due: "All",
+                      assignee: "All",
+                      ...(sortBy === "relevance" && {
+                        sortBy: "createdAt",
+                        sortOrder: "desc",
+                      }),
+                    });
+                  }}
                 >
                   Show All Tasks
                 </button>
               </div>
             )}
           </div>
+        ) : isBoard ? (
+          <TaskBoard
+            tasks={tasks}
+            statuses={statuses}
+            tagColors={tagColors}
+            onMove={onMove}
+            onEdit={onEdit}
+          />
         ) : (
-          <div className="task-items">
-            {sortedTasks.map((task) => (
-              <TaskItem
-                key={task._id || task.id}
-                task={task}
-                onEdit={onEdit}
-                onDelete={onDelete}
-                onStatusChange={onStatusChange}
+          <div
+            className="task-items"
+            ref={listRef}
+            onDragOver={isManual ? handleReorderDragOver : undefined}
+            onDrop={isManual ? handleReorderDrop : undefined}
+          >
+            {onBulkAction && (
+              <BulkActionBar
+                selectedTasks={selectedTasks}
+                statuses={statuses}
+                visibleCount={tasks.length}
+                availableTags={availableTags}
+                onToggleAll={toggleSelectAll}
+                onClearSelection={() => toggleSelectAll(false)}
+                onBulkAction={onBulkAction}
               />
+            )}
+            {tasks.map((task, index) => (
+              <React.Fragment key={task._id || task.id}>
+                {dropIndex !== null &&
+                  getTaskId(task) !== draggingId &&
+                  dropIndex ===
+                    tasks
+                      .slice(0, index)
+                      .filter((item) => getTaskId(item) !== draggingId)
+                      .length && (
+                    <div className="list-drop-indicator" aria-hidden />
+                  )}
+                <TaskItem
+                  task={task}
+                  statuses={statuses}
+                  isSelected={selectedIds.has(getTaskId(task))}
+                  onSelectChange={onBulkAction && toggleSelected}
+                  tagColors={tagColors}
+                  projects={projects}
+                  showProject={query.project === ALL_PROJECTS}
+                  onTagClick={(tag) =>
+                    !isTagSelected(tag) && toggleTagFilter(tag)
+                  }
+                  onEdit={onEdit}
+                  onDelete={onDelete}
+                  onStatusChange={onStatusChange}
+                  onChecklistToggle={onChecklistToggle}
+                  onAttachmentsUpload={onAttachmentsUpload}
+                  onAttachmentRemove={onAttachmentRemove}
+                  onDependencyAdd={onDependencyAdd}
+                  onDependencyRemove={onDependencyRemove}
+                  dependencyOptions={tasks}
+                  runningTimer={runningTimer}
+                  onTimerStart={onTimerStart}
+                  onTimerStop={onTimerStop}
+                  onTrackedTime={onTrackedTime}
+                  reorderHandle={
+                    isManual && onMove && renderReorderHandle(task, index)
+                  }
+                />
+              </React.Fragment>
             ))}
+            {dropIndex !== null && dropIndex === tasks.length - 1 && (
+              <div className="list-drop-indicator" aria-hidden />
+            )}
           </div>
         )}
       </div>
 
+      {/* Load More */}
+      {pagination.hasMore && (
+        <div className="load-more">
+          <button
+            className="btn btn-secondary"
+            onClick={handleLoadMore}
+            disabled={isLoadingMore}
+          >
+            {isLoadingMore ? "Loading..." : "Load More"}
+          </button>
+        </div>
+      )}
+
       {/* Results Info */}
-      {sortedTasks.length > 0 && (
+      {tasks.length > 0 && (
         <div className="results-info">
           <p>
-            Showing {sortedTasks.length} of {tasks.length} tasks
-            {filter !== "All" && ` (filtered by ${filter})`}
+            Showing {tasks.length} of {pagination.total} tasks
+            {hasActiveFilter && ` (filtered by ${activeFilterLabel})`}
           </p>
         </div>
       )}
@@ -0,0 +1,261 @@
+import React, { useEffect, useState } from "react";
+import { Edit2, Trash2 } from "lucide-react";
+import { useAuth } from "../contexts/authUtils.jsx";
+import { getUserInitial, getUserName } from "../utils/user";
+import {
+  formatDuration,
+  toDateTimeInputValue,
+  fromDateTimeInputValue,
+} from "../utils/time";
+
+// Same limit as the backend's TimeEntry model
+const MAX_NOTE_LENGTH = 200;
+
+const formatTimestamp = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// A new entry defaults to the last hour
+const getDefaultValues = () => ({
+  startedAt: toDateTimeInputValue(new Date(Date.now() - 60 * 60 * 1000)),
+  endedAt: toDateTimeInputValue(new Date()),
+  note: "",
+});
+
+// Start, end and note of a time entry added or edited by hand. A running
+// entry has no end to edit; it ends when its timer is stopped.
+const TimeEntryEditor = ({ entry, submitLabel, onSubmit, onCancel }) => {
+  const isRunning = Boolean(entry && !entry.endedAt);
+  const [values, setValues] = useState(() =>
+    entry
+      ? {
+          startedAt: toDateTimeInputValue(entry.startedAt),
+          endedAt: toDateTimeInputValue(entry.endedAt),
+          note: entry.note || "",
+        }
+      : getDefaultValues()
+  );
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!isRunning && values.endedAt <= values.startedAt) {
+      setError("End time must be after the start time");
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await onSubmit({
+        startedAt: fromDateTimeInputValue(values.startedAt),
+        ...(!isRunning && { endedAt: fromDateTimeInputValue(values.endedAt) }),
+        note: values.note.trim(),
+      });
+      if (!entry) setValues(getDefaultValues());
+      setError(null);
+    } catch (error) {
+      setError(error.response?.data?.error || "Failed to save time entry");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="time-entry-editor" onSubmit={handleSubmit}>
+      <div className="time-entry-fields">
+        <input
+          type="datetime-local"
+          name="startedAt"
+          value={values.startedAt}
+          onChange={handleChange}
+          className="form-input"
+          aria-label="Start time"
+          required
+          disabled={isSaving}
+        />
+        {!isRunning && (
+          <input
+            type="datetime-local"
+            name="endedAt"
+            value={values.endedAt}
+            onChange={handleChange}
+            min={values.startedAt || undefined}
+            className="form-input"
+            aria-label="End time"
+            required
+            disabled={isSaving}
+          />
+        )}
+        <input
+          type="text"
+          name="note"
+          value={values.note}
+          onChange={handleChange}
+          className="form-input"
+          placeholder="Note (optional)"
+          maxLength={MAX_NOTE_LENGTH}
+          aria-label="Note"
+          disabled={isSaving}
+        />
+      </div>
+      {error && <span className="error-message">{error}</span>}
+      <div className="comment-editor-actions">
+        {onCancel && (
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={onCancel}
+            disabled={isSaving}
+          >
+            Cancel
+          </button>
+        )}
+        <button type="submit" className="btn btn-primary" disabled={isSaving}>
+          {isSaving ? "Saving..." : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// A task's time entries, loaded when shown and again whenever its tracked
+// total or running timer changes. `timeLog` comes from
+// useTimeEntryFunctions; without `canTrack` the list is read-only.
+const TaskTimeEntries = ({
+  task,
+  timeLog,
+  isTimerRunning = false,
+  canTrack = false,
+}) => {
+  const {
+    entries,
+    total,
+    hasMoreEntries,
+    isEntriesLoading,
+    entriesError,
+    loadEntries,
+    addEntry,
+    updateEntry,
+    deleteEntry,
+  } = timeLog;
+  const { user } = useAuth();
+  const currentUserId = user?._id || user?.id;
+  const [editingId, setEditingId] = useState(null);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries, task.trackedSeconds, isTimerRunning]);
+
+  const handleDelete = async (entryId) => {
+    if (!window.confirm("Delete this time entry?")) return;
+    try {
+      await deleteEntry(entryId);
+    } catch (error) {
+      console.error("Error deleting time entry:", error);
+      alert("Failed to delete time entry. Please try again.");
+    }
+  };
+
+  return (
+    <div className="task-time-entries">
+      {entriesError ? (
+        <p className="task-comments-empty">{entriesError}</p>
+      ) : entries.length === 0 ? (
+        <p className="task-comments-empty">
+          {isEntriesLoading
+            ? "Loading time entries..."
+            : "No time tracked yet."}
+        </p>
+      ) : (
+        <ol className="time-entry-list">
+          {entries.map((entry) => {
+            const isOwn = entry.userId?._id === currentUserId;
+            const isRunning = !entry.endedAt;
+            return (
+              <li key={entry._id} className="time-entry">
+                <span className="assignee-avatar">
+                  {getUserInitial(entry.userId)}
+                </span>
+                <div className="comment-content">
+                  <div className="comment-header">
+                    <strong>
+                      {entry.userId
+                        ? getUserName(entry.userId)
+                        : "Deleted user"}
+                    </strong>
+                    <time dateTime={entry.startedAt}>
+                      {formatTimestamp(entry.startedAt)}
+                    </time>
+                    <span className="time-entry-duration">
+                      {isRunning
+                        ? "Running"
+                        : formatDuration(entry.durationSeconds)}
+                    </span>
+                    {isOwn && canTrack && editingId !== entry._id && (
+                      <span className="comment-actions">
+                        <button
+                          className="btn btn-link"
+                          onClick={() => setEditingId(entry._id)}
+                          title="Edit time entry"
+                        >
+                          <Edit2 size={12} />
+                        </button>
+                        {/* A running timer is stopped, not deleted */}
+                        {!isRunning && (
+                          <button
+                            className="btn btn-link"
+                            onClick={() => handleDelete(entry._id)}
+                            title="Delete time entry"
+                          >
+                            <Trash2 size={12} />
+                          </button>
+                        )}
+                      </span>
+                    )}
+                  </div>
+                  {editingId === entry._id ? (
+                    <TimeEntryEditor
+                      entry={entry}
+                      submitLabel="Save"
+                      onSubmit={async (entryData) => {
+                        await updateEntry(entry._id, entryData);
+                        setEditingId(null);
+                      }}
+                      onCancel={() => setEditingId(null)}
+                    />
+                  ) : (
+                    entry.note && (
+                      <p className="time-entry-note">{entry.note}</p>
+                    )
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {hasMoreEntries && (
+        <p className="task-comments-empty">
+          Showing the latest {entries.length} of {total} entries.
+        </p>
+      )}
+
+      {canTrack && (
+        <TimeEntryEditor submitLabel="Add time" onSubmit={addEntry} />
+      )}
+    </div>
+  );
+};
+
+export default TaskTimeEntries;
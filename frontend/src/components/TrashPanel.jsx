@@ -0,0 +1,142 @@
+import React, { useState } from "react";
+import { RotateCcw, Trash2 } from "lucide-react";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TrashPanel = ({
+  trashedTasks,
+  retentionDays,
+  isLoading,
+  onRestore,
+  onPurge,
+  onEmpty,
+  onClose,
+}) => {
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState("");
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  const getDaysLeft = (purgeAt) =>
+    Math.max(Math.ceil((new Date(purgeAt) - Date.now()) / DAY_MS), 0);
+
+  // Run an action for one task (or "all") with shared busy/error handling
+  const runAction = async (id, action, fallbackMessage) => {
+    setBusyId(id);
+    setError("");
+    try {
+      await action();
+    } catch (err) {
+      console.error(fallbackMessage, err);
+      setError(err.response?.data?.error || fallbackMessage);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = (task) => {
+    if (
+      window.confirm(
+        `Permanently delete "${task.title}"? This cannot be undone.`
+      )
+    ) {
+      runAction(task._id, () => onPurge(task._id), "Failed to delete task");
+    }
+  };
+
+  const handleEmpty = () => {
+    if (
+      window.confirm(
+        `Permanently delete all ${trashedTasks.length} tasks in the trash? This cannot be undone.`
+      )
+    ) {
+      runAction("all", onEmpty, "Failed to empty trash");
+    }
+  };
+
+  return (
+    <div className="trash-panel">
+      <div className="trash-header">
+        <div>
+          <h2>Trash</h2>
+          {retentionDays && (
+            <p className="trash-hint">
+              Deleted tasks are removed for good after {retentionDays} days.
+            </p>
+          )}
+        </div>
+        <div className="trash-header-actions">
+          {trashedTasks.length > 0 && (
+            <button
+              className="btn btn-delete"
+              onClick={handleEmpty}
+              disabled={busyId !== null}
+            >
+              <Trash2 size={16} />
+              Empty Trash
+            </button>
+          )}
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      {error && <span className="error-message">{error}</span>}
+
+      {isLoading ? (
+        <p className="trash-empty">Loading trash...</p>
+      ) : trashedTasks.length === 0 ? (
+        <p className="trash-empty">The trash is empty.</p>
+      ) : (
+        <ul className="trash-list">
+          {trashedTasks.map((task) => (
+            <li key={task._id} className="trash-item">
+              <div className="trash-item-info">
+                <span className="trash-item-title">{task.title}</span>
+                <small>
+                  Deleted {formatDate(task.deletedAt)}
+                  {task.purgeAt &&
+                    ` · removed in ${getDaysLeft(task.purgeAt)} day(s)`}
+                </small>
+              </div>
+              <div className="task-actions">
+                <button
+                  className="btn btn-secondary"
+                  onClick={() =>
+                    runAction(
+                      task._id,
+                      () => onRestore(task._id),
+                      "Failed to restore task"
+                    )
+                  }
+                  disabled={busyId !== null}
+                  title="Restore task"
+                >
+                  <RotateCcw size={16} />
+                  Restore
+                </button>
+                <button
+                  className="btn btn-delete"
+                  onClick={() => handlePurge(task)}
+                  disabled={busyId !== null}
+                  title="Delete forever"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TrashPanel;
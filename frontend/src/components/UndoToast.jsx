@@ -0,0 +1,47 @@
+import React, { useEffect, useState } from "react";
+import { X } from "lucide-react";
+
+// Short-lived notice with an Undo button; dismisses itself after `duration`
+const UndoToast = ({ message, onUndo, onDismiss, duration = 8000 }) => {
+  const [isUndoing, setIsUndoing] = useState(false);
+
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [onDismiss, duration]);
+
+  const handleUndo = async () => {
+    setIsUndoing(true);
+    try {
+      await onUndo();
+    } catch (error) {
+      console.error("Error undoing action:", error);
+      alert("Failed to undo. The task is still in the trash.");
+    } finally {
+      setIsUndoing(false);
+    }
+  };
+
+  return (
+    <div className="undo-toast" role="status" aria-live="polite">
+      <span>{message}</span>
+      <button
+        className="btn btn-link undo-toast-action"
+        onClick={handleUndo}
+        disabled={isUndoing}
+      >
+        {isUndoing ? "Restoring..." : "Undo"}
+      </button>
+      <button
+        className="undo-toast-close"
+        onClick={onDismiss}
+        disabled={isUndoing}
+        title="Dismiss"
+      >
+        <X size={16} />
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,139 @@
+import React, { useState } from "react";
+import { Bookmark, ListTodo, Plus, Save, Trash2 } from "lucide-react";
+
+// Saved views: pick one to apply its filters, sort and layout, save the
+// current setup as a new view, or save changes back to the active one
+const ViewSidebar = ({
+  views,
+  activeViewId,
+  isModified,
+  onSelect,
+  onCreate,
+  onUpdate,
+  onDelete,
+}) => {
+  const [newViewName, setNewViewName] = useState("");
+  const [error, setError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const getErrorMessage = (err, fallback) =>
+    err.response?.data?.error || fallback;
+
+  // Run an API action with shared saving/error handling
+  const runAction = async (action, fallbackMessage) => {
+    setIsSaving(true);
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error(fallbackMessage, err);
+      setError(getErrorMessage(err, fallbackMessage));
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = newViewName.trim();
+    if (!name) return;
+
+    const created = await runAction(
+      () => onCreate(name),
+      "Failed to save view"
+    );
+    if (created) {
+      setNewViewName("");
+    }
+  };
+
+  const handleDelete = (view) => {
+    if (window.confirm(`Delete the view "${view.name}"?`)) {
+      runAction(() => onDelete(view._id), "Failed to delete view");
+    }
+  };
+
+  return (
+    <aside className="view-sidebar" aria-label="Saved views">
+      <h2 className="view-sidebar-title">Views</h2>
+
+      <ul className="view-sidebar-list">
+        <li>
+          <button
+            className={`view-sidebar-item ${!activeViewId ? "active" : ""}`}
+            onClick={() => onSelect(null)}
+            aria-current={!activeViewId ? "page" : undefined}
+          >
+            <ListTodo size={16} />
+            <span className="view-sidebar-name">All tasks</span>
+          </button>
+        </li>
+        {views.map((view) => {
+          const isActive = view._id === activeViewId;
+          return (
+            <li key={view._id} className="view-sidebar-row">
+              <button
+                className={`view-sidebar-item ${isActive ? "active" : ""}`}
+                onClick={() => onSelect(view._id)}
+                aria-current={isActive ? "page" : undefined}
+                title={view.name}
+              >
+                <Bookmark size={16} />
+                <span className="view-sidebar-name">{view.name}</span>
+                {isActive && isModified && (
+                  <span className="view-sidebar-modified">Modified</span>
+                )}
+              </button>
+              <button
+                className="btn btn-delete view-sidebar-delete"
+                onClick={() => handleDelete(view)}
+                disabled={isSaving}
+                title="Delete view"
+              >
+                <Trash2 size={14} />
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      {activeViewId && isModified && (
+        <button
+          className="btn btn-secondary view-sidebar-update"
+          onClick={() => runAction(onUpdate, "Failed to update view")}
+          disabled={isSaving}
+        >
+          <Save size={16} />
+          Save changes
+        </button>
+      )}
+
+      {error && <span className="error-message">{error}</span>}
+
+      <form className="view-sidebar-create" onSubmit={handleCreate}>
+        <input
+          type="text"
+          value={newViewName}
+          onChange={(e) => setNewViewName(e.target.value)}
+          className="form-input"
+          placeholder="Save current as..."
+          maxLength={50}
+          disabled={isSaving}
+          aria-label="New view name"
+        />
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={isSaving || !newViewName.trim()}
+          title="Save view"
+        >
+          <Plus size={16} />
+        </button>
+      </form>
+    </aside>
+  );
+};
+
+export default ViewSidebar;
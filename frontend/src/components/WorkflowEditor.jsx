@@ -0,0 +1,231 @@
+import React, { useState } from "react";
+import { ArrowDown, ArrowUp, Plus, Trash2 } from "lucide-react";
+
+const DEFAULT_COLOR = "#6b7280";
+const MAX_STATUSES = 12;
+
+// Statuses being edited get a local key, as new ones have no _id yet
+let nextKey = 0;
+const toDraft = (status) => ({
+  ...status,
+  key: status._id || `new-${nextKey++}`,
+});
+
+// Panel for renaming, recolouring, reordering, adding and removing the
+// statuses of the workflow. Changes are saved together; when removed
+// statuses still have tasks, it asks where to move them and saves again.
+// Shares its layout with TagManager.
+const WorkflowEditor = ({ statuses, onSave, onClose }) => {
+  const [draft, setDraft] = useState(() => statuses.map(toDraft));
+  // Removed statuses still used by tasks ({ name, count }), with the status
+  // picked for their tasks in `reassign`
+  const [inUse, setInUse] = useState([]);
+  const [reassign, setReassign] = useState({});
+  const [error, setError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const updateStatus = (key, changes) => {
+    setDraft((prev) =>
+      prev.map((status) =>
+        status.key === key ? { ...status, ...changes } : status
+      )
+    );
+  };
+
+  const moveStatus = (index, offset) => {
+    setDraft((prev) => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const addStatus = () => {
+    setDraft((prev) => [
+      ...prev,
+      toDraft({ name: "", color: DEFAULT_COLOR, terminal: false }),
+    ]);
+  };
+
+  const removeStatus = (key) => {
+    setDraft((prev) => prev.filter((status) => status.key !== key));
+  };
+
+  // Names the kept statuses will have once saved, for reassigning tasks
+  const targetNames = draft.map((status) => status.name.trim()).filter(Boolean);
+
+  // Where a removed status's tasks go; the first status until one is picked
+  // (or when the picked one was renamed since)
+  const getReassignTarget = (name) =>
+    targetNames.includes(reassign[name]) ? reassign[name] : targetNames[0];
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError("");
+    try {
+      await onSave(
+        draft.map(({ _id, name, color, terminal }) => ({
+          ...(_id && { _id }),
+          name: name.trim(),
+          color,
+          terminal: Boolean(terminal),
+        })),
+        inUse.length > 0
+          ? Object.fromEntries(
+              inUse
+                // A status named like a removed one keeps its tasks
+                .filter(({ name }) => !targetNames.includes(name))
+                .map(({ name }) => [name, getReassignTarget(name)])
+            )
+          : undefined
+      );
+      onClose();
+    } catch (err) {
+      const data = err.response?.data;
+      if (data?.code === "STATUS_IN_USE") {
+        setInUse(data.statuses);
+        setError("Choose where to move the tasks of removed statuses.");
+      } else {
+        console.error("Failed to save workflow", err);
+        setError(data?.error || "Failed to save workflow");
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="tag-manager" onSubmit={handleSave}>
+      <div className="tag-manager-header">
+        <h2>Workflow</h2>
+        <button type="button" className="btn btn-secondary" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <p className="tag-manager-empty">
+        New tasks start in the first status. Tasks in a finished status are
+        done: they are never overdue and no longer block other tasks.
+      </p>
+
+      {error && <span className="error-message">{error}</span>}
+
+      <ul className="tag-manager-list">
+        {draft.map((status, index) => (
+          <li key={status.key} className="tag-manager-item">
+            <input
+              type="color"
+              value={status.color}
+              onChange={(e) =>
+                updateStatus(status.key, { color: e.target.value })
+              }
+              className="tag-color-input"
+              title="Status colour"
+              disabled={isSaving}
+            />
+            <input
+              type="text"
+              value={status.name}
+              onChange={(e) =>
+                updateStatus(status.key, {
+                  name: e.target.value.replace(/,/g, ""),
+                })
+              }
+              className="form-input"
+              placeholder="Status name..."
+              maxLength={30}
+              aria-label="Status name"
+              required
+              disabled={isSaving}
+            />
+            <label className="checkbox-label workflow-terminal">
+              <input
+                type="checkbox"
+                checked={Boolean(status.terminal)}
+                onChange={(e) =>
+                  updateStatus(status.key, { terminal: e.target.checked })
+                }
+                disabled={isSaving || index === 0}
+              />
+              <span className="checkbox-text">Finished</span>
+            </label>
+            <div className="tag-manager-actions">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => moveStatus(index, -1)}
+                disabled={isSaving || index === 0}
+                title="Move up"
+              >
+                <ArrowUp size={16} />
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => moveStatus(index, 1)}
+                disabled={isSaving || index === draft.length - 1}
+                title="Move down"
+              >
+                <ArrowDown size={16} />
+              </button>
+              <button
+                type="button"
+                className="btn btn-delete"
+                onClick={() => removeStatus(status.key)}
+                disabled={isSaving || draft.length === 1}
+                title="Remove status"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {inUse.length > 0 && (
+        <div className="project-delete workflow-reassign">
+          {inUse.map(({ name, count }) => (
+            <label key={name} className="checkbox-label">
+              <span className="checkbox-text">
+                Move the {count} task{count === 1 ? "" : "s"} in "{name}" to
+              </span>
+              <select
+                value={getReassignTarget(name)}
+                onChange={(e) =>
+                  setReassign({ ...reassign, [name]: e.target.value })
+                }
+                className="form-select"
+                aria-label={`Status for tasks in ${name}`}
+                disabled={isSaving}
+              >
+                {targetNames.map((target) => (
+                  <option key={target} value={target}>
+                    {target}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="workflow-actions">
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={addStatus}
+          disabled={isSaving || draft.length >= MAX_STATUSES}
+        >
+          <Plus size={16} />
+          Add status
+        </button>
+        <button type="submit" className="btn btn-primary" disabled={isSaving}>
+          {isSaving ? "Saving..." : "Save workflow"}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default WorkflowEditor;
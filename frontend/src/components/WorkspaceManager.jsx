@@ -0,0 +1,530 @@
+import React, { useEffect, useState } from "react";
+import {
+  Check,
+  Copy,
+  Edit2,
+  Link,
+  LogOut,
+  Plus,
+  Trash2,
+  X,
+} from "lucide-react";
+import { useWorkspaceMembers } from "../hooks/workspace-functions";
+
+const ROLE_LABELS = { owner: "Owner", editor: "Editor", viewer: "Viewer" };
+
+// Link that accepts an invitation when opened by a signed-in user
+const getInviteLink = (token) => {
+  const url = new URL(window.location.href);
+  url.search = "";
+  url.searchParams.set("invite", token);
+  return url.href;
+};
+
+const getErrorMessage = (err, fallback) =>
+  err.response?.data?.error || fallback;
+
+const getDisplayName = (user) =>
+  [user.firstName, user.lastName].filter(Boolean).join(" ") || user.username;
+
+// Members, roles and invitations of the selected workspace. Only the owner
+// can change them; everyone else sees the member list and can leave.
+const WorkspaceDetails = ({
+  workspace,
+  currentUserId,
+  onRename,
+  onDelete,
+  onLeave,
+}) => {
+  const isOwner = workspace.role === "owner";
+  const {
+    members,
+    pendingInvitations,
+    isMembersLoading,
+    loadMembers,
+    updateMember,
+    removeMember,
+    createInvitation,
+    revokeInvitation,
+  } = useWorkspaceMembers(workspace._id, isOwner);
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [name, setName] = useState(workspace.name);
+  const [invite, setInvite] = useState({ email: "", role: "editor" });
+  const [copiedId, setCopiedId] = useState(null);
+  const [error, setError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    loadMembers().catch((err) =>
+      setError(getErrorMessage(err, "Failed to load members"))
+    );
+  }, [loadMembers]);
+
+  // Run an API action with shared saving/error handling
+  const runAction = async (action, fallbackMessage) => {
+    setIsSaving(true);
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error(fallbackMessage, err);
+      setError(getErrorMessage(err, fallbackMessage));
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRename = async () => {
+    const trimmed = name.trim();
+    if (!trimmed || trimmed === workspace.name) {
+      setIsRenaming(false);
+      return;
+    }
+    const renamed = await runAction(
+      () => onRename(workspace._id, { name: trimmed }),
+      "Failed to rename workspace"
+    );
+    if (renamed) setIsRenaming(false);
+  };
+
+  const handleRemove = (member) => {
+    if (window.confirm(`Remove ${getDisplayName(member.userId)}?`)) {
+      runAction(
+        () => removeMember(member.userId._id),
+        "Failed to remove member"
+      );
+    }
+  };
+
+  // Invite by email, or create a shareable link when `withEmail` is false
+  const handleInvite = async (withEmail) => {
+    const email = invite.email.trim();
+    if (withEmail && !email) return;
+
+    const created = await runAction(
+      () =>
+        createInvitation({
+          role: invite.role,
+          ...(withEmail && { email }),
+        }),
+      "Failed to create invitation"
+    );
+    if (created && withEmail) {
+      setInvite({ ...invite, email: "" });
+    }
+  };
+
+  const handleCopyLink = async (invitation) => {
+    try {
+      await navigator.clipboard.writeText(getInviteLink(invitation.token));
+      setCopiedId(invitation._id);
+    } catch (err) {
+      console.error("Failed to copy invite link:", err);
+      window.prompt("Copy this invite link:", getInviteLink(invitation.token));
+    }
+  };
+
+  const handleDelete = () => {
+    if (
+      window.confirm(
+        `Delete "${workspace.name}"? Its tasks will move to your trash.`
+      )
+    ) {
+      runAction(() => onDelete(workspace._id), "Failed to delete workspace");
+    }
+  };
+
+  const handleLeave = () => {
+    if (window.confirm(`Leave "${workspace.name}"?`)) {
+      runAction(
+        () => onLeave(workspace._id, currentUserId),
+        "Failed to leave workspace"
+      );
+    }
+  };
+
+  return (
+    <div className="workspace-details">
+      <div className="workspace-details-header">
+        {isRenaming ? (
+          <>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") handleRename();
+                if (e.key === "Escape") setIsRenaming(false);
+              }}
+              className="form-input"
+              maxLength={50}
+              autoFocus
+              disabled={isSaving}
+            />
+            <button
+              className="btn btn-secondary"
+              onClick={handleRename}
+              disabled={isSaving}
+              title="Save name"
+            >
+              <Check size={16} />
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => setIsRenaming(false)}
+              disabled={isSaving}
+              title="Cancel"
+            >
+              <X size={16} />
+            </button>
+          </>
+        ) : (
+          <>
+            <h3>{workspace.name}</h3>
+            <span className="workspace-role">
+              {ROLE_LABELS[workspace.role]}
+            </span>
+            {isOwner && (
+              <button
+                className="btn btn-edit"
+                onClick={() => {
+                  setName(workspace.name);
+                  setIsRenaming(true);
+                }}
+                disabled={isSaving}
+                title="Rename workspace"
+              >
+                <Edit2 size={16} />
+              </button>
+            )}
+          </>
+        )}
+      </div>
+
+      {error && <span className="error-message">{error}</span>}
+
+      <h4 className="workspace-section-title">Members</h4>
+      {isMembersLoading && members.length === 0 ? (
+        <p className="tag-manager-empty">Loading members...</p>
+      ) : (
+        <ul className="tag-manager-list">
+          {members.map((member) => (
+            <li key={member.userId._id} className="tag-manager-item">
+              <span className="workspace-avatar" aria-hidden>
+                {getDisplayName(member.userId)[0].toUpperCase()}
+              </span>
+              <span className="workspace-member">
+                <span className="workspace-member-name">
+                  {getDisplayName(member.userId)}
+                  {member.userId._id === currentUserId && " (you)"}
+                </span>
+                <span className="workspace-member-email">
+                  {member.userId.email}
+                </span>
+              </span>
+              <div className="tag-manager-actions">
+                {isOwner && member.role !== "owner" ? (
+                  <>
+                    <select
+                      value={member.role}
+                      onChange={(e) =>
+                        runAction(
+                          () => updateMember(member.userId._id, e.target.value),
+                          "Failed to change role"
+                        )
+                      }
+                      className="form-select"
+                      aria-label={`Role of ${getDisplayName(member.userId)}`}
+                      disabled={isSaving}
+                    >
+                      <option value="editor">Editor</option>
+                      <option value="viewer">Viewer</option>
+                    </select>
+                    <button
+                      className="btn btn-delete"
+                      onClick={() => handleRemove(member)}
+                      disabled={isSaving}
+                      title="Remove member"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </>
+                ) : (
+                  <span className="workspace-role">
+                    {ROLE_LABELS[member.role]}
+                  </span>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {isOwner && (
+        <>
+          <h4 className="workspace-section-title">Invite</h4>
+          <form
+            className="tag-manager-create"
+            onSubmit={(e) => {
+              e.preventDefault();
+              handleInvite(true);
+            }}
+          >
+            <input
+              type="email"
+              value={invite.email}
+              onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+              className="form-input"
+              placeholder="Email address..."
+              disabled={isSaving}
+            />
+            <select
+              value={invite.role}
+              onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+              className="form-select workspace-invite-role"
+              aria-label="Role for the invitation"
+              disabled={isSaving}
+            >
+              <option value="editor">Editor</option>
+              <option value="viewer">Viewer</option>
+            </select>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={isSaving || !invite.email.trim()}
+            >
+              <Plus size={16} />
+              Invite
+            </button>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => handleInvite(false)}
+              disabled={isSaving}
+              title="Create a link anyone signed in can use to join"
+            >
+              <Link size={16} />
+              Link
+            </button>
+          </form>
+
+          {pendingInvitations.length > 0 && (
+            <ul className="tag-manager-list">
+              {pendingInvitations.map((invitation) => (
+                <li key={invitation._id} className="tag-manager-item">
+                  <span className="workspace-member">
+                    <span className="workspace-member-name">
+                      {invitation.email || "Invite link"}
+                    </span>
+                    <span className="workspace-member-email">
+                      {ROLE_LABELS[invitation.role]} · expires{" "}
+                      {new Date(invitation.expiresAt).toLocaleDateString()}
+                    </span>
+                  </span>
+                  <div className="tag-manager-actions">
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => handleCopyLink(invitation)}
+                      title="Copy invite link"
+                    >
+                      {copiedId === invitation._id ? (
+                        <Check size={16} />
+                      ) : (
+                        <Copy size={16} />
+                      )}
+                    </button>
+                    <button
+                      className="btn btn-delete"
+                      onClick={() =>
+                        runAction(
+                          () => revokeInvitation(invitation._id),
+                          "Failed to revoke invitation"
+                        )
+                      }
+                      disabled={isSaving}
+                      title="Revoke invitation"
+                    >
+                      <X size={16} />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+
+      <div className="project-delete-actions">
+        {isOwner ? (
+          <button
+            className="btn btn-delete"
+            onClick={handleDelete}
+            disabled={isSaving}
+          >
+            <Trash2 size={16} />
+            Delete workspace
+          </button>
+        ) : (
+          <button
+            className="btn btn-secondary"
+            onClick={handleLeave}
+            disabled={isSaving}
+          >
+            <LogOut size={16} />
+            Leave workspace
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Panel for creating workspaces, answering invitations and managing the
+// selected workspace. Shares its layout with TagManager.
+const WorkspaceManager = ({
+  workspace,
+  invitations,
+  currentUserId,
+  onCreate,
+  onRename,
+  onDelete,
+  onLeave,
+  onAccept,
+  onDecline,
+  onClose,
+}) => {
+  const [newName, setNewName] = useState("");
+  const [error, setError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Run an API action with shared saving/error handling
+  const runAction = async (action, fallbackMessage) => {
+    setIsSaving(true);
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error(fallbackMessage, err);
+      setError(getErrorMessage(err, fallbackMessage));
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+
+    const created = await runAction(
+      () => onCreate({ name }),
+      "Failed to create workspace"
+    );
+    if (created) setNewName("");
+  };
+
+  return (
+    <div className="tag-manager">
+      <div className="tag-manager-header">
+        <h2>Workspaces</h2>
+        <button className="btn btn-secondary" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {error && <span className="error-message">{error}</span>}
+
+      {invitations.length > 0 && (
+        <>
+          <h4 className="workspace-section-title">Invitations</h4>
+          <ul className="tag-manager-list workspace-invitations">
+            {invitations.map((invitation) => (
+              <li key={invitation._id} className="tag-manager-item">
+                <span className="workspace-member">
+                  <span className="workspace-member-name">
+                    {invitation.workspaceId.name}
+                  </span>
+                  <span className="workspace-member-email">
+                    {ROLE_LABELS[invitation.role]}
+                    {invitation.invitedBy &&
+                      ` · invited by ${getDisplayName(invitation.invitedBy)}`}
+                  </span>
+                </span>
+                <div className="tag-manager-actions">
+                  <button
+                    className="btn btn-primary"
+                    onClick={() =>
+                      runAction(
+                        () => onAccept(invitation.token),
+                        "Failed to accept invitation"
+                      )
+                    }
+                    disabled={isSaving}
+                  >
+                    <Check size={16} />
+                    Join
+                  </button>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() =>
+                      runAction(
+                        () => onDecline(invitation.token),
+                        "Failed to decline invitation"
+                      )
+                    }
+                    disabled={isSaving}
+                    title="Decline invitation"
+                  >
+                    <X size={16} />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <form className="tag-manager-create" onSubmit={handleCreate}>
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          className="form-input"
+          placeholder="New workspace name..."
+          maxLength={50}
+          disabled={isSaving}
+        />
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={isSaving || !newName.trim()}
+        >
+          <Plus size={16} />
+          Create
+        </button>
+      </form>
+
+      {workspace ? (
+        <WorkspaceDetails
+          key={workspace._id}
+          workspace={workspace}
+          currentUserId={currentUserId}
+          onRename={onRename}
+          onDelete={onDelete}
+          onLeave={onLeave}
+        />
+      ) : (
+        <p className="tag-manager-empty">
+          You are looking at your personal tasks. Create a workspace to share
+          tasks with your team, or pick one in the header to manage it.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceManager;
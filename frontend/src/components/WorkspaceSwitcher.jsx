@@ -0,0 +1,31 @@
+import React from "react";
+import { User, Users } from "lucide-react";
+import { PERSONAL_WORKSPACE } from "../hooks/workspace-functions";
+
+// Header select choosing whose tasks are shown: the user's own, or one of
+// the workspaces they share with others
+const WorkspaceSwitcher = ({ workspaces, value, onChange }) => (
+  <div className="project-switcher workspace-switcher">
+    {value === PERSONAL_WORKSPACE ? (
+      <User size={18} aria-hidden />
+    ) : (
+      <Users size={18} aria-hidden />
+    )}
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="form-select"
+      aria-label="Workspace"
+    >
+      <option value={PERSONAL_WORKSPACE}>Personal</option>
+      {workspaces.map((workspace) => (
+        <option key={workspace._id} value={workspace._id}>
+          {workspace.name}
+          {workspace.role === "viewer" ? " (view only)" : ""}
+        </option>
+      ))}
+    </select>
+  </div>
+);
+
+export default WorkspaceSwitcher;
@@ -0,0 +1,38 @@
+import { useState, useCallback } from "react";
+import { taskAPI } from "../services/api";
+
+// Custom hook for the users tasks can be assigned to: the current workspace's
+// members, or the user and everyone they share a workspace with
+export const useAssigneeFunctions = () => {
+  const [assignees, setAssignees] = useState([]);
+
+  // BACKEND CALL: GET /tasks/assignees - Retrieve the assignable users
+  const loadAssignees = useCallback(async () => {
+    try {
+      const data = await taskAPI.getAssignees();
+      setAssignees(data.users);
+      return data.users;
+    } catch (error) {
+      console.error("Failed to load assignees:", error);
+      if (error.response?.status === 401) {
+        // Authentication error, will be handled by interceptor
+        return;
+      }
+      throw error;
+    }
+  }, []);
+
+  // Clear assignees function (useful for logout)
+  const clearAssignees = useCallback(() => {
+    setAssignees([]);
+  }, []);
+
+  return {
+    // State
+    assignees,
+
+    // Actions
+    loadAssignees,
+    clearAssignees,
+  };
+};
@@ -0,0 +1,90 @@
+import { useState, useEffect, useCallback } from "react";
+import { taskAPI } from "../services/api";
+import { saveBlob } from "../utils/download";
+
+// Same limits as the backend's utils/attachments.js
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+export const MAX_FILES_PER_UPLOAD = 5;
+export const ATTACHMENT_ACCEPT = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  ".pdf",
+  ".txt",
+  ".log",
+  ".md",
+  ".csv",
+  ".json",
+  ".zip",
+  ".doc",
+  ".docx",
+  ".xls",
+  ".xlsx",
+  ".ppt",
+  ".pptx",
+].join(",");
+
+// Attachments shown as thumbnails rather than a file icon
+export const isImageAttachment = (attachment) =>
+  attachment.contentType.startsWith("image/");
+
+// Human-readable file size, e.g. "1.4 MB"
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Custom hook for one image attachment's thumbnail. Files need the auth
+// header, so the image is fetched and shown from an object URL, which is
+// released when the thumbnail goes away.
+export const useAttachmentThumbnail = (taskId, attachment) => {
+  const [thumbnailUrl, setThumbnailUrl] = useState(null);
+  const attachmentId = attachment._id;
+  const isImage = isImageAttachment(attachment);
+
+  useEffect(() => {
+    if (!isImage) return;
+
+    let objectUrl = null;
+    let isCancelled = false;
+
+    // BACKEND CALL: GET /tasks/:id/attachments/:attachmentId
+    taskAPI
+      .getAttachment(taskId, attachmentId)
+      .then((blob) => {
+        if (isCancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setThumbnailUrl(objectUrl);
+      })
+      .catch(() => {
+        // Logged by the API service; the file icon is shown instead
+      });
+
+    return () => {
+      isCancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [taskId, attachmentId, isImage]);
+
+  return { thumbnailUrl };
+};
+
+// Custom hook for downloading a task's attachments
+export const useAttachmentFunctions = (taskId) => {
+  // BACKEND CALL: GET /tasks/:id/attachments/:attachmentId - Save a file
+  // under its original name
+  const downloadAttachment = useCallback(
+    async (attachment) => {
+      const blob = await taskAPI.getAttachment(taskId, attachment._id);
+      saveBlob(blob, attachment.filename);
+    },
+    [taskId]
+  );
+
+  return {
+    // Actions
+    downloadAttachment,
+  };
+};
@@ -0,0 +1,98 @@
+import { useState, useCallback } from "react";
+import { taskAPI } from "../services/api";
+
+const COMMENT_PAGE_SIZE = 50;
+
+// Custom hook for one task's comment thread. `total` is null until the
+// thread has been loaded, then follows additions and deletions.
+export const useCommentFunctions = (taskId) => {
+  const [comments, setComments] = useState([]);
+  const [total, setTotal] = useState(null);
+  const [isCommentsLoading, setIsCommentsLoading] = useState(false);
+  const [commentsError, setCommentsError] = useState(null);
+  const [nextAfter, setNextAfter] = useState(null);
+
+  // BACKEND CALL: GET /tasks/:id/comments - Load a page of comments
+  const fetchPage = useCallback(
+    async (after) => {
+      try {
+        setIsCommentsLoading(true);
+        const data = await taskAPI.getComments(taskId, {
+          limit: COMMENT_PAGE_SIZE,
+          ...(after && { after }),
+        });
+        setComments((prev) =>
+          after ? [...prev, ...data.comments] : data.comments
+        );
+        setTotal(data.total);
+        setNextAfter(data.nextAfter);
+        setCommentsError(null);
+      } catch (error) {
+        console.error("Failed to load comments:", error);
+        setCommentsError("Failed to load comments");
+      } finally {
+        setIsCommentsLoading(false);
+      }
+    },
+    [taskId]
+  );
+
+  // Load the oldest comments, replacing what is shown
+  const loadComments = useCallback(() => fetchPage(null), [fetchPage]);
+
+  // Append the next page of newer comments
+  const loadMoreComments = useCallback(
+    () => nextAfter && fetchPage(nextAfter),
+    [fetchPage, nextAfter]
+  );
+
+  // BACKEND CALL: POST /tasks/:id/comments - Add a comment. It is shown
+  // right away only once the whole thread is loaded, to keep the order.
+  const addComment = useCallback(
+    async (body) => {
+      const { comment } = await taskAPI.addComment(taskId, body);
+      if (!nextAfter) setComments((prev) => [...prev, comment]);
+      setTotal((prev) => (prev ?? 0) + 1);
+      return comment;
+    },
+    [taskId, nextAfter]
+  );
+
+  // BACKEND CALL: PUT /tasks/:id/comments/:commentId - Edit a comment
+  const updateComment = useCallback(
+    async (commentId, body) => {
+      const { comment } = await taskAPI.updateComment(taskId, commentId, body);
+      setComments((prev) =>
+        prev.map((item) => (item._id === commentId ? comment : item))
+      );
+      return comment;
+    },
+    [taskId]
+  );
+
+  // BACKEND CALL: DELETE /tasks/:id/comments/:commentId - Delete a comment
+  const deleteComment = useCallback(
+    async (commentId) => {
+      await taskAPI.deleteComment(taskId, commentId);
+      setComments((prev) => prev.filter((item) => item._id !== commentId));
+      setTotal((prev) => Math.max((prev ?? 1) - 1, 0));
+    },
+    [taskId]
+  );
+
+  return {
+    // State
+    comments,
+    total,
+    isCommentsLoading,
+    commentsError,
+    hasMoreComments: Boolean(nextAfter),
+
+    // Actions
+    loadComments,
+    loadMoreComments,
+    addComment,
+    updateComment,
+    deleteComment,
+  };
+};
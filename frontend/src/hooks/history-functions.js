@@ -0,0 +1,57 @@
+import { useState, useCallback } from "react";
+import { taskAPI } from "../services/api";
+
+const HISTORY_PAGE_SIZE = 20;
+
+// Custom hook for one task's change history
+export const useHistoryFunctions = (taskId) => {
+  const [history, setHistory] = useState([]);
+  const [isHistoryLoading, setIsHistoryLoading] = useState(false);
+  const [historyError, setHistoryError] = useState(null);
+  const [nextBefore, setNextBefore] = useState(null);
+
+  // BACKEND CALL: GET /tasks/:id/history - Load a page of history entries
+  const fetchPage = useCallback(
+    async (before) => {
+      try {
+        setIsHistoryLoading(true);
+        const data = await taskAPI.getTaskHistory(taskId, {
+          limit: HISTORY_PAGE_SIZE,
+          ...(before && { before }),
+        });
+        setHistory((prev) =>
+          before ? [...prev, ...data.history] : data.history
+        );
+        setNextBefore(data.nextBefore);
+        setHistoryError(null);
+      } catch (error) {
+        console.error("Failed to load task history:", error);
+        setHistoryError("Failed to load history");
+      } finally {
+        setIsHistoryLoading(false);
+      }
+    },
+    [taskId]
+  );
+
+  // Load the newest entries, replacing what is shown
+  const loadHistory = useCallback(() => fetchPage(null), [fetchPage]);
+
+  // Append the next page of older entries
+  const loadMoreHistory = useCallback(
+    () => nextBefore && fetchPage(nextBefore),
+    [fetchPage, nextBefore]
+  );
+
+  return {
+    // State
+    history,
+    isHistoryLoading,
+    historyError,
+    hasMoreHistory: Boolean(nextBefore),
+
+    // Actions
+    loadHistory,
+    loadMoreHistory,
+  };
+};
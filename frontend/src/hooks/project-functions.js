@@ -0,0 +1,103 @@
+import { useState, useCallback } from "react";
+import { projectAPI } from "../services/api";
+
+// Keep projects in the same order the API returns them
+const sortByName = (projects) =>
+  [...projects].sort((a, b) =>
+    a.name.localeCompare(b.name, undefined, { sensitivity: "base" })
+  );
+
+// Custom hook for project management functions
+export const useProjectFunctions = () => {
+  const [projects, setProjects] = useState([]);
+  // Number of tasks outside any project
+  const [unassignedCount, setUnassignedCount] = useState(0);
+  const [isProjectsLoading, setIsProjectsLoading] = useState(false);
+  // Whether `projects` reflects the server yet
+  const [isProjectsLoaded, setIsProjectsLoaded] = useState(false);
+
+  // BACKEND CALL: GET /projects - Retrieve the user's projects
+  const loadProjects = useCallback(async () => {
+    try {
+      setIsProjectsLoading(true);
+      const data = await projectAPI.getAllProjects();
+      setProjects(data.projects);
+      setUnassignedCount(data.unassignedCount);
+      setIsProjectsLoaded(true);
+      return data.projects;
+    } catch (error) {
+      console.error("Failed to load projects:", error);
+      if (error.response?.status === 401) {
+        // Authentication error, will be handled by interceptor
+        return;
+      }
+      throw error;
+    } finally {
+      setIsProjectsLoading(false);
+    }
+  }, []);
+
+  // BACKEND CALL: POST /projects - Create a new project
+  const createProject = useCallback(async (projectData) => {
+    const { project } = await projectAPI.createProject(projectData);
+    setProjects((prevProjects) => sortByName([...prevProjects, project]));
+    return project;
+  }, []);
+
+  // BACKEND CALL: PUT /projects/:id - Rename, recolour or archive a project
+  const updateProject = useCallback(async (projectId, projectData) => {
+    const { project } = await projectAPI.updateProject(projectId, projectData);
+    setProjects((prevProjects) =>
+      sortByName(
+        prevProjects.map((p) =>
+          p._id === projectId ? { ...p, ...project } : p
+        )
+      )
+    );
+    return project;
+  }, []);
+
+  // BACKEND CALL: DELETE /projects/:id - Delete a project, moving its tasks
+  // to `moveTo` (null for no project) or to the trash
+  const deleteProject = useCallback(async (projectId, { tasks, moveTo }) => {
+    const data = await projectAPI.deleteProject(projectId, {
+      tasks,
+      moveTo: moveTo || undefined,
+    });
+    setProjects((prevProjects) =>
+      prevProjects
+        .filter((p) => p._id !== projectId)
+        .map((p) =>
+          p._id === moveTo
+            ? { ...p, taskCount: p.taskCount + data.tasksUpdated }
+            : p
+        )
+    );
+    if (tasks === "move" && !moveTo) {
+      setUnassignedCount((prevCount) => prevCount + data.tasksUpdated);
+    }
+    return data;
+  }, []);
+
+  // Clear projects function (useful for logout)
+  const clearProjects = useCallback(() => {
+    setProjects([]);
+    setUnassignedCount(0);
+    setIsProjectsLoaded(false);
+  }, []);
+
+  return {
+    // State
+    projects,
+    unassignedCount,
+    isProjectsLoading,
+    isProjectsLoaded,
+
+    // Actions
+    loadProjects,
+    createProject,
+    updateProject,
+    deleteProject,
+    clearProjects,
+  };
+};
@@ -0,0 +1,53 @@
+import { useState, useCallback } from "react";
+import { taskAPI } from "../services/api";
+
+// Custom hook for the statistics dashboard (see GET /tasks/stats)
+export const useStatsFunctions = () => {
+  const [stats, setStats] = useState(null);
+  const [isStatsLoading, setIsStatsLoading] = useState(false);
+  const [statsError, setStatsError] = useState(null);
+
+  // BACKEND CALL: GET /tasks/stats - Load statistics over the `days` days
+  // up to today, counted in this device's time zone
+  const loadStats = useCallback(async ({ days, project } = {}) => {
+    const tzOffset = new Date().getTimezoneOffset();
+    // Today's local date, which toISOString() would give in UTC
+    const today = new Date(Date.now() - tzOffset * 60 * 1000);
+    const from = new Date(today.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+
+    try {
+      setIsStatsLoading(true);
+      const data = await taskAPI.getStats({
+        from: from.toISOString().slice(0, 10),
+        to: today.toISOString().slice(0, 10),
+        tzOffset,
+        project,
+      });
+      setStats(data.stats);
+      setStatsError(null);
+      return data.stats;
+    } catch (error) {
+      console.error("Failed to load statistics:", error);
+      setStatsError(error.response?.data?.error || "Failed to load statistics");
+    } finally {
+      setIsStatsLoading(false);
+    }
+  }, []);
+
+  // Clear statistics (useful for logout)
+  const clearStats = useCallback(() => {
+    setStats(null);
+    setStatsError(null);
+  }, []);
+
+  return {
+    // State
+    stats,
+    isStatsLoading,
+    statsError,
+
+    // Actions
+    loadStats,
+    clearStats,
+  };
+};
@@ -0,0 +1,73 @@
+import { useState, useCallback } from "react";
+import { tagAPI } from "../services/api";
+
+// Keep the catalogue in the same order the API returns it
+const sortByName = (tags) =>
+  [...tags].sort((a, b) =>
+    a.name.localeCompare(b.name, undefined, { sensitivity: "base" })
+  );
+
+// Custom hook for tag catalogue management functions
+export const useTagFunctions = () => {
+  const [tags, setTags] = useState([]);
+  const [isTagsLoading, setIsTagsLoading] = useState(false);
+
+  // BACKEND CALL: GET /tags - Retrieve the user's tags
+  const loadTags = useCallback(async () => {
+    try {
+      setIsTagsLoading(true);
+      const data = await tagAPI.getAllTags();
+      setTags(data.tags);
+      return data.tags;
+    } catch (error) {
+      console.error("Failed to load tags:", error);
+      if (error.response?.status === 401) {
+        // Authentication error, will be handled by interceptor
+        return;
+      }
+      throw error;
+    } finally {
+      setIsTagsLoading(false);
+    }
+  }, []);
+
+  // BACKEND CALL: POST /tags - Create a new tag
+  const createTag = useCallback(async (tagData) => {
+    const { tag } = await tagAPI.createTag(tagData);
+    setTags((prevTags) => sortByName([...prevTags, tag]));
+    return tag;
+  }, []);
+
+  // BACKEND CALL: PUT /tags/:id - Rename or recolour a tag
+  const updateTag = useCallback(async (tagId, tagData) => {
+    const { tag } = await tagAPI.updateTag(tagId, tagData);
+    setTags((prevTags) =>
+      sortByName(prevTags.map((t) => (t._id === tagId ? { ...t, ...tag } : t)))
+    );
+    return tag;
+  }, []);
+
+  // BACKEND CALL: DELETE /tags/:id - Delete a tag
+  const deleteTag = useCallback(async (tagId) => {
+    await tagAPI.deleteTag(tagId);
+    setTags((prevTags) => prevTags.filter((t) => t._id !== tagId));
+  }, []);
+
+  // Clear tags function (useful for logout)
+  const clearTags = useCallback(() => {
+    setTags([]);
+  }, []);
+
+  return {
+    // State
+    tags,
+    isTagsLoading,
+
+    // Actions
+    loadTags,
+    createTag,
+    updateTag,
+    deleteTag,
+    clearTags,
+  };
+};
@@ -1,20 +1,128 @@
-import { useState, useCallback } from "react";
+import { useState, useCallback, useRef } from "react";
 import { taskAPI } from "../services/api";
+import { saveBlob } from "../utils/download";
+
+// Number of tasks requested per page
+const PAGE_SIZE = 50;
+// Project picked in the header, remembered on this device
+const PROJECT_KEY = "taskManager_project";
+// `project` query values for every task and for tasks outside any project
+export const ALL_PROJECTS = "All";
+export const NO_PROJECT = "none";
+// `assignee` query value for tasks assigned to the signed-in user
+export const ASSIGNED_TO_ME = "me";
+
+export const DEFAULT_TASK_QUERY = {
+  status: "All",
+  priority: "All",
+  tags: [],
+  tagMatch: "all",
+  due: "All",
+  assignee: "All",
+  search: "",
+  sortBy: "createdAt",
+  sortOrder: "desc",
+};
+
+// DEFAULT_TASK_QUERY leaves out `project`, so resetting the query or applying
+// a saved view keeps the project picked in the header
+const getInitialQuery = () => ({
+  ...DEFAULT_TASK_QUERY,
+  project: localStorage.getItem(PROJECT_KEY) || ALL_PROJECTS,
+});
+
+// Whether a task belongs in the list for the `project` query value
+const isInProject = (project, task) =>
+  project === ALL_PROJECTS || (task.projectId || NO_PROJECT) === project;
+
+const EMPTY_COUNTS = {
+  total: 0,
+  byStatus: {},
+  trackedSeconds: 0,
+  estimateMinutes: 0,
+};
+
+const EMPTY_PAGINATION = { total: 0, hasMore: false, nextCursor: null };
+
+// Convert the UI query into GET /tasks params (undefined values are dropped)
+const toRequestParams = (query, cursor) => ({
+  status: query.status !== "All" ? query.status : undefined,
+  priority: query.priority !== "All" ? query.priority : undefined,
+  tags: query.tags.length > 0 ? query.tags.join(",") : undefined,
+  tagMatch: query.tags.length > 1 ? query.tagMatch : undefined,
+  project: query.project !== ALL_PROJECTS ? query.project : undefined,
+  due: query.due !== "All" ? query.due : undefined,
+  tzOffset: query.due !== "All" ? new Date().getTimezoneOffset() : undefined,
+  assignee: query.assignee !== "All" ? query.assignee : undefined,
+  q: query.search || undefined,
+  sortBy: query.sortBy,
+  sortOrder: query.sortOrder,
+  limit: PAGE_SIZE,
+  cursor: cursor || undefined,
+});
+
+// Move one task between status counters (null means added or removed)
+const shiftCounts = (counts, fromStatus, toStatus) => {
+  const byStatus = { ...counts.byStatus };
+  let total = counts.total;
+
+  if (fromStatus) {
+    byStatus[fromStatus] = Math.max((byStatus[fromStatus] || 0) - 1, 0);
+    total -= 1;
+  }
+  if (toStatus) {
+    byStatus[toStatus] = (byStatus[toStatus] || 0) + 1;
+    total += 1;
+  }
+
+  return { ...counts, total: Math.max(total, 0), byStatus };
+};
+
+// Move one task's tracked time and estimate between the time totals (null
+// means added or removed)
+const shiftTimeTotals = (counts, previousTask, updatedTask) => {
+  const shift = (field) =>
+    Math.max(
+      (counts[field] || 0) -
+        (previousTask?.[field] || 0) +
+        (updatedTask?.[field] || 0),
+      0
+    );
+  return {
+    ...counts,
+    trackedSeconds: shift("trackedSeconds"),
+    estimateMinutes: shift("estimateMinutes"),
+  };
+};
 
 // Custom hook for task management functions
 export const useTaskFunctions = () => {
   const [tasks, setTasks] = useState([]);
   const [isTasksLoading, setIsTasksLoading] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [error, setError] = useState(null);
+  const [query, setQuery] = useState(getInitialQuery);
+  const [pagination, setPagination] = useState(EMPTY_PAGINATION);
+  const [counts, setCounts] = useState(EMPTY_COUNTS);
 
-  // BACKEND CALL: GET /tasks - Retrieve all tasks for authenticated user
+  // Incremented per request so stale responses can be ignored
+  const requestIdRef = useRef(0);
+
+  // BACKEND CALL: GET /tasks - Retrieve the first page for the current query
   const loadTasks = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+
     try {
       setIsTasksLoading(true);
       setError(null);
-      const tasksData = await taskAPI.getAllTasks();
-      setTasks(tasksData);
-      return tasksData;
+      const data = await taskAPI.getAllTasks(toRequestParams(query));
+
+      if (requestId !== requestIdRef.current) return;
+
+      setTasks(data.tasks);
+      setPagination(data.pagination);
+      setCounts(data.counts);
+      return data.tasks;
     } catch (error) {
       console.error("Failed to load tasks:", error);
 
@@ -23,102 +131,317 @@ export const useTaskFunctions = () => {
         return;
       }
 
+      // A rejected query (e.g. an unknown status: in the search) says why
       const errorMessage =
-        "Failed to load tasks. Please check if the backend server is running.";
+        error.response?.status === 400
+          ? error.response.data.error
+          : "Failed to load tasks. Please check if the backend server is running.";
       setError(errorMessage);
       throw error;
     } finally {
-      setIsTasksLoading(false);
+      if (requestId === requestIdRef.current) {
+        setIsTasksLoading(false);
+      }
     }
-  }, []);
+  }, [query]);
+
+  // BACKEND CALL: GET /tasks?cursor= - Append the next page of results
+  const loadMoreTasks = useCallback(async () => {
+    if (!pagination.hasMore || !pagination.nextCursor) return;
+
+    const requestId = ++requestIdRef.current;
 
-  // BACKEND CALL: POST /tasks - Create a new task
-  const createTask = useCallback(async (taskData) => {
     try {
-      const newTask = await taskAPI.createTask({
-        ...taskData,
-        createdAt: new Date().toISOString(),
-      });
+      setIsLoadingMore(true);
+      const data = await taskAPI.getAllTasks(
+        toRequestParams(query, pagination.nextCursor)
+      );
 
-      // Add new task to the beginning of the list
-      setTasks((prevTasks) => [newTask, ...prevTasks]);
-      setError(null);
-      return newTask;
+      if (requestId !== requestIdRef.current) return;
+
+      setTasks((prevTasks) => [...prevTasks, ...data.tasks]);
+      setPagination(data.pagination);
+      setCounts(data.counts);
+      return data.tasks;
     } catch (error) {
-      console.error("Failed to create task:", error);
-      throw error; // Re-throw to handle in TaskForm
+      console.error("Failed to load more tasks:", error);
+
+      if (error.response?.status === 401) {
+        return;
+      }
+
+      setError("Failed to load more tasks. Please try again.");
+      throw error;
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setIsLoadingMore(false);
+      }
+    }
+  }, [query, pagination]);
+
+  // Merge filter/sort changes into the query (triggers a reload via loadTasks)
+  const updateTaskQuery = useCallback((updates) => {
+    if (updates.project !== undefined) {
+      localStorage.setItem(PROJECT_KEY, updates.project);
     }
+    setQuery((prevQuery) => ({ ...prevQuery, ...updates }));
   }, []);
 
-  // BACKEND CALL: PUT /tasks/:id - Update a task by ID
-  const updateTask = useCallback(async (taskId, taskData) => {
-    try {
-      const updatedTask = await taskAPI.updateTask(taskId, {
-        ...taskData,
-        updatedAt: new Date().toISOString(),
-      });
+  // BACKEND CALL: POST /tasks - Create a new task
+  const createTask = useCallback(
+    async (taskData) => {
+      try {
+        const newTask = await taskAPI.createTask({
+          ...taskData,
+          createdAt: new Date().toISOString(),
+        });
 
-      // Update task in the list
-      setTasks((prevTasks) =>
-        prevTasks.map((task) =>
-          (task._id || task.id) === taskId ? { ...task, ...updatedTask } : task
+        // Tasks created in another project don't show up in this list
+        if (!isInProject(query.project, newTask)) {
+          setError(null);
+          return newTask;
+        }
+
+        // Add new task to the beginning of the list if it matches the filter
+        if (query.status === "All" || query.status === newTask.status) {
+          setTasks((prevTasks) => [newTask, ...prevTasks]);
+          setPagination((prev) => ({ ...prev, total: prev.total + 1 }));
+        }
+        setCounts((prevCounts) =>
+          shiftTimeTotals(
+            shiftCounts(prevCounts, null, newTask.status),
+            null,
+            newTask
+          )
+        );
+        setError(null);
+        return newTask;
+      } catch (error) {
+        console.error("Failed to create task:", error);
+        throw error; // Re-throw to handle in TaskForm
+      }
+    },
+    [query.status, query.project]
+  );
+
+  // BACKEND CALL: GET /tasks/:id - Completing a recurring task makes the
+  // server create its next occurrence; fetch any that are new from
+  // [previousTask, updatedTask] pairs and add them like created tasks
+  const addNextOccurrences = useCallback(
+    async (changes) => {
+      const nextIds = changes
+        .filter(
+          ([previousTask, updatedTask]) =>
+            updatedTask.nextOccurrenceId &&
+            updatedTask.nextOccurrenceId !== previousTask?.nextOccurrenceId
         )
-      );
+        .map(([, updatedTask]) => updatedTask.nextOccurrenceId);
+      if (nextIds.length === 0) return;
 
-      setError(null);
-      return updatedTask;
-    } catch (error) {
-      console.error("Failed to update task:", error);
-      throw error; // Re-throw to handle in TaskForm
-    }
-  }, []);
+      try {
+        const nextTasks = await Promise.all(
+          nextIds.map((id) => taskAPI.getTaskById(id))
+        );
+        const visible = nextTasks.filter(
+          (task) => query.status === "All" || query.status === task.status
+        );
+
+        setTasks((prevTasks) => [...visible, ...prevTasks]);
+        setPagination((prev) => ({
+          ...prev,
+          total: prev.total + visible.length,
+        }));
+        setCounts((prevCounts) =>
+          nextTasks.reduce(
+            (acc, task) => shiftCounts(acc, null, task.status),
+            prevCounts
+          )
+        );
+      } catch (error) {
+        // The occurrence exists; it shows up on the next reload
+        console.error("Failed to load next occurrence:", error);
+      }
+    },
+    [query.status]
+  );
+
+  // BACKEND CALL: PUT /tasks/:id - Update a task by ID
+  const updateTask = useCallback(
+    async (taskId, taskData) => {
+      try {
+        const previousTask = tasks.find(
+          (task) => (task._id || task.id) === taskId
+        );
+        const updatedTask = await taskAPI.updateTask(taskId, {
+          ...taskData,
+          updatedAt: new Date().toISOString(),
+        });
+
+        // A task moved to another project leaves this list
+        if (!isInProject(query.project, updatedTask)) {
+          setTasks((prevTasks) =>
+            prevTasks.filter((task) => (task._id || task.id) !== taskId)
+          );
+          if (previousTask) {
+            setPagination((prev) => ({ ...prev, total: prev.total - 1 }));
+            setCounts((prevCounts) =>
+              shiftTimeTotals(
+                shiftCounts(prevCounts, previousTask.status, null),
+                previousTask,
+                null
+              )
+            );
+          }
+          setError(null);
+          return updatedTask;
+        }
+
+        // Update task in the list
+        setTasks((prevTasks) =>
+          prevTasks.map((task) =>
+            (task._id || task.id) === taskId
+              ? { ...task, ...updatedTask }
+              : task
+          )
+        );
+
+        if (previousTask) {
+          setCounts((prevCounts) =>
+            shiftTimeTotals(
+              shiftCounts(prevCounts, previousTask.status, updatedTask.status),
+              previousTask,
+              updatedTask
+            )
+          );
+        }
+        await addNextOccurrences([[previousTask, updatedTask]]);
 
-  // BACKEND CALL: DELETE /tasks/:id - Delete a task by ID
+        setError(null);
+        return updatedTask;
+      } catch (error) {
+        console.error("Failed to update task:", error);
+
+        // On a version conflict, show the server's copy in the list while
+        // TaskForm asks the user how to resolve it
+        const currentTask = error.response?.data?.currentTask;
+        if (error.response?.status === 409 && currentTask) {
+          const previousTask = tasks.find(
+            (task) => (task._id || task.id) === taskId
+          );
+          setTasks((prevTasks) =>
+            prevTasks.map((task) =>
+              (task._id || task.id) === taskId
+                ? { ...task, ...currentTask }
+                : task
+            )
+          );
+          if (previousTask && previousTask.status !== currentTask.status) {
+            setCounts((prevCounts) =>
+              shiftCounts(prevCounts, previousTask.status, currentTask.status)
+            );
+          }
+        }
+
+        throw error; // Re-throw to handle in TaskForm
+      }
+    },
+    [tasks, query.project, addNextOccurrences]
+  );
+
+  // BACKEND CALL: DELETE /tasks/:id - Move a task to the trash
   const deleteTask = useCallback(async (taskId) => {
     try {
-      await taskAPI.deleteTask(taskId);
+      const { deletedTask } = await taskAPI.deleteTask(taskId);
 
       // Remove task from the list
       setTasks((prevTasks) =>
         prevTasks.filter((task) => (task._id || task.id) !== taskId)
       );
+      setPagination((prev) => ({
+        ...prev,
+        total: Math.max(prev.total - 1, 0),
+      }));
+      if (deletedTask) {
+        setCounts((prevCounts) =>
+          shiftTimeTotals(
+            shiftCounts(prevCounts, deletedTask.status, null),
+            deletedTask,
+            null
+          )
+        );
+      }
       setError(null);
+      return deletedTask;
     } catch (error) {
       console.error("Failed to delete task:", error);
       throw error; // Re-throw to handle in TaskItem
     }
   }, []);
 
-  // BACKEND CALL: PUT /tasks/:id - Update task status
+  // BACKEND CALL: POST /tasks/:id/restore - Restore a task from the trash
+  // Puts it back at `index` when known (undo), otherwise reloads the list
+  const restoreTask = useCallback(
+    async (taskId, index) => {
+      try {
+        const { task } = await taskAPI.restoreTask(taskId);
+
+        if (index === undefined || index < 0) {
+          await loadTasks();
+        } else {
+          setTasks((prevTasks) => [
+            ...prevTasks.slice(0, index),
+            task,
+            ...prevTasks.slice(index),
+          ]);
+          setPagination((prev) => ({ ...prev, total: prev.total + 1 }));
+          setCounts((prevCounts) =>
+            shiftTimeTotals(
+              shiftCounts(prevCounts, null, task.status),
+              null,
+              task
+            )
+          );
+        }
+
+        setError(null);
+        return task;
+      } catch (error) {
+        console.error("Failed to restore task:", error);
+        throw error;
+      }
+    },
+    [loadTasks]
+  );
+
+  // BACKEND CALL: PATCH /tasks/:id - Update task status; `force` moves a
+  // blocked task anyway
   const updateTaskStatus = useCallback(
-    async (taskId, newStatus) => {
+    async (taskId, newStatus, { force = false } = {}) => {
       try {
-        // Find the current task to get its current data
         const currentTask = tasks.find(
           (task) => (task._id || task.id) === taskId
         );
 
-        if (!currentTask) {
-          throw new Error("Task not found in current tasks list");
-        }
-
-        // Send the complete task data with updated status
-        // This fixes the 400 error by including required fields like title
-        const updatedTask = await taskAPI.updateTask(taskId, {
-          title: currentTask.title,
-          description: currentTask.description || "",
+        // Only send the status so concurrent edits to other fields survive
+        const updatedTask = await taskAPI.patchTask(taskId, {
           status: newStatus,
-          updatedAt: new Date().toISOString(),
+          ...(force && { force }),
         });
 
-        // Update task status in the list
+        // Update task in the list with the server's copy
         setTasks((prevTasks) =>
           prevTasks.map((task) =>
             (task._id || task.id) === taskId
-              ? { ...task, status: newStatus, updatedAt: updatedTask.updatedAt }
+              ? { ...task, ...updatedTask }
               : task
           )
         );
+        if (currentTask) {
+          setCounts((prevCounts) =>
+            shiftCounts(prevCounts, currentTask.status, updatedTask.status)
+          );
+        }
+        await addNextOccurrences([[currentTask, updatedTask]]);
         setError(null);
         return updatedTask;
       } catch (error) {
@@ -126,7 +449,289 @@ export const useTaskFunctions = () => {
         throw error; // Re-throw to handle in TaskItem
       }
     },
-    [tasks]
+    [tasks, addNextOccurrences]
+  );
+
+  // BACKEND CALL: POST /tasks/:id/move - Move a task on the board or reorder
+  // it in the list. Shows the move straight away and undoes it if it fails
+  const moveTask = useCallback(
+    async (taskId, { status, prevId, nextId, force = false }) => {
+      const currentTask = tasks.find(
+        (task) => (task._id || task.id) === taskId
+      );
+      const findPosition = (id) =>
+        tasks.find((task) => (task._id || task.id) === id)?.position;
+
+      // Provisional position between the neighbours until the server answers
+      const prevPosition = findPosition(prevId);
+      const nextPosition = findPosition(nextId);
+      let position = currentTask?.position;
+      if (prevPosition !== undefined && nextPosition !== undefined) {
+        position = (prevPosition + nextPosition) / 2;
+      } else if (prevPosition !== undefined) {
+        position = prevPosition + 1;
+      } else if (nextPosition !== undefined) {
+        position = nextPosition - 1;
+      }
+
+      // In manual order the list itself follows the new position
+      const isManual = query.sortBy === "position";
+      const applyTask = (changes, fromStatus) => {
+        setTasks((prevTasks) => {
+          const updated = prevTasks.map((task) =>
+            (task._id || task.id) === taskId ? { ...task, ...changes } : task
+          );
+          if (!isManual) return updated;
+          const direction = query.sortOrder === "asc" ? 1 : -1;
+          return updated.sort((a, b) => (a.position - b.position) * direction);
+        });
+        if (fromStatus && changes.status && fromStatus !== changes.status) {
+          setCounts((prevCounts) =>
+            shiftCounts(prevCounts, fromStatus, changes.status)
+          );
+        }
+      };
+
+      const fromStatus = currentTask?.status;
+      const toStatus = status ?? fromStatus;
+      applyTask({ status: toStatus, position }, fromStatus);
+
+      try {
+        const { task: movedTask } = await taskAPI.moveTask(taskId, {
+          status,
+          prevId,
+          nextId,
+          ...(force && { force }),
+        });
+        applyTask(movedTask, toStatus);
+        await addNextOccurrences([[currentTask, movedTask]]);
+        setError(null);
+        return movedTask;
+      } catch (error) {
+        console.error("Failed to move task:", error);
+        if (currentTask) {
+          applyTask(currentTask, toStatus);
+        }
+        throw error; // Re-throw to handle in TaskBoard/TaskList
+      }
+    },
+    [tasks, query.sortBy, query.sortOrder, addNextOccurrences]
+  );
+
+  // BACKEND CALL: PATCH /tasks/:id/checklist/:itemId - Check off an item
+  // The task may also be finished if the user has auto-complete turned on
+  const toggleChecklistItem = useCallback(
+    async (taskId, itemId, done) => {
+      try {
+        const currentTask = tasks.find(
+          (task) => (task._id || task.id) === taskId
+        );
+
+        const { task: updatedTask } = await taskAPI.updateChecklistItem(
+          taskId,
+          itemId,
+          { done }
+        );
+
+        setTasks((prevTasks) =>
+          prevTasks.map((task) =>
+            (task._id || task.id) === taskId
+              ? { ...task, ...updatedTask }
+              : task
+          )
+        );
+        if (currentTask && currentTask.status !== updatedTask.status) {
+          setCounts((prevCounts) =>
+            shiftCounts(prevCounts, currentTask.status, updatedTask.status)
+          );
+        }
+        await addNextOccurrences([[currentTask, updatedTask]]);
+        setError(null);
+        return updatedTask;
+      } catch (error) {
+        console.error("Failed to update checklist item:", error);
+        throw error; // Re-throw to handle in TaskItem
+      }
+    },
+    [tasks, addNextOccurrences]
+  );
+
+  // Replace a task in the list with the server's copy after a change that
+  // cannot affect its status, such as adding or removing files
+  const replaceTask = useCallback((updatedTask) => {
+    setTasks((prevTasks) =>
+      prevTasks.map((task) =>
+        (task._id || task.id) === updatedTask._id
+          ? { ...task, ...updatedTask }
+          : task
+      )
+    );
+  }, []);
+
+  // Show a task's new tracked total after its timer stopped or its time
+  // entries changed, keeping the stats in step
+  const applyTrackedTime = useCallback(
+    (taskId, trackedSeconds) => {
+      const previousTask = tasks.find(
+        (task) => (task._id || task.id) === taskId
+      );
+      if (!previousTask) return;
+
+      const updatedTask = { ...previousTask, trackedSeconds };
+      replaceTask(updatedTask);
+      setCounts((prevCounts) =>
+        shiftTimeTotals(prevCounts, previousTask, updatedTask)
+      );
+    },
+    [tasks, replaceTask]
+  );
+
+  // BACKEND CALL: POST /tasks/:id/attachments - Attach files to a task
+  const uploadAttachments = useCallback(
+    async (taskId, files) => {
+      const { task: updatedTask } = await taskAPI.uploadAttachments(
+        taskId,
+        files
+      );
+      replaceTask(updatedTask);
+      return updatedTask;
+    },
+    [replaceTask]
+  );
+
+  // BACKEND CALL: DELETE /tasks/:id/attachments/:attachmentId
+  const removeAttachment = useCallback(
+    async (taskId, attachmentId) => {
+      const { task: updatedTask } = await taskAPI.deleteAttachment(
+        taskId,
+        attachmentId
+      );
+      replaceTask(updatedTask);
+      return updatedTask;
+    },
+    [replaceTask]
+  );
+
+  // BACKEND CALL: POST /tasks/:id/dependencies - Mark a task as blocked
+  const addDependency = useCallback(
+    async (taskId, blockerId) => {
+      const { task: updatedTask } = await taskAPI.addDependency(
+        taskId,
+        blockerId
+      );
+      replaceTask(updatedTask);
+      return updatedTask;
+    },
+    [replaceTask]
+  );
+
+  // BACKEND CALL: DELETE /tasks/:id/dependencies/:blockerId
+  const removeDependency = useCallback(
+    async (taskId, blockerId) => {
+      const { task: updatedTask } = await taskAPI.removeDependency(
+        taskId,
+        blockerId
+      );
+      replaceTask(updatedTask);
+      return updatedTask;
+    },
+    [replaceTask]
+  );
+
+  // BACKEND CALL: POST /tasks/bulk - Change status, delete or retag tasks
+  // Applies each successful per-task result and returns the full response
+  const bulkUpdateTasks = useCallback(
+    async (bulkData) => {
+      try {
+        const data = await taskAPI.bulkUpdateTasks(bulkData);
+        const succeeded = data.results.filter((result) => result.success);
+
+        if (data.action === "delete") {
+          const deletedIds = new Set(succeeded.map((result) => result.id));
+          setTasks((prevTasks) =>
+            prevTasks.filter((task) => !deletedIds.has(task._id || task.id))
+          );
+          setPagination((prev) => ({
+            ...prev,
+            total: Math.max(prev.total - deletedIds.size, 0),
+          }));
+          setCounts((prevCounts) =>
+            succeeded.reduce(
+              (acc, { deletedTask }) =>
+                shiftTimeTotals(
+                  shiftCounts(acc, deletedTask.status, null),
+                  deletedTask,
+                  null
+                ),
+              prevCounts
+            )
+          );
+        } else {
+          const updatedById = new Map(
+            succeeded.map((result) => [result.id, result.task])
+          );
+          const statusChanges = tasks
+            .filter((task) => updatedById.has(task._id || task.id))
+            .map((task) => [
+              task.status,
+              updatedById.get(task._id || task.id).status,
+            ]);
+
+          setTasks((prevTasks) =>
+            prevTasks.map((task) =>
+              updatedById.has(task._id || task.id)
+                ? { ...task, ...updatedById.get(task._id || task.id) }
+                : task
+            )
+          );
+          setCounts((prevCounts) =>
+            statusChanges.reduce(
+              (acc, [from, to]) =>
+                from === to ? acc : shiftCounts(acc, from, to),
+              prevCounts
+            )
+          );
+          await addNextOccurrences(
+            succeeded.map(({ id, task }) => [
+              tasks.find((item) => (item._id || item.id) === id),
+              task,
+            ])
+          );
+        }
+
+        setError(null);
+        return data;
+      } catch (error) {
+        console.error("Failed to run bulk task operation:", error);
+        throw error; // Re-throw to handle in TaskList
+      }
+    },
+    [tasks, addNextOccurrences]
+  );
+
+  // BACKEND CALL: GET /tasks/export - Download every task matching the
+  // current filters and sort (not just the loaded pages) as CSV or JSON
+  const exportTasks = useCallback(
+    async (format) => {
+      try {
+        const blob = await taskAPI.exportTasks({
+          ...toRequestParams(query),
+          format,
+        });
+        const day = new Date().toISOString().slice(0, 10);
+        saveBlob(blob, `tasks-${day}.${format}`);
+      } catch (error) {
+        console.error("Failed to export tasks:", error);
+
+        if (error.response?.status === 401) {
+          return;
+        }
+
+        setError("Failed to export tasks. Please try again.");
+        throw error;
+      }
+    },
+    [query]
   );
 
   // Clear error function
@@ -137,6 +742,11 @@ export const useTaskFunctions = () => {
   // Clear tasks function (useful for logout)
   const clearTasks = useCallback(() => {
     setTasks([]);
+    setPagination(EMPTY_PAGINATION);
+    setCounts(EMPTY_COUNTS);
+    // The next user starts from all of their own projects
+    localStorage.removeItem(PROJECT_KEY);
+    setQuery({ ...DEFAULT_TASK_QUERY, project: ALL_PROJECTS });
     setError(null);
   }, []);
 
@@ -144,14 +754,30 @@ export const useTaskFunctions = () => {
     // State
     tasks,
     isTasksLoading,
+    isLoadingMore,
     error,
+    query,
+    pagination,
+    counts,
 
     // Actions
     loadTasks,
+    loadMoreTasks,
+    updateTaskQuery,
     createTask,
     updateTask,
     deleteTask,
     updateTaskStatus,
+    moveTask,
+    toggleChecklistItem,
+    uploadAttachments,
+    removeAttachment,
+    addDependency,
+    removeDependency,
+    applyTrackedTime,
+    bulkUpdateTasks,
+    restoreTask,
+    exportTasks,
     clearError,
     clearTasks,
     setTasks,
@@ -0,0 +1,178 @@
+import { useState, useEffect, useCallback } from "react";
+import { taskAPI } from "../services/api";
+
+const TIME_ENTRY_PAGE_SIZE = 50;
+
+// Seconds since `startedAt`, ticking every second (0 without a start)
+export const useElapsedSeconds = (startedAt) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!startedAt) return;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [startedAt]);
+
+  return startedAt
+    ? Math.max((now - new Date(startedAt).getTime()) / 1000, 0)
+    : 0;
+};
+
+// Custom hook for the user's timer. It lives on the server, so it survives
+// reloads and runs on one task at a time; `onTrackedTime(taskId, seconds)`
+// is told the new tracked total of a task whose timer stopped.
+export const useTimerFunctions = (onTrackedTime) => {
+  // Running entry with its task ({ _id, title, workspaceId }), or null
+  const [timer, setTimer] = useState(null);
+
+  // BACKEND CALL: GET /tasks/timer - Retrieve the running timer
+  const loadTimer = useCallback(async () => {
+    try {
+      const data = await taskAPI.getTimer();
+      setTimer(data.timer);
+      return data.timer;
+    } catch (error) {
+      console.error("Failed to load timer:", error);
+      if (error.response?.status === 401) {
+        // Authentication error, will be handled by interceptor
+        return;
+      }
+      throw error;
+    }
+  }, []);
+
+  // BACKEND CALL: POST /tasks/:id/timer - Start the timer on a task,
+  // stopping the one running on another task
+  const startTimer = useCallback(
+    async (task) => {
+      const data = await taskAPI.startTimer(task._id);
+      setTimer({
+        ...data.timer,
+        task: {
+          _id: task._id,
+          title: task.title,
+          workspaceId: task.workspaceId,
+        },
+      });
+      if (data.stopped) {
+        onTrackedTime(data.stopped.entry.taskId, data.stopped.trackedSeconds);
+      }
+      return data.timer;
+    },
+    [onTrackedTime]
+  );
+
+  // BACKEND CALL: DELETE /tasks/:id/timer - Stop the running timer
+  const stopTimer = useCallback(async () => {
+    if (!timer) return;
+    try {
+      const data = await taskAPI.stopTimer(timer.taskId);
+      onTrackedTime(timer.taskId, data.trackedSeconds);
+    } catch (error) {
+      // Already stopped from another tab or device
+      if (error.response?.status !== 404) throw error;
+    }
+    setTimer(null);
+  }, [timer, onTrackedTime]);
+
+  // Forget the timer (useful for logout)
+  const clearTimer = useCallback(() => {
+    setTimer(null);
+  }, []);
+
+  return {
+    // State
+    timer,
+
+    // Actions
+    loadTimer,
+    startTimer,
+    stopTimer,
+    clearTimer,
+  };
+};
+
+// Custom hook for one task's time entries, newest first. Changes report the
+// task's new tracked total to `onTrackedTime(taskId, seconds)`.
+export const useTimeEntryFunctions = (taskId, onTrackedTime) => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [hasMoreEntries, setHasMoreEntries] = useState(false);
+  const [isEntriesLoading, setIsEntriesLoading] = useState(false);
+  const [entriesError, setEntriesError] = useState(null);
+
+  // Sort an added or edited entry into place
+  const placeEntry = (list, entry) =>
+    [...list.filter((item) => item._id !== entry._id), entry].sort(
+      (a, b) => new Date(b.startedAt) - new Date(a.startedAt)
+    );
+
+  // BACKEND CALL: GET /tasks/:id/time-entries - Load the latest entries
+  const loadEntries = useCallback(async () => {
+    try {
+      setIsEntriesLoading(true);
+      const data = await taskAPI.getTimeEntries(taskId, {
+        limit: TIME_ENTRY_PAGE_SIZE,
+      });
+      setEntries(data.entries);
+      setTotal(data.total);
+      setHasMoreEntries(data.hasMore);
+      setEntriesError(null);
+    } catch (error) {
+      console.error("Failed to load time entries:", error);
+      setEntriesError("Failed to load time entries");
+    } finally {
+      setIsEntriesLoading(false);
+    }
+  }, [taskId]);
+
+  // BACKEND CALL: POST /tasks/:id/time-entries - Add time by hand
+  const addEntry = useCallback(
+    async (entryData) => {
+      const data = await taskAPI.addTimeEntry(taskId, entryData);
+      setEntries((prev) => placeEntry(prev, data.entry));
+      setTotal((prev) => prev + 1);
+      onTrackedTime?.(taskId, data.trackedSeconds);
+      return data.entry;
+    },
+    [taskId, onTrackedTime]
+  );
+
+  // BACKEND CALL: PUT /tasks/:id/time-entries/:entryId - Edit an entry
+  const updateEntry = useCallback(
+    async (entryId, entryData) => {
+      const data = await taskAPI.updateTimeEntry(taskId, entryId, entryData);
+      setEntries((prev) => placeEntry(prev, data.entry));
+      onTrackedTime?.(taskId, data.trackedSeconds);
+      return data.entry;
+    },
+    [taskId, onTrackedTime]
+  );
+
+  // BACKEND CALL: DELETE /tasks/:id/time-entries/:entryId - Delete an entry
+  const deleteEntry = useCallback(
+    async (entryId) => {
+      const data = await taskAPI.deleteTimeEntry(taskId, entryId);
+      setEntries((prev) => prev.filter((item) => item._id !== entryId));
+      setTotal((prev) => Math.max(prev - 1, 0));
+      onTrackedTime?.(taskId, data.trackedSeconds);
+    },
+    [taskId, onTrackedTime]
+  );
+
+  return {
+    // State
+    entries,
+    total,
+    hasMoreEntries,
+    isEntriesLoading,
+    entriesError,
+
+    // Actions
+    loadEntries,
+    addEntry,
+    updateEntry,
+    deleteEntry,
+  };
+};
@@ -0,0 +1,66 @@
+import { useState, useCallback } from "react";
+import { taskAPI } from "../services/api";
+
+// Custom hook for the task trash (soft-deleted tasks)
+export const useTrashFunctions = () => {
+  const [trashedTasks, setTrashedTasks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [isTrashLoading, setIsTrashLoading] = useState(false);
+
+  // BACKEND CALL: GET /tasks/trash - Retrieve trashed tasks
+  const loadTrash = useCallback(async () => {
+    try {
+      setIsTrashLoading(true);
+      const data = await taskAPI.getTrash();
+      setTrashedTasks(data.tasks);
+      setRetentionDays(data.retentionDays);
+      return data.tasks;
+    } catch (error) {
+      console.error("Failed to load trash:", error);
+      if (error.response?.status === 401) {
+        // Authentication error, will be handled by interceptor
+        return;
+      }
+      throw error;
+    } finally {
+      setIsTrashLoading(false);
+    }
+  }, []);
+
+  // BACKEND CALL: DELETE /tasks/trash/:id - Permanently delete a task
+  const purgeTask = useCallback(async (taskId) => {
+    await taskAPI.purgeTask(taskId);
+    setTrashedTasks((prev) => prev.filter((task) => task._id !== taskId));
+  }, []);
+
+  // BACKEND CALL: DELETE /tasks/trash - Permanently delete every trashed task
+  const emptyTrash = useCallback(async () => {
+    await taskAPI.emptyTrash();
+    setTrashedTasks([]);
+  }, []);
+
+  // Drop a task that was restored elsewhere (no backend call)
+  const removeFromTrash = useCallback((taskId) => {
+    setTrashedTasks((prev) => prev.filter((task) => task._id !== taskId));
+  }, []);
+
+  // Clear trash function (useful for logout)
+  const clearTrash = useCallback(() => {
+    setTrashedTasks([]);
+    setRetentionDays(null);
+  }, []);
+
+  return {
+    // State
+    trashedTasks,
+    retentionDays,
+    isTrashLoading,
+
+    // Actions
+    loadTrash,
+    purgeTask,
+    emptyTrash,
+    removeFromTrash,
+    clearTrash,
+  };
+};
@@ -0,0 +1,129 @@
+import { useState, useCallback } from "react";
+import { viewAPI } from "../services/api";
+import { DEFAULT_TASK_QUERY } from "./task-functions";
+
+// Keep views in the same order the API returns them
+const sortByName = (views) =>
+  [...views].sort((a, b) =>
+    a.name.localeCompare(b.name, undefined, { sensitivity: "base" })
+  );
+
+// Turn a saved view into the task list query it describes
+export const viewToQuery = (view) => ({
+  ...DEFAULT_TASK_QUERY,
+  status: view.filters.status || "All",
+  priority: view.filters.priority || "All",
+  tags: view.filters.tags,
+  tagMatch: view.filters.tagMatch,
+  due: view.filters.due || "All",
+  assignee: view.filters.assignee || "All",
+  search: view.filters.q,
+  sortBy: view.sortBy,
+  sortOrder: view.sortOrder,
+});
+
+// Turn the current task list query and layout into view fields
+export const queryToViewData = (query, layout) => ({
+  filters: {
+    status: query.status !== "All" ? query.status : null,
+    priority: query.priority !== "All" ? query.priority : null,
+    tags: query.tags,
+    tagMatch: query.tagMatch,
+    due: query.due !== "All" ? query.due : null,
+    assignee: query.assignee !== "All" ? query.assignee : null,
+    q: query.search,
+  },
+  sortBy: query.sortBy,
+  sortOrder: query.sortOrder,
+  layout,
+});
+
+// Whether the current query or layout differs from what a view saved
+export const isViewModified = (view, query, layout) => {
+  const saved = viewToQuery(view);
+  const sameTags =
+    saved.tags.length === query.tags.length &&
+    saved.tags.every(
+      (tag, index) => tag.toLowerCase() === query.tags[index].toLowerCase()
+    );
+
+  return (
+    view.layout !== layout ||
+    !sameTags ||
+    [
+      "status",
+      "priority",
+      "due",
+      "assignee",
+      "search",
+      "sortBy",
+      "sortOrder",
+    ].some((field) => saved[field] !== query[field]) ||
+    (query.tags.length > 1 && saved.tagMatch !== query.tagMatch)
+  );
+};
+
+// Custom hook for saved view management functions
+export const useViewFunctions = () => {
+  const [views, setViews] = useState([]);
+  const [isViewsLoading, setIsViewsLoading] = useState(false);
+
+  // BACKEND CALL: GET /views - Retrieve the user's saved views
+  const loadViews = useCallback(async () => {
+    try {
+      setIsViewsLoading(true);
+      const data = await viewAPI.getAllViews();
+      setViews(data.views);
+      return data.views;
+    } catch (error) {
+      console.error("Failed to load views:", error);
+      if (error.response?.status === 401) {
+        // Authentication error, will be handled by interceptor
+        return;
+      }
+      throw error;
+    } finally {
+      setIsViewsLoading(false);
+    }
+  }, []);
+
+  // BACKEND CALL: POST /views - Save a new view
+  const createView = useCallback(async (viewData) => {
+    const { view } = await viewAPI.createView(viewData);
+    setViews((prevViews) => sortByName([...prevViews, view]));
+    return view;
+  }, []);
+
+  // BACKEND CALL: PUT /views/:id - Update a saved view
+  const updateView = useCallback(async (viewId, viewData) => {
+    const { view } = await viewAPI.updateView(viewId, viewData);
+    setViews((prevViews) =>
+      sortByName(prevViews.map((v) => (v._id === viewId ? view : v)))
+    );
+    return view;
+  }, []);
+
+  // BACKEND CALL: DELETE /views/:id - Delete a saved view
+  const deleteView = useCallback(async (viewId) => {
+    await viewAPI.deleteView(viewId);
+    setViews((prevViews) => prevViews.filter((v) => v._id !== viewId));
+  }, []);
+
+  // Clear views function (useful for logout)
+  const clearViews = useCallback(() => {
+    setViews([]);
+  }, []);
+
+  return {
+    // State
+    views,
+    isViewsLoading,
+
+    // Actions
+    loadViews,
+    createView,
+    updateView,
+    deleteView,
+    clearViews,
+  };
+};
@@ -0,0 +1,55 @@
+import { useState, useCallback } from "react";
+import { workflowAPI } from "../services/api";
+import { DEFAULT_STATUSES } from "../utils/workflow";
+
+// Custom hook for the workflow, the statuses tasks move through
+export const useWorkflowFunctions = () => {
+  const [statuses, setStatuses] = useState(DEFAULT_STATUSES);
+  const [isWorkflowLoading, setIsWorkflowLoading] = useState(false);
+
+  // BACKEND CALL: GET /workflow - Retrieve the user's (or workspace's) statuses
+  const loadWorkflow = useCallback(async () => {
+    try {
+      setIsWorkflowLoading(true);
+      const { workflow } = await workflowAPI.getWorkflow();
+      setStatuses(workflow.statuses);
+      return workflow.statuses;
+    } catch (error) {
+      console.error("Failed to load workflow:", error);
+      if (error.response?.status === 401) {
+        // Authentication error, will be handled by interceptor
+        return;
+      }
+      throw error;
+    } finally {
+      setIsWorkflowLoading(false);
+    }
+  }, []);
+
+  // BACKEND CALL: PUT /workflow - Replace the statuses. Rejects with a 409
+  // (code STATUS_IN_USE) when removed statuses need a `reassign` entry.
+  const updateWorkflow = useCallback(async (nextStatuses, reassign) => {
+    const { workflow } = await workflowAPI.updateWorkflow({
+      statuses: nextStatuses,
+      reassign,
+    });
+    setStatuses(workflow.statuses);
+    return workflow.statuses;
+  }, []);
+
+  // Clear workflow function (useful for logout)
+  const clearWorkflow = useCallback(() => {
+    setStatuses(DEFAULT_STATUSES);
+  }, []);
+
+  return {
+    // State
+    statuses,
+    isWorkflowLoading,
+
+    // Actions
+    loadWorkflow,
+    updateWorkflow,
+    clearWorkflow,
+  };
+};
@@ -0,0 +1,244 @@
+import { useState, useCallback } from "react";
+import { workspaceAPI, getWorkspaceId, setWorkspaceId } from "../services/api";
+
+// Shown instead of a workspace when acting on the user's own tasks
+export const PERSONAL_WORKSPACE = "";
+
+// Keep workspaces in the same order the API returns them
+const sortByName = (workspaces) =>
+  [...workspaces].sort((a, b) =>
+    a.name.localeCompare(b.name, undefined, { sensitivity: "base" })
+  );
+
+// Custom hook for the user's workspaces, the one tasks are shown from, and
+// invitations sent to the user
+export const useWorkspaceFunctions = () => {
+  const [workspaces, setWorkspaces] = useState([]);
+  // Selected workspace, remembered on this device and sent with every request
+  const [workspaceId, setSelectedWorkspaceId] = useState(
+    () => getWorkspaceId() || PERSONAL_WORKSPACE
+  );
+  const [invitations, setInvitations] = useState([]);
+  // Whether `workspaces` reflects the server yet
+  const [isWorkspacesLoaded, setIsWorkspacesLoaded] = useState(false);
+
+  // BACKEND CALL: GET /workspaces - Retrieve the user's workspaces
+  const loadWorkspaces = useCallback(async () => {
+    try {
+      const data = await workspaceAPI.getAllWorkspaces();
+      setWorkspaces(data.workspaces);
+      setIsWorkspacesLoaded(true);
+      return data.workspaces;
+    } catch (error) {
+      console.error("Failed to load workspaces:", error);
+      if (error.response?.status === 401) {
+        // Authentication error, will be handled by interceptor
+        return;
+      }
+      throw error;
+    }
+  }, []);
+
+  // BACKEND CALL: GET /workspaces/invitations - Invitations sent to the user
+  const loadInvitations = useCallback(async () => {
+    try {
+      const data = await workspaceAPI.getMyInvitations();
+      setInvitations(data.invitations);
+      return data.invitations;
+    } catch (error) {
+      console.error("Failed to load invitations:", error);
+      if (error.response?.status === 401) {
+        return;
+      }
+      throw error;
+    }
+  }, []);
+
+  // Act on a workspace's tasks, or PERSONAL_WORKSPACE for the user's own
+  const selectWorkspace = useCallback((id) => {
+    setWorkspaceId(id || null);
+    setSelectedWorkspaceId(id || PERSONAL_WORKSPACE);
+  }, []);
+
+  // BACKEND CALL: POST /workspaces - Create a workspace owned by the user
+  const createWorkspace = useCallback(async (workspaceData) => {
+    const { workspace } = await workspaceAPI.createWorkspace(workspaceData);
+    setWorkspaces((prev) => sortByName([...prev, workspace]));
+    return workspace;
+  }, []);
+
+  // BACKEND CALL: PUT /workspaces/:id - Rename a workspace
+  const updateWorkspace = useCallback(async (id, workspaceData) => {
+    const { workspace } = await workspaceAPI.updateWorkspace(id, workspaceData);
+    setWorkspaces((prev) =>
+      sortByName(
+        prev.map((w) => (w._id === id ? { ...w, name: workspace.name } : w))
+      )
+    );
+    return workspace;
+  }, []);
+
+  // Forget a workspace the user is no longer in, leaving it if selected
+  const dropWorkspace = useCallback(
+    (id) => {
+      setWorkspaces((prev) => prev.filter((w) => w._id !== id));
+      if (getWorkspaceId() === id) selectWorkspace(PERSONAL_WORKSPACE);
+    },
+    [selectWorkspace]
+  );
+
+  // BACKEND CALL: DELETE /workspaces/:id - Delete a workspace (owner only)
+  const deleteWorkspace = useCallback(
+    async (id) => {
+      const data = await workspaceAPI.deleteWorkspace(id);
+      dropWorkspace(id);
+      return data;
+    },
+    [dropWorkspace]
+  );
+
+  // BACKEND CALL: DELETE /workspaces/:id/members/:userId - Leave a workspace
+  const leaveWorkspace = useCallback(
+    async (id, userId) => {
+      const data = await workspaceAPI.removeMember(id, userId);
+      dropWorkspace(id);
+      return data;
+    },
+    [dropWorkspace]
+  );
+
+  // BACKEND CALL: POST /workspaces/invitations/:token/accept - Join a
+  // workspace, from the invitation list or an invite link
+  const acceptInvitation = useCallback(async (token) => {
+    const { workspace } = await workspaceAPI.acceptInvitation(token);
+    setWorkspaces((prev) =>
+      sortByName([...prev.filter((w) => w._id !== workspace._id), workspace])
+    );
+    setInvitations((prev) => prev.filter((i) => i.token !== token));
+    return workspace;
+  }, []);
+
+  // BACKEND CALL: DELETE /workspaces/invitations/:token - Decline one
+  const declineInvitation = useCallback(async (token) => {
+    await workspaceAPI.declineInvitation(token);
+    setInvitations((prev) => prev.filter((i) => i.token !== token));
+  }, []);
+
+  // Clear workspaces function (useful for logout)
+  const clearWorkspaces = useCallback(() => {
+    setWorkspaces([]);
+    setInvitations([]);
+    setIsWorkspacesLoaded(false);
+    selectWorkspace(PERSONAL_WORKSPACE);
+  }, [selectWorkspace]);
+
+  return {
+    // State
+    workspaces,
+    workspaceId,
+    invitations,
+    isWorkspacesLoaded,
+
+    // Actions
+    loadWorkspaces,
+    loadInvitations,
+    selectWorkspace,
+    createWorkspace,
+    updateWorkspace,
+    deleteWorkspace,
+    leaveWorkspace,
+    acceptInvitation,
+    declineInvitation,
+    clearWorkspaces,
+  };
+};
+
+// Custom hook for one workspace's members and pending invitations, as
+// managed by its owner
+export const useWorkspaceMembers = (workspaceId, canManage) => {
+  // Members with their populated user; deleted accounts are left out
+  const [members, setMembers] = useState([]);
+  const [pendingInvitations, setPendingInvitations] = useState([]);
+  const [isMembersLoading, setIsMembersLoading] = useState(false);
+
+  // BACKEND CALL: GET /workspaces/:id (and /invitations for owners)
+  const loadMembers = useCallback(async () => {
+    try {
+      setIsMembersLoading(true);
+      const [{ workspace }, invitationData] = await Promise.all([
+        workspaceAPI.getWorkspace(workspaceId),
+        canManage ? workspaceAPI.getInvitations(workspaceId) : null,
+      ]);
+      setMembers(workspace.members.filter((member) => member.userId));
+      setPendingInvitations(invitationData ? invitationData.invitations : []);
+    } finally {
+      setIsMembersLoading(false);
+    }
+  }, [workspaceId, canManage]);
+
+  // BACKEND CALL: PUT /workspaces/:id/members/:userId - Change a role
+  const updateMember = useCallback(
+    async (userId, role) => {
+      const { workspace } = await workspaceAPI.updateMember(
+        workspaceId,
+        userId,
+        role
+      );
+      setMembers(workspace.members.filter((member) => member.userId));
+    },
+    [workspaceId]
+  );
+
+  // BACKEND CALL: DELETE /workspaces/:id/members/:userId - Remove a member
+  const removeMember = useCallback(
+    async (userId) => {
+      await workspaceAPI.removeMember(workspaceId, userId);
+      setMembers((prev) => prev.filter((m) => m.userId._id !== userId));
+    },
+    [workspaceId]
+  );
+
+  // BACKEND CALL: POST /workspaces/:id/invitations - Invite by email, or
+  // create an invite link when no email is given
+  const createInvitation = useCallback(
+    async (invitationData) => {
+      const { invitation } = await workspaceAPI.createInvitation(
+        workspaceId,
+        invitationData
+      );
+      setPendingInvitations((prev) => [
+        invitation,
+        ...prev.filter(
+          (i) => !invitation.email || i.email !== invitation.email
+        ),
+      ]);
+      return invitation;
+    },
+    [workspaceId]
+  );
+
+  // BACKEND CALL: DELETE /workspaces/:id/invitations/:invitationId
+  const revokeInvitation = useCallback(
+    async (invitationId) => {
+      await workspaceAPI.revokeInvitation(workspaceId, invitationId);
+      setPendingInvitations((prev) =>
+        prev.filter((i) => i._id !== invitationId)
+      );
+    },
+    [workspaceId]
+  );
+
+  return {
+    // State
+    members,
+    pendingInvitations,
+    isMembersLoading,
+
+    // Actions
+    loadMembers,
+    updateMember,
+    removeMember,
+    createInvitation,
+    revokeInvitation,
+  };
+};
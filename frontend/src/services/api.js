@@ -20,6 +20,16 @@ const setTokens = (tokens) => {
   localStorage.setItem("taskManager_accessToken", tokens.accessToken);
   localStorage.setItem("taskManager_refreshToken", tokens.refreshToken);
 };
+// The workspace requests act on; none means the user's personal tasks
+const WORKSPACE_KEY = "taskManager_workspace";
+export const getWorkspaceId = () => localStorage.getItem(WORKSPACE_KEY);
+export const setWorkspaceId = (workspaceId) => {
+  if (workspaceId) {
+    localStorage.setItem(WORKSPACE_KEY, workspaceId);
+  } else {
+    localStorage.removeItem(WORKSPACE_KEY);
+  }
+};
 const clearTokens = () => {
   localStorage.removeItem("taskManager_accessToken");
   localStorage.removeItem("taskManager_refreshToken");
@@ -33,6 +43,10 @@ api.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    const workspaceId = getWorkspaceId();
+    if (workspaceId) {
+      config.headers["X-Workspace-Id"] = workspaceId;
+    }
     return config;
   },
   (error) => {
@@ -186,6 +200,17 @@ export const authAPI = {
     }
   },
 
+  // PATCH /auth/preferences - Update the current user's task preferences
+  updatePreferences: async (preferences) => {
+    try {
+      const response = await api.patch("/auth/preferences", preferences);
+      return response.data;
+    } catch (error) {
+      console.error("Error updating preferences:", error);
+      throw error;
+    }
+  },
+
   // PUT /auth/change-password - Change password
   changePassword: async (passwordData) => {
     try {
@@ -200,10 +225,11 @@ export const authAPI = {
 
 // Task API service functions (now with authentication)
 export const taskAPI = {
-  // GET /tasks - Retrieve all tasks for authenticated user
-  getAllTasks: async () => {
+  // GET /tasks - Retrieve a page of tasks for authenticated user
+  // params: { status, q, sortBy, sortOrder, limit, cursor }
+  getAllTasks: async (params = {}) => {
     try {
-      const response = await api.get("/tasks");
+      const response = await api.get("/tasks", { params });
       return response.data;
     } catch (error) {
       console.error("Error fetching tasks:", error);
@@ -211,6 +237,44 @@ export const taskAPI = {
     }
   },
 
+  // GET /tasks/assignees - Retrieve the users tasks can be assigned to
+  getAssignees: async () => {
+    try {
+      const response = await api.get("/tasks/assignees");
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching assignees:", error);
+      throw error;
+    }
+  },
+
+  // GET /tasks/stats - Retrieve statistics for the user's tasks
+  // params: { from, to, tzOffset, project }
+  getStats: async (params = {}) => {
+    try {
+      const response = await api.get("/tasks/stats", { params });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching task statistics:", error);
+      throw error;
+    }
+  },
+
+  // GET /tasks/export - Download the tasks matching the list's filters as
+  // a Blob; params are getAllTasks' plus format ("csv" or "json")
+  exportTasks: async (params = {}) => {
+    try {
+      const response = await api.get("/tasks/export", {
+        params,
+        responseType: "blob",
+      });
+      return response.data;
+    } catch (error) {
+      console.error("Error exporting tasks:", error);
+      throw error;
+    }
+  },
+
   // GET /tasks/:id - Retrieve a task by ID (user's task only)
   getTaskById: async (taskId) => {
     try {
@@ -222,6 +286,17 @@ export const taskAPI = {
     }
   },
 
+  // GET /tasks/:id/history - Retrieve a task's change history
+  getTaskHistory: async (taskId, params = {}) => {
+    try {
+      const response = await api.get(`/tasks/${taskId}/history`, { params });
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching history for task ${taskId}:`, error);
+      throw error;
+    }
+  },
+
   // POST /tasks - Create a new task for authenticated user
   createTask: async (taskData) => {
     try {
@@ -244,7 +319,40 @@ export const taskAPI = {
     }
   },
 
-  // DELETE /tasks/:id - Delete a task by ID (user's task only)
+  // PATCH /tasks/:id - Update only the given fields of a task (user's task only)
+  patchTask: async (taskId, changes) => {
+    try {
+      const response = await api.patch(`/tasks/${taskId}`, changes);
+      return response.data;
+    } catch (error) {
+      console.error(`Error patching task ${taskId}:`, error);
+      throw error;
+    }
+  },
+
+  // POST /tasks/bulk - Change status, delete or retag several tasks at once
+  bulkUpdateTasks: async (bulkData) => {
+    try {
+      const response = await api.post("/tasks/bulk", bulkData);
+      return response.data;
+    } catch (error) {
+      console.error("Error running bulk task operation:", error);
+      throw error;
+    }
+  },
+
+  // POST /tasks/:id/move - Move a task to a status and/or between two tasks
+  moveTask: async (taskId, move) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/move`, move);
+      return response.data;
+    } catch (error) {
+      console.error(`Error moving task ${taskId}:`, error);
+      throw error;
+    }
+  },
+
+  // DELETE /tasks/:id - Move a task to the trash (user's task only)
   deleteTask: async (taskId) => {
     try {
       const response = await api.delete(`/tasks/${taskId}`);
@@ -254,6 +362,631 @@ export const taskAPI = {
       throw error;
     }
   },
+
+  // GET /tasks/trash - Retrieve the user's trashed tasks
+  getTrash: async () => {
+    try {
+      const response = await api.get("/tasks/trash");
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching trash:", error);
+      throw error;
+    }
+  },
+
+  // POST /tasks/:id/restore - Restore a task from the trash
+  restoreTask: async (taskId) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/restore`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error restoring task ${taskId}:`, error);
+      throw error;
+    }
+  },
+
+  // DELETE /tasks/trash/:id - Permanently delete a trashed task
+  purgeTask: async (taskId) => {
+    try {
+      const response = await api.delete(`/tasks/trash/${taskId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error purging task ${taskId}:`, error);
+      throw error;
+    }
+  },
+
+  // DELETE /tasks/trash - Permanently delete every trashed task
+  emptyTrash: async () => {
+    try {
+      const response = await api.delete("/tasks/trash");
+      return response.data;
+    } catch (error) {
+      console.error("Error emptying trash:", error);
+      throw error;
+    }
+  },
+
+  // POST /tasks/:id/checklist - Add an item to a task's checklist
+  addChecklistItem: async (taskId, item) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/checklist`, item);
+      return response.data;
+    } catch (error) {
+      console.error(`Error adding checklist item to task ${taskId}:`, error);
+      throw error;
+    }
+  },
+
+  // PATCH /tasks/:id/checklist/:itemId - Edit or check off a checklist item
+  updateChecklistItem: async (taskId, itemId, changes) => {
+    try {
+      const response = await api.patch(
+        `/tasks/${taskId}/checklist/${itemId}`,
+        changes
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating checklist item ${itemId}:`, error);
+      throw error;
+    }
+  },
+
+  // PUT /tasks/:id/checklist/order - Reorder a task's checklist
+  reorderChecklist: async (taskId, itemIds) => {
+    try {
+      const response = await api.put(`/tasks/${taskId}/checklist/order`, {
+        itemIds,
+      });
+      return response.data;
+    } catch (error) {
+      console.error(`Error reordering checklist of task ${taskId}:`, error);
+      throw error;
+    }
+  },
+
+  // DELETE /tasks/:id/checklist/:itemId - Remove a checklist item
+  removeChecklistItem: async (taskId, itemId) => {
+    try {
+      const response = await api.delete(`/tasks/${taskId}/checklist/${itemId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error removing checklist item ${itemId}:`, error);
+      throw error;
+    }
+  },
+
+  // POST /tasks/:id/attachments - Upload files (a FileList or array)
+  uploadAttachments: async (taskId, files) => {
+    try {
+      const formData = new FormData();
+      Array.from(files).forEach((file) => formData.append("files", file));
+      const response = await api.post(
+        `/tasks/${taskId}/attachments`,
+        formData,
+        { headers: { "Content-Type": "multipart/form-data" } }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`Error uploading attachments to task ${taskId}:`, error);
+      throw error;
+    }
+  },
+
+  // GET /tasks/:id/attachments/:attachmentId - Download a file as a Blob
+  // (it needs the auth header, so it cannot simply be linked to)
+  getAttachment: async (taskId, attachmentId) => {
+    try {
+      const response = await api.get(
+        `/tasks/${taskId}/attachments/${attachmentId}`,
+        { responseType: "blob" }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`Error downloading attachment ${attachmentId}:`, error);
+      throw error;
+    }
+  },
+
+  // DELETE /tasks/:id/attachments/:attachmentId - Remove an attachment
+  deleteAttachment: async (taskId, attachmentId) => {
+    try {
+      const response = await api.delete(
+        `/tasks/${taskId}/attachments/${attachmentId}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`Error removing attachment ${attachmentId}:`, error);
+      throw error;
+    }
+  },
+
+  // POST /tasks/:id/dependencies - Mark a task as blocked by another one
+  addDependency: async (taskId, blockerId) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/dependencies`, {
+        blockerId,
+      });
+      return response.data;
+    } catch (error) {
+      console.error(`Error adding dependency to task ${taskId}:`, error);
+      throw error;
+    }
+  },
+
+  // DELETE /tasks/:id/dependencies/:blockerId - Remove a blocked-by link
+  removeDependency: async (taskId, blockerId) => {
+    try {
+      const response = await api.delete(
+        `/tasks/${taskId}/dependencies/${blockerId}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`Error removing dependency from task ${taskId}:`, error);
+      throw error;
+    }
+  },
+
+  // GET /tasks/:id/comments - Retrieve a page of a task's comments
+  getComments: async (taskId, params = {}) => {
+    try {
+      const response = await api.get(`/tasks/${taskId}/comments`, { params });
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching comments for task ${taskId}:`, error);
+      throw error;
+    }
+  },
+
+  // POST /tasks/:id/comments - Comment on a task
+  addComment: async (taskId, body) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/comments`, { body });
+      return response.data;
+    } catch (error) {
+      console.error(`Error adding comment to task ${taskId}:`, error);
+      throw error;
+    }
+  },
+
+  // PUT /tasks/:id/comments/:commentId - Edit one of the user's comments
+  updateComment: async (taskId, commentId, body) => {
+    try {
+      const response = await api.put(`/tasks/${taskId}/comments/${commentId}`, {
+        body,
+      });
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating comment ${commentId}:`, error);
+      throw error;
+    }
+  },
+
+  // DELETE /tasks/:id/comments/:commentId - Delete one of the user's comments
+  deleteComment: async (taskId, commentId) => {
+    try {
+      const response = await api.delete(
+        `/tasks/${taskId}/comments/${commentId}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting comment ${commentId}:`, error);
+      throw error;
+    }
+  },
+
+  // GET /tasks/timer - Retrieve the user's running timer, if any
+  getTimer: async () => {
+    try {
+      const response = await api.get("/tasks/timer");
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching timer:", error);
+      throw error;
+    }
+  },
+
+  // POST /tasks/:id/timer - Start the user's timer on a task
+  startTimer: async (taskId) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/timer`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error starting timer on task ${taskId}:`, error);
+      throw error;
+    }
+  },
+
+  // DELETE /tasks/:id/timer - Stop the user's timer on a task
+  stopTimer: async (taskId) => {
+    try {
+      const response = await api.delete(`/tasks/${taskId}/timer`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error stopping timer on task ${taskId}:`, error);
+      throw error;
+    }
+  },
+
+  // GET /tasks/:id/time-entries - Retrieve a task's time entries
+  getTimeEntries: async (taskId, params = {}) => {
+    try {
+      const response = await api.get(`/tasks/${taskId}/time-entries`, {
+        params,
+      });
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching time entries for task ${taskId}:`, error);
+      throw error;
+    }
+  },
+
+  // POST /tasks/:id/time-entries - Add time spent on a task
+  addTimeEntry: async (taskId, entryData) => {
+    try {
+      const response = await api.post(
+        `/tasks/${taskId}/time-entries`,
+        entryData
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`Error adding time entry to task ${taskId}:`, error);
+      throw error;
+    }
+  },
+
+  // PUT /tasks/:id/time-entries/:entryId - Edit one of the user's entries
+  updateTimeEntry: async (taskId, entryId, entryData) => {
+    try {
+      const response = await api.put(
+        `/tasks/${taskId}/time-entries/${entryId}`,
+        entryData
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating time entry ${entryId}:`, error);
+      throw error;
+    }
+  },
+
+  // DELETE /tasks/:id/time-entries/:entryId - Delete one of the user's entries
+  deleteTimeEntry: async (taskId, entryId) => {
+    try {
+      const response = await api.delete(
+        `/tasks/${taskId}/time-entries/${entryId}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting time entry ${entryId}:`, error);
+      throw error;
+    }
+  },
+};
+
+// Tag API service functions
+export const tagAPI = {
+  // GET /tags - Retrieve the user's tag catalogue
+  getAllTags: async () => {
+    try {
+      const response = await api.get("/tags");
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching tags:", error);
+      throw error;
+    }
+  },
+
+  // POST /tags - Create a new tag
+  createTag: async (tagData) => {
+    try {
+      const response = await api.post("/tags", tagData);
+      return response.data;
+    } catch (error) {
+      console.error("Error creating tag:", error);
+      throw error;
+    }
+  },
+
+  // PUT /tags/:id - Rename or recolour a tag
+  updateTag: async (tagId, tagData) => {
+    try {
+      const response = await api.put(`/tags/${tagId}`, tagData);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating tag ${tagId}:`, error);
+      throw error;
+    }
+  },
+
+  // DELETE /tags/:id - Delete a tag and remove it from tasks
+  deleteTag: async (tagId) => {
+    try {
+      const response = await api.delete(`/tags/${tagId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting tag ${tagId}:`, error);
+      throw error;
+    }
+  },
+};
+
+export const viewAPI = {
+  // GET /views - Retrieve the user's saved views
+  getAllViews: async () => {
+    try {
+      const response = await api.get("/views");
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching views:", error);
+      throw error;
+    }
+  },
+
+  // POST /views - Save a new view
+  createView: async (viewData) => {
+    try {
+      const response = await api.post("/views", viewData);
+      return response.data;
+    } catch (error) {
+      console.error("Error creating view:", error);
+      throw error;
+    }
+  },
+
+  // PUT /views/:id - Rename a view or replace its filters, sort or layout
+  updateView: async (viewId, viewData) => {
+    try {
+      const response = await api.put(`/views/${viewId}`, viewData);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating view ${viewId}:`, error);
+      throw error;
+    }
+  },
+
+  // DELETE /views/:id - Delete a saved view
+  deleteView: async (viewId) => {
+    try {
+      const response = await api.delete(`/views/${viewId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting view ${viewId}:`, error);
+      throw error;
+    }
+  },
+};
+
+export const projectAPI = {
+  // GET /projects - Retrieve the user's projects with task counts
+  getAllProjects: async () => {
+    try {
+      const response = await api.get("/projects");
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching projects:", error);
+      throw error;
+    }
+  },
+
+  // POST /projects - Create a new project
+  createProject: async (projectData) => {
+    try {
+      const response = await api.post("/projects", projectData);
+      return response.data;
+    } catch (error) {
+      console.error("Error creating project:", error);
+      throw error;
+    }
+  },
+
+  // PUT /projects/:id - Rename, recolour or archive a project
+  updateProject: async (projectId, projectData) => {
+    try {
+      const response = await api.put(`/projects/${projectId}`, projectData);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating project ${projectId}:`, error);
+      throw error;
+    }
+  },
+
+  // DELETE /projects/:id - Delete a project, moving ({ tasks: "move",
+  // moveTo? }) or trashing ({ tasks: "delete" }) its tasks
+  deleteProject: async (projectId, params) => {
+    try {
+      const response = await api.delete(`/projects/${projectId}`, { params });
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting project ${projectId}:`, error);
+      throw error;
+    }
+  },
+};
+
+export const workspaceAPI = {
+  // GET /workspaces - Retrieve the workspaces the user belongs to
+  getAllWorkspaces: async () => {
+    try {
+      const response = await api.get("/workspaces");
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching workspaces:", error);
+      throw error;
+    }
+  },
+
+  // GET /workspaces/:id - Retrieve a workspace with its members
+  getWorkspace: async (workspaceId) => {
+    try {
+      const response = await api.get(`/workspaces/${workspaceId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching workspace ${workspaceId}:`, error);
+      throw error;
+    }
+  },
+
+  // POST /workspaces - Create a workspace owned by the user
+  createWorkspace: async (workspaceData) => {
+    try {
+      const response = await api.post("/workspaces", workspaceData);
+      return response.data;
+    } catch (error) {
+      console.error("Error creating workspace:", error);
+      throw error;
+    }
+  },
+
+  // PUT /workspaces/:id - Rename a workspace
+  updateWorkspace: async (workspaceId, workspaceData) => {
+    try {
+      const response = await api.put(
+        `/workspaces/${workspaceId}`,
+        workspaceData
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating workspace ${workspaceId}:`, error);
+      throw error;
+    }
+  },
+
+  // DELETE /workspaces/:id - Delete a workspace, trashing its tasks
+  deleteWorkspace: async (workspaceId) => {
+    try {
+      const response = await api.delete(`/workspaces/${workspaceId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting workspace ${workspaceId}:`, error);
+      throw error;
+    }
+  },
+
+  // PUT /workspaces/:id/members/:userId - Change a member's role
+  updateMember: async (workspaceId, userId, role) => {
+    try {
+      const response = await api.put(
+        `/workspaces/${workspaceId}/members/${userId}`,
+        { role }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating member ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  // DELETE /workspaces/:id/members/:userId - Remove a member, or leave
+  removeMember: async (workspaceId, userId) => {
+    try {
+      const response = await api.delete(
+        `/workspaces/${workspaceId}/members/${userId}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`Error removing member ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  // GET /workspaces/:id/invitations - Retrieve pending invitations
+  getInvitations: async (workspaceId) => {
+    try {
+      const response = await api.get(`/workspaces/${workspaceId}/invitations`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching invitations for ${workspaceId}:`, error);
+      throw error;
+    }
+  },
+
+  // POST /workspaces/:id/invitations - Invite by email ({ email, role }) or
+  // create an invite link ({ role })
+  createInvitation: async (workspaceId, invitationData) => {
+    try {
+      const response = await api.post(
+        `/workspaces/${workspaceId}/invitations`,
+        invitationData
+      );
+      return response.data;
+    } catch (error) {
+      console.error("Error creating invitation:", error);
+      throw error;
+    }
+  },
+
+  // DELETE /workspaces/:id/invitations/:invitationId - Revoke an invitation
+  revokeInvitation: async (workspaceId, invitationId) => {
+    try {
+      const response = await api.delete(
+        `/workspaces/${workspaceId}/invitations/${invitationId}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`Error revoking invitation ${invitationId}:`, error);
+      throw error;
+    }
+  },
+
+  // GET /workspaces/invitations - Invitations sent to the user's email
+  getMyInvitations: async () => {
+    try {
+      const response = await api.get("/workspaces/invitations");
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching your invitations:", error);
+      throw error;
+    }
+  },
+
+  // POST /workspaces/invitations/:token/accept - Join through an invitation
+  acceptInvitation: async (token) => {
+    try {
+      const response = await api.post(
+        `/workspaces/invitations/${token}/accept`
+      );
+      return response.data;
+    } catch (error) {
+      console.error("Error accepting invitation:", error);
+      throw error;
+    }
+  },
+
+  // DELETE /workspaces/invitations/:token - Decline an invitation
+  declineInvitation: async (token) => {
+    try {
+      const response = await api.delete(`/workspaces/invitations/${token}`);
+      return response.data;
+    } catch (error) {
+      console.error("Error declining invitation:", error);
+      throw error;
+    }
+  },
+};
+
+export const workflowAPI = {
+  // GET /workflow - Retrieve the statuses tasks move through
+  getWorkflow: async () => {
+    try {
+      const response = await api.get("/workflow");
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching workflow:", error);
+      throw error;
+    }
+  },
+
+  // PUT /workflow - Replace the statuses, moving the tasks of removed ones
+  // as `reassign` ({ removed: replacement }) says
+  updateWorkflow: async (workflowData) => {
+    try {
+      const response = await api.put("/workflow", workflowData);
+      return response.data;
+    } catch (error) {
+      console.error("Error updating workflow:", error);
+      throw error;
+    }
+  },
 };
 
 // Export the configured axios instance for custom use
@@ -0,0 +1,31 @@
+// Helpers for blocked-by links. Tasks come back from the API with their
+// live blockers populated in `blockers` as { _id, title, status }.
+import { isTerminalStatus } from "./workflow";
+
+// Blockers not yet in a terminal status of `statuses`; a finished task is
+// never shown as blocked
+export const getOpenBlockers = (task, statuses) =>
+  isTerminalStatus(statuses, task.status)
+    ? []
+    : (task.blockers || []).filter(
+        (blocker) => !isTerminalStatus(statuses, blocker.status)
+      );
+
+// Run a status change as `run(force)`. When the server refuses it because
+// the task is blocked, ask whether to move it anyway and run it again with
+// `force` set. Resolves to null if the user keeps the task where it is.
+export const runBlockedMove = async (run) => {
+  try {
+    return await run(false);
+  } catch (error) {
+    if (error.response?.data?.code !== "TASK_BLOCKED") throw error;
+
+    const titles = error.response.data.blockers
+      .map((blocker) => `"${blocker.title}"`)
+      .join(", ");
+    if (!window.confirm(`Still waiting on ${titles}. Move it anyway?`)) {
+      return null;
+    }
+    return run(true);
+  }
+};
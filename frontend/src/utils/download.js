@@ -0,0 +1,13 @@
+// Save a Blob fetched through the API (which needs the auth header, so it
+// cannot simply be linked to) as a download named `filename`
+export const saveBlob = (blob, filename) => {
+  const objectUrl = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = objectUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing it
+  setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+};
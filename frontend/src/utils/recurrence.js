@@ -0,0 +1,66 @@
+// Repeat rules as stored on tasks (see the backend's utils/recurrence.js):
+// { frequency, interval, byWeekday, byMonthDay, until, count }
+
+export const FREQUENCY_OPTIONS = [
+  { value: "daily", label: "Daily", unit: "day" },
+  { value: "weekly", label: "Weekly", unit: "week" },
+  { value: "monthly", label: "Monthly", unit: "month" },
+  { value: "yearly", label: "Yearly", unit: "year" },
+];
+
+// Monday first; values are JavaScript weekday numbers (0 = Sunday)
+export const WEEKDAYS = [
+  { value: 1, label: "Mon" },
+  { value: 2, label: "Tue" },
+  { value: 3, label: "Wed" },
+  { value: 4, label: "Thu" },
+  { value: 5, label: "Fri" },
+  { value: 6, label: "Sat" },
+  { value: 0, label: "Sun" },
+];
+
+// `until` is an ISO date from the API or a YYYY-MM-DD form value (local day)
+const toDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : new Date(value);
+
+// Human-readable summary, e.g. "Every 2 weeks on Mon, Thu, 10 times"
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence?.frequency) return "";
+
+  const {
+    frequency,
+    interval = 1,
+    byWeekday = [],
+    byMonthDay,
+    until,
+    count,
+  } = recurrence;
+  const option = FREQUENCY_OPTIONS.find((item) => item.value === frequency);
+  if (!option) return "";
+
+  const parts = [
+    interval > 1 ? `Every ${interval} ${option.unit}s` : option.label,
+  ];
+  if (frequency === "weekly" && byWeekday.length > 0) {
+    parts[0] += ` on ${WEEKDAYS.filter((day) => byWeekday.includes(day.value))
+      .map((day) => day.label)
+      .join(", ")}`;
+  }
+  if (frequency === "monthly" && byMonthDay) {
+    parts[0] += ` on day ${byMonthDay}`;
+  }
+  if (until) {
+    parts.push(
+      `until ${toDate(until).toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+      })}`
+    );
+  }
+  if (count) parts.push(`${count} times`);
+
+  return parts.join(", ");
+};
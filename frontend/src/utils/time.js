@@ -0,0 +1,36 @@
+// Tracked time and estimates as stored on tasks (see the backend's
+// utils/timeTracking.js): trackedSeconds and estimateMinutes
+
+// Same limit as the backend's Task model (1000 hours)
+export const MAX_ESTIMATE_MINUTES = 60000;
+
+// Compact duration, e.g. "2h 05m", "45m" or "30s" for under a minute
+export const formatDuration = (seconds) => {
+  const total = Math.max(Math.round(seconds || 0), 0);
+  if (total < 60) return `${total}s`;
+
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours === 0) return `${minutes}m`;
+  return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+};
+
+// Running clock for a timer, e.g. "1:02:03"
+export const formatClock = (seconds) => {
+  const total = Math.max(Math.floor(seconds || 0), 0);
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, "0");
+  const secs = String(total % 60).padStart(2, "0");
+  return `${hours}:${minutes}:${secs}`;
+};
+
+// Value for a datetime-local input (local time), "" for none
+export const toDateTimeInputValue = (dateString) => {
+  if (!dateString) return "";
+  const date = new Date(dateString);
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+// ISO date from a datetime-local input value (local time)
+export const fromDateTimeInputValue = (value) => new Date(value).toISOString();
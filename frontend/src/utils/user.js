@@ -0,0 +1,12 @@
+// Helpers for showing users (the signed-in one, or task assignees as returned
+// by the API: { _id, username, email, firstName, lastName })
+
+// Letter shown in a user's avatar
+export const getUserInitial = (user) =>
+  (user?.firstName?.[0] || user?.username?.[0] || "U").toUpperCase();
+
+// Full name when the user gave one, otherwise their username
+export const getUserName = (user) =>
+  [user?.firstName, user?.lastName].filter(Boolean).join(" ") ||
+  user?.username ||
+  "Unknown user";
@@ -0,0 +1,26 @@
+// Helpers for the statuses of a workflow, as [{ _id, name, color, terminal }]
+// in display order (see hooks/workflow-functions.js)
+
+// Statuses shown until the workflow has loaded; the server's defaults
+export const DEFAULT_STATUSES = [
+  { name: "To Do", color: "#d97706", terminal: false },
+  { name: "In Progress", color: "#2563eb", terminal: false },
+  { name: "Done", color: "#059669", terminal: true },
+];
+
+const FALLBACK_COLOR = "#6b7280";
+
+// The status new tasks start in
+export const getInitialStatus = (statuses) => statuses[0]?.name || "";
+
+export const isTerminalStatus = (statuses, name) =>
+  statuses.some((status) => status.name === name && status.terminal);
+
+// Colour of a status; tasks can briefly show one the workflow no longer has
+export const getStatusColor = (statuses, name) =>
+  statuses.find((status) => status.name === name)?.color || FALLBACK_COLOR;
+
+// Inline style giving a status badge its colour (see .task-status)
+export const getStatusStyle = (statuses, name) => ({
+  "--status-color": getStatusColor(statuses, name),
+});